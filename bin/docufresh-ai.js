@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * docufresh-ai command line tool (see src/cli.js)
+ */
+
+import { runCli } from '../src/cli.js';
+
+process.exitCode = await runCli(process.argv.slice(2));
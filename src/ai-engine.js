@@ -1,16 +1,40 @@
 /**
  * AI Engine
- * Uses Transformers.js for browser-based text generation
+ * Uses Transformers.js for browser-based text generation by default
  * No API keys required - models run locally!
+ * Other generation backends (local OpenAI-compatible servers, functions, mocks) plug in via options.backend
  */
 
-import { pipeline, env } from '@huggingface/transformers';
+import { createBackend } from './backends.js';
+import { createLimiter } from './concurrency.js';
+import { resolveLogger } from './logger.js';
+import { PromptRegistry } from './prompts.js';
+import { resolveGrounding, verifyGrounding, extractAnswer } from './grounding.js';
+import { splitSentences } from './filters.js';
+import { resolveQAOptions, createQABackend, locateAnswer } from './qa.js';
 
-// Configure Transformers.js for both Node.js and browser
-env.allowLocalModels = false;  // Always download from Hugging Face
+const ANSWER_STRATEGIES = ['generative', 'extractive'];
+
+/**
+ * Generation tasks, each of which can run on its own model (options.models)
+ *   fact      - extractKeyFact       describe  - generateDescription
+ *   paragraph - generateParagraph    summarize - summarize
+ *   answer    - answerQuestion, answerSimple
+ *   rewrite   - rewriteWithFacts, rewriteSentence (useAI)
+ */
+const TASKS = ['fact', 'describe', 'paragraph', 'summarize', 'answer', 'rewrite'];
+
+/**
+ * How a model is prompted
+ *   'instruction' - the full prompt template (instruction-tuned models like FLAN-T5)
+ *   'raw'         - only the text to work on: the context, or the sentence to rewrite
+ *                   (task-specific models like distilbart-cnn, which summarize whatever they get)
+ */
+const PROMPT_STYLES = ['instruction', 'raw'];
 
 /**
  * Supported models with metadata
+ * pipeline is the Transformers.js pipeline type; tasks are the tasks the model can serve
  */
 const SUPPORTED_MODELS = {
   'small': {
@@ -18,27 +42,74 @@ const SUPPORTED_MODELS = {
     name: 'FLAN-T5 Small',
     size: '250MB',
     quality: 'good',
-    description: 'Fast, lightweight model for simple tasks'
+    description: 'Fast, lightweight model for simple tasks',
+    pipeline: 'text2text-generation',
+    promptStyle: 'instruction',
+    tasks: [...TASKS]
   },
   'base': {
     id: 'Xenova/flan-t5-base',
     name: 'FLAN-T5 Base',
     size: '900MB',
     quality: 'better',
-    description: 'Balanced model for most use cases'
+    description: 'Balanced model for most use cases',
+    pipeline: 'text2text-generation',
+    promptStyle: 'instruction',
+    tasks: [...TASKS]
   },
   'large': {
     id: 'Xenova/flan-t5-large',
     name: 'FLAN-T5 Large',
     size: '3GB',
     quality: 'best',
-    description: 'Highest quality, requires more memory'
+    description: 'Highest quality, requires more memory',
+    pipeline: 'text2text-generation',
+    promptStyle: 'instruction',
+    tasks: [...TASKS]
   }
 };
 
-// Only enable browser cache in browser environment
-if (typeof window !== 'undefined') {
-  env.useBrowserCache = true;
+// Keys of the built-in models, which registerModel() only replaces with { override: true }
+const BUILT_IN_MODELS = Object.keys(SUPPORTED_MODELS);
+
+// Loads of default-model backends, shared by an engine and its traced views (a failed load is retried)
+const defaultBackendLoads = new WeakMap();
+
+/**
+ * Validate model metadata and fill in defaults
+ * @param {object} info - { id, name, pipeline, promptStyle, tasks, size, quality, description }
+ * @returns {object} - Model info
+ */
+function defineModel(info) {
+  if (!info || typeof info.id !== 'string' || !info.id) {
+    throw new Error('A model needs an id (Hugging Face model ID or server model name)');
+  }
+  const pipeline = info.pipeline || 'text2text-generation';
+  const promptStyle = info.promptStyle || (pipeline === 'summarization' ? 'raw' : 'instruction');
+  if (!PROMPT_STYLES.includes(promptStyle)) {
+    throw new Error(`Unknown prompt style: ${promptStyle} (expected ${PROMPT_STYLES.join(', ')})`);
+  }
+  const tasks = info.tasks || [...TASKS];
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    throw new Error(`Model ${info.id} needs a list of tasks (${TASKS.join(', ')})`);
+  }
+  const unknown = tasks.filter(task => !TASKS.includes(task));
+  if (unknown.length > 0) {
+    throw new Error(`Model ${info.id} has unknown tasks: ${unknown.join(', ')} (expected ${TASKS.join(', ')})`);
+  }
+  return { ...info, name: info.name || info.id, pipeline, promptStyle, tasks: [...tasks] };
+}
+
+/**
+ * Resolve a model input to its metadata
+ * - A registered key ('small', 'base', 'large', or one added with registerModel)
+ * - A model ID: the registered model with that ID, or a text2text model serving every task
+ * - An object with an id and metadata (see defineModel)
+ */
+function resolveModelInfo(input) {
+  if (input && typeof input === 'object') return defineModel(input);
+  if (SUPPORTED_MODELS[input]) return SUPPORTED_MODELS[input];
+  return Object.values(SUPPORTED_MODELS).find(info => info.id === input) || defineModel({ id: input });
 }
 
 class AIEngine {
@@ -52,42 +123,321 @@ class AIEngine {
 
   /**
    * Get information about a specific model
-   * @param {string} modelKey - Model key ('small', 'base', 'large')
-   * @returns {object|null} Model info object or null if not found
+   * @param {string} modelKey - Model key ('small', 'base', 'large', or a registered key)
+   * @returns {object|null} Model info object (with the pipeline, prompt style and the tasks it serves)
+   *   or null if not found
    */
   static getModelInfo(modelKey) {
     return SUPPORTED_MODELS[modelKey] || null;
   }
 
+  /**
+   * Register a model under a key, for options.model and options.models
+   * The registry is shared by every instance in the process, so replacing a built-in key ('small', 'base',
+   * 'large') needs options.override.
+   * @param {string} key - Model key (e.g. 'distilbart')
+   * @param {object} info - Model metadata
+   * @param {string} info.id - Hugging Face model ID (or the server's model name for the 'openai' backend)
+   * @param {string} info.pipeline - Transformers.js pipeline type (default: 'text2text-generation')
+   * @param {string} info.promptStyle - 'instruction' (full prompt) or 'raw' (only the text to work on);
+   *   default: 'raw' for 'summarization' pipelines, otherwise 'instruction'
+   * @param {string[]} info.tasks - Tasks the model serves (default: all)
+   * @param {string} info.name - Display name (default: the id)
+   * @param {object} options - Options
+   * @param {boolean} options.override - Replace a built-in model
+   * @returns {object} - The registered model info
+   * @example
+   * AIEngine.registerModel('distilbart', {
+   *   id: 'Xenova/distilbart-cnn-6-6',
+   *   pipeline: 'summarization',
+   *   tasks: ['summarize']
+   * });
+   */
+  static registerModel(key, info, options = {}) {
+    if (typeof key !== 'string' || !key) {
+      throw new Error('A model needs a key');
+    }
+    if (BUILT_IN_MODELS.includes(key) && !options.override) {
+      throw new Error(`"${key}" is a built-in model; pass { override: true } to replace it for every instance`);
+    }
+    SUPPORTED_MODELS[key] = defineModel(info);
+    return SUPPORTED_MODELS[key];
+  }
+
+  /**
+   * Create an AI engine
+   * @param {object} options - Configuration options
+   * @param {string|object} options.model - 'small' (default), 'base', 'large', a registered key, a custom
+   *   model ID, or model metadata ({ id, pipeline, promptStyle, tasks })
+   * @param {object} options.models - Models for single tasks, e.g. { summarize: 'distilbart' }; tasks not
+   *   listed use options.model. Each is loaded on the task's first use
+   * @param {number} options.temperature - 0 (deterministic) to 1 (creative). Default: 0
+   * @param {function} options.onProgress - Callback for model download progress
+   * @param {boolean|function|object} options.logger - Status line logger: false, a function or { info } (default: stderr)
+   * @param {string|function|object} options.backend - 'transformers' (default), 'openai', 'mock',
+   *   an async function (prompt, options) => string, or a backend object
+   * @param {object} options.backendOptions - Options for the built-in backend (baseUrl, apiKey, response, ...)
+   * @param {number} options.concurrency - Maximum parallel generations (default: 1; raise it for server backends)
+   * @param {object} options.prompts - Prompt templates by name, replacing built-ins ('fact', 'summary', ...)
+   *   or adding new ones (see src/prompts.js)
+   * @param {boolean|string} options.grounding - Check that numbers, dates and names in generated text appear
+   *   in the context: 'flag', 'reject' (true) or 'retry' (see src/grounding.js). Default: off
+   * @param {string} options.answerStrategy - How answerQuestion() answers from a context: 'generative'
+   *   (default, the text generation model) or 'extractive' (a question-answering model picks a span)
+   * @param {object|string|function} options.qa - Extractive QA settings: { model, backend, threshold (0.3),
+   *   fallback ('unresolved', 'generative' or 'default'), defaultAnswer }, a model ID or an answer
+   *   function (question, context) => { answer, score } (see src/qa.js)
+   */
   constructor(options = {}) {
     // Default to 'small' model - users can switch to 'base' or 'large' for better quality
-    this.model = this.resolveModel(options.model || 'small');
+    this.modelInfo = resolveModelInfo(options.model || 'small');
+    this.model = this.modelInfo.id;
     this.temperature = options.temperature ?? 0; // 0 = deterministic, 0-1 = creative
-    this.generator = null;
     this.initialized = false;
     this.initializing = false;
     this.onProgress = options.onProgress || null;
+    this.logger = resolveLogger(options.logger);
+    this.backendOption = options.backend;
+    this.backendOptions = options.backendOptions || {};
+    this.backend = this.createBackend();
+    this.limit = createLimiter(options.concurrency ?? 1);
+    this.trace = null;
+    this.prompts = new PromptRegistry(options.prompts);
+    this.grounding = resolveGrounding(options.grounding);
+    this.answerStrategy = options.answerStrategy || 'generative';
+    if (!ANSWER_STRATEGIES.includes(this.answerStrategy)) {
+      throw new Error(`Unknown answer strategy: ${this.answerStrategy} (expected ${ANSWER_STRATEGIES.join(', ')})`);
+    }
+    this.qa = resolveQAOptions(options.qa);
+    // The QA model is only loaded on the first extractive answer
+    this.qaBackend = createQABackend(this.qa.backend, {
+      model: this.qa.model,
+      onProgress: this.onProgress,
+      logger: this.logger
+    });
+    // Per-task models and their backends (created on the task's first generation)
+    this.taskModels = new Map();
+    this.taskBackends = new Map();
+    for (const [task, model] of Object.entries(options.models || {})) {
+      this.setTaskModel(task, model);
+    }
+  }
+
+  /**
+   * Run a task on its own model
+   * @param {string} task - 'fact', 'describe', 'paragraph', 'summarize', 'answer' or 'rewrite'
+   * @param {string|object} model - Registered key, model ID or model metadata; null to use the default model
+   * @returns {AIEngine} - This engine (for chaining)
+   */
+  setTaskModel(task, model) {
+    if (!TASKS.includes(task)) {
+      throw new Error(`Unknown task: ${task} (expected ${TASKS.join(', ')})`);
+    }
+    this.taskBackends.delete(task);
+    if (model === null || model === undefined) {
+      this.taskModels.delete(task);
+      return this;
+    }
+
+    const info = resolveModelInfo(model);
+    if (!info.tasks.includes(task)) {
+      throw new Error(`Model ${info.id} does not serve the ${task} task (it serves ${info.tasks.join(', ')})`);
+    }
+    this.taskModels.set(task, info);
+    return this;
+  }
+
+  /**
+   * Get the model info used for a task
+   * @param {string} task - Task name (omit for the default model)
+   * @returns {object} - Model info
+   */
+  getTaskModel(task) {
+    return this.taskModels.get(task) || this.modelInfo;
+  }
+
+  /**
+   * Get the loaded backend for a task
+   * Tasks without their own model use the default backend; the others get a backend of their own,
+   * created and loaded on first use and shared with traced views of this engine.
+   * @param {string} task - Task name
+   * @returns {Promise<object>} - Backend
+   */
+  async backendFor(task) {
+    if (!this.taskModels.has(task)) {
+      await this.init();
+      return this.loadDefaultBackend();
+    }
+
+    if (!this.taskBackends.has(task)) {
+      const info = this.taskModels.get(task);
+      const backend = createBackend(this.backendOption, {
+        onProgress: this.onProgress,
+        logger: this.logger,
+        ...this.backendOptions,
+        model: info.id,
+        task: info.pipeline
+      });
+      const loading = Promise.resolve(backend.init?.()).then(() => backend);
+      // A failed load is retried on the next call
+      loading.catch(() => this.taskBackends.delete(task));
+      this.taskBackends.set(task, loading);
+    }
+    return this.taskBackends.get(task);
+  }
+
+  /**
+   * Load the default model's backend (once per backend)
+   * @returns {Promise<object>} - Backend
+   */
+  loadDefaultBackend() {
+    const backend = this.backend;
+    if (!defaultBackendLoads.has(backend)) {
+      const loading = Promise.resolve(backend.init?.()).then(() => backend);
+      loading.catch(() => defaultBackendLoads.delete(backend));
+      defaultBackendLoads.set(backend, loading);
+    }
+    return defaultBackendLoads.get(backend);
+  }
+
+  /**
+   * Add or override a prompt template
+   * @param {string} name - Prompt name (a task such as 'summary', a marker such as 'ai_summary', or a new name)
+   * @param {string|function|object} prompt - Template with {topic}, {context}, {question}, {sentence},
+   *   a function (variables) => string, or { template, contextLength, maxNewTokens, temperature }
+   * @returns {AIEngine} - This engine (for chaining)
+   */
+  setPrompt(name, prompt) {
+    this.prompts.set(name, prompt);
+    return this;
+  }
+
+  /**
+   * Render the prompt for a task
+   * A prompt named after options.marker (e.g. 'ai_summary') takes precedence over the task's prompt,
+   * and options.prompt replaces the template for this call only.
+   * @param {string} task - Prompt name
+   * @param {object} variables - Template variables
+   * @param {object} options - Call options (marker, prompt, temperature)
+   * @returns {{prompt: string, input: string|undefined, maxNewTokens: number|undefined, temperature: number}} -
+   *   The prompt, and the text raw-style models get instead ({context} as cut for the prompt, or {sentence})
+   */
+  buildPrompt(task, variables, options = {}) {
+    const { prompt, context, maxNewTokens, temperature } = this.prompts.render([options.marker, task], variables, options.prompt);
+    return {
+      prompt,
+      input: context ?? variables.sentence,
+      maxNewTokens,
+      temperature: options.temperature ?? temperature ?? this.temperature
+    };
+  }
+
+  /**
+   * Apply the grounding policy to generated text
+   * Checked outputs are recorded in traced engines (trace.checks).
+   * @param {string} output - Generated text (empty output is returned as is)
+   * @param {object} check - What the output is based on
+   * @param {string} check.context - Source text
+   * @param {string} check.allowed - Other text the output may repeat (question, topic, sentence)
+   * @param {string} check.prompt - The prompt (wrapped in the 'strict' prompt for a retry)
+   * @param {object} check.generateOptions - Generation options for a retry (task, input, maxNewTokens)
+   * @param {function(): string} check.fallback - Extractive replacement for rejected output
+   * @param {object} options - Call options (options.grounding overrides the engine's policy)
+   * @returns {Promise<string>} - The output, a grounded retry, or the fallback
+   */
+  async checkGrounding(output, check, options = {}) {
+    const policy = options.grounding === undefined ? this.grounding : resolveGrounding(options.grounding);
+    if (!policy || !output) return output;
+
+    const result = verifyGrounding(output, check.context, { allowed: check.allowed });
+    const log = action => this.trace?.checks.push({
+      policy,
+      action,
+      unsupported: result.unsupported.map(claim => claim.text)
+    });
+
+    if (result.grounded) {
+      log('passed');
+      return output;
+    }
+    if (policy === 'flag') {
+      console.warn(`Ungrounded AI output (${result.unsupported.map(claim => claim.text).join(', ')}): ${output}`);
+      log('flagged');
+      return output;
+    }
+    if (policy === 'retry') {
+      const strict = this.buildPrompt('strict', { prompt: check.prompt }, {});
+      const retried = await this.generate(strict.prompt, { ...check.generateOptions, temperature: strict.temperature });
+      if (retried && verifyGrounding(retried, check.context, { allowed: check.allowed }).grounded) {
+        log('retried');
+        return retried;
+      }
+    }
+
+    log('rejected');
+    return check.fallback();
+  }
+
+  /**
+   * Run a named prompt
+   * Used for user-defined templates ({{ai_prompt:name:topic}}); errors are passed to the caller.
+   * @param {string} name - Prompt name
+   * @param {object} variables - Template variables ({topic}, {context}, ...)
+   * @param {object} options - Options
+   * @param {number} options.temperature - Override the prompt's or instance temperature
+   * @returns {Promise<string>} - Generated text
+   */
+  async runPrompt(name, variables = {}, options = {}) {
+    if (!this.prompts.has(name)) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+    await this.init();
+
+    const { prompt, maxNewTokens, temperature } = this.buildPrompt(name, variables, options);
+    return this.generate(prompt, { maxNewTokens: maxNewTokens ?? 150, temperature });
+  }
+
+  /**
+   * Get a view of this engine that records every generation into a trace
+   * Shares the model, backend and limits with this engine
+   * @param {object} trace - Trace from createTrace() (see src/trace.js)
+   * @returns {AIEngine} - Traced engine
+   */
+  withTrace(trace) {
+    const traced = Object.create(this);
+    traced.trace = trace;
+    return traced;
+  }
+
+  /**
+   * Create the configured backend for the current model
+   */
+  createBackend() {
+    return createBackend(this.backendOption, {
+      model: this.model,
+      task: this.modelInfo.pipeline,
+      onProgress: this.onProgress,
+      logger: this.logger,
+      ...this.backendOptions
+    });
   }
 
   /**
    * Resolve a model input to a full Hugging Face model ID
    * - 'small' (default), 'base', 'large' -> resolves to predefined model
+   * - Keys added with registerModel() -> resolves to the registered model
    * - Custom model ID (e.g., 'facebook/bart-large-cnn') -> used as-is
-   * @param {string} modelInput - Model key or custom model ID
+   * @param {string|object} modelInput - Model key, custom model ID or model metadata
    * @returns {string} Full Hugging Face model ID
    */
   resolveModel(modelInput) {
-    // Check if it's a predefined model key
-    if (SUPPORTED_MODELS[modelInput]) {
-      return SUPPORTED_MODELS[modelInput].id;
-    }
-    // Otherwise, treat as custom model ID
-    return modelInput;
+    return resolveModelInfo(modelInput).id;
   }
 
   /**
    * Initialize the AI model
-   * Downloads and loads the model (first time may take a while)
+   * Downloads and loads the default model (first time may take a while), unless every task has a model
+   * of its own in options.models: then nothing is loaded until a task runs
    */
   async init() {
     if (this.initialized) return;
@@ -102,31 +452,58 @@ class AIEngine {
     this.initializing = true;
 
     try {
-      console.log(`Loading AI model: ${this.model}...`);
-
-      // Create text2text-generation pipeline
-      this.generator = await pipeline('text2text-generation', this.model, {
-        progress_callback: (progress) => {
-          if (this.onProgress) {
-            this.onProgress(progress);
-          }
-          if (progress.status === 'progress') {
-            const percent = Math.round((progress.loaded / progress.total) * 100);
-            console.log(`Downloading model: ${percent}%`);
-          }
-        }
-      });
+      if (TASKS.some(task => !this.taskModels.has(task))) {
+        await this.loadDefaultBackend();
+        this.logger.info('AI model loaded successfully!');
+      }
 
       this.initialized = true;
-      console.log('AI model loaded successfully!');
     } catch (error) {
-      console.error('Failed to initialize AI engine:', error.message);
+      this.logger.info(`Failed to initialize AI engine: ${error.message}`);
       throw error;
     } finally {
       this.initializing = false;
     }
   }
 
+  /**
+   * Generate text for a prompt with the configured backend
+   * Calls beyond options.concurrency wait for a free slot; traced engines record the prompt and output
+   * @param {string} prompt - The prompt
+   * @param {object} options - Generation options
+   * @param {number} options.maxNewTokens - Maximum tokens to generate
+   * @param {number} options.temperature - Sampling temperature (0 = deterministic)
+   * @param {string} options.task - Task, to pick the task's model (see options.models)
+   * @param {string} options.input - Text sent instead of the prompt to 'raw' prompt style models
+   * @returns {Promise<string>} - Generated text (empty string if the backend produced nothing)
+   */
+  async generate(prompt, options = {}) {
+    const { input, ...generateOptions } = options;
+    const backend = await this.backendFor(options.task);
+    const info = this.getTaskModel(options.task);
+    const text = info.promptStyle === 'raw' && input ? input : prompt;
+
+    return this.limit(async () => {
+      const started = Date.now();
+      const record = (output, error) => this.trace?.generations.push({
+        model: backend.model || backend.name || info.id,
+        prompt: text,
+        output,
+        error,
+        latency: Date.now() - started
+      });
+
+      try {
+        const output = await backend.generate(text, generateOptions);
+        record(output, null);
+        return output;
+      } catch (error) {
+        record(null, error.message);
+        throw error;
+      }
+    });
+  }
+
   /**
    * Rewrite a sentence incorporating a fact
    * Replaces X placeholder with key information extracted from the fact
@@ -150,17 +527,11 @@ class AIEngine {
     if (options.useAI) {
       await this.init();
 
-      const prompt = `Slightly polish this sentence while keeping its structure: "${result}"
-Keep the same meaning. Output only the polished sentence:`;
+      const { prompt, input, maxNewTokens, temperature } = this.buildPrompt('polish', { sentence: result }, options);
 
       try {
-        const aiResult = await this.generator(prompt, {
-          max_new_tokens: 100,
-          temperature: 0.3,  // Lower temperature for more controlled output
-          do_sample: true
-        });
+        const output = await this.generate(prompt, { maxNewTokens, temperature, task: 'rewrite', input });
 
-        const output = aiResult[0]?.generated_text?.trim();
         // Only use AI output if it's similar length (not a complete rewrite)
         if (output && output.length > result.length * 0.5 && output.length < result.length * 2) {
           return output;
@@ -179,25 +550,25 @@ Keep the same meaning. Output only the polished sentence:`;
    * @param {string} facts - Facts about the topic
    * @param {object} options - Options
    * @param {number} options.temperature - Override instance temperature
+   * @param {string|function|object} options.prompt - Override the prompt template for this call
+   * @param {string} options.marker - Marker name; a prompt registered under it is used instead
+   * @param {boolean|string} options.grounding - Override the grounding policy for this call
    * @returns {Promise<string>} - Generated paragraph
    */
   async generateParagraph(topic, facts, options = {}) {
     await this.init();
 
-    const temp = options.temperature ?? this.temperature;
-    const prompt = `Write a brief, informative paragraph about ${topic} based on these facts:
-${facts.slice(0, 800)}
-
-Write a 2-3 sentence summary:`;
+    const { prompt, input, maxNewTokens, temperature } = this.buildPrompt('paragraph', { topic, context: facts }, options);
 
     try {
-      const result = await this.generator(prompt, {
-        max_new_tokens: 150,
-        temperature: temp,
-        do_sample: temp > 0
-      });
-
-      const output = result[0]?.generated_text?.trim();
+      const generateOptions = { maxNewTokens, temperature, task: 'paragraph', input };
+      const output = await this.checkGrounding(await this.generate(prompt, generateOptions), {
+        context: facts,
+        allowed: topic,
+        prompt,
+        generateOptions,
+        fallback: () => splitSentences(facts).slice(0, 2).join(' ')
+      }, options);
       return output || facts.slice(0, 200);
     } catch (error) {
       console.error('AI generate error:', error.message);
@@ -211,22 +582,26 @@ Write a 2-3 sentence summary:`;
    * @param {number} maxLength - Max length of summary
    * @param {object} options - Options
    * @param {number} options.temperature - Override instance temperature
+   * @param {string|function|object} options.prompt - Override the prompt template for this call
+   * @param {string} options.marker - Marker name; a prompt registered under it is used instead
+   * @param {boolean|string} options.grounding - Override the grounding policy for this call
    * @returns {Promise<string>} - Summary
    */
   async summarize(text, maxLength = 100, options = {}) {
     await this.init();
 
-    const temp = options.temperature ?? this.temperature;
-    const prompt = `Summarize this in one sentence: ${text.slice(0, 1000)}`;
+    const { prompt, input, maxNewTokens, temperature } = this.buildPrompt('summary', { context: text }, options);
+    const tokens = maxNewTokens ?? maxLength;
 
     try {
-      const result = await this.generator(prompt, {
-        max_new_tokens: maxLength,
-        temperature: temp,
-        do_sample: temp > 0
-      });
-
-      return result[0]?.generated_text?.trim() || text.slice(0, maxLength);
+      const generateOptions = { maxNewTokens: tokens, temperature, task: 'summarize', input };
+      const output = await this.checkGrounding(await this.generate(prompt, generateOptions), {
+        context: text,
+        prompt,
+        generateOptions,
+        fallback: () => splitSentences(text)[0] ?? ''
+      }, options);
+      return output || text.slice(0, maxLength);
     } catch (error) {
       console.error('AI summarize error:', error.message);
       return text.slice(0, maxLength);
@@ -235,35 +610,98 @@ Write a 2-3 sentence summary:`;
 
   /**
    * Answer a question based on context
+   * With the 'extractive' strategy the answer is a span of the context (see answerExtractive); below the
+   * score threshold, options.qa.fallback decides: the default answer, a generative answer, or an error
+   * ('unresolved', so a marker is left as written).
    * @param {string} question - The question
    * @param {string} context - Context to answer from
    * @param {object} options - Options
    * @param {number} options.temperature - Override instance temperature
+   * @param {string|function|object} options.prompt - Override the prompt template for this call
+   * @param {string} options.marker - Marker name; a prompt registered under it is used instead
+   * @param {boolean|string} options.grounding - Override the grounding policy for this call
+   * @param {string} options.strategy - Override the answer strategy for this call
+   * @param {number} options.threshold - Override the extractive score threshold for this call
    * @returns {Promise<string>} - Answer
+   * @throws {Error} - Extractive answers below the threshold with qa.fallback 'unresolved'
    */
   async answerQuestion(question, context, options = {}) {
+    if ((options.strategy ?? this.answerStrategy) === 'extractive') {
+      const span = await this.answerExtractive(question, context, options);
+      if (span.accepted) return span.answer;
+
+      if (this.qa.fallback === 'default') return this.qa.defaultAnswer;
+      if (this.qa.fallback === 'unresolved') {
+        throw new Error(`No answer found with a score of at least ${span.threshold} (best: ${span.score.toFixed(2)})`);
+      }
+      // 'generative': answer with the text generation model below
+    }
+
     await this.init();
 
-    const temp = options.temperature ?? this.temperature;
-    const prompt = `Answer this question based on the context.
-Context: ${context.slice(0, 800)}
-Question: ${question}
-Answer:`;
+    const { prompt, input, maxNewTokens, temperature } = this.buildPrompt('answer', { question, context }, options);
 
     try {
-      const result = await this.generator(prompt, {
-        max_new_tokens: 100,
-        temperature: temp,
-        do_sample: temp > 0
-      });
-
-      return result[0]?.generated_text?.trim() || 'Unable to answer';
+      const generateOptions = { maxNewTokens, temperature, task: 'answer', input };
+      const output = await this.checkGrounding(await this.generate(prompt, generateOptions), {
+        context,
+        allowed: question,
+        prompt,
+        generateOptions,
+        fallback: () => extractAnswer(question, context) || ''
+      }, options);
+      return output || 'Unable to answer';
     } catch (error) {
       console.error('AI answer error:', error.message);
       return 'Unable to answer';
     }
   }
 
+  /**
+   * Find the span of a context that answers a question, with a question-answering model
+   * Shares the concurrency limit with text generation; traced engines record the answer (trace.answers).
+   * @param {string} question - The question
+   * @param {string} context - Context to answer from
+   * @param {object} options - Options
+   * @param {number} options.threshold - Minimum score to accept the answer (default: options.qa.threshold)
+   * @returns {Promise<{answer: string, start: number|null, end: number|null, score: number, threshold: number,
+   *   accepted: boolean}>} - Answer span, its offsets in the context, the model's score (0-1) and whether it
+   *   is accepted (found in the context with a score at or above the threshold)
+   */
+  async answerExtractive(question, context, options = {}) {
+    const threshold = options.threshold ?? this.qa.threshold;
+
+    return this.limit(async () => {
+      const started = Date.now();
+      let result;
+
+      try {
+        await this.qaBackend.init?.();
+        const { answer = '', score = 0 } = (await this.qaBackend.answer(question, context)) || {};
+        const span = locateAnswer(answer, context);
+        result = {
+          answer: span ? context.slice(span.start, span.end) : answer,
+          start: span ? span.start : null,
+          end: span ? span.end : null,
+          score,
+          threshold,
+          accepted: span !== null && score >= threshold
+        };
+      } catch (error) {
+        console.error('AI extractive answer error:', error.message);
+        result = { answer: '', start: null, end: null, score: 0, threshold, accepted: false };
+      }
+
+      this.trace?.answers.push({
+        ...result,
+        model: this.qaBackend.model || this.qaBackend.name || this.qa.model,
+        question,
+        latency: Date.now() - started
+      });
+      return result;
+    });
+  }
+
   /**
    * Extract key information from a fact (prioritizes numbers/statistics, then first sentence)
    */
@@ -300,25 +738,24 @@ Answer:`;
    * @param {string} text - The full text (e.g., Wikipedia extract)
    * @param {object} options - Options
    * @param {number} options.temperature - Override instance temperature
+   * @param {string|function|object} options.prompt - Override the prompt template for this call
+   * @param {string} options.marker - Marker name; a prompt registered under it is used instead
+   * @param {boolean|string} options.grounding - Override the grounding policy for this call
    * @returns {Promise<string>} - The key fact extracted by AI
    */
   async extractKeyFact(text, options = {}) {
     await this.init();
 
-    const temp = options.temperature ?? this.temperature;
-    const prompt = `Extract the single most important fact from this text. Output only the fact in one sentence:
-${text.slice(0, 800)}
-
-Most important fact:`;
+    const { prompt, input, maxNewTokens, temperature } = this.buildPrompt('fact', { context: text }, options);
 
     try {
-      const result = await this.generator(prompt, {
-        max_new_tokens: 100,
-        temperature: temp,
-        do_sample: temp > 0
-      });
-
-      const output = result[0]?.generated_text?.trim();
+      const generateOptions = { maxNewTokens, temperature, task: 'fact', input };
+      const output = await this.checkGrounding(await this.generate(prompt, generateOptions), {
+        context: text,
+        prompt,
+        generateOptions,
+        fallback: () => text.split('.')[0]
+      }, options);
       return output || text.split('.')[0];
     } catch (error) {
       console.error('AI extract fact error:', error.message);
@@ -332,25 +769,25 @@ Most important fact:`;
    * @param {string} context - Context/facts about the topic
    * @param {object} options - Options
    * @param {number} options.temperature - Override instance temperature
+   * @param {string|function|object} options.prompt - Override the prompt template for this call
+   * @param {string} options.marker - Marker name; a prompt registered under it is used instead
+   * @param {boolean|string} options.grounding - Override the grounding policy for this call
    * @returns {Promise<string>} - A concise description (1-2 sentences)
    */
   async generateDescription(topic, context, options = {}) {
     await this.init();
 
-    const temp = options.temperature ?? this.temperature;
-    const prompt = `Write a brief, one-sentence description of ${topic} based on this information:
-${context.slice(0, 600)}
-
-One-sentence description:`;
+    const { prompt, input, maxNewTokens, temperature } = this.buildPrompt('description', { topic, context }, options);
 
     try {
-      const result = await this.generator(prompt, {
-        max_new_tokens: 60,
-        temperature: temp,
-        do_sample: temp > 0
-      });
-
-      const output = result[0]?.generated_text?.trim();
+      const generateOptions = { maxNewTokens, temperature, task: 'describe', input };
+      const output = await this.checkGrounding(await this.generate(prompt, generateOptions), {
+        context,
+        allowed: topic,
+        prompt,
+        generateOptions,
+        fallback: () => context.split('.')[0]
+      }, options);
       return output || context.split('.')[0];
     } catch (error) {
       console.error('AI description error:', error.message);
@@ -364,28 +801,25 @@ One-sentence description:`;
    * @param {string} facts - Facts to incorporate
    * @param {object} options - Options
    * @param {number} options.temperature - Override instance temperature
+   * @param {string|function|object} options.prompt - Override the prompt template for this call
+   * @param {string} options.marker - Marker name; a prompt registered under it is used instead
+   * @param {boolean|string} options.grounding - Override the grounding policy for this call
    * @returns {Promise<string>} - The AI-rewritten sentence
    */
   async rewriteWithFacts(sentence, facts, options = {}) {
     await this.init();
 
-    const temp = options.temperature ?? this.temperature;
-    const prompt = `Rewrite this sentence to be more informative using the provided facts.
-
-Original sentence: ${sentence}
-
-Facts to use: ${facts.slice(0, 600)}
-
-Write a new, improved sentence that incorporates relevant facts:`;
+    const { prompt, input, maxNewTokens, temperature } = this.buildPrompt('rewrite', { sentence, context: facts }, options);
 
     try {
-      const result = await this.generator(prompt, {
-        max_new_tokens: 150,
-        temperature: temp,
-        do_sample: temp > 0
-      });
-
-      const output = result[0]?.generated_text?.trim();
+      const generateOptions = { maxNewTokens, temperature, task: 'rewrite', input };
+      const output = await this.checkGrounding(await this.generate(prompt, generateOptions), {
+        context: facts,
+        allowed: sentence,
+        prompt,
+        generateOptions,
+        fallback: () => sentence
+      }, options);
       return output || sentence;
     } catch (error) {
       console.error('AI rewrite error:', error.message);
@@ -398,24 +832,18 @@ Write a new, improved sentence that incorporates relevant facts:`;
    * @param {string} question - The question to answer
    * @param {object} options - Options
    * @param {number} options.temperature - Override instance temperature
+   * @param {string|function|object} options.prompt - Override the prompt template for this call
+   * @param {boolean|string} options.grounding - Override the grounding policy for this call
    * @returns {Promise<string>} - The answer
    */
   async answerSimple(question, options = {}) {
     await this.init();
 
-    const temp = options.temperature ?? this.temperature;
-    const prompt = `Answer this question briefly and accurately:
-Question: ${question}
-Answer:`;
+    const { prompt, input, maxNewTokens, temperature } = this.buildPrompt('simpleAnswer', { question }, options);
 
     try {
-      const result = await this.generator(prompt, {
-        max_new_tokens: 50,
-        temperature: temp,
-        do_sample: temp > 0
-      });
-
-      return result[0]?.generated_text?.trim() || 'Unable to answer';
+      const output = await this.generate(prompt, { maxNewTokens, temperature, task: 'answer', input });
+      return output || 'Unable to answer';
     } catch (error) {
       console.error('AI simple answer error:', error.message);
       return 'Unable to answer';
@@ -431,9 +859,10 @@ Answer:`;
 
   /**
    * Get the current model name
+   * @param {string} task - Task name, for the model that task runs on (omit for the default model)
    */
-  getModel() {
-    return this.model;
+  getModel(task) {
+    return task ? this.getTaskModel(task).id : this.model;
   }
 
   /**
@@ -454,15 +883,17 @@ Answer:`;
 
   /**
    * Change the model (requires re-initialization)
-   * @param {string} modelName - 'small', 'base', 'large', or custom model ID
+   * Tasks with their own model (options.models) keep it.
+   * @param {string|object} modelName - 'small', 'base', 'large', a registered key, custom model ID or model metadata
    */
   async setModel(modelName) {
-    this.model = this.resolveModel(modelName);
+    this.modelInfo = resolveModelInfo(modelName);
+    this.model = this.modelInfo.id;
     this.initialized = false;
-    this.generator = null;
+    this.backend = this.createBackend();
     await this.init();
   }
 }
 
-export { AIEngine };
+export { AIEngine, TASKS };
 export default AIEngine;
@@ -0,0 +1,216 @@
+/**
+ * Generation Backends
+ * AIEngine builds its prompts and hands them to a backend for text generation.
+ *
+ * A backend is any object with:
+ *   init(): Promise<void>                       - load the model / check the server (optional)
+ *   generate(prompt, options): Promise<string>  - options: { maxNewTokens, temperature, task }
+ * AIEngine creates one backend per model, so a backend only sees the tasks its model serves.
+ */
+
+import { resolveLogger } from './logger.js';
+
+/**
+ * Transformers.js backend (default) - runs the model locally, no API keys
+ */
+class TransformersBackend {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.model - Hugging Face model ID
+   * @param {string} options.task - Pipeline type (default: 'text2text-generation'; e.g. 'summarization')
+   * @param {function} options.onProgress - Callback for model download progress
+   * @param {object} options.logger - Status line logger (see src/logger.js; default: stderr)
+   */
+  constructor(options = {}) {
+    this.name = 'transformers';
+    this.model = options.model;
+    this.task = options.task || 'text2text-generation';
+    this.onProgress = options.onProgress || null;
+    this.logger = resolveLogger(options.logger);
+    this.generator = null;
+  }
+
+  async init() {
+    if (this.generator) return;
+
+    // Lazy load Transformers.js so other backends never pay for it
+    const { pipeline, env } = await import('@huggingface/transformers');
+
+    // Configure Transformers.js for both Node.js and browser
+    env.allowLocalModels = false;  // Always download from Hugging Face
+
+    // Only enable browser cache in browser environment
+    if (typeof window !== 'undefined') {
+      env.useBrowserCache = true;
+    }
+
+    this.logger.info(`Loading AI model: ${this.model}...`);
+
+    this.generator = await pipeline(this.task, this.model, {
+      progress_callback: (progress) => {
+        if (this.onProgress) {
+          this.onProgress(progress);
+        }
+        if (progress.status === 'progress') {
+          const percent = Math.round((progress.loaded / progress.total) * 100);
+          this.logger.info(`Downloading model: ${percent}%`);
+        }
+      }
+    });
+  }
+
+  async generate(prompt, options = {}) {
+    await this.init();
+
+    const temperature = options.temperature ?? 0;
+    const result = await this.generator(prompt, {
+      max_new_tokens: options.maxNewTokens,
+      temperature,
+      do_sample: temperature > 0
+    });
+
+    // text2text-generation returns generated_text, summarization summary_text
+    const output = result[0]?.generated_text ?? result[0]?.summary_text;
+    return output?.trim() || '';
+  }
+}
+
+/**
+ * OpenAI-compatible HTTP backend - for local servers like llama.cpp, Ollama, vLLM or LM Studio
+ */
+class OpenAICompatibleBackend {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.baseUrl - API base URL (default: 'http://localhost:11434/v1', Ollama)
+   * @param {string} options.model - Model name as the server knows it
+   * @param {string} options.apiKey - Bearer token, if the server needs one
+   * @param {function} options.fetch - HTTP transport (default: global fetch)
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.model = options.model;
+    this.apiKey = options.apiKey || null;
+    this.transport = options.fetch || null;
+  }
+
+  async init() {
+    // Nothing to load - the server owns the model
+  }
+
+  async generate(prompt, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const transport = this.transport || fetch;
+    const response = await transport(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: options.maxNewTokens,
+        temperature: options.temperature ?? 0
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Generation server error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content?.trim() || '';
+  }
+}
+
+/**
+ * Backend wrapping a user-supplied async function (prompt, options) => string
+ */
+class FunctionBackend {
+  constructor(fn) {
+    this.name = 'function';
+    this.fn = fn;
+  }
+
+  async init() {}
+
+  async generate(prompt, options = {}) {
+    const output = await this.fn(prompt, options);
+    return typeof output === 'string' ? output.trim() : '';
+  }
+}
+
+/**
+ * Deterministic mock backend for tests - no model, no network
+ * By default answers with the first sentence of the prompt's context: the longest line after
+ * the instruction line, without a leading "Label:" (single-line prompts use the text after the first colon)
+ */
+class MockBackend {
+  /**
+   * @param {object} options - Backend options
+   * @param {string|function} options.response - Fixed response, or (prompt, options) => string
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.model = 'mock';
+    this.response = options.response ?? null;
+    this.calls = [];
+  }
+
+  async init() {}
+
+  async generate(prompt, options = {}) {
+    this.calls.push({ prompt, options });
+
+    if (typeof this.response === 'function') {
+      return String(await this.response(prompt, options));
+    }
+    if (this.response !== null) {
+      return String(this.response);
+    }
+
+    const lines = prompt.split('\n');
+    const candidates = lines.length > 1 ? lines.slice(1) : [prompt.slice(prompt.indexOf(':') + 1)];
+    const context = candidates
+      .map(line => line.replace(/^\s*[A-Z][\w ]{0,30}:\s/, ''))
+      .reduce((longest, line) => (line.length > longest.length ? line : longest), '');
+    const sentence = context.match(/[^.!?]*[.!?]/);
+    return (sentence ? sentence[0] : context).trim();
+  }
+}
+
+/**
+ * Create a backend from an option value
+ * @param {string|function|object} backend - 'transformers' (default), 'openai', 'mock', an async
+ *   function (prompt, options) => string, or a backend object with generate()
+ * @param {object} options - Options for the built-in backends (model, onProgress, baseUrl, apiKey, ...)
+ * @returns {object} - Backend
+ */
+function createBackend(backend = 'transformers', options = {}) {
+  if (typeof backend === 'function') {
+    return new FunctionBackend(backend);
+  }
+
+  if (backend && typeof backend === 'object') {
+    if (typeof backend.generate !== 'function') {
+      throw new Error('Custom backend must implement generate(prompt, options)');
+    }
+    return backend;
+  }
+
+  switch (backend) {
+    case 'transformers':
+      return new TransformersBackend(options);
+    case 'openai':
+      return new OpenAICompatibleBackend(options);
+    case 'mock':
+      return new MockBackend(options);
+    default:
+      throw new Error(`Unknown AI backend: ${backend}`);
+  }
+}
+
+export { TransformersBackend, OpenAICompatibleBackend, FunctionBackend, MockBackend, createBackend };
+export default createBackend;
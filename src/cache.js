@@ -0,0 +1,328 @@
+/**
+ * Response Cache
+ * TTL cache with stale-while-revalidate on top of pluggable stores:
+ * memory (default), file-system JSON (Node.js), IndexedDB (browser) or a custom adapter
+ *
+ * A store is any object with get(key), set(key, entry), delete(key) and clear()
+ * (sync or async). Entries look like { data, timestamp }.
+ */
+
+/**
+ * In-memory store (lost when the process exits)
+ */
+class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * File-system store: one JSON file per entry (Node.js only)
+ */
+class FileCacheStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.directory - Cache folder (default: '.cache/docufresh-ai')
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || '.cache/docufresh-ai';
+    this.modules = null;
+  }
+
+  async get(key) {
+    const { readFile } = await this.load();
+    try {
+      return JSON.parse(await readFile(await this.getPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    const { writeFile, mkdir } = await this.load();
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(await this.getPath(key), JSON.stringify({ key, ...entry }));
+  }
+
+  async delete(key) {
+    const { rm } = await this.load();
+    await rm(await this.getPath(key), { force: true });
+  }
+
+  async clear() {
+    const { readdir, rm, path } = await this.load();
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    // Only remove entry files - the folder may be shared
+    await Promise.all(files
+      .filter(file => /^[0-9a-f]{40}\.json$/.test(file))
+      .map(file => rm(path.join(this.directory, file), { force: true })));
+  }
+
+  /**
+   * Entry file path (keys are hashed so any key is a safe file name)
+   */
+  async getPath(key) {
+    const { createHash, path } = await this.load();
+    return path.join(this.directory, `${createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  /**
+   * Lazy load Node.js modules so browser bundles never touch them
+   */
+  async load() {
+    if (!this.modules) {
+      const [fs, path, crypto] = await Promise.all([
+        import('node:fs/promises'),
+        import('node:path'),
+        import('node:crypto')
+      ]);
+      this.modules = { ...fs, path, createHash: crypto.createHash };
+    }
+    return this.modules;
+  }
+}
+
+/**
+ * IndexedDB store (browser only)
+ */
+class IndexedDBCacheStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.databaseName - Database name (default: 'docufresh-ai')
+   * @param {string} options.storeName - Object store name (default: 'cache')
+   */
+  constructor(options = {}) {
+    this.databaseName = options.databaseName || 'docufresh-ai';
+    this.storeName = options.storeName || 'cache';
+    this.database = null;
+  }
+
+  async get(key) {
+    const result = await this.request('readonly', store => store.get(key));
+    return result || null;
+  }
+
+  async set(key, entry) {
+    await this.request('readwrite', store => store.put(entry, key));
+  }
+
+  async delete(key) {
+    await this.request('readwrite', store => store.delete(key));
+  }
+
+  async clear() {
+    await this.request('readwrite', store => store.clear());
+  }
+
+  /**
+   * Run one request in a transaction
+   */
+  async request(mode, operation) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = operation(database.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Open (and create) the database once
+   */
+  open() {
+    if (!this.database) {
+      if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available in this environment'));
+      }
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+}
+
+/**
+ * Create a cache store from an option value
+ * @param {string|object} store - 'memory' (default), 'file', 'indexeddb' or a custom store object
+ * @param {object} options - Store options (e.g. { directory } for 'file')
+ * @returns {object} - Cache store
+ */
+function createCacheStore(store = 'memory', options = {}) {
+  if (store && typeof store === 'object') {
+    for (const method of ['get', 'set', 'delete', 'clear']) {
+      if (typeof store[method] !== 'function') {
+        throw new Error(`Custom cache store must implement ${method}()`);
+      }
+    }
+    return store;
+  }
+
+  switch (store) {
+    case 'memory':
+      return new MemoryCacheStore();
+    case 'file':
+      return new FileCacheStore(options);
+    case 'indexeddb':
+      return new IndexedDBCacheStore(options);
+    default:
+      throw new Error(`Unknown cache store: ${store}`);
+  }
+}
+
+/**
+ * TTL cache with stale-while-revalidate and stale-if-error
+ */
+class ResponseCache {
+  /**
+   * @param {object} options - Cache options
+   * @param {string|object} options.store - Store (see createCacheStore)
+   * @param {string} options.directory - Folder for the 'file' store
+   * @param {number} options.ttl - Time in ms before an entry is stale (default: 1 hour)
+   * @param {boolean} options.staleWhileRevalidate - Serve stale entries while refreshing in the background (default: true)
+   */
+  constructor(options = {}) {
+    this.store = createCacheStore(options.store, { directory: options.directory });
+    this.ttl = options.ttl || 1000 * 60 * 60;
+    this.staleWhileRevalidate = options.staleWhileRevalidate ?? true;
+    this.revalidating = new Map();
+  }
+
+  /**
+   * Get a cached value, loading it when missing or stale
+   * - Fresh entry: returned as-is
+   * - Stale entry: returned immediately while the loader refreshes it (staleWhileRevalidate),
+   *   otherwise reloaded, falling back to the stale entry if the loader fails
+   * @param {string} key - Cache key
+   * @param {function(): Promise<any>} loader - Loads the value (should throw on failure)
+   * @returns {Promise<any>} - Cached or loaded value
+   */
+  async getOrLoad(key, loader) {
+    const entry = await this.read(key);
+
+    if (entry && !this.isStale(entry)) {
+      return entry.data;
+    }
+
+    if (entry && this.staleWhileRevalidate) {
+      this.revalidate(key, loader);
+      return entry.data;
+    }
+
+    try {
+      return await this.load(key, loader);
+    } catch (error) {
+      if (entry && this.canServeStale(error)) {
+        console.warn(`Serving stale cache entry for "${key}":`, error.message);
+        return entry.data;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a fresh cached value (null if missing or stale)
+   */
+  async get(key) {
+    const entry = await this.read(key);
+    return entry && !this.isStale(entry) ? entry.data : null;
+  }
+
+  /**
+   * Store a value
+   */
+  async set(key, data) {
+    await this.store.set(key, { data, timestamp: Date.now() });
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Run the loader and store its result
+   */
+  async load(key, loader) {
+    const data = await loader();
+    try {
+      await this.set(key, data);
+    } catch (error) {
+      console.warn(`Cache write failed for "${key}":`, error.message);
+    }
+    return data;
+  }
+
+  /**
+   * Refresh an entry in the background (once per key at a time)
+   */
+  revalidate(key, loader) {
+    if (this.revalidating.has(key)) return this.revalidating.get(key);
+
+    const refresh = this.load(key, loader)
+      .catch(error => {
+        console.warn(`Background refresh failed for "${key}":`, error.message);
+      })
+      .finally(() => {
+        this.revalidating.delete(key);
+      });
+
+    this.revalidating.set(key, refresh);
+    return refresh;
+  }
+
+  /**
+   * Read an entry, treating store failures as misses
+   */
+  async read(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.warn(`Cache read failed for "${key}":`, error.message);
+      return null;
+    }
+  }
+
+  isStale(entry) {
+    return Date.now() - entry.timestamp > this.ttl;
+  }
+
+  /**
+   * Stale data stands in for network and server failures, not for client errors like 404
+   */
+  canServeStale(error) {
+    const status = error.status;
+    return !status || status === 429 || status >= 500;
+  }
+}
+
+export { ResponseCache, MemoryCacheStore, FileCacheStore, IndexedDBCacheStore, createCacheStore };
+export default ResponseCache;
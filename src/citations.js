@@ -0,0 +1,183 @@
+/**
+ * Citations
+ * Footnote references for AI-inserted values and a References section (CC BY-SA attribution)
+ */
+
+const FORMATS = ['markdown', 'html', 'text'];
+
+// Markers whose output is attribution metadata itself
+const UNCITED_MARKERS = ['ai_link', 'ai_updated'];
+
+/**
+ * Normalize the citations option
+ * @param {boolean|string} option - true/'markdown', 'html', 'text', or false
+ * @returns {string|null} - Format, or null when citations are off
+ */
+function resolveCitationFormat(option) {
+  if (!option) return null;
+  if (option === true) return 'markdown';
+  if (!FORMATS.includes(option)) {
+    throw new Error(`Unknown citation format: ${option} (expected ${FORMATS.join(', ')})`);
+  }
+  return option;
+}
+
+/**
+ * Add footnote references after cited markers and build the References section
+ * Numbers follow document order; markers citing the same article share a number.
+ * A marker cites the articles used by it and by the markers nested in it.
+ * @param {Array<object>} nodes - Top-level nodes from parseMarkers()
+ * @param {string[]} outputs - Rendered output of each node
+ * @param {Array<object>} records - processDetailed() records for all markers
+ * @param {string} format - 'markdown', 'html' or 'text'
+ * @returns {{outputs: string[], references: Array<object>, section: string}} - Outputs with footnote
+ *   references, the numbered references and the References section to append ('' if nothing is cited)
+ */
+function addCitations(nodes, outputs, records, format) {
+  const references = [];
+  const numbers = new Map();
+  const occurrences = new Map();
+
+  const cite = (reference) => {
+    const key = reference.url || reference.title;
+    if (!numbers.has(key)) {
+      references.push({ number: references.length + 1, ...reference });
+      numbers.set(key, references.length);
+    }
+    return numbers.get(key);
+  };
+
+  const cited = nodes.map((node, i) => {
+    if (node.type !== 'marker' || UNCITED_MARKERS.includes(node.name)) {
+      return outputs[i];
+    }
+
+    const within = records.filter(record =>
+      record.span.start >= node.start && record.span.end <= node.end && !record.error
+    );
+    if (!within.some(record => record.span.start === node.start)) {
+      return outputs[i]; // The marker failed and was left as written
+    }
+
+    const cited = new Set();
+    for (const record of within) {
+      for (const reference of getReferences(record)) {
+        cited.add(cite(reference));
+      }
+    }
+
+    const markers = [...cited].sort((a, b) => a - b).map(number => {
+      occurrences.set(number, (occurrences.get(number) || 0) + 1);
+      return formatReferenceMark(number, occurrences.get(number), format);
+    });
+    return outputs[i] + markers.join('');
+  });
+
+  return {
+    outputs: cited,
+    references,
+    section: references.length > 0 ? formatReferenceList(references, format) : ''
+  };
+}
+
+/**
+ * Sources a record is based on: its article and, for ai_data, the Wikidata item
+ */
+function getReferences(record) {
+  const references = [];
+
+  if (record.article) {
+    references.push({
+      title: record.article.title,
+      url: record.article.url,
+      site: record.article.language ? 'Wikipedia' : null,
+      retrieved: formatDate(record.retrieved)
+    });
+  }
+  if (record.data) {
+    references.push({
+      title: `${record.data.entity} (${record.data.property})`,
+      url: record.data.url,
+      site: 'Wikidata',
+      retrieved: null
+    });
+  }
+
+  return references;
+}
+
+/**
+ * Footnote reference placed after a value (occurrence keeps HTML ids unique)
+ */
+function formatReferenceMark(number, occurrence, format) {
+  switch (format) {
+    case 'html': {
+      const id = occurrence > 1 ? `cite-ref-${number}-${occurrence}` : `cite-ref-${number}`;
+      return `<sup id="${id}"><a href="#cite-note-${number}">[${number}]</a></sup>`;
+    }
+    case 'text':
+      return `[${number}]`;
+    default:
+      return `[^${number}]`;
+  }
+}
+
+/**
+ * The References section appended to the document
+ */
+function formatReferenceList(references, format) {
+  switch (format) {
+    case 'html': {
+      const items = references.map(reference => {
+        const title = escapeHtml(reference.title);
+        const link = reference.url ? `<a href="${escapeHtml(reference.url)}">${title}</a>` : title;
+        return `  <li id="cite-note-${reference.number}">${link}${formatDetails(reference)}</li>`;
+      });
+      return `\n\n<section class="references">\n<h2>References</h2>\n<ol>\n${items.join('\n')}\n</ol>\n</section>\n`;
+    }
+    case 'text': {
+      const items = references.map(reference =>
+        `[${reference.number}] ${reference.title}${reference.url ? ` - ${reference.url}` : ''}${formatDetails(reference)}`
+      );
+      return `\n\nReferences\n\n${items.join('\n')}\n`;
+    }
+    default: {
+      const items = references.map(reference => {
+        const link = reference.url ? `[${reference.title}](${reference.url})` : reference.title;
+        return `[^${reference.number}]: ${link}${formatDetails(reference)}`;
+      });
+      return `\n\n## References\n\n${items.join('\n')}\n`;
+    }
+  }
+}
+
+/**
+ * ", Wikipedia. Retrieved 2024-01-01." style suffix
+ */
+function formatDetails(reference) {
+  let details = reference.site ? `, ${reference.site}.` : '.';
+  if (reference.retrieved) {
+    details += ` Retrieved ${reference.retrieved}.`;
+  }
+  return details;
+}
+
+/**
+ * ISO date (YYYY-MM-DD) of a timestamp, or null
+ */
+function formatDate(timestamp) {
+  if (!timestamp) return null;
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export { addCitations, resolveCitationFormat };
+export default addCitations;
@@ -0,0 +1,403 @@
+/**
+ * Command Line
+ * Runs the DocuFreshAI pipeline over files: docufresh-ai render|refresh|check <glob...>
+ *
+ * Status lines go to stderr and the library's own status logging is off, so --diff output on stdout
+ * can be piped to a file or `git apply`.
+ * Exit codes: 0 = done, 1 = `check` found files that would change, 2 = usage, config or processing error
+ */
+
+import { readFile, writeFile, mkdir, readdir, stat } from 'node:fs/promises';
+import { join, dirname, relative, resolve, extname, isAbsolute } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import DocuFreshAI from './index.js';
+import { createUnifiedDiff } from './diff.js';
+import { createLock, readLockFile, writeLockFile } from './lock.js';
+
+const COMMANDS = ['render', 'refresh', 'check'];
+const CONFIG_FILES = ['docufresh-ai.config.json', 'docufresh-ai.config.js', 'docufresh-ai.config.mjs'];
+const DEFAULT_OUT_DIR = 'dist';
+const SKIPPED_DIRECTORIES = ['node_modules'];
+
+const FORMATS_BY_EXTENSION = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.mdx': 'markdown',
+  '.html': 'html',
+  '.htm': 'html'
+};
+
+const USAGE = `Usage: docufresh-ai <command> [glob...] [options]
+
+Commands:
+  render <glob...>    Write processed files to the out dir (default: ${DEFAULT_OUT_DIR})
+  refresh <glob...>   Process files in place (dry run unless --write)
+  check <glob...>     Exit with 1 if rendering would change the rendered files
+
+Options:
+  -o, --out <dir>     Output folder for render and check (default: ${DEFAULT_OUT_DIR}; check
+                      compares preserve-mode files with themselves unless it is set)
+  -w, --write         Write refreshed files (refresh; needs "preserve" in the
+                      config, so the markers survive for the next refresh)
+  -d, --diff          Print a unified diff of every change
+  -l, --lock <file>   Lock file: pins markers to the revisions it records and is
+                      updated with new markers by render and refresh --write
+  -c, --config <file> Config file (default: ${CONFIG_FILES.join(', ')})
+  -h, --help          Show this help
+  -v, --version       Show the version
+`;
+
+/**
+ * Run the command line tool
+ * @param {string[]} argv - Arguments after the executable (process.argv.slice(2))
+ * @param {object} io - Environment (defaults to the current process)
+ * @param {string} io.cwd - Working directory for globs, config and output
+ * @param {object} io.stdout - Stream for diffs and help
+ * @param {object} io.stderr - Stream for status lines and errors
+ * @param {object} io.options - DocuFreshAI options applied over the config file (e.g. a custom fetch)
+ * @returns {Promise<number>} - Exit code
+ */
+async function runCli(argv, io = {}) {
+  const cwd = io.cwd || process.cwd();
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+
+  let args;
+  try {
+    args = parseCliArgs(argv);
+  } catch (error) {
+    stderr.write(`docufresh-ai: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+  if (args.version) {
+    const pkg = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+    stdout.write(`${pkg.version}\n`);
+    return 0;
+  }
+
+  let config;
+  let files;
+  try {
+    config = await loadConfig(cwd, args.config);
+    const patterns = args.patterns.length > 0 ? args.patterns : [].concat(config.files || []);
+    if (patterns.length === 0) {
+      throw new Error('No files given (pass a glob or set "files" in the config file)');
+    }
+    files = await expandGlobs(patterns, cwd);
+    if (files.length === 0) {
+      throw new Error(`No files match ${patterns.join(' ')}`);
+    }
+  } catch (error) {
+    stderr.write(`docufresh-ai: ${error.message}\n`);
+    return 2;
+  }
+
+  const { files: _files, outDir: configOutDir, lockFile: configLockFile, ...options } = config;
+  // check compares with what render wrote, or, in preserve mode, with the files themselves (their
+  // markers survive rendering, so they are their own rendered output)
+  const preserve = io.options?.preserve ?? options.preserve;
+  const rendersCopies = args.command === 'render' || (args.command === 'check' && !preserve);
+  const outDir = args.out ?? configOutDir ?? (rendersCopies ? DEFAULT_OUT_DIR : null);
+  const outPath = outDir === null ? null : resolve(cwd, outDir);
+  // Don't read back our own output when the glob covers the out dir
+  const inputs = outPath ? files.filter(file => !isInside(file.path, outPath)) : files;
+
+  // Without preserve mode, writing in place would replace the markers with their values for good
+  if (args.command === 'refresh' && args.write && !preserve) {
+    stderr.write('docufresh-ai: refresh --write needs "preserve" in the config, or the markers would be lost; ' +
+      'use render to write copies\n');
+    return 2;
+  }
+
+  const lockPath = args.lock ? resolve(cwd, args.lock) : configLockFile ?? null;
+  const writes = args.command === 'render' || (args.command === 'refresh' && args.write);
+
+  let ai;
+  let lock = null;
+  try {
+    lock = lockPath ? await readLockFile(lockPath) : null;
+    // Each file is processed in the format of its extension (withFormat below); the instance only
+    // needs a format that allows preserve mode
+    const format = io.options?.format ?? options.format ?? (preserve ? 'markdown' : undefined);
+    ai = new DocuFreshAI({ logger: false, ...options, ...io.options, format, lock });
+    await ai.init();
+  } catch (error) {
+    stderr.write(`docufresh-ai: ${error.message}\n`);
+    return 2;
+  }
+
+  let changed = 0;
+  let failures = 0;
+  let updatedLock = lock;
+
+  for (const file of inputs) {
+    const name = toDisplayPath(cwd, file.path);
+    const target = outPath && args.command !== 'refresh'
+      ? join(outPath, relative(file.base, file.path))
+      : file.path;
+    const targetName = toDisplayPath(cwd, target);
+
+    let output;
+    try {
+      const input = await readFile(file.path, 'utf8');
+      const format = options.format || FORMATS_BY_EXTENSION[extname(file.path).toLowerCase()] || 'text';
+      const result = await ai.withFormat(format).processDetailed(input);
+      output = result.text;
+      updatedLock = createLock(result.markers, updatedLock);
+    } catch (error) {
+      stderr.write(`${name}: ${error.message}\n`);
+      failures++;
+      continue;
+    }
+
+    const current = await readFile(target, 'utf8').catch(() => null);
+    if (output === current) continue;
+    changed++;
+
+    if (args.diff) {
+      stdout.write(createUnifiedDiff(current ?? '', output, {
+        fromFile: current === null ? '/dev/null' : `a/${targetName}`,
+        toFile: `b/${targetName}`
+      }));
+    }
+
+    if (writes) {
+      try {
+        await mkdir(dirname(target), { recursive: true });
+        await writeFile(target, output, 'utf8');
+      } catch (error) {
+        stderr.write(`${targetName}: ${error.message}\n`);
+        failures++;
+        continue;
+      }
+      stderr.write(`Wrote ${targetName}\n`);
+    } else {
+      stderr.write(`${args.command === 'check' ? 'Outdated' : 'Would change'}: ${targetName}\n`);
+    }
+  }
+
+  if (lockPath && writes && updatedLock && JSON.stringify(updatedLock) !== JSON.stringify(lock)) {
+    await writeLockFile(lockPath, updatedLock);
+    stderr.write(`Wrote ${toDisplayPath(cwd, lockPath)}\n`);
+  }
+
+  if (args.command === 'check' && failures === 0) {
+    stderr.write(changed > 0
+      ? `${changed} of ${inputs.length} file(s) would change\n`
+      : `All ${inputs.length} file(s) are up to date\n`);
+  }
+
+  if (failures > 0) return 2;
+  return args.command === 'check' && changed > 0 ? 1 : 0;
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments
+ * @returns {object} - { command, patterns, out, write, diff, lock, config, help, version }
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o' },
+      write: { type: 'boolean', short: 'w' },
+      diff: { type: 'boolean', short: 'd' },
+      lock: { type: 'string', short: 'l' },
+      config: { type: 'string', short: 'c' },
+      help: { type: 'boolean', short: 'h' },
+      version: { type: 'boolean', short: 'v' }
+    }
+  });
+
+  const [command, ...patterns] = positionals;
+  if (!values.help && !values.version) {
+    if (!command) throw new Error('Missing command');
+    if (!COMMANDS.includes(command)) throw new Error(`Unknown command: ${command}`);
+    if (values.write && command !== 'refresh') throw new Error('--write is only used by refresh');
+  }
+
+  return { command, patterns, ...values };
+}
+
+/**
+ * Load the config file: JSON, or an ES module whose default export is the config
+ * Accepts any DocuFreshAI option (model, temperature, cacheTTL, searchFallback, format, ...) plus
+ * `files` (default globs), `outDir` and `lockFile`. Relative paths are resolved from the config file.
+ * @param {string} cwd - Folder searched for the default config file names
+ * @param {string} file - Explicit config file (must exist)
+ * @returns {Promise<object>} - Config, or {} when there is no config file
+ */
+async function loadConfig(cwd, file) {
+  let path = null;
+  if (file) {
+    path = resolve(cwd, file);
+  } else {
+    for (const name of CONFIG_FILES) {
+      const candidate = join(cwd, name);
+      if (await isFile(candidate)) {
+        path = candidate;
+        break;
+      }
+    }
+    if (!path) return {};
+  }
+
+  let config;
+  try {
+    config = path.endsWith('.json')
+      ? JSON.parse(await readFile(path, 'utf8'))
+      : (await import(pathToFileURL(path).href)).default;
+  } catch (error) {
+    throw new Error(`Cannot load config ${toDisplayPath(cwd, path)}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config ${toDisplayPath(cwd, path)} must be an object`);
+  }
+
+  const base = dirname(path);
+  const resolved = { ...config };
+  if (typeof config.cacheDir === 'string') {
+    resolved.cacheDir = resolve(base, config.cacheDir);
+  }
+  if (typeof config.fixtures === 'string') {
+    resolved.fixtures = resolve(base, config.fixtures);
+  } else if (typeof config.fixtures?.directory === 'string') {
+    resolved.fixtures = { ...config.fixtures, directory: resolve(base, config.fixtures.directory) };
+  }
+  if (typeof config.outDir === 'string') {
+    resolved.outDir = resolve(base, config.outDir);
+  }
+  if (typeof config.lockFile === 'string') {
+    resolved.lockFile = resolve(base, config.lockFile);
+  }
+  return resolved;
+}
+
+/**
+ * Expand glob patterns to files
+ * Supports *, **, ? and {a,b}; plain paths are used as they are. node_modules and dot-folders are skipped.
+ * @param {string[]} patterns - Globs relative to cwd
+ * @param {string} cwd - Working directory
+ * @returns {Promise<Array<{path: string, base: string}>>} - Sorted absolute paths, each with the folder
+ *   its pattern starts from (output paths mirror the layout below it)
+ */
+async function expandGlobs(patterns, cwd) {
+  const found = new Map();
+
+  for (const pattern of patterns) {
+    const normalized = pattern.replace(/\\/g, '/');
+    const base = resolve(cwd, getGlobBase(normalized));
+
+    if (!/[*?{]/.test(normalized)) {
+      const path = resolve(cwd, normalized);
+      if (await isFile(path)) {
+        if (!found.has(path)) found.set(path, { path, base: dirname(path) });
+      }
+      continue;
+    }
+
+    const matcher = globToRegExp(toPosix(relative(base, resolve(cwd, normalized))));
+    for (const path of await walk(base)) {
+      if (!found.has(path) && matcher.test(toPosix(relative(base, path)))) {
+        found.set(path, { path, base });
+      }
+    }
+  }
+
+  return [...found.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Leading folders of a glob that contain no wildcards
+ */
+function getGlobBase(pattern) {
+  const segments = pattern.split('/');
+  const index = segments.findIndex(segment => /[*?{]/.test(segment));
+  const base = segments.slice(0, index).join('/');
+  return base || (isAbsolute(pattern) ? '/' : '.');
+}
+
+/**
+ * Convert a glob to a regular expression matching posix paths
+ */
+function globToRegExp(glob) {
+  let source = '';
+  let braces = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // ** matches any number of folders
+        const slash = glob[i + 2] === '/';
+        source += slash ? '(?:[^/]*/)*' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      source += '(?:';
+      braces++;
+    } else if (char === '}' && braces > 0) {
+      source += ')';
+      braces--;
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * All files below a folder
+ */
+async function walk(directory) {
+  const entries = await readdir(directory, { withFileTypes: true }).catch(() => []);
+  const files = [];
+
+  for (const entry of entries) {
+    const path = join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name.startsWith('.') || SKIPPED_DIRECTORIES.includes(entry.name)) continue;
+      files.push(...await walk(path));
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+
+  return files;
+}
+
+async function isFile(path) {
+  return stat(path).then(stats => stats.isFile(), () => false);
+}
+
+function isInside(path, directory) {
+  const rel = relative(directory, path);
+  return rel !== '' && !rel.startsWith('..') && !isAbsolute(rel);
+}
+
+function toPosix(path) {
+  return path.replace(/\\/g, '/');
+}
+
+function toDisplayPath(cwd, path) {
+  const rel = relative(cwd, path);
+  return toPosix(rel.startsWith('..') || isAbsolute(rel) ? path : rel);
+}
+
+export { runCli, loadConfig, expandGlobs };
+export default runCli;
@@ -0,0 +1,92 @@
+/**
+ * Concurrency Helpers
+ * Caps how many tasks (HTTP requests, model inferences) run at the same time, and how many start per second
+ */
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once, in call order
+ * @param {number} concurrency - Maximum number of running tasks (default: Infinity)
+ * @returns {function(function(): Promise<any>): Promise<any>} - limit(task) runs the task when a slot is free
+ * @example
+ * const limit = createLimiter(2);
+ * const pages = await Promise.all(urls.map(url => limit(() => fetch(url))));
+ */
+function createLimiter(concurrency = Infinity) {
+  if (!(concurrency >= 1)) {
+    throw new Error(`Concurrency must be at least 1, got ${concurrency}`);
+  }
+
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const limit = (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+
+  limit.concurrency = concurrency;
+  return limit;
+}
+
+/**
+ * Create a limiter that starts at most `rate` tasks per second, in call order
+ * Up to `rate` tasks start at once after a quiet period; after that they are spaced 1/rate seconds apart.
+ * @param {number} rate - Tasks per second (default: Infinity, no limit)
+ * @returns {function(function(): Promise<any>): Promise<any>} - throttle(task) runs the task when the rate allows
+ * @example
+ * const throttle = createRateLimiter(10);
+ * const pages = await Promise.all(urls.map(url => throttle(() => fetch(url))));
+ */
+function createRateLimiter(rate = Infinity) {
+  if (!(rate > 0)) {
+    throw new Error(`Rate must be a positive number of tasks per second, got ${rate}`);
+  }
+
+  const interval = 1000 / rate;
+  const capacity = Math.max(1, rate);
+  let tokens = capacity;
+  let updated = Date.now();
+  let turn = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - updated) / interval);
+    updated = now;
+  };
+
+  const take = async () => {
+    refill();
+    if (tokens < 1) {
+      await new Promise(resolve => setTimeout(resolve, (1 - tokens) * interval));
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  const throttle = (task) => {
+    if (rate === Infinity) return Promise.resolve().then(task);
+    const start = turn.then(take);
+    turn = start;
+    return start.then(task);
+  };
+
+  throttle.rate = rate;
+  return throttle;
+}
+
+export { createLimiter, createRateLimiter };
+export default createLimiter;
@@ -0,0 +1,152 @@
+/**
+ * Unified Diff
+ * Line diff (Myers' algorithm) printed in the unified format used by git and patch
+ */
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} before - Original text
+ * @param {string} after - New text
+ * @param {object} options - Diff options
+ * @param {string} options.fromFile - Name on the --- line (default: 'a')
+ * @param {string} options.toFile - Name on the +++ line (default: 'b')
+ * @param {number} options.context - Unchanged lines around each change (default: 3)
+ * @returns {string} - Diff, or '' when the texts are equal
+ */
+function createUnifiedDiff(before, after, options = {}) {
+  if (before === after) return '';
+
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+  const edits = diffLines(splitLines(before), splitLines(after));
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+  for (const hunk of groupHunks(edits, context)) {
+    lines.push(`@@ -${formatRange(hunk.oldStart, hunk.oldLines)} +${formatRange(hunk.newStart, hunk.newLines)} @@`);
+    for (const edit of hunk.edits) {
+      lines.push(edit.type + edit.line.replace(/\r?\n$/, ''));
+      if (!edit.line.endsWith('\n')) {
+        lines.push('\\ No newline at end of file');
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Split text into lines that keep their line endings (so a missing final newline is a change)
+ */
+function splitLines(text) {
+  return text === '' ? [] : text.match(/[^\n]*\n|[^\n]+$/g);
+}
+
+/**
+ * Shortest edit script between two line arrays
+ * @returns {Array<{type: string, line: string}>} - ' ' (kept), '-' (removed) and '+' (added) lines
+ */
+function diffLines(a, b) {
+  const max = a.length + b.length;
+  const v = new Int32Array(2 * max + 2);
+  const trace = [];
+
+  search:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[max + k - 1] < v[max + k + 1])
+        ? v[max + k + 1]
+        : v[max + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[max + k] = x;
+      if (x >= a.length && y >= b.length) break search;
+    }
+  }
+
+  // Walk back through the saved frontiers
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const frontier = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && frontier[max + k - 1] < frontier[max + k + 1]) ? k + 1 : k - 1;
+    const prevX = frontier[max + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      edits.push(x === prevX ? { type: '+', line: b[--y] } : { type: '-', line: a[--x] });
+    }
+  }
+
+  return edits.reverse();
+}
+
+/**
+ * Group edits into hunks with up to `context` unchanged lines around the changes
+ */
+function groupHunks(edits, context) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let hunk = null;
+  let trailing = 0; // Unchanged lines since the last change in the current hunk
+
+  // Index of the next change at or after each edit
+  const nextChange = new Array(edits.length + 1).fill(-1);
+  for (let i = edits.length - 1; i >= 0; i--) {
+    nextChange[i] = edits[i].type !== ' ' ? i : nextChange[i + 1];
+  }
+
+  edits.forEach((edit, i) => {
+    if (edit.type !== ' ') {
+      if (!hunk) {
+        const lead = edits.slice(Math.max(0, i - context), i);
+        hunk = {
+          oldStart: oldLine - lead.length,
+          newStart: newLine - lead.length,
+          oldLines: lead.length,
+          newLines: lead.length,
+          edits: [...lead]
+        };
+        hunks.push(hunk);
+      }
+      hunk.edits.push(edit);
+      if (edit.type === '-') hunk.oldLines++;
+      else hunk.newLines++;
+      trailing = 0;
+    } else if (hunk) {
+      // Keep going while the next change is close enough to share this hunk
+      const next = nextChange[i];
+      if (trailing < context || (next !== -1 && next - i <= context)) {
+        hunk.edits.push(edit);
+        hunk.oldLines++;
+        hunk.newLines++;
+        trailing++;
+      } else {
+        hunk = null;
+      }
+    }
+
+    if (edit.type !== '+') oldLine++;
+    if (edit.type !== '-') newLine++;
+  });
+
+  return hunks;
+}
+
+function formatRange(start, count) {
+  // An empty range points at the line before it
+  if (count === 0) return `${start - 1},0`;
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+export { createUnifiedDiff };
+export default createUnifiedDiff;
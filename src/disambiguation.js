@@ -0,0 +1,100 @@
+/**
+ * Disambiguation
+ * Picks the article a marker means when its topic leads to a disambiguation page ("Mercury", "Python"),
+ * using the words of the sentence around the marker:
+ *   The closest planet to the Sun is {{ai_fact:Mercury}}   →   Mercury (planet)
+ * The paragraph around the marker is passed on too, for re-ranking search results (see src/embeddings.js).
+ */
+
+import { rankPassages } from './passages.js';
+
+// Longest stretch of text read on each side of a marker
+const MAX_SENTENCE = 300;
+const MAX_PARAGRAPH = 1000;
+
+/**
+ * Text between the boundaries nearest to a marker, with markers replaced by their arguments
+ */
+function textAround(document, start, end, boundary, maxLength) {
+  const before = document.slice(Math.max(0, start - maxLength), start);
+  const after = document.slice(end, end + maxLength);
+
+  const breaks = [...before.matchAll(new RegExp(boundary.source, 'g'))];
+  const from = breaks.length > 0 ? breaks.at(-1).index + breaks.at(-1)[0].length : 0;
+  const next = after.search(boundary);
+  const to = next === -1 ? after.length : next;
+
+  return `${before.slice(from)}${document.slice(start, end)}${after.slice(0, to)}`
+    .replace(/\{\{\s*\/?[\w-]+(@[\w-]+)?\s*:?|\}\}|[|_]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get the sentence and paragraph around a marker, with markers replaced by their arguments
+ * ("{{ai_answer:Mercury:How far is it from the Sun?}}" keeps "Mercury How far is it from the Sun?").
+ * @param {string} document - Document being rendered
+ * @param {number} start - Marker start offset
+ * @param {number} end - Marker end offset (exclusive)
+ * @returns {{sentence: string, paragraph: string}} - Surrounding text ('' when the marker stands alone)
+ */
+function markerContext(document, start, end) {
+  return {
+    sentence: textAround(document, start, end, /[.!?](?=\s|$)|\n\s*\n/, MAX_SENTENCE),
+    paragraph: textAround(document, start, end, /\n\s*\n/, MAX_PARAGRAPH)
+  };
+}
+
+/**
+ * Rank the articles a disambiguation page lists by how well they match a context
+ * Words of the topic itself are ignored (every "Mercury ..." candidate shares them), so candidates
+ * only score through the rest of the sentence matching their title or short description.
+ * @param {string} topic - Ambiguous topic (e.g. 'Mercury')
+ * @param {Array<{title: string, description: string}>} candidates - Articles the page links to
+ * @param {string} context - Sentence around the marker
+ * @returns {Array<{title: string, description: string, score: number}>} - All candidates, best first
+ *   (unmatched ones keep the page's order with score 0)
+ */
+function rankCandidates(topic, candidates, context) {
+  const words = text => String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const topicWords = new Set(words(topic.replace(/_/g, ' ')));
+  const query = words(context).filter(word => !topicWords.has(word)).join(' ');
+
+  const ranked = rankPassages(query, candidates.map(({ title, description }) => ({
+    section: null,
+    title,
+    description,
+    text: `${title} ${description}`
+  })));
+  const scores = new Map(ranked.map(candidate => [candidate.title, candidate.score]));
+
+  return candidates
+    .map(({ title, description }) => ({ title, description, score: scores.get(title) ?? 0 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Wrap a knowledge source so its lookups know the text around the marker
+ * @param {object} source - Knowledge source
+ * @param {{sentence: string, paragraph: string}} context - Result of markerContext()
+ * @returns {object} - Source whose getSummary() passes { context: sentence } and getFactWithFallback()
+ *   { context: paragraph } (inherits everything else)
+ */
+function contextSource(source, { sentence, paragraph }) {
+  const bound = Object.create(source);
+
+  bound.getSummary = async function (topic, options = {}) {
+    return source.getSummary.call(this, topic, { context: sentence, ...options });
+  };
+
+  if (typeof source.getFactWithFallback === 'function') {
+    bound.getFactWithFallback = async function (topic, options = {}) {
+      return source.getFactWithFallback.call(this, topic, { context: paragraph, ...options });
+    };
+  }
+
+  return bound;
+}
+
+export { markerContext, rankCandidates, contextSource };
+export default rankCandidates;
@@ -0,0 +1,161 @@
+/**
+ * Search Re-ranking with Embeddings
+ * Orders search fallback candidates by meaning instead of title prefix, using Transformers.js
+ * 'feature-extraction' models (e.g. all-MiniLM-L6-v2) to embed the topic, the paragraph around
+ * the marker and each candidate's title and description.
+ *
+ * An embedding backend is any object with:
+ *   init(): Promise<void>                     - load the model (optional)
+ *   embed(texts): Promise<number[][]>         - one vector per text
+ */
+
+import { resolveLogger } from './logger.js';
+
+const DEFAULT_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+/**
+ * Transformers.js feature-extraction backend - runs the model locally, no API keys
+ */
+class TransformersEmbeddingBackend {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.model - Hugging Face model ID (default: all-MiniLM-L6-v2)
+   * @param {function} options.onProgress - Callback for model download progress
+   * @param {object} options.logger - Status line logger (see src/logger.js; default: stderr)
+   */
+  constructor(options = {}) {
+    this.name = 'transformers-embeddings';
+    this.model = options.model || DEFAULT_EMBEDDING_MODEL;
+    this.onProgress = options.onProgress || null;
+    this.logger = resolveLogger(options.logger);
+    this.extractor = null;
+  }
+
+  async init() {
+    if (this.extractor) return;
+
+    const { pipeline, env } = await import('@huggingface/transformers');
+    env.allowLocalModels = false;
+    if (typeof window !== 'undefined') {
+      env.useBrowserCache = true;
+    }
+
+    this.logger.info(`Loading embedding model: ${this.model}...`);
+    this.extractor = await pipeline('feature-extraction', this.model, {
+      progress_callback: (progress) => this.onProgress?.(progress)
+    });
+  }
+
+  async embed(texts) {
+    await this.init();
+
+    const output = await this.extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  }
+}
+
+/**
+ * Normalize the rerank option
+ * @param {boolean|object|string|function} option - true, a model ID, an embed function texts => vectors,
+ *   or { model, backend, threshold, topN }
+ * @returns {{model: string, backend: string|function|object, threshold: number, topN: number}}
+ */
+function resolveRerankOptions(option = {}) {
+  const options = typeof option === 'string'
+    ? { model: option }
+    : typeof option === 'function' ? { backend: option } : option === true ? {} : { ...option };
+
+  const threshold = options.threshold ?? 0.4;
+  if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+    throw new Error(`rerank.threshold must be a number from 0 to 1, got ${threshold}`);
+  }
+  const topN = options.topN ?? 5;
+  if (!Number.isInteger(topN) || topN < 1) {
+    throw new Error(`rerank.topN must be a positive integer, got ${topN}`);
+  }
+
+  return {
+    model: options.model || DEFAULT_EMBEDDING_MODEL,
+    backend: options.backend ?? 'transformers',
+    threshold,
+    topN
+  };
+}
+
+/**
+ * Create an embedding backend from an option value
+ * @param {string|function|object} backend - 'transformers' (default), a function texts => vectors,
+ *   or an object with embed()
+ * @param {object} options - Options for the Transformers.js backend (model, onProgress)
+ * @returns {object} - Embedding backend
+ */
+function createEmbeddingBackend(backend = 'transformers', options = {}) {
+  if (typeof backend === 'function') {
+    return { name: 'function', init: async () => {}, embed: async (texts) => backend(texts) };
+  }
+  if (backend && typeof backend === 'object') {
+    if (typeof backend.embed !== 'function') {
+      throw new Error('Custom embedding backend must implement embed(texts)');
+    }
+    return backend;
+  }
+  if (backend === 'transformers') {
+    return new TransformersEmbeddingBackend(options);
+  }
+  throw new Error(`Unknown embedding backend: ${backend}`);
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a - Vector
+ * @param {number[]} b - Vector of the same length
+ * @returns {number} - Similarity from -1 to 1 (0 if either vector is all zeros)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Score search results against a topic and, if given, the paragraph the topic appears in
+ * A candidate's score is its similarity to the topic, averaged with its similarity to the paragraph.
+ * @param {object} backend - Embedding backend from createEmbeddingBackend()
+ * @param {string} topic - Topic that was searched for
+ * @param {Array<{title: string, description: string}>} results - Search results
+ * @param {string} context - Paragraph around the marker ('' for none)
+ * @returns {Promise<Array<object>>} - Results with a score, best first
+ */
+async function rankByEmbedding(backend, topic, results, context = '') {
+  if (results.length === 0) return [];
+
+  const candidates = results.map(result => (result.description ? `${result.title}: ${result.description}` : result.title));
+  const queries = context ? [topic.replace(/_/g, ' '), context] : [topic.replace(/_/g, ' ')];
+  const vectors = await backend.embed([...queries, ...candidates]);
+  const [topicVector, contextVector] = context ? vectors : [vectors[0], null];
+  const candidateVectors = vectors.slice(queries.length);
+
+  return results
+    .map((result, i) => {
+      const similarity = cosineSimilarity(topicVector, candidateVectors[i]);
+      const score = contextVector ? (similarity + cosineSimilarity(contextVector, candidateVectors[i])) / 2 : similarity;
+      return { ...result, score };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+export {
+  TransformersEmbeddingBackend,
+  resolveRerankOptions,
+  createEmbeddingBackend,
+  cosineSimilarity,
+  rankByEmbedding,
+  DEFAULT_EMBEDDING_MODEL
+};
+export default rankByEmbedding;
@@ -0,0 +1,127 @@
+/**
+ * Lookup Errors
+ * Typed errors for Wikipedia and Wikidata requests, so callers can tell "article missing" from
+ * "Wikipedia down":
+ *   NotFoundError     - the article, revision, section or field does not exist (404)
+ *   RateLimitedError  - the API answered 429 Too Many Requests (retryAfter: ms to wait, if sent)
+ *   ServerError       - the API answered with a 5xx status
+ *   NetworkError      - no response at all (offline, DNS failure, connection reset)
+ * All are LookupErrors with a code, the HTTP status (null without a response) and the URL.
+ * Rate limits, server and network errors are retryable.
+ */
+
+/**
+ * Failed lookup (also used as is for other client errors, e.g. 400 or 403)
+ */
+class LookupError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {object} details - Details
+   * @param {number|null} details.status - HTTP status
+   * @param {string|null} details.url - Requested URL
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, { status = null, url = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'LookupError';
+    this.code = 'lookup_failed';
+    this.status = status;
+    this.url = url;
+  }
+
+  /** Whether the same request may succeed later */
+  get retryable() {
+    return false;
+  }
+}
+
+class NotFoundError extends LookupError {
+  constructor(message, details = {}) {
+    super(message, { status: 404, ...details });
+    this.name = 'NotFoundError';
+    this.code = 'not_found';
+  }
+}
+
+class RateLimitedError extends LookupError {
+  /**
+   * @param {string} message - What went wrong
+   * @param {object} details - Details (see LookupError), plus retryAfter: ms the API asked to wait, or null
+   */
+  constructor(message, { retryAfter = null, ...details } = {}) {
+    super(message, { status: 429, ...details });
+    this.name = 'RateLimitedError';
+    this.code = 'rate_limited';
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+class ServerError extends LookupError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ServerError';
+    this.code = 'server_error';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+class NetworkError extends LookupError {
+  constructor(message, details = {}) {
+    super(message, { ...details, status: null });
+    this.name = 'NetworkError';
+    this.code = 'network_error';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * Read a Retry-After header: seconds ("120") or an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Milliseconds to wait, or null if missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (value == null || value === '') return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Create the error for an HTTP error response
+ * @param {Response} response - Response with a non-2xx status
+ * @param {string} url - Requested URL
+ * @param {string} service - Service name for the message (e.g. 'Wikipedia')
+ * @returns {LookupError} - NotFoundError, RateLimitedError, ServerError or LookupError
+ */
+function createHttpError(response, url, service) {
+  const { status } = response;
+  const message = `${service} API error: ${status}`;
+
+  if (status === 404) return new NotFoundError(message, { url });
+  if (status === 429) {
+    return new RateLimitedError(message, { url, retryAfter: parseRetryAfter(response.headers?.get('retry-after') ?? null) });
+  }
+  if (status >= 500) return new ServerError(message, { status, url });
+  return new LookupError(message, { status, url });
+}
+
+export {
+  LookupError,
+  NotFoundError,
+  RateLimitedError,
+  ServerError,
+  NetworkError,
+  parseRetryAfter,
+  createHttpError
+};
+export default LookupError;
@@ -0,0 +1,188 @@
+/**
+ * Output Filters
+ * Post-process a marker's output before it lands in the document:
+ *   {{ai_describe:Moon | maxWords=15 | sentence | lowercaseFirst}}
+ *   {{ai_data:World_population:population | compact}}
+ * Filters run left to right; each gets the current value, its argument (the text after "=") and a
+ * context ({ marker, language, format }). A filter that throws leaves the marker as written.
+ */
+
+const FILTER_NAME = /^[A-Za-z_]\w*$/;
+
+// Sentence ends: . ! or ? (plus closing quotes/brackets) before whitespace and a capital, digit or the end.
+// A single capital letter before the period is taken as an initial ("J. R. R. Tolkien").
+const SENTENCE_END = /(?<!(?:^|\s)[A-Z])[.!?]["')\]]*(?=\s+["'(\[]?[A-Z0-9]|\s*$)/g;
+const NUMBER = /[-−]?\d[\d,]*(?:\.\d+)?(?:\s*(thousand|million|billion|trillion)\b)?/i;
+const SCALES = { thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12 };
+const SMALL_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'in', 'nor', 'of', 'on', 'or', 'the', 'to', 'via']);
+
+/**
+ * Split text into sentences (each keeps its punctuation)
+ * @param {string} text - Text
+ * @returns {string[]} - Trimmed sentences
+ */
+function splitSentences(text) {
+  const sentences = [];
+  let last = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    sentences.push(text.slice(last, end).trim());
+    last = end;
+  }
+  const rest = text.slice(last).trim();
+  if (rest) sentences.push(rest);
+  return sentences.filter(Boolean);
+}
+
+/**
+ * Keep as many whole sentences as fit a limit; cut the first sentence at a word boundary if it doesn't fit
+ * @param {string} text - Text
+ * @param {number} limit - Maximum size
+ * @param {function(string): number} measure - Size of a piece of text
+ * @returns {string} - Shortened text (ends with "…" when a sentence was cut)
+ */
+function fitSentences(text, limit, measure) {
+  const value = text.trim();
+  if (measure(value) <= limit) return value;
+
+  let kept = '';
+  for (const sentence of splitSentences(value)) {
+    const next = kept ? `${kept} ${sentence}` : sentence;
+    if (measure(next) > limit) break;
+    kept = next;
+  }
+  if (kept) return kept;
+
+  // The first sentence alone is too long: cut it at a word boundary
+  const words = value.split(/\s+/);
+  let cut = '';
+  for (const word of words) {
+    const next = cut ? `${cut} ${word}` : word;
+    if (measure(`${next}…`) > limit) break;
+    cut = next;
+  }
+  return `${(cut || words[0]).replace(/[\s,;:.!?-]+$/, '')}…`;
+}
+
+/**
+ * Parse a filter argument as a positive integer
+ */
+function toCount(name, arg) {
+  const count = Number(arg);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Filter ${name} needs a positive whole number, e.g. ${name}=3`);
+  }
+  return count;
+}
+
+/**
+ * Find the first number in text ("8,019,876,189", "1.5 million", ...)
+ * @param {string} text - Text
+ * @returns {number} - The number
+ * @throws {Error} - If there is none
+ */
+function extractNumber(text) {
+  const match = text.match(NUMBER);
+  if (!match) {
+    throw new Error(`No number in "${text.slice(0, 60)}"`);
+  }
+  const digits = match[0].replace(/\s*[A-Za-z]+$/, '').replace(/,/g, '').replace('−', '-');
+  return Number(digits) * (match[1] ? SCALES[match[1].toLowerCase()] : 1);
+}
+
+const countWords = text => (text.trim() ? text.trim().split(/\s+/).length : 0);
+const upperFirst = text => text.replace(/^(\s*)(\p{L})/u, (match, space, letter) => space + letter.toUpperCase());
+
+/**
+ * Built-in filters
+ * Each is (value, arg, context) => string
+ */
+const FILTERS = {
+  /** First sentence */
+  sentence: (value) => splitSentences(value)[0] ?? '',
+
+  /** First N sentences: sentences=2 */
+  sentences: (value, arg) => splitSentences(value).slice(0, toCount('sentences', arg)).join(' '),
+
+  /** Whole sentences within N words (the first sentence is cut with "…" if it is longer): maxWords=15 */
+  maxWords: (value, arg) => fitSentences(value, toCount('maxWords', arg), countWords),
+
+  /** Whole sentences within N characters (the first sentence is cut with "…" if it is longer): truncate=120 */
+  truncate: (value, arg) => fitSentences(value, toCount('truncate', arg), text => text.length),
+
+  /** Remove a trailing period (not "..." or "?") */
+  stripPeriod: (value) => value.trim().replace(/(?<!\.)\.$/, ''),
+
+  trim: (value) => value.trim(),
+  lowercase: (value) => value.toLowerCase(),
+  uppercase: (value) => value.toUpperCase(),
+
+  /** Lowercase the first letter, for output continuing a sentence (acronyms like "NASA" are kept) */
+  lowercaseFirst: (value) =>
+    value.replace(/^(\s*)(\p{Lu})(?!\p{Lu})/u, (match, space, letter) => space + letter.toLowerCase()),
+
+  uppercaseFirst: (value) => upperFirst(value),
+
+  /** Capitalize every word except short function words (the first word is always capitalized) */
+  titleCase: (value) => upperFirst(value.replace(/\p{L}[\p{L}'’]*/gu, (word, offset) =>
+    offset > 0 && SMALL_WORDS.has(word.toLowerCase()) ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1)
+  )),
+
+  /** First number, formatted for the marker's language or a locale: number, number=de-DE */
+  number: (value, arg, context) =>
+    new Intl.NumberFormat(arg || context.language).format(extractNumber(value)),
+
+  /** First number in compact notation ("8 billion"): compact, compact=de */
+  compact: (value, arg, context) =>
+    new Intl.NumberFormat(arg || context.language, { notation: 'compact', compactDisplay: 'long' })
+      .format(extractNumber(value)),
+
+  /** First number as an amount of money: currency=USD */
+  currency: (value, arg, context) => {
+    if (!arg) {
+      throw new Error('Filter currency needs a currency code, e.g. currency=USD');
+    }
+    return new Intl.NumberFormat(context.language, { style: 'currency', currency: arg }).format(extractNumber(value));
+  }
+};
+
+/**
+ * Validate a custom filter
+ * @param {string} name - Filter name (letters, digits and underscores)
+ * @param {function} fn - (value, arg, context) => string | Promise<string>
+ * @returns {function} - The filter
+ */
+function defineFilter(name, fn) {
+  if (typeof name !== 'string' || !FILTER_NAME.test(name)) {
+    throw new Error(`Invalid filter name: ${name} (use letters, digits and underscores)`);
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`Filter ${name} needs a function`);
+  }
+  return fn;
+}
+
+/**
+ * Run a value through filters
+ * @param {string} value - Marker output
+ * @param {Array<{name: string, arg: string|undefined}>} filters - Filters in order
+ * @param {function(string): function|null} getFilter - Looks up a filter by name
+ * @param {object} context - Passed to every filter ({ marker, language, format })
+ * @returns {Promise<string>} - Filtered value
+ * @throws {Error} - For unknown filters and filters that fail
+ */
+async function applyFilters(value, filters, getFilter, context) {
+  let result = value;
+  for (const { name, arg } of filters) {
+    const filter = getFilter(name);
+    if (!filter) {
+      throw new Error(`Unknown filter: ${name}`);
+    }
+    const output = await filter(result, arg, context);
+    result = output == null ? '' : String(output);
+  }
+  return result;
+}
+
+export { FILTERS, defineFilter, applyFilters, splitSentences, extractNumber };
+export default applyFilters;
@@ -0,0 +1,221 @@
+/**
+ * Document Formats
+ * Finds the parts of Markdown/HTML documents where markers must not run (code, comments,
+ * front matter) and escapes marker output for the context it lands in.
+ *
+ * Contexts: 'text' (no escaping), 'markdown', 'table' (Markdown table cell), 'link' (Markdown link
+ * target), 'html' (HTML text node), 'attribute' (HTML attribute value), 'href' (URL attribute value)
+ */
+
+const FORMATS = ['text', 'markdown', 'html'];
+
+// Elements whose content is code or raw text
+const HTML_PROTECTED = /<!--[\s\S]*?(?:-->|$)|<(script|style|pre|code|textarea)\b[^>]*>[\s\S]*?(?:<\/\1\s*>|$)/iy;
+const FRONT_MATTER = /^---[ \t]*\r?\n(?:[\s\S]*?\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})[^\n]*/y;
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'cite', 'poster', 'srcset'];
+
+/**
+ * Validate the format option
+ * @param {string} format - 'text' (default), 'markdown' or 'html'
+ * @returns {string} - Format
+ */
+function resolveFormat(format = 'text') {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown document format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * Find the ranges where markers are left untouched
+ * - markdown: YAML front matter, fenced code blocks, inline code, HTML comments, <pre>/<code>/<script>/... elements
+ * - html: comments and <script>, <style>, <pre>, <code>, <textarea> elements
+ * - text: nothing
+ * @param {string} text - Document
+ * @param {string} format - 'text', 'markdown' or 'html'
+ * @returns {Array<[number, number]>} - Sorted [start, end) ranges
+ */
+function findProtectedRanges(text, format) {
+  if (format === 'html') return findHtmlRanges(text);
+  if (format === 'markdown') return findMarkdownRanges(text);
+  return [];
+}
+
+function findHtmlRanges(text) {
+  const ranges = [];
+  let pos = 0;
+
+  while ((pos = text.indexOf('<', pos)) !== -1) {
+    const end = matchHtmlProtected(text, pos);
+    if (end !== null) {
+      ranges.push([pos, end]);
+      pos = end;
+    } else {
+      pos++;
+    }
+  }
+  return ranges;
+}
+
+function matchHtmlProtected(text, pos) {
+  HTML_PROTECTED.lastIndex = pos;
+  const match = HTML_PROTECTED.exec(text);
+  return match ? pos + match[0].length : null;
+}
+
+function findMarkdownRanges(text) {
+  const ranges = [];
+  let pos = 0;
+
+  const frontMatter = text.match(FRONT_MATTER);
+  if (frontMatter) {
+    ranges.push([0, frontMatter[0].length]);
+    pos = frontMatter[0].length;
+  }
+
+  while (pos < text.length) {
+    // Fenced code block: runs to a closing fence of the same kind (or the end of the document)
+    if (pos === 0 || text[pos - 1] === '\n') {
+      FENCE.lastIndex = pos;
+      const fence = FENCE.exec(text);
+      if (fence) {
+        const marker = fence[1];
+        const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`, 'm');
+        const bodyStart = text.indexOf('\n', pos);
+        const rest = bodyStart === -1 ? '' : text.slice(bodyStart + 1);
+        const close = rest.match(closing);
+        const end = close ? bodyStart + 1 + close.index + close[0].length : text.length;
+        ranges.push([pos, end]);
+        pos = end;
+        continue;
+      }
+    }
+
+    const char = text[pos];
+
+    if (char === '<') {
+      const end = matchHtmlProtected(text, pos);
+      if (end !== null) {
+        ranges.push([pos, end]);
+        pos = end;
+        continue;
+      }
+    } else if (char === '\\') {
+      pos += 2; // Escaped character (e.g. \`)
+      continue;
+    } else if (char === '`') {
+      // Inline code: a backtick run closed by a run of the same length
+      let length = 1;
+      while (text[pos + length] === '`') length++;
+      const end = findClosingBackticks(text, pos + length, length);
+      if (end !== null) {
+        ranges.push([pos, end]);
+        pos = end;
+      } else {
+        pos += length;
+      }
+      continue;
+    }
+
+    pos++;
+  }
+
+  return ranges;
+}
+
+function findClosingBackticks(text, from, length) {
+  let pos = from;
+  while ((pos = text.indexOf('`', pos)) !== -1) {
+    let run = 1;
+    while (text[pos + run] === '`') run++;
+    if (run === length) return pos + run;
+    pos += run;
+  }
+  return null;
+}
+
+/**
+ * Work out which context a position in the document is in
+ * @param {string} text - Document
+ * @param {number} offset - Position (start of a marker)
+ * @param {string} format - 'text', 'markdown' or 'html'
+ * @returns {string} - Context (see the top of this file)
+ */
+function getContext(text, offset, format) {
+  if (format === 'text') return 'text';
+
+  const before = text.slice(0, offset);
+  const tagStart = before.lastIndexOf('<');
+  if (tagStart !== -1 && tagStart > before.lastIndexOf('>')) {
+    // Inside an HTML tag (raw HTML is allowed in Markdown too)
+    const tag = before.slice(tagStart).match(/^<[A-Za-z][\w:-]*\s[^<>]*?([\w:-]+)\s*=\s*(?:"[^"]*|'[^']*|[^"'\s>]*)$/);
+    if (tag) {
+      return URL_ATTRIBUTES.includes(tag[1].toLowerCase()) ? 'href' : 'attribute';
+    }
+  }
+
+  if (format === 'html') return 'html';
+
+  const line = before.slice(before.lastIndexOf('\n') + 1);
+  if (/\]\([^()\s]*$/.test(line) || /^ {0,3}\[[^\]]+\]:\s*$/.test(line)) {
+    return 'link';
+  }
+  if (line.trimStart().startsWith('|')) {
+    return 'table';
+  }
+  return 'markdown';
+}
+
+/**
+ * Escape marker output for its context
+ * @param {string} value - Marker output
+ * @param {string} context - Context from getContext()
+ * @returns {string} - Escaped output
+ */
+function escapeForContext(value, context) {
+  switch (context) {
+    case 'markdown':
+      return escapeMarkdown(value);
+    case 'table':
+      return escapeMarkdown(value).replace(/\|/g, '\\|').replace(/\s*\r?\n\s*/g, ' ');
+    case 'link':
+      return encodeUrl(value);
+    case 'html':
+      return escapeHtml(value);
+    case 'attribute':
+      return escapeAttribute(value);
+    case 'href':
+      return escapeAttribute(encodeUrl(value));
+    default:
+      return value;
+  }
+}
+
+/**
+ * Backslash-escape Markdown syntax (bare URLs are left alone so they still autolink)
+ */
+function escapeMarkdown(value) {
+  if (/^https?:\/\/\S+$/.test(value)) return value;
+  return value.replace(/[\\`*[\]<]|(?<!\w)_|_(?!\w)/g, '\\$&');
+}
+
+function escapeHtml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return escapeHtml(value).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Percent-encode characters that would end or break a URL
+ */
+function encodeUrl(value) {
+  return value.trim().replace(/[\s"'<>()\\]/g, char =>
+    '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')
+  );
+}
+
+export { resolveFormat, findProtectedRanges, getContext, escapeForContext };
+export default findProtectedRanges;
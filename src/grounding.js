@@ -0,0 +1,172 @@
+/**
+ * Grounding Checks
+ * Finds numbers, dates and names in generated text and confirms they appear in the source context,
+ * so figures the model invented are not published.
+ *
+ * Policies (options.grounding):
+ *   'flag'   - keep the output and report the unsupported claims (processDetailed record.grounding)
+ *   'reject' - replace the output with extractive text from the context
+ *   'retry'  - generate once more with a stricter prompt, then reject if it is still ungrounded
+ */
+
+import { splitSentences } from './filters.js';
+
+const POLICIES = ['flag', 'reject', 'retry'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+  'october', 'november', 'december'];
+const MONTH = `(${MONTHS.join('|')})`;
+// "March 14, 1879", "14 March 1879", "March 1879"
+const DATE = new RegExp(`\\b(?:(\\d{1,2})\\s+${MONTH}|${MONTH}(?:\\s+(\\d{1,2})(?:st|nd|rd|th)?)?,?)\\s+(\\d{3,4})\\b`, 'gi');
+const NUMBER = /(?<![\w.])[-−]?\d[\d,]*(?:\.\d+)?(?:\s*(thousand|million|billion|trillion)\b)?/gi;
+const SCALES = { thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12 };
+// Runs of capitalized words ("Albert Einstein", "United States")
+const NAME = /\p{Lu}[\p{L}'’-]*(?:\s+\p{Lu}[\p{L}'’-]*)*/gu;
+const NOT_NAMES = new Set([...MONTHS, 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday',
+  'sunday', 'the', 'a', 'an', 'i', 'it', 'this', 'that', 'these', 'those', 'he', 'she', 'they', 'we',
+  'in', 'on', 'at', 'as', 'by', 'for', 'from', 'of', 'to', 'and', 'but', 'or', 'its', 'his', 'her', 'their']);
+
+/**
+ * Normalize the grounding option
+ * @param {boolean|string} option - 'flag', 'reject', 'retry', true ('reject') or false/undefined (off)
+ * @returns {string|null} - Policy, or null when grounding checks are off
+ */
+function resolveGrounding(option) {
+  if (!option) return null;
+
+  const policy = option === true ? 'reject' : option;
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Unknown grounding policy: ${option} (expected ${POLICIES.join(', ')})`);
+  }
+  return policy;
+}
+
+/**
+ * Find the numbers, dates and names in a text
+ * @param {string} text - Text to scan
+ * @returns {Array<{type: string, text: string}>} - Claims: type 'number', 'date' or 'name', as written
+ */
+function extractClaims(text) {
+  return scan(text).claims;
+}
+
+/**
+ * Check that every number, date and name in an output appears in its context
+ * Numbers match when equal, or (for rounded figures like "8 billion" or "384,000") when the context
+ * has a number that rounds to them. A name matches when each of its words appears in the context.
+ * @param {string} output - Generated text
+ * @param {string} context - Source text the output should be based on
+ * @param {object} options - Options
+ * @param {string} options.allowed - Extra text whose claims are allowed (e.g. the question or topic)
+ * @returns {{grounded: boolean, claims: Array<object>, unsupported: Array<object>}} - Result
+ */
+function verifyGrounding(output, context, options = {}) {
+  const reference = `${context || ''}\n${options.allowed || ''}`;
+  const known = scan(reference);
+  const words = new Set((reference.toLowerCase().match(/[\p{L}\p{N}'’-]+/gu) || []).flatMap(word => [word, stripPossessive(word)]));
+
+  const { claims } = scan(output);
+  const unsupported = claims.filter(claim => {
+    if (claim.type === 'date') {
+      return !known.dates.some(date => date.year === claim.year && date.month === claim.month &&
+        (claim.day === null || date.day === claim.day));
+    }
+    if (claim.type === 'number') {
+      return !known.numbers.some(number => matchesNumber(claim, number.value));
+    }
+    return !claim.words.every(word => words.has(word));
+  });
+
+  return { grounded: unsupported.length === 0, claims, unsupported };
+}
+
+/**
+ * Extract claims (with normalized values) from text
+ */
+function scan(text) {
+  const claims = [];
+  const dates = [];
+  const numbers = [];
+
+  // Dates first; their digits are not checked again as numbers
+  const withoutDates = text.replace(DATE, (match, dayBefore, monthAfter, monthBefore, dayAfter, year) => {
+    const date = {
+      type: 'date',
+      text: match.trim(),
+      year: Number(year),
+      month: MONTHS.indexOf((monthAfter || monthBefore).toLowerCase()),
+      day: dayBefore || dayAfter ? Number(dayBefore || dayAfter) : null
+    };
+    dates.push(date);
+    claims.push(date);
+    return ' '.repeat(match.length);
+  });
+
+  for (const match of withoutDates.matchAll(NUMBER)) {
+    const written = match[0].replace(/,+$/, '');
+    const digits = written.replace(/\s*[A-Za-z]+$/, '').replace(/,/g, '').replace('−', '-');
+    const scale = match[1] ? SCALES[match[1].toLowerCase()] : 1;
+    const number = { type: 'number', text: written, value: Number(digits) * scale, tolerance: roundingTolerance(digits, scale) };
+    numbers.push(number);
+    claims.push(number);
+  }
+
+  for (const match of withoutDates.matchAll(NAME)) {
+    const before = withoutDates.slice(0, match.index);
+    const sentenceStart = /(^|[.!?:]\s+|\n\s*)$/.test(before);
+    const words = match[0].toLowerCase().split(/\s+/).map(stripPossessive).filter(word => !NOT_NAMES.has(word));
+    // A single capitalized word starting a sentence is usually not a name
+    if (words.length === 0 || (sentenceStart && match[0].split(/\s+/).length === 1)) continue;
+    claims.push({ type: 'name', text: match[0], words });
+  }
+
+  return { claims, dates, numbers };
+}
+
+/**
+ * How far a written number may be from the context's number and still match
+ * "8 billion" or "384,000" are rounded figures; years and other small whole numbers must match exactly.
+ */
+function roundingTolerance(digits, scale) {
+  const [whole, fraction] = digits.replace('-', '').split('.');
+  if (fraction) return (10 ** -fraction.length * scale) / 2;
+  if (scale === 1 && Number(whole) < 10000) return 0;
+  const zeros = whole.match(/0*$/)[0].length;
+  return (10 ** zeros * scale) / 2;
+}
+
+function stripPossessive(word) {
+  return word.replace(/['’]s?$/, '');
+}
+
+function matchesNumber(claim, value) {
+  return claim.value === value || Math.abs(claim.value - value) <= claim.tolerance;
+}
+
+/**
+ * Pick the sentence of a context that best matches a question (extractive answer)
+ * Sentences score a point per word shared with the question, and two for having a number when the
+ * question asks for one ("How far...", "When...").
+ * @param {string} question - Question
+ * @param {string} context - Context text
+ * @returns {string|null} - Best sentence, or null if none scores
+ */
+function extractAnswer(question, context) {
+  const terms = new Set((question.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 3));
+  const wantsNumber = /\b(how (many|much|far|long|big|old|tall|high|large|deep)|when|what year)\b/i.test(question);
+  let best = null;
+  let bestScore = 0;
+
+  for (const sentence of splitSentences(context)) {
+    const shared = (sentence.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => terms.has(word)).length;
+    const score = shared + (wantsNumber && /\d/.test(sentence) ? 2 : 0);
+    if (score > bestScore) {
+      best = sentence;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+export { resolveGrounding, extractClaims, verifyGrounding, extractAnswer, POLICIES };
+export default verifyGrounding;
@@ -0,0 +1,94 @@
+/**
+ * HTTP Requests
+ * The request path shared by the Wikipedia and Wikidata clients: identifies itself with a User-Agent
+ * (Wikimedia's API etiquette asks for contact details), waits for the request and rate limits, turns
+ * error responses into typed errors (see src/errors.js) and retries rate limits, server and network
+ * errors with exponential backoff, honoring Retry-After.
+ */
+
+import { LookupError, NetworkError, createHttpError } from './errors.js';
+
+const DEFAULT_USER_AGENT = 'DocuFresh-AI/0.2.0 (https://github.com/manthenavamsi/docufresh-ai)';
+
+/**
+ * Normalize the retry option
+ * @param {boolean|number|object} option - false (no retries), a number of retries, or
+ *   { retries, minDelay, maxDelay } (default: 3 retries, 500 ms doubling up to 30 s)
+ * @returns {{retries: number, minDelay: number, maxDelay: number}}
+ */
+function resolveRetryOptions(option = {}) {
+  const options = option === false ? { retries: 0 } : typeof option === 'number' ? { retries: option } : { ...option };
+
+  const retries = options.retries ?? 3;
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`retry.retries must be a non-negative integer, got ${retries}`);
+  }
+  const minDelay = options.minDelay ?? 500;
+  const maxDelay = options.maxDelay ?? 30000;
+  if (!(minDelay >= 0) || !(maxDelay >= minDelay)) {
+    throw new Error(`retry delays must satisfy 0 <= minDelay <= maxDelay, got ${minDelay} and ${maxDelay}`);
+  }
+
+  return { retries, minDelay, maxDelay };
+}
+
+/**
+ * Delay before a retry: Retry-After when the API sent one, otherwise minDelay doubled per attempt
+ * with jitter, so parallel requests don't retry in lockstep
+ * @param {number} attempt - Retry number, from 0
+ * @param {object} retry - Result of resolveRetryOptions()
+ * @param {LookupError} error - Error of the failed attempt
+ * @returns {number} - Delay in ms
+ */
+function getRetryDelay(attempt, retry, error) {
+  if (error.retryAfter != null) return error.retryAfter;
+  const backoff = Math.min(retry.maxDelay, retry.minDelay * 2 ** attempt);
+  return backoff / 2 + Math.random() * backoff / 2;
+}
+
+/**
+ * Request a URL, retrying failures that may go away
+ * @param {string} url - URL
+ * @param {object} options - Request options
+ * @param {function} options.transport - fetch-compatible transport (default: global fetch)
+ * @param {function} options.limit - Concurrency limiter from createLimiter()
+ * @param {function} options.throttle - Rate limiter from createRateLimiter()
+ * @param {string} options.userAgent - User-Agent header (Node.js only; browsers forbid it)
+ * @param {object} options.retry - Result of resolveRetryOptions()
+ * @param {string} options.service - Service name for error messages (e.g. 'Wikipedia')
+ * @returns {Promise<Response>} - Successful response
+ * @throws {LookupError} - NotFoundError, RateLimitedError, ServerError, NetworkError or LookupError
+ */
+async function request(url, { transport, limit, throttle, userAgent, retry, service }) {
+  const send = transport || (typeof fetch !== 'undefined' ? fetch : null);
+  if (!send) {
+    // Fallback for older Node.js (shouldn't be needed with Node 18+)
+    throw new Error('fetch is not available. Please use Node.js 18+ or a browser environment.');
+  }
+
+  const headers = { 'Accept': 'application/json' };
+  if (typeof window === 'undefined') {
+    headers['User-Agent'] = userAgent || DEFAULT_USER_AGENT;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const response = await limit(() => throttle(() => send(url, { headers })));
+      if (response.ok) return response;
+      error = createHttpError(response, url, service);
+    } catch (cause) {
+      error = cause instanceof LookupError
+        ? cause
+        : new NetworkError(`${service} is unreachable: ${cause.message}`, { url, cause });
+    }
+
+    const delay = error.retryable && attempt < retry.retries ? getRetryDelay(attempt, retry, error) : Infinity;
+    // A Retry-After longer than maxDelay is given up on rather than waited out
+    if (delay > retry.maxDelay) throw error;
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+export { request, resolveRetryOptions, getRetryDelay, DEFAULT_USER_AGENT };
+export default request;
@@ -9,8 +9,117 @@ export interface WikipediaSummary {
   extractShort: string;
   thumbnail: string | null;
   url: string | null;
+  /** Last edit of the article */
   timestamp: string;
+  /** When the summary was fetched from Wikipedia (Wikipedia sources only) */
+  retrieved?: string;
+  /** Article revision id (Wikipedia sources only) */
+  revision?: string | null;
+  /** Language of the wiki the summary came from (Wikipedia sources only) */
+  language?: string;
+  /** Page type: 'standard' or 'disambiguation' (Wikipedia sources only) */
+  type?: string;
+  /** Set when the topic led to a disambiguation page */
+  disambiguation?: Disambiguation;
   error?: boolean;
+  /** Why the lookup failed (with error: true): tells a missing article from an outage */
+  errorCode?: LookupErrorCode;
+  /** HTTP status of the failed lookup, or null without a response */
+  status?: number | null;
+}
+
+/**
+ * An article listed on a disambiguation page, scored against the sentence around the marker
+ */
+export interface DisambiguationCandidate {
+  title: string;
+  /** Short description, e.g. 'Smallest and closest planet to the Sun' */
+  description: string;
+  score: number;
+}
+
+/**
+ * How a topic that led to a disambiguation page ("Mercury") was resolved
+ */
+export interface Disambiguation {
+  /** Title of the disambiguation page */
+  topic: string;
+  /** Title of the article chosen, or null when no candidate matched the context */
+  chosen: string | null;
+  /** Best-ranked candidates (up to 10) */
+  candidates: DisambiguationCandidate[];
+}
+
+/**
+ * One section of an article (its own text, without subsections)
+ */
+export interface WikipediaSection {
+  title: string;
+  /** Heading id, as in the article URL fragment */
+  anchor: string;
+  /** Table of contents number, e.g. '2.1' */
+  number: string;
+  /** Heading level: 2 for top-level sections */
+  level: number;
+  text: string;
+}
+
+/**
+ * Table of contents and plain text of an article (WikipediaClient.getSections)
+ */
+export interface WikipediaSections {
+  title: string;
+  url: string;
+  revision: string | null;
+  timestamp: string | null;
+  /** When the article was fetched */
+  retrieved: string;
+  language: string;
+  /** Paragraphs before the first heading */
+  lead: string;
+  sections: WikipediaSection[];
+}
+
+/**
+ * One section with its subsections (WikipediaClient.getSection)
+ */
+export interface WikipediaSectionText extends Omit<WikipediaSections, 'lead' | 'sections'> {
+  /** Section title */
+  section: string;
+  anchor: string;
+  text: string;
+}
+
+/**
+ * Paragraph that best matches a question (WikipediaClient.findPassage)
+ */
+export interface WikipediaPassage extends Omit<WikipediaSections, 'lead' | 'sections'> {
+  /** Section title, or null for the lead */
+  section: string | null;
+  anchor: string | null;
+  text: string;
+  score: number;
+}
+
+/**
+ * Infobox of an article (WikipediaClient.getInfobox)
+ */
+export interface WikipediaInfobox extends Omit<WikipediaSections, 'lead' | 'sections'> {
+  /** Infobox type, e.g. 'company'; null if the article has no infobox */
+  type: string | null;
+  /** Cleaned values by normalized field name, e.g. { key_people: 'Elon Musk (CEO), ...' } */
+  fields: Record<string, string>;
+}
+
+/**
+ * One infobox value (WikipediaClient.getInfoboxField)
+ */
+export interface WikipediaInfoboxField extends Omit<WikipediaSections, 'lead' | 'sections'> {
+  /** Key as requested */
+  key: string;
+  /** Field the key matched */
+  field: string;
+  value: string;
 }
 
 export interface WikipediaSearchResult {
@@ -19,8 +128,317 @@ export interface WikipediaSearchResult {
   url: string;
 }
 
-export interface WikipediaClientOptions {
+/**
+ * Cache entry as stored by a cache store
+ */
+export interface CacheEntry<T = unknown> {
+  data: T;
+  /** When the entry was written (ms since epoch) */
+  timestamp: number;
+}
+
+/**
+ * Custom cache store adapter (methods may be sync or async)
+ */
+export interface CacheStore {
+  get(key: string): CacheEntry | null | undefined | Promise<CacheEntry | null | undefined>;
+  set(key: string, entry: CacheEntry): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  clear(): void | Promise<void>;
+}
+
+export type CacheOption = 'memory' | 'file' | 'indexeddb' | CacheStore;
+
+export interface ResponseCacheOptions {
+  store?: CacheOption;
+  /** Folder for the 'file' store. Default: '.cache/docufresh-ai' */
+  directory?: string;
+  /** Time in ms before an entry is stale. Default: 1 hour */
+  ttl?: number;
+  /** Serve stale entries while refreshing them in the background. Default: true */
+  staleWhileRevalidate?: boolean;
+}
+
+export declare class ResponseCache {
+  constructor(options?: ResponseCacheOptions);
+  readonly store: CacheStore;
+  /** Cached value, loading it when missing or stale (stale data stands in when the loader fails) */
+  getOrLoad<T>(key: string, loader: () => Promise<T>): Promise<T>;
+  /** Fresh cached value, or null */
+  get<T>(key: string): Promise<T | null>;
+  set<T>(key: string, data: T): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export declare class MemoryCacheStore implements CacheStore {
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/** One JSON file per entry (Node.js only) */
+export declare class FileCacheStore implements CacheStore {
+  constructor(options?: { directory?: string });
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/** IndexedDB-backed store (browser only) */
+export declare class IndexedDBCacheStore implements CacheStore {
+  constructor(options?: { databaseName?: string; storeName?: string });
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/**
+ * HTTP transport with the global fetch signature
+ */
+export type FetchLike = (url: string, init?: { headers?: Record<string, string> }) => Promise<Response>;
+
+export interface RecordReplayOptions {
+  /** Fixtures folder */
+  directory: string;
+  /** 'auto' (default): replay if recorded, else record; 'record': always refetch; 'replay': fixtures only */
+  mode?: 'auto' | 'record' | 'replay';
+  /** Transport used when recording. Default: global fetch */
+  fetch?: FetchLike;
+}
+
+/**
+ * Fetch that records responses to a fixtures folder and replays them (Node.js only)
+ * Only 2xx and 404 responses are recorded; rate limits and server errors pass through unrecorded
+ */
+export declare function createRecordReplayFetch(options: RecordReplayOptions): FetchLike;
+
+/** Runs at most `concurrency` tasks at once */
+export interface Limiter {
+  <T>(task: () => T | Promise<T>): Promise<T>;
+  concurrency: number;
+}
+
+/**
+ * Create a limiter, e.g. to share one request limit between clients
+ */
+export declare function createLimiter(concurrency?: number): Limiter;
+
+/** Starts at most `rate` tasks per second (bursts of up to `rate` after a quiet period) */
+export interface RateLimiter {
+  <T>(task: () => T | Promise<T>): Promise<T>;
+  rate: number;
+}
+
+/**
+ * Create a rate limiter, e.g. to share one request rate between clients
+ */
+export declare function createRateLimiter(rate?: number): RateLimiter;
+
+/**
+ * Retries of rate-limited (429), server (5xx) and network errors, with exponential backoff and jitter.
+ * A Retry-After header sets the wait instead; one longer than maxDelay fails right away.
+ */
+export interface RetryOptions {
+  /** Default: 3 */
+  retries?: number;
+  /** First backoff in ms, doubled per retry. Default: 500 */
+  minDelay?: number;
+  /** Longest wait in ms. Default: 30000 */
+  maxDelay?: number;
+}
+
+/** false (no retries), a number of retries, or retry options */
+export type RetryOption = boolean | number | RetryOptions;
+
+/** Options shared by the Wikipedia and Wikidata clients for their HTTP requests */
+export interface RequestOptions {
+  /** Maximum requests started per second. Default: 10 */
+  rateLimit?: number;
+  /** Shared rate limiter (overrides rateLimit) */
+  rateLimiter?: RateLimiter;
+  retry?: RetryOption;
+  /**
+   * User-Agent sent from Node.js (browsers forbid the header). Wikimedia asks for a way to contact you,
+   * e.g. 'MyDocs/1.0 (https://example.com; docs@example.com)'. Default: DocuFresh-AI's
+   */
+  userAgent?: string;
+}
+
+export type LookupErrorCode = 'not_found' | 'rate_limited' | 'server_error' | 'network_error' | 'lookup_failed';
+
+/** Failed Wikipedia/Wikidata lookup (used as is for other client errors, e.g. 403) */
+export declare class LookupError extends Error {
+  constructor(message: string, details?: { status?: number | null; url?: string | null; cause?: unknown });
+  code: LookupErrorCode;
+  /** HTTP status, or null without a response */
+  status: number | null;
+  url: string | null;
+  /** Whether the same request may succeed later (rate limits, server and network errors) */
+  readonly retryable: boolean;
+}
+
+/** The article, revision, section or field does not exist */
+export declare class NotFoundError extends LookupError {}
+
+/** The API answered 429 Too Many Requests */
+export declare class RateLimitedError extends LookupError {
+  /** Milliseconds the API asked to wait (Retry-After), or null */
+  retryAfter: number | null;
+}
+
+/** The API answered with a 5xx status */
+export declare class ServerError extends LookupError {}
+
+/** No response (offline, DNS failure, connection reset) */
+export declare class NetworkError extends LookupError {}
+
+export interface WikipediaClientOptions extends RequestOptions {
+  /** HTTP transport. Default: global fetch */
+  fetch?: FetchLike;
+  /** Maximum parallel HTTP requests. Default: 4 */
+  concurrency?: number;
+  /** Shared limiter (overrides concurrency) */
+  limiter?: Limiter;
   cacheTTL?: number;
+  /** Cache store, or a ResponseCache shared with other clients. Default: 'memory' */
+  cache?: CacheOption | ResponseCache;
+  /** Folder for the 'file' cache store */
+  cacheDir?: string;
+  /** Serve stale entries while refreshing them in the background. Default: true */
+  staleWhileRevalidate?: boolean;
+  /** Wikipedia language code. Default: 'en' */
+  language?: string;
+  /** Wikis whose interlanguage links are followed when an article is missing. Default: ['en'] */
+  fallbackLanguages?: string[];
+  /** Resolve disambiguation pages to one of their articles. Default: true */
+  disambiguation?: boolean;
+  /** Re-rank search fallback results with an embedding model. Default: off (the first result is used) */
+  rerank?: boolean | RerankOptions | string | EmbedFunction;
+  /** Embedding model download progress */
+  onProgress?: (progress: any) => void;
+  /** Where status lines go. Default: stderr */
+  logger?: LoggerOption;
+}
+
+export interface WikipediaLookupOptions {
+  /** Override the client language for this call */
+  language?: string;
+}
+
+export interface WikipediaSummaryOptions extends WikipediaLookupOptions {
+  /** Text the topic appears in; picks the article of a disambiguation page */
+  context?: string;
+  /** Set to false to get a disambiguation page itself */
+  disambiguation?: boolean;
+  /** Throw a LookupError instead of returning a summary with error: true */
+  strict?: boolean;
+}
+
+export interface WikipediaSectionOptions extends WikipediaLookupOptions {
+  /** Read this revision instead of the latest */
+  revision?: string | number;
+}
+
+/** Options markers pass to knowledge source lookups */
+export interface KnowledgeSourceLookupOptions {
+  /** Throw a LookupError instead of returning an error summary or "Unable to ..." text */
+  strict?: boolean;
+}
+
+/**
+ * Contract for anything the ai_* markers can read facts from.
+ * WikipediaClient and LocalKnowledgeSource both implement it.
+ * Markers look up with { strict: true }; a source should then throw rather than return error text
+ * (summaries with error: true fail the marker too).
+ */
+export interface KnowledgeSource {
+  getSummary(topic: string, options?: KnowledgeSourceLookupOptions): Promise<WikipediaSummary>;
+  getFact(topic: string, options?: KnowledgeSourceLookupOptions): Promise<string>;
+  search(query: string, limit?: number): Promise<WikipediaSearchResult[]>;
+  /** Optional: extract text, falling back to the best search match */
+  getFactWithFallback?(topic: string, options?: KnowledgeSourceLookupOptions): Promise<string>;
+  /** Optional: canonical URL for a topic (used by ai_link when the summary has none) */
+  getUrl?(topic: string): string;
+  /** Optional: one section of an article (ai_section and "#Section" topics) */
+  getSection?(topic: string, section: string): Promise<WikipediaSectionText>;
+  /** Optional: the paragraph that best matches a question (answerContext 'passage') */
+  findPassage?(topic: string, question: string): Promise<WikipediaPassage | null>;
+  /** Optional: one infobox value, matching the key fuzzily (ai_infobox) */
+  getInfoboxField?(topic: string, key: string): Promise<WikipediaInfoboxField>;
+  clearCache?(): void | Promise<void>;
+}
+
+export interface LocalDocument {
+  title: string;
+  description?: string;
+  /** Plain text served as the summary extract (`content` is accepted as an alias) */
+  extract?: string;
+  content?: string;
+  url?: string;
+  timestamp?: string;
+  /** Extra topic names that resolve to this document */
+  aliases?: string[];
+}
+
+export interface LocalKnowledgeSourceOptions {
+  /** Folder of .md/.markdown/.json files (Node.js only) */
+  directory?: string;
+  /** In-memory documents */
+  documents?: LocalDocument[];
+}
+
+export interface WikidataClientOptions extends RequestOptions {
+  /** HTTP transport. Default: global fetch */
+  fetch?: FetchLike;
+  /** Maximum parallel HTTP requests. Default: 4 */
+  concurrency?: number;
+  /** Shared limiter (overrides concurrency) */
+  limiter?: Limiter;
+  cacheTTL?: number;
+  cache?: CacheOption | ResponseCache;
+  cacheDir?: string;
+  staleWhileRevalidate?: boolean;
+  /** Language for labels and the wiki article titles belong to. Default: 'en' */
+  language?: string;
+}
+
+export interface WikidataStatement {
+  /** Item id, e.g. 'Q42' */
+  entity: string;
+  /** Property id, e.g. 'P569' */
+  property: string;
+  /** Item label */
+  label: string;
+  /** Raw value (number for quantities, item id for items, ISO-like string for times) */
+  value: unknown;
+  /** Unit label for quantities, e.g. 'metre' */
+  unit: string | null;
+  /** Display text, e.g. '8,019,876,189' or '185 centimetre' */
+  formatted: string;
+  rank: 'preferred' | 'normal';
+  qualifiers: {
+    /** Point in time (or start time) of the statement, formatted at its precision */
+    pointInTime: string | null;
+  };
+  /** Citable link to the statement */
+  url: string;
+}
+
+export declare class WikidataClient {
+  constructor(options?: WikidataClientOptions);
+  /** Best statement: preferred rank first, then the latest point in time; NotFoundError if the item or value is missing */
+  getStatement(topic: string, property: string, options?: { language?: string }): Promise<WikidataStatement>;
+  /** Formatted value with its point in time, e.g. '8,019,876,189 (2023)' */
+  getValue(topic: string, property: string, options?: { language?: string }): Promise<string>;
+  resolveEntity(topic: string, language?: string): Promise<string>;
+  resolveProperty(property: string): Promise<string>;
+  /** Raw item with claims and labels in the given language (plus English) */
+  getEntity(id: string, language?: string): Promise<Record<string, any>>;
+  getLabel(id: string, language?: string): Promise<string>;
+  clearCache(): Promise<void>;
 }
 
 /**
@@ -28,34 +446,358 @@ export interface WikipediaClientOptions {
  */
 export type ModelKey = 'small' | 'base' | 'large';
 
+/**
+ * Generation tasks; each can run on its own model (options.models)
+ */
+export type ModelTask = 'fact' | 'describe' | 'paragraph' | 'summarize' | 'answer' | 'rewrite';
+
+/**
+ * 'instruction': the model gets the full prompt; 'raw': only the text to work on (context or sentence)
+ */
+export type PromptStyle = 'instruction' | 'raw';
+
 /**
  * Model information
  */
 export interface ModelInfo {
   id: string;
   name: string;
-  size: string;
-  quality: 'good' | 'better' | 'best';
-  description: string;
+  /** Set for the built-in models */
+  size?: string;
+  quality?: 'good' | 'better' | 'best';
+  description?: string;
+  /** Transformers.js pipeline type, e.g. 'text2text-generation' or 'summarization' */
+  pipeline: string;
+  promptStyle: PromptStyle;
+  /** Tasks the model serves */
+  tasks: ModelTask[];
 }
 
-export declare class WikipediaClient {
+/**
+ * Model metadata for registerModel() (or inline in the model and models options)
+ */
+export interface ModelDefinition {
+  /** Hugging Face model ID (or the server's model name for the 'openai' backend) */
+  id: string;
+  /** Display name. Default: the id */
+  name?: string;
+  /** Transformers.js pipeline type. Default: 'text2text-generation' */
+  pipeline?: string;
+  /** Default: 'raw' for 'summarization' pipelines, otherwise 'instruction' */
+  promptStyle?: PromptStyle;
+  /** Tasks the model serves. Default: all */
+  tasks?: ModelTask[];
+  size?: string;
+  quality?: 'good' | 'better' | 'best';
+  description?: string;
+}
+
+/** Model key, model ID or model metadata */
+export type ModelOption = ModelKey | string | ModelDefinition;
+
+export declare class WikipediaClient implements KnowledgeSource {
   constructor(options?: WikipediaClientOptions);
-  getSummary(topic: string): Promise<WikipediaSummary>;
-  getFact(topic: string): Promise<string>;
-  /** Get fact with search fallback - searches Wikipedia if direct lookup fails */
-  getFactWithFallback(topic: string): Promise<string>;
+  readonly language: string;
+  /** Client bound to another language, sharing this client's cache */
+  forLanguage(language: string): WikipediaClient;
+  /** Summary of an article; disambiguation pages resolve to the article that matches options.context */
+  getSummary(topic: string, options?: WikipediaSummaryOptions): Promise<WikipediaSummary>;
+  /** Articles a disambiguation page links to, with their short descriptions */
+  getDisambiguationCandidates(topic: string, options?: WikipediaLookupOptions): Promise<Array<{ title: string; description: string }>>;
+  /** Summary of an article at a specific revision (lead section of that revision) */
+  getRevisionSummary(revision: string | number, options?: WikipediaLookupOptions & { strict?: boolean }): Promise<WikipediaSummary>;
+  /** Table of contents and plain text of every section; errors are thrown (status 404 if missing) */
+  getSections(topic: string, options?: WikipediaSectionOptions): Promise<WikipediaSections>;
+  /** One section by title or anchor, with its subsections; throws if there is no such section */
+  getSection(topic: string, section: string, options?: WikipediaSectionOptions): Promise<WikipediaSectionText>;
+  /** The paragraph of the whole article that best matches a question */
+  findPassage(topic: string, question: string, options?: WikipediaSectionOptions): Promise<WikipediaPassage | null>;
+  /** Infobox fields of an article, cleaned of links, references and templates */
+  getInfobox(topic: string, options?: WikipediaSectionOptions): Promise<WikipediaInfobox>;
+  /** One infobox field; the key matches fuzzily ('CEO', 'headquarters'); throws if none matches */
+  getInfoboxField(topic: string, key: string, options?: WikipediaSectionOptions): Promise<WikipediaInfoboxField>;
+  getFact(topic: string, options?: WikipediaSummaryOptions): Promise<string>;
+  /**
+   * Get fact with search fallback - searches Wikipedia if the article is missing (not when Wikipedia is down).
+   * With the rerank option the result most similar to the topic and options.context is used, if any reaches
+   * the threshold. With options.strict, failures throw a LookupError instead of returning "Unable to ..." text
+   */
+  getFactWithFallback(topic: string, options?: { context?: string; strict?: boolean }): Promise<string>;
+  /** Re-rank search results by embedding similarity (needs the rerank option) */
+  rankSearchResults(topic: string, results: WikipediaSearchResult[], options?: WikipediaSummaryOptions): Promise<RankedSearchResult[]>;
+  /** Short descriptions of several articles, by title */
+  getDescriptions(titles: string[], options?: WikipediaLookupOptions): Promise<Map<string, string>>;
   getDescription(topic: string): Promise<string>;
+  /** Search results; failures return [] (or throw with options.strict) */
+  search(query: string, limit?: number, options?: WikipediaLookupOptions & { strict?: boolean }): Promise<WikipediaSearchResult[]>;
+  getUrl(topic: string, language?: string): string;
+  /** Title of the interlanguage link from one wiki to another, or null */
+  getLanguageLink(title: string, fromLanguage: string, toLanguage: string): Promise<string | null>;
+  normalizeTopic(topic: string): string;
+  /** Clear the cache, including persistent stores */
+  clearCache(): Promise<void>;
+}
+
+export declare class LocalKnowledgeSource implements KnowledgeSource {
+  constructor(options?: LocalKnowledgeSourceOptions);
+  /** With options.strict, a missing document throws a NotFoundError instead of returning an error summary */
+  getSummary(topic: string, options?: KnowledgeSourceLookupOptions): Promise<WikipediaSummary>;
+  getFact(topic: string, options?: KnowledgeSourceLookupOptions): Promise<string>;
+  getFactWithFallback(topic: string, options?: KnowledgeSourceLookupOptions): Promise<string>;
   search(query: string, limit?: number): Promise<WikipediaSearchResult[]>;
   normalizeTopic(topic: string): string;
+  /** Forget loaded documents so the next lookup re-reads the directory */
   clearCache(): void;
 }
 
+export interface GenerateOptions {
+  /** Maximum tokens to generate */
+  maxNewTokens?: number;
+  /** Sampling temperature: 0 (deterministic) to 1 (creative) */
+  temperature?: number;
+  /** Task the text is generated for (picks the task's model) */
+  task?: ModelTask;
+  /** Text sent instead of the prompt to 'raw' prompt style models */
+  input?: string;
+}
+
+/**
+ * Text generation backend used by AIEngine
+ */
+export interface GenerationBackend {
+  /** Load the model / prepare the connection (optional) */
+  init?(): Promise<void>;
+  /** Generate text for a prompt */
+  generate(prompt: string, options: GenerateOptions): Promise<string>;
+}
+
+export type GenerateFunction = (prompt: string, options: GenerateOptions) => string | Promise<string>;
+
+export type BackendOption = 'transformers' | 'openai' | 'mock' | GenerateFunction | GenerationBackend;
+
+export interface BackendOptions {
+  /** Override the model passed to the backend */
+  model?: string;
+  /** 'openai': API base URL. Default: 'http://localhost:11434/v1' (Ollama) */
+  baseUrl?: string;
+  /** 'openai': bearer token */
+  apiKey?: string;
+  /** 'openai': HTTP transport */
+  fetch?: FetchLike;
+  /** 'mock': fixed response or (prompt, options) => string */
+  response?: string | GenerateFunction;
+  /** 'transformers': pipeline task. Default: 'text2text-generation' */
+  task?: string;
+}
+
+/** Transformers.js backend (default): runs the model locally */
+export declare class TransformersBackend implements GenerationBackend {
+  constructor(options?: { model?: string; task?: string; onProgress?: (progress: any) => void; logger?: Logger });
+  init(): Promise<void>;
+  generate(prompt: string, options: GenerateOptions): Promise<string>;
+}
+
+/** Backend for OpenAI-compatible servers such as llama.cpp or Ollama */
+export declare class OpenAICompatibleBackend implements GenerationBackend {
+  constructor(options?: { baseUrl?: string; model?: string; apiKey?: string; fetch?: FetchLike });
+  init(): Promise<void>;
+  generate(prompt: string, options: GenerateOptions): Promise<string>;
+}
+
+/** Backend wrapping an async function */
+export declare class FunctionBackend implements GenerationBackend {
+  constructor(fn: GenerateFunction);
+  init(): Promise<void>;
+  generate(prompt: string, options: GenerateOptions): Promise<string>;
+}
+
+/** Deterministic backend for tests: echoes the first sentence of the longest prompt line by default */
+export declare class MockBackend implements GenerationBackend {
+  constructor(options?: { response?: string | GenerateFunction });
+  /** Every prompt received, in order */
+  calls: Array<{ prompt: string; options: GenerateOptions }>;
+  init(): Promise<void>;
+  generate(prompt: string, options: GenerateOptions): Promise<string>;
+}
+
+/** Receives status lines such as "Loading AI model: ..." */
+export interface Logger {
+  info(message: string): void;
+}
+
+/** false silences status lines; a function or Logger receives them. Default: stderr */
+export type LoggerOption = boolean | ((message: string) => void) | Logger;
+
 export interface AIEngineOptions {
-  model?: ModelKey | string;
+  model?: ModelOption;
+  /** Models for single tasks, e.g. { summarize: 'distilbart' }; loaded on the task's first use */
+  models?: Partial<Record<ModelTask, ModelOption>>;
   /** Temperature for AI output: 0 (deterministic) to 1 (creative). Default: 0 */
   temperature?: number;
   onProgress?: (progress: any) => void;
+  /** Where status lines go. Default: stderr */
+  logger?: LoggerOption;
+  /** Generation backend. Default: 'transformers' */
+  backend?: BackendOption;
+  /** Options for the built-in backend */
+  backendOptions?: BackendOptions;
+  /** Maximum parallel generations. Default: 1 */
+  concurrency?: number;
+  /** Prompt templates by name: override built-in tasks ('fact', 'summary', ...) or add new ones */
+  prompts?: Record<string, PromptOption>;
+  /** Check generated numbers, dates and names against the context (true = 'reject'). Default: off */
+  grounding?: boolean | GroundingPolicy;
+  /** How answerQuestion() answers from a context. Default: 'generative' */
+  answerStrategy?: AnswerStrategy;
+  /** Extractive QA settings, a QA model ID, or an answer function */
+  qa?: QAOptions | string | QAFunction;
+}
+
+/** 'lead': answer from the article summary; 'passage': from the paragraph that best matches the question */
+export type AnswerContext = 'lead' | 'passage';
+
+/** 'generative': the text generation model writes the answer; 'extractive': a QA model picks a span */
+export type AnswerStrategy = 'generative' | 'extractive';
+
+/** Answers a question with a span of the context and a score from 0 to 1 */
+export type QAFunction = (question: string, context: string) =>
+  { answer: string; score: number } | Promise<{ answer: string; score: number }>;
+
+export interface QABackend {
+  init?(): Promise<void>;
+  answer(question: string, context: string): Promise<{ answer: string; score: number }>;
+}
+
+export interface QAOptions {
+  /** Transformers.js question-answering model. Default: 'Xenova/distilbert-base-cased-distilled-squad' */
+  model?: string;
+  /** Default: 'transformers' */
+  backend?: 'transformers' | QAFunction | QABackend;
+  /** Minimum score to accept an answer. Default: 0.3 */
+  threshold?: number;
+  /**
+   * Below the threshold: 'unresolved' (default) leaves the marker as written, 'generative' asks the text
+   * generation model, 'default' uses defaultAnswer
+   */
+  fallback?: 'unresolved' | 'generative' | 'default';
+  /** Default: 'Unknown' */
+  defaultAnswer?: string;
+}
+
+/** Embeds texts: one vector per text */
+export type EmbedFunction = (texts: string[]) => number[][] | Promise<number[][]>;
+
+export interface EmbeddingBackend {
+  init?(): Promise<void>;
+  embed(texts: string[]): Promise<number[][]>;
+}
+
+/**
+ * Re-ranking of search fallback results by embedding similarity
+ */
+export interface RerankOptions {
+  /** Transformers.js feature-extraction model. Default: 'Xenova/all-MiniLM-L6-v2' */
+  model?: string;
+  /** Default: 'transformers' */
+  backend?: 'transformers' | EmbedFunction | EmbeddingBackend;
+  /** Minimum similarity (0-1) a result needs to be used; below it the topic is not found. Default: 0.4 */
+  threshold?: number;
+  /** Number of search results to re-rank. Default: 5 */
+  topN?: number;
+}
+
+/** A search result scored by re-ranking (score null if the embedding model failed) */
+export interface RankedSearchResult extends WikipediaSearchResult {
+  score: number | null;
+}
+
+export interface ExtractiveAnswer {
+  /** The answer as it appears in the context */
+  answer: string;
+  /** Offsets of the answer in the context (end exclusive), or null if the model's answer wasn't found in it */
+  start: number | null;
+  end: number | null;
+  score: number;
+  threshold: number;
+  /** Whether the answer was found in the context with a score at or above the threshold */
+  accepted: boolean;
+}
+
+/**
+ * What to do with AI output whose numbers, dates or names are not in the context:
+ * 'flag' keeps it and reports it, 'reject' uses extractive text instead, 'retry' asks again with the
+ * 'strict' prompt and rejects if that is still ungrounded
+ */
+export type GroundingPolicy = 'flag' | 'reject' | 'retry';
+
+export interface GroundingClaim {
+  type: 'number' | 'date' | 'name';
+  /** The claim as written */
+  text: string;
+}
+
+export interface GroundingResult {
+  grounded: boolean;
+  claims: GroundingClaim[];
+  /** Claims that don't appear in the context */
+  unsupported: GroundingClaim[];
+}
+
+/** Check that every number, date and name in an output appears in the context (or options.allowed) */
+export declare function verifyGrounding(output: string, context: string, options?: { allowed?: string }): GroundingResult;
+
+/** Values for a prompt template's {placeholders} */
+export interface PromptVariables {
+  topic?: string;
+  /** Article text or facts (cut to the prompt's contextLength) */
+  context?: string;
+  question?: string;
+  sentence?: string;
+  [name: string]: string | undefined;
+}
+
+/** Template text with {topic}, {context}, {question}, {sentence} (unknown placeholders are kept), or a function */
+export type PromptTemplate = string | ((variables: PromptVariables) => string);
+
+export interface PromptDefinition {
+  template: PromptTemplate;
+  /** Characters of {context} passed to the template */
+  contextLength?: number;
+  maxNewTokens?: number;
+  temperature?: number;
+}
+
+export type PromptOption = PromptTemplate | PromptDefinition;
+
+/** Built-in prompt names */
+export type PromptTask =
+  | 'fact' | 'description' | 'paragraph' | 'summary' | 'answer' | 'simpleAnswer' | 'rewrite' | 'polish' | 'strict';
+
+export interface PromptCallOptions {
+  /** Override the prompt's or instance temperature */
+  temperature?: number;
+  /** Template for this call only (keeps the task's contextLength and generation defaults) */
+  prompt?: PromptOption;
+  /** Marker name: a prompt registered under it (e.g. 'ai_summary') is used instead of the task's */
+  marker?: string;
+  /** Override the grounding policy for this call (false turns it off) */
+  grounding?: boolean | GroundingPolicy;
+}
+
+/** Named prompt templates, starting from the built-in tasks */
+export declare class PromptRegistry {
+  constructor(prompts?: Record<string, PromptOption>);
+  /** Add or override a prompt (overriding a built-in keeps its defaults unless set) */
+  set(name: PromptTask | string, prompt: PromptOption): this;
+  get(name: string): PromptDefinition | null;
+  has(name: string): boolean;
+  names(): string[];
+  /** Render the first existing prompt among the names; throws if there is none */
+  render(
+    names: string | Array<string | undefined>,
+    variables?: PromptVariables,
+    override?: PromptOption | null
+  ): { name: string; prompt: string; context?: string; maxNewTokens?: number; temperature?: number };
 }
 
 export declare class AIEngine {
@@ -67,28 +809,173 @@ export declare class AIEngine {
   /**
    * Get information about a specific model
    */
-  static getModelInfo(modelKey: ModelKey): ModelInfo | null;
+  static getModelInfo(modelKey: ModelKey | string): ModelInfo | null;
+
+  /**
+   * Register a model under a key, for the model and models options (shared by every instance).
+   * Built-in keys ('small', 'base', 'large') are rejected unless options.override is set
+   */
+  static registerModel(key: string, info: ModelDefinition, options?: { override?: boolean }): ModelInfo;
 
   constructor(options?: AIEngineOptions);
+  /** Run a task on its own model (null: back to the default model) */
+  setTaskModel(task: ModelTask, model: ModelOption | null): this;
+  /** Model info used for a task (omit for the default model) */
+  getTaskModel(task?: ModelTask): ModelInfo;
+  /** The active generation backend */
+  backend: GenerationBackend;
+  /** Load the default model, unless every task has a model of its own (task models load on first use) */
   init(): Promise<void>;
-  rewriteSentence(fact: string, template: string, options?: { useAI?: boolean }): Promise<string>;
-  generateParagraph(topic: string, facts: string): Promise<string>;
-  summarize(text: string, maxLength?: number): Promise<string>;
-  answerQuestion(question: string, context: string): Promise<string>;
-  answerSimple(question: string): Promise<string>;
-  extractKeyFact(text: string): Promise<string>;
-  generateDescription(topic: string, context: string): Promise<string>;
-  rewriteWithFacts(sentence: string, facts: string): Promise<string>;
+  /** Generate text for a raw prompt with the configured backend */
+  generate(prompt: string, options?: GenerateOptions): Promise<string>;
+  /** Prompt templates used by the task methods */
+  prompts: PromptRegistry;
+  /** Add or override a prompt template */
+  setPrompt(name: PromptTask | string, prompt: PromptOption): this;
+  /** Run a named prompt; errors (including unknown names) are thrown */
+  runPrompt(name: string, variables?: PromptVariables, options?: { temperature?: number }): Promise<string>;
+  rewriteSentence(fact: string, template: string, options?: PromptCallOptions & { useAI?: boolean }): Promise<string>;
+  generateParagraph(topic: string, facts: string, options?: PromptCallOptions): Promise<string>;
+  summarize(text: string, maxLength?: number, options?: PromptCallOptions): Promise<string>;
+  /** Answer from a context; throws for extractive answers below the threshold with qa.fallback 'unresolved' */
+  answerQuestion(
+    question: string,
+    context: string,
+    options?: PromptCallOptions & { strategy?: AnswerStrategy; threshold?: number }
+  ): Promise<string>;
+  /** Find the span of a context that answers a question, with the QA model */
+  answerExtractive(question: string, context: string, options?: { threshold?: number }): Promise<ExtractiveAnswer>;
+  answerSimple(question: string, options?: PromptCallOptions): Promise<string>;
+  extractKeyFact(text: string, options?: PromptCallOptions): Promise<string>;
+  generateDescription(topic: string, context: string, options?: PromptCallOptions): Promise<string>;
+  rewriteWithFacts(sentence: string, facts: string, options?: PromptCallOptions): Promise<string>;
   isReady(): boolean;
-  getModel(): string;
+  /** Model ID of the default model, or of the model a task runs on */
+  getModel(task?: ModelTask): string;
   /** Get the current temperature setting */
   getTemperature(): number;
   /** Set the temperature (0 = deterministic, 1 = creative) */
   setTemperature(temp: number): void;
-  setModel(modelName: ModelKey | string): Promise<void>;
-  resolveModel(modelInput: ModelKey | string): string;
+  setModel(modelName: ModelOption): Promise<void>;
+  resolveModel(modelInput: ModelOption): string;
 }
 
+/**
+ * Marker syntax
+ *
+ *   marker      = "{{" name [ "@" language ] [ ":" positional | whitespace named ] *filter "}}"
+ *   name        = "ai_" word-characters                  e.g. ai_fact
+ *   language    = Wikipedia language code               e.g. {{ai_fact@de:Mond}}
+ *   positional  = param *( ":" param )                   e.g. {{ai_answer:Moon:How far is it?}}
+ *   named       = *( key "=" param )                     e.g. {{ai_answer topic="Moon" question="How far: km?"}}
+ *   param       = quoted | *( text | marker )
+ *   quoted      = '"' characters '"'                      colons, braces and markers inside are plain text
+ *   filter      = "|" filter-name [ "=" param ]           e.g. {{ai_describe:Moon | maxWords=15 | sentence}}
+ *
+ * - Nested markers are resolved before the marker containing them:
+ *   {{ai_complete:The president is {{ai_answer:Who is the US president}}.}}
+ *   Sibling markers are resolved concurrently; identical markers are resolved once per process() call.
+ * - Unquoted params are trimmed. Extra colon-separated params are joined into a marker's last
+ *   parameter, so {{ai_fact:Star_Wars:_Episode_IV}} and sentences with colons work unquoted.
+ * - A first param naming a registered source selects it: {{ai_fact:internal:Billing_API}}
+ *   (named form: source="internal").
+ * - Escapes: \{{ and \}} anywhere (the marker is kept as text); inside markers also \: \" \\ \= and \|.
+ * - Filters post-process the output left to right (see OutputFilter); a failing filter leaves the marker as written.
+ * - Other {{...}} pairs (e.g. docufresh markers) are left alone.
+ * - A topic ending in @rev=N reads that article revision: {{ai_fact:Moon@rev=123456}}
+ * - Malformed markers are left as written and reported with their line and column (a MarkerSyntaxError with
+ *   the strict option or from parseMarkers()).
+ */
+export interface TextNode {
+  type: 'text';
+  value: string;
+  start: number;
+  end: number;
+  /** Syntax error of a malformed marker kept as text (parseMarkers with recover) */
+  error?: MarkerSyntaxError;
+}
+
+export interface MarkerParam {
+  /** Text and nested markers (a single text part for quoted params) */
+  parts: Array<Omit<TextNode, 'start' | 'end'> | MarkerNode>;
+  quoted: boolean;
+  start: number;
+  end: number;
+}
+
+export interface MarkerNode {
+  type: 'marker';
+  /** Marker name, e.g. 'ai_fact' */
+  name: string;
+  /** Language override from {{ai_name@lang:...}} */
+  language: string | null;
+  /** Positional params */
+  args: MarkerParam[];
+  /** Named params ({{ai_name key="value"}}), or null for the positional form */
+  named: Record<string, MarkerParam> | null;
+  /** Output filters in order ({{ai_fact:Moon | sentence}}); arg is null without "=" */
+  filters: Array<{ name: string; arg: MarkerParam | null }>;
+  /** Offsets in the parsed text (end is exclusive) */
+  start: number;
+  end: number;
+  /** 1-based position of the opening braces */
+  line: number;
+  column: number;
+  /** The marker's source text */
+  raw: string;
+}
+
+export type MarkerAstNode = TextNode | MarkerNode;
+
+export interface FilterContext {
+  /** Marker name */
+  marker: string;
+  /** Marker language override, or the instance language ('en' by default) */
+  language: string;
+  format: DocumentFormat;
+}
+
+/**
+ * Output filter: gets the current value and the text after "=" (undefined without one)
+ *
+ * Built-ins: sentence, sentences=N, maxWords=N, truncate=N (whole sentences within the limit; a longer
+ * first sentence is cut with "…"), stripPeriod, trim, lowercase, uppercase, lowercaseFirst, uppercaseFirst,
+ * titleCase, number[=locale], compact[=locale], currency=CODE (the first number in the value, with Intl)
+ */
+export type OutputFilter = (value: string, arg: string | undefined, context: FilterContext) => string | Promise<string>;
+
+/** Malformed marker, with the position of the problem */
+export declare class MarkerSyntaxError extends Error {
+  offset: number;
+  line: number;
+  column: number;
+}
+
+/**
+ * Build a lock from processDetailed() records (added to `previous` when given)
+ */
+export declare function createLock(records: MarkerRecord[], previous?: FreshnessLock | null): FreshnessLock;
+
+/** Read a lock file (null if it does not exist; Node.js only) */
+export declare function readLockFile(path: string): Promise<FreshnessLock | null>;
+
+/** Write a lock file (Node.js only) */
+export declare function writeLockFile(path: string, lock: FreshnessLock): Promise<void>;
+
+/**
+ * Parse text into text and marker nodes
+ * @throws MarkerSyntaxError
+ */
+export declare function parseMarkers(
+  text: string,
+  options?: {
+    /** Sorted [start, end) ranges kept as plain text (e.g. code blocks) */
+    skip?: Array<[number, number]>;
+    /** Keep malformed markers as text nodes with an error instead of throwing */
+    recover?: boolean;
+  }
+): MarkerAstNode[];
+
 export interface AIMarkers {
   /** AI extracts the most important fact from Wikipedia */
   ai_fact: (topic: string) => Promise<string>;
@@ -102,40 +989,320 @@ export interface AIMarkers {
   ai_paragraph: (topic: string) => Promise<string>;
   /** AI creates a condensed summary */
   ai_summary: (topic: string) => Promise<string>;
-  /** AI answers a question (with optional topic for context) */
+  /** AI answers a question (with optional topic or topic#Section for context) */
   ai_answer: (topicOrQuestion: string, question?: string) => Promise<string>;
+  /** Returns an exact Wikidata property value with units and point in time (no AI) */
+  ai_data: (topic: string, property: string) => Promise<string>;
   /** Returns Wikipedia URL (no AI) */
   ai_link: (topic: string) => Promise<string>;
   /** Returns article timestamp (no AI) */
   ai_updated: (topic: string) => Promise<string>;
+  /** Runs a named prompt template with the topic's article text as {context} */
+  ai_prompt: (name: string, topic?: string, question?: string) => Promise<string>;
+  /** AI summarizes one section of an article: topic#Section */
+  ai_section: (topic: string) => Promise<string>;
+  /** Returns a cleaned infobox field; field names match fuzzily (no AI) */
+  ai_infobox: (topic: string, key: string) => Promise<string>;
 }
 
 export interface CreateAIMarkersOptions {
   /** Use search fallback if direct Wikipedia lookup fails. Default: true */
   searchFallback?: boolean;
+  /** Wikidata client used by ai_data */
+  wikidata?: WikidataClient;
+  /** Context for ai_answer with a topic: 'lead' (default) or 'passage' */
+  answerContext?: AnswerContext;
 }
 
 export declare function createAIMarkers(
-  wikipedia: WikipediaClient,
+  source: KnowledgeSource,
   ai: AIEngine,
   options?: CreateAIMarkersOptions
 ): AIMarkers;
 
 export declare function registerAIMarkers(
   docufresh: any,
-  wikipedia: WikipediaClient,
-  ai: AIEngine
+  source: KnowledgeSource,
+  ai: AIEngine,
+  options?: CreateAIMarkersOptions
 ): AIMarkers;
 
+/** What a custom marker handler receives besides its parameters */
+export interface MarkerContext {
+  /** Knowledge source for this marker (source selector, language, @rev pin and tracing applied) */
+  source: KnowledgeSource;
+  ai: AIEngine;
+  wikidata: WikidataClient;
+  /** Options of the DocuFreshAI instance */
+  options: DocuFreshAIOptions;
+  /** Document being processed */
+  document: string;
+  marker: { name: string; raw: string; language: string | null; line: number; column: number };
+}
+
+/** Custom marker handler: called with the context and the bound parameters */
+export type MarkerHandler = (context: MarkerContext, ...params: string[]) => string | Promise<string>;
+
+export interface MarkerOptions {
+  /** Parameter names in positional order (also usable as named params: {{ai_price item="Gold"}}) */
+  params?: string[];
+  /**
+   * 'rest' (default with params): extra colon-separated arguments are joined into the last parameter.
+   * 'all': every argument is passed separately
+   */
+  splitMode?: 'rest' | 'all';
+}
+
+export interface MarkerDefinition extends MarkerOptions {
+  fn: MarkerHandler;
+}
+
 export interface DocuFreshAIOptions {
   /** Model to use: 'small' (default), 'base', 'large', or custom model ID */
-  model?: ModelKey | string;
+  model?: ModelOption;
+  /** Models for single tasks, e.g. { summarize: 'distilbart' }; loaded on the task's first use */
+  models?: Partial<Record<ModelTask, ModelOption>>;
   /** Temperature for AI output: 0 (deterministic) to 1 (creative). Default: 0 */
   temperature?: number;
   /** Search Wikipedia if direct article lookup fails. Default: true */
   searchFallback?: boolean;
   cacheTTL?: number;
+  /** Cache store for Wikipedia/Wikidata responses: 'memory' (default), 'file', 'indexeddb' or a custom store */
+  cache?: CacheOption;
+  /** Folder for the 'file' cache store. Default: '.cache/docufresh-ai' */
+  cacheDir?: string;
+  /** Serve stale cache entries while refreshing them in the background. Default: true */
+  staleWhileRevalidate?: boolean;
+  /** HTTP transport for Wikipedia/Wikidata requests. Default: global fetch */
+  fetch?: FetchLike;
+  /** Record/replay fixtures folder (or options) for offline, deterministic runs (Node.js only) */
+  fixtures?: string | Omit<RecordReplayOptions, 'fetch'>;
+  /** Wikipedia language code. Default: 'en'. Override per marker: {{ai_fact@de:Mond}} */
+  language?: string;
+  /** Wikis whose interlanguage links are followed when an article is missing. Default: ['en'] */
+  fallbackLanguages?: string[];
   onProgress?: (progress: any) => void;
+  /** Where status lines ("Loading AI model: ...") go: false silences them. Default: stderr */
+  logger?: LoggerOption;
+  /** Generation backend: 'transformers' (default), 'openai', 'mock', a function or a backend object */
+  backend?: BackendOption;
+  /** Options for the built-in backend, e.g. { baseUrl, apiKey } for 'openai' */
+  backendOptions?: BackendOptions;
+  /** Default knowledge source for markers. Default: Wikipedia */
+  source?: KnowledgeSource;
+  /** Named knowledge sources, selected per marker: {{ai_fact:internal:Billing_API}} */
+  sources?: Record<string, KnowledgeSource>;
+  /** Maximum parallel Wikipedia/Wikidata requests. Default: 4 */
+  requestConcurrency?: number;
+  /** Maximum Wikipedia/Wikidata requests started per second. Default: 10 */
+  rateLimit?: number;
+  /** Retries of rate-limited, server and network errors. Default: 3, backing off from 500 ms up to 30 s */
+  retry?: RetryOption;
+  /** User-Agent for Wikipedia/Wikidata requests (Node.js only); include contact details */
+  userAgent?: string;
+  /** Maximum parallel model generations. Default: 1 (raise it for server backends) */
+  inferenceConcurrency?: number;
+  /**
+   * Add a footnote after each AI-inserted value and a References section with article title, URL and
+   * retrieval date: 'markdown' ([^1]), 'html' (<sup> links) or 'text' ([1]). true follows `format`
+   * (or 'markdown'). Default: off
+   */
+  citations?: boolean | CitationFormat;
+  /**
+   * Document format. Default: 'text' (every marker runs, output is inserted as-is).
+   * 'markdown' leaves markers in front matter, fenced/inline code, HTML comments and <pre>/<code> alone and
+   * escapes output for text, table cells, link targets and HTML attributes.
+   * 'html' leaves comments and <script>/<style>/<pre>/<code>/<textarea> alone and escapes output for text
+   * nodes and attribute values (URL attributes are percent-encoded).
+   */
+  format?: DocumentFormat;
+  /** Custom markers by name (see registerMarker) */
+  markers?: Record<string, MarkerHandler | MarkerDefinition>;
+  /**
+   * Keep markers in the output inside invisible anchors so the result can be processed again
+   * (only the anchored content is replaced; edits outside the anchors survive):
+   * true/'comment' wraps values in <!-- ai_fact:Moon -->...<!-- /ai --> (Markdown/HTML),
+   * 'attribute' in <span data-ai="ai_fact:Moon">...</span> (HTML). Needs format 'markdown' or 'html'.
+   * Markers in link targets and attribute values are replaced without anchors. Default: off
+   */
+  preserve?: boolean | PreserveStyle;
+  /**
+   * Lock from createLock()/readLockFile(): markers in it resolve to their locked revisions
+   * ({{ai_fact:Moon@rev=N}} pins take precedence)
+   */
+  lock?: FreshnessLock;
+  /**
+   * Prompt templates by name: a task ('fact', 'summary', ...), one marker ('ai_summary'),
+   * or a new template for {{ai_prompt:name:topic}}
+   */
+  prompts?: Record<string, PromptOption>;
+  /** Custom output filters by name (see registerFilter) */
+  filters?: Record<string, OutputFilter>;
+  /**
+   * Check that numbers, dates and names in AI output appear in the Wikipedia text: 'flag' reports them
+   * (processDetailed() record.grounding), 'reject' or true uses extractive text instead, 'retry' asks again
+   * with a stricter prompt first. Answers without a topic ({{ai_answer:question}}) have no context and are
+   * not checked. Default: off
+   */
+  grounding?: boolean | GroundingPolicy;
+  /** How {{ai_answer:topic:question}} answers: 'generative' (default) or 'extractive' (span + score) */
+  answerStrategy?: AnswerStrategy;
+  /** Extractive QA settings (threshold, fallback, model), a QA model ID, or an answer function */
+  qa?: QAOptions | string | QAFunction;
+  /** What {{ai_answer:topic:question}} answers from: 'lead' (default) or 'passage' (searches every section) */
+  answerContext?: AnswerContext;
+  /**
+   * Resolve topics that lead to a Wikipedia disambiguation page ("Mercury") to the article that matches the
+   * sentence around the marker. Default: true
+   */
+  disambiguation?: boolean;
+  /**
+   * Re-rank search fallback results by embedding similarity to the topic and the paragraph around the marker,
+   * and treat the topic as not found when no result reaches the threshold. Default: off
+   */
+  rerank?: boolean | RerankOptions | string | EmbedFunction;
+  /**
+   * Reject process() with a MarkerSyntaxError on the first malformed marker. Default: false (the marker is
+   * left as written, logged and reported in processDetailed(), and the other markers render)
+   */
+  strict?: boolean;
+}
+
+/** Provenance of one marker, from processDetailed() */
+export interface MarkerRecord {
+  /** Marker name, e.g. 'ai_fact' */
+  marker: string;
+  /** The marker as written */
+  raw: string;
+  /** Where the marker is (offsets into the text after customData replacement; end is exclusive) */
+  span: { start: number; end: number; line: number; column: number };
+  /** Named source selected in the marker, or null for the default source */
+  source: string | null;
+  language: string | null;
+  /** Parameters the marker was called with (nested markers already resolved) */
+  params: string[];
+  /** Topic parameter without its @rev pin, or null */
+  topic: string | null;
+  /** Revision the marker was pinned to (by @rev=N or the lock), or null */
+  pinned: string | null;
+  /** Text inserted into the document (the raw marker on error) */
+  output: string;
+  /** Article the value is based on */
+  article: { title: string; url: string | null; revision: string | null; language: string | null } | null;
+  /** Last edit of the article */
+  timestamp: string | null;
+  /** When the article was fetched (cached lookups keep their original fetch time) */
+  retrieved: string | null;
+  /** Whether the direct lookup failed and a search result was used instead */
+  searchFallback: boolean;
+  /** ranked and threshold are set with the rerank option */
+  search: {
+    query: string;
+    results: string[];
+    ranked?: Array<{ title: string; score: number | null }>;
+    threshold?: number | null;
+  } | null;
+  /** Wikidata statement used by ai_data */
+  data: { entity: string; property: string; url: string } | null;
+  /** Model (or backend) that generated the output */
+  model: string | null;
+  prompt: string | null;
+  /** Backend output before any fallback */
+  rawOutput: string | null;
+  /** Whether generation failed, came back empty or was rejected as ungrounded and extractive text was inserted */
+  fallbackOutput: boolean;
+  /** Grounding check of the output (null when grounding is off or nothing was generated) */
+  grounding: {
+    policy: GroundingPolicy;
+    action: 'passed' | 'flagged' | 'retried' | 'rejected';
+    /** Numbers, dates and names the first output had that the context doesn't */
+    unsupported: string[];
+  } | null;
+  /** Extractive answer (answerStrategy 'extractive'): span offsets into the article text and the score */
+  answer: {
+    text: string;
+    start: number | null;
+    end: number | null;
+    score: number;
+    accepted: boolean;
+  } | null;
+  /** Article section the marker read (ai_section, "#Section" topics, passage search); title null for the lead */
+  section: { title: string | null; anchor: string | null } | null;
+  /** Infobox field the requested key matched (ai_infobox) */
+  infobox: { key: string; field: string } | null;
+  /** Disambiguation page the topic led to, the article chosen and the candidates (to pin the right one) */
+  disambiguation: Disambiguation | null;
+  /** Time to resolve the marker in ms (including nested markers and queueing) */
+  latency: number;
+  error: string | null;
+}
+
+/** Numbered entry of the References section */
+export interface Reference {
+  number: number;
+  title: string;
+  url: string | null;
+  /** 'Wikipedia', 'Wikidata', or null for other sources */
+  site: string | null;
+  /** Date (YYYY-MM-DD) the article was fetched */
+  retrieved: string | null;
+}
+
+export type CitationFormat = 'markdown' | 'html' | 'text';
+
+export type DocumentFormat = 'text' | 'markdown' | 'html';
+
+export type PreserveStyle = 'comment' | 'attribute';
+
+/** One marker's entry in a lock */
+export interface LockEntry {
+  marker: string;
+  topic: string | null;
+  /** Article title */
+  article: string | null;
+  url: string | null;
+  language: string | null;
+  revision: string | null;
+  timestamp: string | null;
+  /** Generated value */
+  value: string;
+}
+
+/** Lock file contents: entries keyed by the marker as written */
+export interface FreshnessLock {
+  lockfileVersion: 1;
+  markers: Record<string, LockEntry>;
+}
+
+/** One marker in a checkFreshness() report */
+export interface FreshnessReport {
+  marker: string;
+  raw: string;
+  span: { start: number; end: number; line: number; column: number };
+  article: string | null;
+  /** 'outdated' when upstream has a newer revision, 'unlocked' when the lock has no entry */
+  status: 'current' | 'outdated' | 'unlocked';
+  lockedRevision: string | null;
+  latestRevision: string | null;
+  lockedTimestamp: string | null;
+  latestTimestamp: string | null;
+  /** Locked value, or null when unlocked */
+  oldValue: string | null;
+  /** Value the marker produces from the latest revision */
+  newValue: string;
+}
+
+export interface FreshnessResult {
+  markers: FreshnessReport[];
+  outdated: FreshnessReport[];
+}
+
+export interface ProcessDetailedResult {
+  text: string;
+  /** One record per marker, in document order */
+  markers: MarkerRecord[];
+  /** References cited in the text (empty unless citations are on) */
+  references: Reference[];
 }
 
 export declare class DocuFreshAI {
@@ -147,22 +1314,85 @@ export declare class DocuFreshAI {
   /**
    * Get information about a specific model
    */
-  static getModelInfo(modelKey: ModelKey): ModelInfo | null;
+  static getModelInfo(modelKey: ModelKey | string): ModelInfo | null;
+
+  /**
+   * Register a model under a key, for the model and models options (shared by every instance).
+   * Built-in keys ('small', 'base', 'large') are rejected unless options.override is set
+   */
+  static registerModel(key: string, info: ModelDefinition, options?: { override?: boolean }): ModelInfo;
+
+  /**
+   * Register a custom marker for every instance
+   */
+  static registerMarker(name: string, fn: MarkerHandler, options?: MarkerOptions): void;
+
+  /**
+   * Register an output filter for every instance
+   */
+  static registerFilter(name: string, fn: OutputFilter): void;
 
   constructor(options?: DocuFreshAIOptions);
 
   /**
-   * Initialize the AI engine (downloads model on first run)
+   * Initialize the AI engine (downloads the default model on first run, unless every task has its own model)
    */
   init(): Promise<void>;
 
   /**
-   * Process text with AI markers
+   * Register a custom marker on this instance (takes precedence over built-in and global markers).
+   * Custom markers nest, are de-duplicated and are left as written when they throw, like the built-ins.
+   */
+  registerMarker(name: string, fn: MarkerHandler, options?: MarkerOptions): this;
+
+  /**
+   * Register an output filter on this instance (takes precedence over built-in and global filters)
+   */
+  registerFilter(name: string, fn: OutputFilter): this;
+
+  /**
+   * Add or override a prompt template (a task, a marker such as 'ai_summary', or a name for ai_prompt)
+   */
+  setPrompt(name: PromptTask | string, prompt: PromptOption): this;
+
+  /**
+   * Process text with AI markers (see "Marker syntax" above)
    * @param text - Text containing {{ai_*}} markers
    * @param customData - Optional custom data for variable replacement
+   * @throws MarkerSyntaxError if a marker is malformed and the strict option is set
    */
   process(text: string, customData?: Record<string, string | number>): Promise<string>;
 
+  /**
+   * Process text and report where every marker's value came from
+   * (article, revision, search fallback, model, prompt, raw output, latency, errors)
+   */
+  processDetailed(text: string, customData?: Record<string, string | number>): Promise<ProcessDetailedResult>;
+
+  /**
+   * Process text and record every marker's article, revision and value
+   * @param previous - Existing lock to add the entries to
+   */
+  createLock(
+    text: string,
+    customData?: Record<string, string | number>,
+    previous?: FreshnessLock | null
+  ): Promise<FreshnessLock>;
+
+  /**
+   * Report markers whose article has a newer revision upstream than the locked (or @rev pinned) one,
+   * with old and new values
+   */
+  checkFreshness(
+    text: string,
+    options?: { lock?: FreshnessLock; customData?: Record<string, string | number> }
+  ): Promise<FreshnessResult>;
+
+  /**
+   * Get a view of this instance for another document format (shares the model, caches and sources)
+   */
+  withFormat(format: DocumentFormat): DocuFreshAI;
+
   /**
    * Process text with both docufresh and AI markers
    * Requires docufresh to be installed
@@ -170,20 +1400,46 @@ export declare class DocuFreshAI {
   processWithDocufresh(text: string, customData?: Record<string, string | number>): Promise<string>;
 
   /**
-   * Get a fact from Wikipedia
+   * Get a fact from the default knowledge source
    */
   getFact(topic: string): Promise<string>;
 
   /**
-   * Get a summary from Wikipedia
+   * Get a summary from the default knowledge source
+   * @param options - e.g. { context } to resolve a disambiguation page
+   */
+  getSummary(topic: string, options?: WikipediaSummaryOptions): Promise<WikipediaSummary>;
+
+  /**
+   * Get the sections of a topic's article (sources with sections only)
+   */
+  getSections(topic: string): Promise<WikipediaSections>;
+
+  /**
+   * Get one section of a topic's article, with its subsections
    */
-  getSummary(topic: string): Promise<WikipediaSummary>;
+  getSection(topic: string, section: string): Promise<WikipediaSectionText>;
 
   /**
-   * Search Wikipedia
+   * Get the infobox of a topic's article (sources with infoboxes only)
+   */
+  getInfobox(topic: string): Promise<WikipediaInfobox>;
+
+  /**
+   * Search the default knowledge source
    */
   search(query: string, limit?: number): Promise<WikipediaSearchResult[]>;
 
+  /**
+   * Get an exact property value from Wikidata
+   */
+  getData(topic: string, property: string): Promise<WikidataStatement>;
+
+  /**
+   * Answer a question with a span of a topic's article (extractive QA); offsets are into context
+   */
+  findAnswer(topic: string, question: string): Promise<ExtractiveAnswer & { context: string }>;
+
   /**
    * Rewrite text using AI
    */
@@ -205,9 +1461,9 @@ export declare class DocuFreshAI {
   getModel(): string;
 
   /**
-   * Clear the Wikipedia cache
+   * Clear the Wikipedia cache (and every other source's cache)
    */
-  clearCache(): void;
+  clearCache(): Promise<void>;
 }
 
 export default DocuFreshAI;
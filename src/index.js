@@ -7,8 +7,65 @@
  */
 
 import { WikipediaClient } from './wikipedia.js';
+import { WikidataClient } from './wikidata.js';
+import { ResponseCache, MemoryCacheStore, FileCacheStore, IndexedDBCacheStore } from './cache.js';
+import { createRecordReplayFetch } from './transport.js';
+import { createLimiter, createRateLimiter } from './concurrency.js';
+import { createTrace, traceSource, traceWikidata, summarizeTrace } from './trace.js';
+import { addCitations, resolveCitationFormat } from './citations.js';
+import { resolveFormat, findProtectedRanges, getContext, escapeForContext } from './formats.js';
+import { TransformersBackend, OpenAICompatibleBackend, FunctionBackend, MockBackend } from './backends.js';
 import { AIEngine } from './ai-engine.js';
-import { registerAIMarkers, createAIMarkers } from './markers.js';
+import { PromptRegistry } from './prompts.js';
+import { FILTERS, defineFilter, applyFilters } from './filters.js';
+import { verifyGrounding } from './grounding.js';
+import { LocalKnowledgeSource } from './local-source.js';
+import { markerContext, contextSource } from './disambiguation.js';
+import { resolveLogger } from './logger.js';
+import { LookupError, NotFoundError, RateLimitedError, ServerError, NetworkError } from './errors.js';
+import {
+  registerAIMarkers,
+  createAIMarkers,
+  defineMarker,
+  bindMarkerParams,
+  resolveAnswerContext,
+  splitSection,
+  MARKER_SPECS
+} from './markers.js';
+import { parseMarkers, MarkerSyntaxError } from './parser.js';
+import { resolvePreserve, expandAnchors, wrapOutput, wrapReferences, canAnchor } from './preserve.js';
+import {
+  extractRevisionPin,
+  pinSource,
+  createLock,
+  validateLock,
+  compareWithLock,
+  readLockFile,
+  writeLockFile
+} from './lock.js';
+
+// Custom markers registered with DocuFreshAI.registerMarker() (available to every instance)
+const registeredMarkers = new Map();
+// ...and output filters registered with DocuFreshAI.registerFilter()
+const registeredFilters = new Map();
+
+// Built-in markers whose topic is a Wikipedia article title (ai_data takes Wikidata items too, and
+// {{ai_answer:question}} binds its question as the topic)
+const TITLE_MARKERS = [
+  'ai_fact', 'ai_describe', 'ai_rewrite', 'ai_paragraph', 'ai_summary', 'ai_answer', 'ai_link', 'ai_updated',
+  'ai_prompt', 'ai_section', 'ai_infobox'
+];
+
+/**
+ * Whether a built-in marker invocation names an article (and so may name a disambiguation page)
+ * @param {string} name - Marker name
+ * @param {Array<string|undefined>} params - Bound parameters
+ * @returns {boolean}
+ */
+function takesArticleTitle(name, params) {
+  if (name === 'ai_answer') return params[1] !== undefined;
+  return TITLE_MARKERS.includes(name);
+}
 
 /**
  * DocuFreshAI - Main class for AI-powered content freshening
@@ -27,7 +84,8 @@ class DocuFreshAI {
   /**
    * Get information about a specific model
    * @param {string} modelKey - Model key ('small', 'base', 'large')
-   * @returns {object|null} Model info with id, name, size, quality, description
+   * @returns {object|null} Model info with id, name, size, quality, description, pipeline, promptStyle
+   *   and the tasks the model serves
    * @example
    * DocuFreshAI.getModelInfo('base');
    * // { id: 'Xenova/flan-t5-base', name: 'FLAN-T5 Base', size: '900MB', ... }
@@ -36,28 +94,201 @@ class DocuFreshAI {
     return AIEngine.getModelInfo(modelKey);
   }
 
+  /**
+   * Register a model for the model and models options (see AIEngine.registerModel)
+   * @param {string} key - Model key
+   * @param {object} info - { id, pipeline, promptStyle, tasks, name, ... }
+   * @param {object} options - { override: true } to replace a built-in model ('small', 'base', 'large')
+   * @returns {object} - The registered model info
+   * @example
+   * DocuFreshAI.registerModel('distilbart', {
+   *   id: 'Xenova/distilbart-cnn-6-6',
+   *   pipeline: 'summarization',
+   *   tasks: ['summarize']
+   * });
+   * new DocuFreshAI({ models: { summarize: 'distilbart' } });
+   */
+  static registerModel(key, info, options = {}) {
+    return AIEngine.registerModel(key, info, options);
+  }
+
+  /**
+   * Register a custom marker for every instance (see the instance method registerMarker)
+   * @param {string} name - Marker name, starting with ai_ (e.g. 'ai_price')
+   * @param {function} fn - Handler: (context, ...params) => string | Promise<string>
+   * @param {object} options - { params, splitMode } (see defineMarker in src/markers.js)
+   * @example
+   * DocuFreshAI.registerMarker('ai_release', async ({ source }, topic) => {
+   *   const summary = await source.getSummary(topic);
+   *   return summary.description;
+   * }, { params: ['topic'] });
+   */
+  static registerMarker(name, fn, options = {}) {
+    registeredMarkers.set(name, defineMarker(name, fn, options));
+  }
+
+  /**
+   * Register an output filter for every instance (see the instance method registerFilter)
+   * @param {string} name - Filter name ({{ai_fact:Moon | name}})
+   * @param {function} fn - (value, arg, context) => string | Promise<string>
+   */
+  static registerFilter(name, fn) {
+    registeredFilters.set(name, defineFilter(name, fn));
+  }
+
   /**
    * Create a DocuFreshAI instance
    * @param {object} options - Configuration options
    * @param {string} options.model - Model to use: 'small' (default), 'base', 'large', or custom model ID
+   * @param {object} options.models - Models for single tasks ('fact', 'describe', 'paragraph', 'summarize',
+   *   'answer', 'rewrite'), e.g. { summarize: 'distilbart' }; each is loaded when its task first runs
    * @param {number} options.temperature - AI temperature: 0 (deterministic) to 1 (creative). Default: 0
    * @param {boolean} options.searchFallback - Search Wikipedia if direct lookup fails. Default: true
    * @param {number} options.cacheTTL - Wikipedia cache TTL in ms (default: 1 hour)
+   * @param {string|object} options.cache - Cache store: 'memory' (default), 'file', 'indexeddb' or a custom store
+   * @param {string} options.cacheDir - Folder for the 'file' cache store (default: '.cache/docufresh-ai')
+   * @param {boolean} options.staleWhileRevalidate - Serve stale cache entries while refreshing them (default: true)
+   * @param {function} options.fetch - HTTP transport for Wikipedia/Wikidata requests (default: global fetch)
+   * @param {string|object} options.fixtures - Record/replay fixtures folder, or { directory, mode } (Node.js only)
+   * @param {string} options.language - Wikipedia language code (default: 'en'), overridable per marker: {{ai_fact@de:Mond}}
+   * @param {string[]} options.fallbackLanguages - Wikis to follow interlanguage links from when an article is missing (default: ['en'])
    * @param {function} options.onProgress - Callback for model download progress
+   * @param {boolean|function|object} options.logger - Where status lines ("Loading AI model: ...") go: false to
+   *   silence them, a function message => void, or an object with an info() method (default: stderr)
+   * @param {string|function|object} options.backend - Generation backend: 'transformers' (default), 'openai',
+   *   'mock', an async function (prompt, options) => string, or a backend object
+   * @param {object} options.backendOptions - Options for the built-in backend (e.g. { baseUrl, apiKey } for 'openai')
+   * @param {object} options.source - Default knowledge source for markers (default: Wikipedia)
+   * @param {object} options.sources - Named knowledge sources, selectable per marker: {{ai_fact:name:topic}}
+   * @param {number} options.requestConcurrency - Maximum parallel Wikipedia/Wikidata requests (default: 4)
+   * @param {number} options.rateLimit - Maximum Wikipedia/Wikidata requests started per second (default: 10)
+   * @param {boolean|number|object} options.retry - Retries of rate-limited (429, honoring Retry-After), server
+   *   and network errors: false, a number, or { retries, minDelay, maxDelay } (default: 3, from 500 ms up to 30 s)
+   * @param {string} options.userAgent - User-Agent for Wikipedia/Wikidata requests (Node.js only); Wikimedia asks
+   *   for contact details, e.g. 'MyDocs/1.0 (https://example.com; docs@example.com)'
+   * @param {number} options.inferenceConcurrency - Maximum parallel model generations (default: 1)
+   * @param {boolean|string} options.citations - Add footnotes and a References section: 'markdown', 'html'
+   *   or 'text' (default: off; true follows options.format, or 'markdown')
+   * @param {string} options.format - Document format: 'text' (default), 'markdown' or 'html'. Markdown and HTML
+   *   documents keep markers in code, comments and front matter as written, and marker output is escaped
+   *   for where it lands (text, table cell, attribute, link target)
+   * @param {boolean|string} options.preserve - Keep markers in the output inside invisible anchors so the
+   *   result can be processed again: true/'comment' (<!-- ai_fact:Moon -->...<!-- /ai -->, Markdown/HTML)
+   *   or 'attribute' (<span data-ai="ai_fact:Moon">...</span>, HTML). Needs format 'markdown' or 'html'
+   * @param {object} options.markers - Custom markers by name: a handler, or { fn, params, splitMode }
+   *   (see registerMarker)
+   * @param {object} options.lock - Lock from createLock()/readLockFile(): markers in it resolve to their
+   *   locked revisions until the lock is updated (explicit {{ai_fact:Moon@rev=N}} pins take precedence)
+   * @param {object} options.prompts - Prompt templates by name: override a task ('fact', 'summary', ...)
+   *   or one marker ('ai_summary'), or add templates for {{ai_prompt:name:topic}} (see setPrompt)
+   * @param {object} options.filters - Custom output filters by name (see registerFilter)
+   * @param {boolean|string} options.grounding - Check that numbers, dates and names in AI output appear in the
+   *   Wikipedia text: 'flag' (report them in processDetailed()), 'reject' or true (use extractive text instead)
+   *   or 'retry' (ask again with a stricter prompt, then reject). Default: off
+   * @param {string} options.answerStrategy - How {{ai_answer:topic:question}} answers: 'generative' (default)
+   *   or 'extractive' (a question-answering model returns a span of the article with a score)
+   * @param {object|string|function} options.qa - Extractive QA settings: { model (default: DistilBERT SQuAD),
+   *   backend, threshold (default: 0.3), fallback ('unresolved' leaves the marker as written, 'generative'
+   *   or 'default'), defaultAnswer }, a model ID, or a function (question, context) => { answer, score }
+   * @param {string} options.answerContext - What {{ai_answer:topic:question}} answers from: 'lead' (default,
+   *   the article summary) or 'passage' (the paragraph of the whole article that best matches the question)
+   * @param {boolean} options.disambiguation - Resolve topics that lead to a Wikipedia disambiguation page
+   *   ("Mercury") to the article that matches the sentence around the marker (default: true)
+   * @param {boolean|object|string|function} options.rerank - Re-rank search fallback results by embedding similarity
+   *   to the topic and the paragraph around the marker: true, a feature-extraction model ID, an embed function
+   *   texts => vectors, or { model (default: all-MiniLM-L6-v2), backend, threshold (default: 0.4), topN
+   *   (default: 5) }. Topics whose results all score below the threshold are not found. Default: off
+   * @param {boolean} options.strict - Reject process() on the first malformed marker (MarkerSyntaxError) instead
+   *   of leaving it as written and rendering the rest (default: false)
    */
   constructor(options = {}) {
     this.options = options;
+    this.logger = resolveLogger(options.logger);
     this.temperature = options.temperature ?? 0;
     this.searchFallback = options.searchFallback ?? true;
+    this.answerContext = resolveAnswerContext(options.answerContext);
+    this.format = resolveFormat(options.format);
+    this.citations = resolveCitationFormat(
+      options.citations === true && options.format ? this.format : options.citations
+    );
+    this.preserve = resolvePreserve(options.preserve, this.format);
+    this.lock = options.lock ? validateLock(options.lock) : null;
+    // Record/replay wraps whichever transport is configured
+    const transport = options.fixtures
+      ? createRecordReplayFetch({
+        ...(typeof options.fixtures === 'string' ? { directory: options.fixtures } : options.fixtures),
+        fetch: options.fetch
+      })
+      : options.fetch;
+
+    // Wikipedia and Wikidata share one cache (and one persistent store)
+    this.cache = new ResponseCache({
+      store: options.cache,
+      directory: options.cacheDir,
+      ttl: options.cacheTTL,
+      staleWhileRevalidate: options.staleWhileRevalidate
+    });
+    // ...and one request limit and rate
+    const limiter = createLimiter(options.requestConcurrency ?? 4);
+    const rateLimiter = createRateLimiter(options.rateLimit ?? 10);
     this.wikipedia = new WikipediaClient({
-      cacheTTL: options.cacheTTL
+      cacheTTL: options.cacheTTL,
+      cache: this.cache,
+      fetch: transport,
+      limiter,
+      rateLimiter,
+      retry: options.retry,
+      userAgent: options.userAgent,
+      language: options.language,
+      fallbackLanguages: options.fallbackLanguages,
+      disambiguation: options.disambiguation,
+      rerank: options.rerank,
+      onProgress: options.onProgress,
+      logger: this.logger
+    });
+    this.wikidata = new WikidataClient({
+      cacheTTL: options.cacheTTL,
+      cache: this.cache,
+      fetch: transport,
+      limiter,
+      rateLimiter,
+      retry: options.retry,
+      userAgent: options.userAgent,
+      language: options.language
     });
+    this.source = options.source || this.wikipedia;
+    this.sources = {
+      wikipedia: this.wikipedia,
+      ...options.sources
+    };
     this.ai = new AIEngine({
       model: options.model,
+      models: options.models,
       temperature: this.temperature,
-      onProgress: options.onProgress
+      onProgress: options.onProgress,
+      logger: this.logger,
+      backend: options.backend,
+      backendOptions: options.backendOptions,
+      concurrency: options.inferenceConcurrency,
+      prompts: options.prompts,
+      grounding: options.grounding,
+      answerStrategy: options.answerStrategy,
+      qa: options.qa
     });
     this.markers = null;
+    this.sourceMarkers = {};
+    this.customMarkers = new Map();
+    this.customFilters = new Map();
+    for (const [name, fn] of Object.entries(options.filters || {})) {
+      this.registerFilter(name, fn);
+    }
+    for (const [name, definition] of Object.entries(options.markers || {})) {
+      if (typeof definition === 'function') {
+        this.registerMarker(name, definition);
+      } else {
+        this.registerMarker(name, definition.fn, definition);
+      }
+    }
     this.ready = false;
     this.docufresh = null;
   }
@@ -70,128 +301,557 @@ class DocuFreshAI {
   async init() {
     if (this.ready) return;
 
-    console.log('Initializing DocuFresh-AI...');
+    this.logger.info('Initializing DocuFresh-AI...');
 
     // Initialize AI engine (downloads model)
     await this.ai.init();
 
     // Create markers with options
-    this.markers = createAIMarkers(this.wikipedia, this.ai, {
-      searchFallback: this.searchFallback
+    this.markers = createAIMarkers(this.source, this.ai, {
+      searchFallback: this.searchFallback,
+      wikidata: this.wikidata,
+      answerContext: this.answerContext
     });
 
     this.ready = true;
-    console.log('DocuFresh-AI ready!');
+    this.logger.info('DocuFresh-AI ready!');
+  }
+
+  /**
+   * Register a custom marker on this instance (takes precedence over built-in and global markers)
+   * Custom markers work like the built-ins: they can be nested, use quoting and named parameters,
+   * are resolved once per identical invocation, and a marker that throws is left as written.
+   * The handler is called with a context and the bound parameters:
+   * - context.source: knowledge source selected for the marker (language override, source selector,
+   *   @rev pin and processDetailed() tracing applied)
+   * - context.ai: the AIEngine; context.wikidata: the WikidataClient
+   * - context.options: this instance's options; context.document: the document being processed
+   * - context.marker: { name, raw, language, line, column }
+   * @param {string} name - Marker name, starting with ai_ (e.g. 'ai_price')
+   * @param {function} fn - Handler: (context, ...params) => string | Promise<string>
+   * @param {object} options - Parameter binding
+   * @param {string[]} options.params - Parameter names in positional order (also usable as named params)
+   * @param {string} options.splitMode - 'rest' (default with params): extra colon-separated arguments are
+   *   joined into the last parameter; 'all': every argument is passed separately
+   * @returns {DocuFreshAI} - This instance
+   */
+  registerMarker(name, fn, options = {}) {
+    this.customMarkers.set(name, defineMarker(name, fn, options));
+    return this;
+  }
+
+  /**
+   * Get a custom marker definition (instance markers first, then global ones)
+   * @param {string} name - Marker name
+   * @returns {{fn: function, spec: object}|null} - Definition, or null for built-in/unknown markers
+   */
+  getCustomMarker(name) {
+    return this.customMarkers.get(name) || registeredMarkers.get(name) || null;
+  }
+
+  /**
+   * Register an output filter on this instance (takes precedence over built-in and global filters)
+   * Filters run left to right after the marker: {{ai_fact:Moon | shout | maxWords=10}}.
+   * The filter gets the current value, its argument (text after "=", or undefined) and a context:
+   * { marker, language, format }. A filter that throws leaves the marker as written.
+   * @param {string} name - Filter name (letters, digits and underscores)
+   * @param {function} fn - (value, arg, context) => string | Promise<string>
+   * @returns {DocuFreshAI} - This instance
+   */
+  registerFilter(name, fn) {
+    this.customFilters.set(name, defineFilter(name, fn));
+    return this;
+  }
+
+  /**
+   * Get an output filter (instance filters first, then global and built-in ones)
+   * @param {string} name - Filter name
+   * @returns {function|null} - Filter, or null if there is none
+   */
+  getFilter(name) {
+    return this.customFilters.get(name) || registeredFilters.get(name) ||
+      (Object.hasOwn(FILTERS, name) ? FILTERS[name] : null);
+  }
+
+  /**
+   * Add or override a prompt template
+   * Built-in tasks: 'fact', 'description', 'paragraph', 'summary', 'answer', 'simpleAnswer', 'rewrite', 'polish'.
+   * A prompt named after a marker ('ai_summary') is used for that marker only; other names can be run
+   * with {{ai_prompt:name:topic}}. Templates use {topic}, {context}, {question} and {sentence}.
+   * @param {string} name - Prompt name
+   * @param {string|function|object} prompt - Template string, function (variables) => string,
+   *   or { template, contextLength, maxNewTokens, temperature }
+   * @returns {DocuFreshAI} - This instance
+   */
+  setPrompt(name, prompt) {
+    this.ai.setPrompt(name, prompt);
+    return this;
   }
 
   /**
    * Process text with AI markers (supports nested markers)
-   * Uses recursive parsing: processes innermost markers first, then outer ones
+   * Parses the text into an AST first; inner markers are resolved before the markers containing them.
+   * See src/parser.js for the syntax (quoting, escaping, named parameters).
+   * Sibling markers are resolved concurrently, and identical markers are resolved only once.
    *
    * @param {string} text - Text containing {{ai_*}} markers (can be nested)
    * @param {object} customData - Optional custom data for basic markers
    * @returns {Promise<string>} - Processed text
+   * @throws {MarkerSyntaxError} - If a marker is malformed and options.strict is set (with line and column)
    */
   async process(text, customData = {}) {
     if (!this.ready) {
       await this.init();
     }
 
-    let result = text;
+    // Citations need to know which articles each marker used
+    const run = { resolved: new Map(), records: this.citations ? [] : null };
+    const { text: rendered } = await this.renderDocument(this.applyCustomData(text, customData), run);
+    return rendered;
+  }
 
-    // Replace custom data first (simple sync replacement)
-    for (const [key, value] of Object.entries(customData)) {
-      const pattern = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
-      result = result.replace(pattern, String(value));
+  /**
+   * Process text and report where every marker's value came from
+   * Records are in document order (outer markers before the markers nested in them);
+   * spans are offsets into the text after customData replacement.
+   *
+   * @param {string} text - Text containing {{ai_*}} markers
+   * @param {object} customData - Optional custom data for basic markers
+   * @returns {Promise<{text: string, markers: Array<object>, references: Array<object>}>} - Rendered text,
+   *   one record per marker and the numbered references (empty unless citations are on; malformed markers
+   *   get a record with their syntax error)
+   * @throws {MarkerSyntaxError} - If a marker is malformed and options.strict is set (with line and column)
+   */
+  async processDetailed(text, customData = {}) {
+    if (!this.ready) {
+      await this.init();
     }
 
-    // Recursive processing: find and process innermost markers first
-    // Pattern matches markers with NO {{ inside their params (innermost only)
-    const maxIterations = 10; // Prevent infinite loops
-    let iteration = 0;
+    const run = { resolved: new Map(), records: [] };
+    const { text: rendered, references } = await this.renderDocument(this.applyCustomData(text, customData), run);
 
-    while (iteration < maxIterations) {
-      iteration++;
+    return {
+      text: rendered,
+      markers: run.records.sort((a, b) => a.span.start - b.span.start),
+      references
+    };
+  }
 
-      // Find innermost markers (no {{ inside params)
-      // Matches: {{ai_name:params}} where params has no {{ or }}
-      const innerPattern = /\{\{(ai_\w+):([^{}]*)\}\}/g;
-      const matches = [...result.matchAll(innerPattern)];
+  /**
+   * Process text and record the article revision and value of every marker
+   * Save the lock with writeLockFile() and pass it as options.lock to keep later runs on those revisions.
+   * @param {string} text - Text containing {{ai_*}} markers
+   * @param {object} customData - Optional custom data for basic markers
+   * @param {object} previous - Existing lock to add the entries to (e.g. when locking several files)
+   * @returns {Promise<object>} - Lock ({ lockfileVersion, markers })
+   */
+  async createLock(text, customData = {}, previous = null) {
+    const { markers } = await this.processDetailed(text, customData);
+    return createLock(markers, previous);
+  }
 
-      // Also find simple markers without params: {{ai_name}}
-      const simplePattern = /\{\{(ai_\w+)\}\}/g;
-      const simpleMatches = [...result.matchAll(simplePattern)];
+  /**
+   * Report which markers have newer revisions upstream than the ones they are locked or pinned to
+   * Compares the locked (or pinned) revision and value of every marker with the latest revision
+   * and the value it would produce now.
+   * @param {string} text - Text containing {{ai_*}} markers
+   * @param {object} options - Options
+   * @param {object} options.lock - Baseline lock (default: options.lock of the constructor, or the
+   *   current resolution of the text, which only differs from the latest for @rev pins)
+   * @param {object} options.customData - Custom data for basic markers
+   * @returns {Promise<{markers: Array<object>, outdated: Array<object>}>} - One report per marker
+   *   (status 'current', 'outdated' or 'unlocked', old and new revision, timestamp and value) and the outdated ones
+   */
+  async checkFreshness(text, options = {}) {
+    if (!this.ready) {
+      await this.init();
+    }
 
-      // No more markers to process
-      if (matches.length === 0 && simpleMatches.length === 0) {
-        break;
-      }
+    const customData = options.customData || {};
+    const lock = options.lock
+      ? validateLock(options.lock)
+      : this.lock || await this.createLock(text, customData);
 
-      // Process markers with params
-      for (const match of matches) {
-        const fullMarker = match[0];
-        const markerName = match[1];
-        const paramsString = match[2];
+    const source = this.applyCustomData(text, customData);
+    const run = { resolved: new Map(), records: [], latest: true };
+    await this.renderDocument(source, run);
 
-        const replacement = await this.processMarker(markerName, paramsString);
-        result = result.replace(fullMarker, replacement);
-      }
+    return compareWithLock(lock, run.records.sort((a, b) => a.span.start - b.span.start));
+  }
 
-      // Process simple markers
-      for (const match of simpleMatches) {
-        const fullMarker = match[0];
-        const markerName = match[1];
+  /**
+   * Get a view of this instance for another document format
+   * Shares the model, caches and sources; citations set to `true` follow the new format.
+   * @param {string} format - 'text', 'markdown' or 'html'
+   * @returns {DocuFreshAI} - Instance processing documents in that format
+   */
+  withFormat(format) {
+    const view = Object.create(this);
+    view.format = resolveFormat(format);
+    view.citations = resolveCitationFormat(this.options.citations === true ? view.format : this.options.citations);
+    view.preserve = resolvePreserve(this.options.preserve, view.format);
+    return view;
+  }
+
+  /**
+   * Parse and render a document: skips protected ranges and escapes output for the document format,
+   * and adds citations and preserve-mode anchors when they are enabled
+   * In preserve mode, anchors from an earlier run are turned back into markers first (record spans are
+   * offsets into that expanded text).
+   * @param {string} text - Document (after customData replacement)
+   * @param {object} run - State of this call (see renderNodes)
+   * @returns {Promise<{text: string, references: Array<object>}>} - Rendered text and references
+   */
+  async renderDocument(text, run) {
+    let anchors = new Map();
+    if (this.preserve) {
+      ({ text, anchors } = expandAnchors(text, this.format));
+    }
 
-        const replacement = await this.processMarker(markerName, '');
-        result = result.replace(fullMarker, replacement);
+    run.document = text;
+    const nodes = parseMarkers(text, { skip: findProtectedRanges(text, this.format), recover: !this.options.strict });
+    for (const node of nodes) {
+      if (node.error) {
+        console.error(`Skipping malformed marker: ${node.error.message}`);
+        run.records?.push(this.createRecord(node, Date.now(), { error: node.error.message }));
       }
     }
+    const contexts = nodes.map(node => (node.type === 'marker' ? getContext(text, node.start, this.format) : null));
+    const outputs = await Promise.all(nodes.map(async (node, i) => {
+      if (node.type !== 'marker') return node.value;
+
+      const output = await this.renderMarker(node, run);
+      // Markers that failed stay as written
+      return output === node.raw ? output : escapeForContext(output, contexts[i]);
+    }));
+
+    const { outputs: cited, references, section } = this.citations
+      ? addCitations(nodes, outputs, run.records, this.citations)
+      : { outputs, references: [], section: '' };
+
+    const parts = this.preserve
+      ? cited.map((output, i) => (nodes[i].type === 'marker' ? this.preserveOutput(nodes[i], output, contexts[i], anchors) : output))
+      : cited;
+
+    let rendered = parts.join('');
+    if (section) {
+      rendered = rendered.replace(/\s*$/, '') + (this.preserve ? wrapReferences(section) : section);
+    }
+    return { text: rendered, references };
+  }
 
+  /**
+   * Wrap a top-level marker's output in preserve-mode anchors
+   * A marker that fails keeps the content it was anchored to last time.
+   * @param {object} node - Marker node
+   * @param {string} output - Rendered output
+   * @param {string} context - Context from getContext()
+   * @param {Map<number, string>} anchors - Anchored blocks from expandAnchors(), by marker offset
+   * @returns {string} - Anchored output
+   */
+  preserveOutput(node, output, context, anchors) {
+    if (output === node.raw) {
+      return anchors.get(node.start) ?? output;
+    }
+    if (!canAnchor(context)) {
+      console.warn(`Cannot preserve ${node.raw} at line ${node.line}, column ${node.column}: anchors don't fit in a link target or attribute value`);
+      return output;
+    }
+    return wrapOutput(node.raw, output, this.preserve);
+  }
+
+  /**
+   * Replace {{key}} placeholders with custom data (simple sync replacement)
+   */
+  applyCustomData(text, customData) {
+    let result = text;
+    for (const [key, value] of Object.entries(customData)) {
+      const pattern = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
+      result = result.replace(pattern, String(value));
+    }
     return result;
   }
 
   /**
    * Process a single marker
-   * @param {string} markerName - The marker name (e.g., 'ai_fact')
-   * @param {string} paramsString - The parameters string
+   * @param {string} markerName - The marker name (e.g., 'ai_fact', or 'ai_fact@de' for a language override)
+   * @param {string} paramsString - The parameters string (same syntax as inside a marker)
    * @returns {Promise<string>} - The replacement text
    */
   async processMarker(markerName, paramsString) {
-    const markerFn = this.markers[markerName];
+    const source = paramsString ? `{{${markerName}:${paramsString}}}` : `{{${markerName}}}`;
+    return this.renderNodes(parseMarkers(source), { resolved: new Map(), records: null });
+  }
 
-    if (!markerFn) {
-      console.warn(`Unknown marker: ${markerName}`);
-      return `{{${markerName}:${paramsString}}}`;
-    }
+  /**
+   * Render parsed nodes to text, resolving sibling markers concurrently
+   * @param {Array<object>} nodes - Text and marker nodes from parseMarkers()
+   * @param {object} run - State of this process() call
+   * @param {Map<string, Promise<object>>} run.resolved - Marker invocations already started
+   * @param {Array<object>|null} run.records - Collects provenance records (processDetailed only)
+   * @param {boolean} run.latest - Ignore revision pins and the lock (checkFreshness only)
+   * @param {string} run.document - Document being rendered (passed to custom markers)
+   * @returns {Promise<string>} - Rendered text
+   */
+  async renderNodes(nodes, run) {
+    const outputs = await Promise.all(nodes.map(node =>
+      node.type === 'marker' ? this.renderMarker(node, run) : node.value
+    ));
+    return outputs.join('');
+  }
+
+  /**
+   * Render a parameter's parts to { value, quoted }
+   */
+  async renderParam(param, run) {
+    return { value: await this.renderNodes(param.parts, run), quoted: param.quoted };
+  }
+
+  /**
+   * Render one marker node: resolve nested markers in its arguments, then call the marker
+   * @param {object} node - Marker node
+   * @param {object} run - State of this process() call (see renderNodes)
+   * @returns {Promise<string>} - The replacement text (the original marker text on error)
+   */
+  async renderMarker(node, run) {
+    const started = Date.now();
+    const report = (details) => run.records?.push(this.createRecord(node, started, details));
 
     try {
-      if (paramsString) {
-        // Split parameters by first colon only for markers that take topic:content
-        // This preserves colons within the content
-        const colonIndex = paramsString.indexOf(':');
-        let params;
-
-        if (colonIndex !== -1 && ['ai_rewrite', 'ai_answer', 'ai_complete'].includes(markerName)) {
-          // For these markers, split only on first colon: topic:rest_of_content
-          params = [
-            paramsString.slice(0, colonIndex).trim(),
-            paramsString.slice(colonIndex + 1).trim()
-          ];
-        } else {
-          // For other markers, simple split
-          params = paramsString.split(':').map(p => p.trim());
-        }
-
-        return await markerFn(...params);
-      } else {
-        return await markerFn();
+      const args = await Promise.all(node.args.map(arg => this.renderParam(arg, run)));
+
+      let named = null;
+      if (node.named) {
+        const entries = await Promise.all(Object.entries(node.named).map(async ([key, param]) =>
+          [key, await this.renderParam(param, run)]
+        ));
+        named = Object.fromEntries(entries);
+      }
+
+      const selected = this.selectSource(args, named, node.language);
+      const custom = this.getCustomMarker(node.name);
+
+      if (!custom && !selected.markers[node.name]) {
+        console.warn(`Unknown marker: ${node.name}`);
+        report({ error: `Unknown marker: ${node.name}` });
+        return node.raw;
+      }
+
+      const spec = custom ? custom.spec : MARKER_SPECS[node.name];
+      const { params, topic, revision } = extractRevisionPin(
+        bindMarkerParams(node.name, spec, selected.args, selected.named),
+        spec?.params
+      );
+      // {{ai_fact:Moon@rev=N}} first, then the lock (checkFreshness resolves the latest revisions)
+      const pinned = run.latest ? null : (revision ?? this.lock?.markers[node.raw]?.revision ?? null);
+      const pin = pinned && topic ? { topic, revision: pinned } : null;
+
+      // Identical invocations share one result, unless their topic is ambiguous: then each sentence
+      // resolves it on its own ("planet" and "element" sentences mean different Mercury articles)
+      const around = run.document ? markerContext(run.document, node.start, node.end) : null;
+      const ambiguous = around && !pin && !custom && takesArticleTitle(node.name, params) &&
+        await this.isAmbiguous(selected.source, node.language, topic);
+      const key = JSON.stringify([
+        node.name, node.language, selected.source, params, pin?.revision ?? null, ambiguous ? around.sentence : null
+      ]);
+      if (!run.resolved.has(key)) {
+        run.resolved.set(key, this.invokeMarker(node, selected, params, {
+          traced: run.records !== null,
+          pin,
+          custom,
+          document: run.document ?? node.raw,
+          around
+        }));
       }
+      const { output: value, trace } = await run.resolved.get(key);
+      const output = node.filters.length > 0 ? await this.filterOutput(node, value, run) : value;
+
+      report({ source: selected.source, params, topic, pinned: pin?.revision ?? null, output, trace });
+      return output;
     } catch (error) {
-      console.error(`Error processing ${markerName}:`, error.message);
-      return `{{${markerName}:${paramsString}}}`; // Return original on error
+      console.error(`Error processing ${node.name} at line ${node.line}, column ${node.column}:`, error.message);
+      report({ error: error.message });
+      return node.raw; // Return original on error
+    }
+  }
+
+  /**
+   * Run a marker's output through its filters ({{ai_fact:Moon | sentence | maxWords=12}})
+   * @param {object} node - Marker node
+   * @param {string} value - Marker output
+   * @param {object} run - State of this process() call (filter arguments can contain markers)
+   * @returns {Promise<string>} - Filtered output
+   */
+  async filterOutput(node, value, run) {
+    const filters = await Promise.all(node.filters.map(async ({ name, arg }) => {
+      if (!arg) return { name, arg: undefined };
+      const rendered = await this.renderParam(arg, run);
+      return { name, arg: rendered.quoted ? rendered.value : rendered.value.trim() };
+    }));
+
+    return applyFilters(value, filters, name => this.getFilter(name), {
+      marker: node.name,
+      language: node.language || this.options.language || 'en',
+      format: this.format
+    });
+  }
+
+  /**
+   * Call a marker function, optionally recording its lookups and generations
+   * @param {object} node - Marker node
+   * @param {object} selected - Result of selectSource()
+   * @param {string[]} params - Bound parameters
+   * @param {object} options - Invocation options
+   * @param {boolean} options.traced - Record a trace (see src/trace.js)
+   * @param {object|null} options.pin - { topic, revision } to read a fixed revision of the topic
+   * @param {object|null} options.custom - Custom marker definition from getCustomMarker()
+   * @param {string} options.document - Document being rendered (for custom markers)
+   * @param {object|null} options.around - Sentence and paragraph around the marker from markerContext() (pick the
+   *   article of an ambiguous topic and re-rank search results)
+   * @returns {Promise<{output: string, trace: object|null}>} - Marker output and trace
+   */
+  async invokeMarker(node, selected, params, {
+    traced = false, pin = null, custom = null, document = '', around = null
+  } = {}) {
+    if (!traced && !pin && !custom && !around) {
+      return { output: await selected.markers[node.name](...params), trace: null };
+    }
+
+    const trace = traced ? createTrace() : null;
+    let source = this.getSource(selected.source, node.language);
+    if (around) source = contextSource(source, around);
+    if (pin) source = pinSource(source, pin.topic, pin.revision);
+    if (trace) source = traceSource(source, trace);
+    const ai = trace ? this.ai.withTrace(trace) : this.ai;
+    const wikidata = trace ? traceWikidata(this.wikidata, trace) : this.wikidata;
+
+    if (custom) {
+      const context = {
+        source,
+        ai,
+        wikidata,
+        options: this.options,
+        document,
+        marker: { name: node.name, raw: node.raw, language: node.language, line: node.line, column: node.column }
+      };
+      const output = await custom.fn(context, ...params);
+      return { output: output == null ? '' : String(output), trace };
+    }
+
+    const markers = createAIMarkers(source, ai, {
+      searchFallback: this.searchFallback,
+      wikidata,
+      answerContext: this.answerContext
+    });
+    return { output: await markers[node.name](...params), trace };
+  }
+
+  /**
+   * Build a processDetailed() record
+   */
+  createRecord(node, started, {
+    source = null, params = [], topic = null, pinned = null, output = node.raw, trace = null, error = null
+  }) {
+    return {
+      marker: node.name,
+      raw: node.raw,
+      span: { start: node.start, end: node.end, line: node.line, column: node.column },
+      source,
+      language: node.language,
+      params,
+      topic,
+      pinned,
+      output,
+      ...summarizeTrace(trace),
+      latency: Date.now() - started,
+      error
+    };
+  }
+
+  /**
+   * Pick the marker set for a source selector and language override
+   * {{ai_fact:internal:Billing_API}} (or source="internal") reads from the source registered as 'internal'
+   * @param {Array<{value: string, quoted: boolean}>} args - Positional arguments
+   * @param {object|null} named - Named arguments
+   * @param {string|null} language - Language override from {{ai_name@lang:...}}, if any
+   * @returns {{markers: object, source: string|null, args: Array, named: object|null}} - Markers to use,
+   *   the selected source name and the remaining arguments
+   */
+  selectSource(args, named, language) {
+    let name = null;
+
+    if (named && Object.hasOwn(named, 'source')) {
+      const { source, ...rest } = named;
+      name = source.value.trim();
+      named = rest;
+      if (!Object.hasOwn(this.sources, name)) {
+        throw new Error(`Unknown knowledge source: ${name}`);
+      }
+    } else if (args.length > 1 && !args[0].quoted && Object.hasOwn(this.sources, args[0].value.trim())) {
+      name = args[0].value.trim();
+      args = args.slice(1);
+    }
+
+    if (name !== null || language) {
+      return { markers: this.getMarkers(name, language), source: name, args, named };
+    }
+
+    return { markers: this.markers, source: null, args, named };
+  }
+
+  /**
+   * Whether a marker topic leads to a disambiguation page
+   * Only Wikipedia sources are asked. The unresolved summary is cached, so the marker's own lookup reuses it.
+   * @param {string|null} name - Source name from options.sources (null for the default source)
+   * @param {string} language - Language override
+   * @param {string|null} topic - Topic parameter (a "#Section" suffix is ignored)
+   * @returns {Promise<boolean>} - True for disambiguation pages; false when the lookup fails
+   */
+  async isAmbiguous(name, language, topic) {
+    if (!topic || this.options.disambiguation === false) return false;
+    const source = this.getSource(name, language);
+    if (!(source instanceof WikipediaClient)) return false;
+    try {
+      const summary = await source.getSummary(splitSection(topic).topic, { disambiguation: false, strict: true });
+      return summary?.type === 'disambiguation';
+    } catch {
+      return false;
     }
   }
 
+  /**
+   * Get a knowledge source by name, bound to a language override
+   * @param {string|null} name - Source name from options.sources (null for the default source)
+   * @param {string} language - Language override (only applies to sources with forLanguage)
+   * @returns {object} - Knowledge source
+   */
+  getSource(name, language) {
+    const source = name === null ? this.source : this.sources[name];
+    if (language && typeof source.forLanguage === 'function') {
+      return source.forLanguage(language);
+    }
+    return source;
+  }
+
+  /**
+   * Get (and memoize) the marker set bound to a knowledge source and language
+   * @param {string|null} name - Source name from options.sources (null for the default source)
+   * @param {string} language - Language override (only applies to sources with forLanguage)
+   * @returns {object} - Marker functions
+   */
+  getMarkers(name, language) {
+    const key = `${name ?? ''}@${language ?? ''}`;
+
+    if (!this.sourceMarkers[key]) {
+      this.sourceMarkers[key] = createAIMarkers(this.getSource(name, language), this.ai, {
+        searchFallback: this.searchFallback,
+        wikidata: this.wikidata,
+        answerContext: this.answerContext
+      });
+    }
+    return this.sourceMarkers[key];
+  }
+
   /**
    * Process text and also use base docufresh markers
    * Requires docufresh to be installed
@@ -222,33 +882,95 @@ class DocuFreshAI {
   }
 
   /**
-   * Get a fact from Wikipedia
+   * Get a fact from the default knowledge source (Wikipedia unless configured)
    * Convenience method for direct access
    *
-   * @param {string} topic - Wikipedia topic
+   * @param {string} topic - Topic
    * @returns {Promise<string>} - Fact text
    */
   async getFact(topic) {
-    return this.wikipedia.getFact(topic);
+    return this.source.getFact(topic);
   }
 
   /**
-   * Get a summary from Wikipedia
-   * @param {string} topic - Wikipedia topic
+   * Get a summary from the default knowledge source
+   * @param {string} topic - Topic
+   * @param {object} options - Options for the source, e.g. { context } to resolve a disambiguation page
    * @returns {Promise<object>} - Summary object
    */
-  async getSummary(topic) {
-    return this.wikipedia.getSummary(topic);
+  async getSummary(topic, options) {
+    return this.source.getSummary(topic, options);
   }
 
   /**
-   * Search Wikipedia
+   * Get the sections of a topic's article from the default knowledge source
+   * @param {string} topic - Topic
+   * @returns {Promise<object>} - { title, url, revision, timestamp, language, lead, sections }
+   */
+  async getSections(topic) {
+    if (typeof this.source.getSections !== 'function') {
+      throw new Error('This knowledge source does not support sections');
+    }
+    return this.source.getSections(topic);
+  }
+
+  /**
+   * Get one section of a topic's article (title or anchor, subsections included)
+   * @param {string} topic - Topic
+   * @param {string} section - Section title or anchor (e.g. 'History')
+   * @returns {Promise<object>} - { title, url, revision, timestamp, language, section, anchor, text }
+   */
+  async getSection(topic, section) {
+    if (typeof this.source.getSection !== 'function') {
+      throw new Error('This knowledge source does not support sections');
+    }
+    return this.source.getSection(topic, section);
+  }
+
+  /**
+   * Get the infobox of a topic's article as cleaned key/value pairs
+   * @param {string} topic - Topic
+   * @returns {Promise<object>} - { title, url, revision, timestamp, language, type, fields }
+   */
+  async getInfobox(topic) {
+    if (typeof this.source.getInfobox !== 'function') {
+      throw new Error('This knowledge source does not support infoboxes');
+    }
+    return this.source.getInfobox(topic);
+  }
+
+  /**
+   * Search the default knowledge source
    * @param {string} query - Search query
    * @param {number} limit - Max results
    * @returns {Promise<Array>} - Search results
    */
   async search(query, limit = 5) {
-    return this.wikipedia.search(query, limit);
+    return this.source.search(query, limit);
+  }
+
+  /**
+   * Get an exact property value from Wikidata
+   * @param {string} topic - Wikipedia article title or Wikidata item id
+   * @param {string} property - Property id (e.g. 'P1082') or alias (e.g. 'population')
+   * @returns {Promise<object>} - Statement with value, formatted text, unit and point in time
+   */
+  async getData(topic, property) {
+    return this.wikidata.getStatement(topic, property);
+  }
+
+  /**
+   * Answer a question with a span of a topic's article (extractive QA, see options.qa)
+   * @param {string} topic - Topic
+   * @param {string} question - Question
+   * @returns {Promise<object>} - { answer, start, end, score, threshold, accepted, context }: offsets are
+   *   into context, the article text the answer was taken from
+   */
+  async findAnswer(topic, question) {
+    const context = this.source.getFactWithFallback && this.searchFallback
+      ? await this.source.getFactWithFallback(topic)
+      : await this.source.getFact(topic);
+    return { ...await this.ai.answerExtractive(question, context), context };
   }
 
   /**
@@ -290,13 +1012,49 @@ class DocuFreshAI {
   }
 
   /**
-   * Clear the Wikipedia cache
+   * Clear the Wikipedia cache (and the cache of every other source that has one)
+   * @returns {Promise<void>}
    */
-  clearCache() {
-    this.wikipedia.clearCache();
+  async clearCache() {
+    const sources = new Set([this.source, this.wikidata, ...Object.values(this.sources)]);
+    const clears = [...sources]
+      .filter(source => typeof source.clearCache === 'function')
+      .map(source => source.clearCache());
+    await Promise.all(clears);
   }
 }
 
 // Export everything
-export { DocuFreshAI, WikipediaClient, AIEngine, registerAIMarkers, createAIMarkers };
+export {
+  DocuFreshAI,
+  WikipediaClient,
+  WikidataClient,
+  AIEngine,
+  PromptRegistry,
+  LocalKnowledgeSource,
+  ResponseCache,
+  MemoryCacheStore,
+  FileCacheStore,
+  IndexedDBCacheStore,
+  createRecordReplayFetch,
+  createLimiter,
+  createRateLimiter,
+  LookupError,
+  NotFoundError,
+  RateLimitedError,
+  ServerError,
+  NetworkError,
+  TransformersBackend,
+  OpenAICompatibleBackend,
+  FunctionBackend,
+  MockBackend,
+  registerAIMarkers,
+  createAIMarkers,
+  parseMarkers,
+  MarkerSyntaxError,
+  createLock,
+  readLockFile,
+  writeLockFile,
+  verifyGrounding
+};
 export default DocuFreshAI;
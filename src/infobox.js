@@ -0,0 +1,229 @@
+/**
+ * Infobox Parsing
+ * Reads the {{Infobox ...}} templates of article wikitext into normalized key/value pairs:
+ *   | key_people = [[Elon Musk]] ([[CEO]])<ref>...</ref>   →   key_people: 'Elon Musk (CEO)'
+ * Values are cleaned of links, references, comments, markup and templates; list templates
+ * ({{plainlist}}, {{ubl}}, {{hlist}}, ...) become comma-separated text and date templates become dates.
+ */
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+  'October', 'November', 'December'];
+
+// Templates whose parameters are list items
+const LIST_TEMPLATES = new Set(['plainlist', 'plain list', 'ubl', 'unbulleted list', 'unbulleted_list', 'hlist',
+  'flatlist', 'flat list', 'bulleted list', 'bulleted_list', 'ublist', 'collapsible list', 'enum', 'ordered list']);
+// Templates that just wrap their first parameter
+const WRAPPER_TEMPLATES = new Set(['nowrap', 'small', 'big', 'nobr', 'lang', 'nobold', 'noitalic', 'abbr',
+  'sup', 'sub', 'longitem', 'tooltip', 'avoid wrap', 'url', 'official url']);
+// Date templates: {{start date|2003|7|1}}, {{release date and age|2024|01|15}}
+const DATE_TEMPLATE = /^(start|end|release|birth|death|film release|dissolution) date( and (age|years ago))?$|^(dts|date)$/;
+
+// Other names for common fields, tried when a key does not match a field directly
+const ALIASES = {
+  ceo: ['key_people'],
+  headquarters: ['hq_location', 'hq_location_city', 'location', 'headquarters_location'],
+  hq: ['hq_location', 'hq_location_city', 'headquarters'],
+  founder: ['founders', 'founder'],
+  founded: ['foundation', 'founded', 'established', 'established_date'],
+  population: ['population_total', 'population_est', 'population_estimate', 'population_census'],
+  release: ['latest_release_version', 'released'],
+  version: ['latest_release_version'],
+  employees: ['num_employees', 'number_of_employees'],
+  website: ['url', 'homepage']
+};
+
+/**
+ * Normalize a field name: lowercase with underscores ("Key people" → "key_people")
+ * @param {string} key - Field name
+ * @returns {string} - Normalized name
+ */
+function normalizeKey(key) {
+  return String(key).trim().toLowerCase().replace(/[\s_-]+/g, '_');
+}
+
+/**
+ * Split text at top-level separators, ignoring those inside {{templates}}, [[links]] and tags
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2);
+    if (pair === '{{' || pair === '[[') {
+      depth++;
+      current += pair;
+      i++;
+    } else if ((pair === '}}' || pair === ']]') && depth > 0) {
+      depth--;
+      current += pair;
+      i++;
+    } else if (text[i] === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += text[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Find the end of the template that starts at an index ("{{"), or -1 if it is not closed
+ */
+function templateEnd(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    if (pair === '{{') {
+      depth++;
+      i++;
+    } else if (pair === '}}') {
+      depth--;
+      i++;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Render a template inside a value: lists become "a, b", dates "July 1, 2003", wrappers their content
+ */
+function renderTemplate(inner) {
+  const [rawName, ...params] = splitTopLevel(inner, '|');
+  const name = rawName.trim().toLowerCase().replace(/_/g, ' ');
+  const positional = params.filter(param => !/^\s*[\w\s-]+=/.test(param)).map(param => param.trim());
+
+  if (LIST_TEMPLATES.has(name)) {
+    return positional.map(cleanValue).filter(Boolean).join(', ');
+  }
+  if (DATE_TEMPLATE.test(name)) {
+    const [year, month, day] = positional.map(Number);
+    if (!year) return '';
+    if (!month) return String(year);
+    return day ? `${MONTHS[month - 1]} ${day}, ${year}` : `${MONTHS[month - 1]} ${year}`;
+  }
+  if (WRAPPER_TEMPLATES.has(name)) {
+    // {{lang|fr|texte}} wraps its second parameter
+    return positional[name === 'lang' ? 1 : 0] ?? '';
+  }
+  return '';
+}
+
+/**
+ * Clean a wikitext value to plain text
+ * @param {string} value - Wikitext
+ * @returns {string} - Text without links, references, comments, markup and templates
+ */
+function cleanValue(value) {
+  let text = value
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<ref\b[^>]*\/>/gi, '')
+    .replace(/<ref\b[^>]*>[\s\S]*?<\/ref>/gi, '');
+
+  // Templates, innermost first
+  let start;
+  while ((start = text.lastIndexOf('{{')) !== -1) {
+    const end = text.indexOf('}}', start);
+    if (end === -1) break;
+    text = text.slice(0, start) + renderTemplate(text.slice(start + 2, end)) + text.slice(end + 2);
+  }
+
+  return text
+    .replace(/\[\[(?:File|Image):[^\]]*\]\]/gi, '')
+    .replace(/\[\[([^\]|]*)\|([^\]]*)\]\]/g, '$2')
+    .replace(/\[\[([^\]]*)\]\]/g, '$1')
+    .replace(/\[(?:https?:)?\/\/\S+\s+([^\]]+)\]/g, '$1')
+    .replace(/\[(?:https?:)?\/\/[^\]\s]+\]/g, '')
+    .replace(/<br\s*\/?>/gi, ', ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/'{2,}/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/^\s*[*#]\s*/gm, ', ')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,)])/g, '$1')
+    .replace(/\(\s+/g, '(')
+    .replace(/,(\s*,)+/g, ',')
+    .replace(/\(\)/g, '')
+    .replace(/^[\s,]+|[\s,]+$/g, '');
+}
+
+/**
+ * Parse the infobox templates of an article's wikitext
+ * Fields of later infoboxes (e.g. an embedded one) are added when the first has no field by that name.
+ * @param {string} wikitext - Article wikitext
+ * @returns {{type: string|null, fields: object}} - Infobox type (e.g. 'company') and cleaned values by
+ *   normalized key; fields left empty in the article are left out
+ */
+function parseInfobox(wikitext) {
+  const fields = {};
+  let type = null;
+  const pattern = /\{\{\s*Infobox[\s_]*([^|}]*)/gi;
+  let match;
+
+  while ((match = pattern.exec(wikitext)) !== null) {
+    const end = templateEnd(wikitext, match.index);
+    if (end === -1) break;
+
+    type = type ?? (match[1].trim().toLowerCase() || null);
+    const [, ...params] = splitTopLevel(wikitext.slice(match.index + 2, end - 2), '|');
+    for (const param of params) {
+      const equals = param.indexOf('=');
+      if (equals === -1) continue;
+      const key = normalizeKey(param.slice(0, equals));
+      const value = cleanValue(param.slice(equals + 1));
+      if (key && value && !(key in fields)) {
+        fields[key] = value;
+      }
+    }
+    pattern.lastIndex = end;
+  }
+
+  return { type, fields };
+}
+
+/**
+ * Edit distance between two strings (for misspelled keys)
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the field that best matches a key
+ * Tries, in order: the exact normalized name, known aliases ("headquarters" → hq_location), a field
+ * starting with the key ("population" → population_total), a field containing it, and a field within
+ * two edits ("hq_loaction" → hq_location).
+ * @param {object} fields - Fields from parseInfobox()
+ * @param {string} key - Requested key
+ * @returns {string|null} - Matching field name, or null if none matches
+ */
+function findField(fields, key) {
+  const names = Object.keys(fields);
+  const wanted = normalizeKey(key);
+  const compact = name => name.replace(/_/g, '');
+
+  if (names.includes(wanted)) return wanted;
+  const alias = (ALIASES[wanted] || []).map(normalizeKey).find(name => names.includes(name));
+  if (alias) return alias;
+
+  return names.find(name => compact(name) === compact(wanted)) ||
+    names.find(name => name.startsWith(wanted)) ||
+    names.find(name => wanted.length >= 3 && name.includes(wanted)) ||
+    names.find(name => wanted.length >= 5 && distance(compact(name), compact(wanted)) <= 2) ||
+    null;
+}
+
+export { parseInfobox, findField, cleanValue, normalizeKey };
+export default parseInfobox;
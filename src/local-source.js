@@ -0,0 +1,293 @@
+/**
+ * Local Knowledge Source
+ * Serves facts from a folder of Markdown/JSON files (or in-memory documents)
+ * Implements the same contract as WikipediaClient: getSummary, getFact, search
+ */
+
+import { NotFoundError } from './errors.js';
+
+const SUPPORTED_EXTENSIONS = ['.md', '.markdown', '.json'];
+
+class LocalKnowledgeSource {
+  /**
+   * Create a local knowledge source
+   * @param {object} options - Configuration options
+   * @param {string} options.directory - Folder containing .md/.markdown/.json files (Node.js only)
+   * @param {Array<object>} options.documents - In-memory documents ({ title, description, extract, url })
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || null;
+    this.initialDocuments = options.documents || [];
+    this.documents = null;
+    this.loading = null;
+  }
+
+  /**
+   * Get a summary about a topic from the local documents
+   * @param {string} topic - Document title or file name (use underscores for spaces)
+   * @param {object} options - Options
+   * @param {boolean} options.strict - Throw a NotFoundError instead of returning an error summary
+   * @returns {Promise<object>} - Summary data with extract, title, description
+   */
+  async getSummary(topic, options = {}) {
+    const documents = await this.load();
+    const doc = documents.get(this.toKey(topic));
+
+    if (!doc) {
+      if (options.strict) {
+        throw new NotFoundError(`No local document for "${topic}"`);
+      }
+      return {
+        title: topic,
+        description: '',
+        extract: `Unable to fetch information about ${topic}`,
+        extractShort: '',
+        thumbnail: null,
+        url: null,
+        timestamp: new Date().toISOString(),
+        error: true,
+        errorCode: 'not_found'
+      };
+    }
+
+    return {
+      title: doc.title,
+      description: doc.description,
+      extract: doc.extract,
+      extractShort: doc.extract.slice(0, 200),
+      thumbnail: null,
+      url: doc.url,
+      timestamp: doc.timestamp
+    };
+  }
+
+  /**
+   * Get the extract text for a topic
+   * @param {string} topic - The topic to look up
+   * @param {object} options - Options for getSummary() (strict: throw if there is no document)
+   * @returns {Promise<string>} - The fact/extract text
+   */
+  async getFact(topic, options = {}) {
+    const summary = await this.getSummary(topic, options);
+    return summary.extract || `Information about ${topic} not available`;
+  }
+
+  /**
+   * Get a fact with search fallback
+   * If no document matches the topic exactly, uses the best search match
+   * @param {string} topic - The topic to look up
+   * @param {object} options - Options
+   * @param {boolean} options.strict - Throw a NotFoundError instead of returning an "Unable to ..." text
+   * @returns {Promise<string>} - The fact/extract text
+   */
+  async getFactWithFallback(topic, options = {}) {
+    const summary = await this.getSummary(topic);
+    if (!summary.error) {
+      return summary.extract;
+    }
+
+    const [bestMatch] = await this.search(topic, 1);
+    if (bestMatch) {
+      return this.getFact(bestMatch.title, options);
+    }
+
+    if (options.strict) {
+      throw new NotFoundError(`No local document matches "${topic}"`);
+    }
+    return `Unable to find information about ${topic}`;
+  }
+
+  /**
+   * Search the local documents (title matches rank above body matches)
+   * @param {string} query - Search query
+   * @param {number} limit - Max results (default 5)
+   * @returns {Promise<Array>} - Array of search results
+   */
+  async search(query, limit = 5) {
+    const documents = await this.load();
+    const terms = query.toLowerCase().split(/[\s_]+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const scored = [];
+    for (const doc of new Set(documents.values())) {
+      const title = doc.title.toLowerCase();
+      const body = `${doc.description} ${doc.extract}`.toLowerCase();
+      let score = 0;
+
+      for (const term of terms) {
+        if (title.includes(term)) score += 3;
+        if (body.includes(term)) score += 1;
+      }
+
+      if (score > 0) {
+        scored.push({ doc, score });
+      }
+    }
+
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ doc }) => ({
+        title: doc.title,
+        description: doc.description,
+        url: doc.url || ''
+      }));
+  }
+
+  /**
+   * Normalize topic string (same rules as WikipediaClient)
+   */
+  normalizeTopic(topic) {
+    return topic
+      .trim()
+      .replace(/\s+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Case-insensitive lookup key for a topic
+   */
+  toKey(topic) {
+    return this.normalizeTopic(topic).toLowerCase();
+  }
+
+  /**
+   * Forget loaded documents so the next lookup re-reads the directory
+   */
+  clearCache() {
+    this.documents = null;
+    this.loading = null;
+  }
+
+  /**
+   * Load and index all documents (once)
+   * @returns {Promise<Map>} - Map of lookup key -> document
+   */
+  async load() {
+    if (this.documents) return this.documents;
+    if (!this.loading) {
+      this.loading = this.readDocuments().then(docs => {
+        const index = new Map();
+        for (const doc of docs) {
+          for (const key of doc.keys) {
+            if (!index.has(key)) index.set(key, doc);
+          }
+        }
+        this.documents = index;
+        return index;
+      }).finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Collect in-memory documents and files from the directory
+   */
+  async readDocuments() {
+    const docs = this.initialDocuments.map(raw => this.createDocument(raw));
+
+    if (!this.directory) return docs;
+
+    // Lazy load fs so the source can still be bundled for the browser with in-memory documents
+    const { readdir, readFile, stat } = await import('node:fs/promises');
+    const path = await import('node:path');
+
+    const files = await readdir(this.directory);
+    for (const file of files.sort()) {
+      const ext = path.extname(file).toLowerCase();
+      if (!SUPPORTED_EXTENSIONS.includes(ext)) continue;
+
+      const fullPath = path.join(this.directory, file);
+      const [content, info] = await Promise.all([readFile(fullPath, 'utf8'), stat(fullPath)]);
+      const defaults = {
+        name: path.basename(file, path.extname(file)),
+        timestamp: info.mtime.toISOString()
+      };
+
+      if (ext === '.json') {
+        const data = JSON.parse(content);
+        const entries = Array.isArray(data) ? data : [data];
+        for (const entry of entries) {
+          docs.push(this.createDocument(entry, entries.length === 1 ? defaults : { timestamp: defaults.timestamp }));
+        }
+      } else {
+        docs.push(this.createDocument(this.parseMarkdown(content), defaults));
+      }
+    }
+
+    return docs;
+  }
+
+  /**
+   * Normalize a raw document into the indexed shape
+   */
+  createDocument(raw, defaults = {}) {
+    const title = raw.title || (defaults.name || '').replace(/_/g, ' ');
+    const keys = [title, defaults.name, ...(raw.aliases || [])]
+      .filter(Boolean)
+      .map(key => this.toKey(String(key)));
+
+    return {
+      title,
+      description: raw.description || '',
+      extract: (raw.extract || raw.content || '').trim(),
+      url: raw.url || null,
+      timestamp: raw.timestamp || defaults.timestamp || new Date().toISOString(),
+      keys
+    };
+  }
+
+  /**
+   * Parse a Markdown file: optional front matter, first heading as title, body as plain text
+   */
+  parseMarkdown(content) {
+    const doc = {};
+    let body = content.replace(/\r\n/g, '\n');
+
+    const frontMatter = body.match(/^---\n([\s\S]*?)\n---\n?/);
+    if (frontMatter) {
+      for (const line of frontMatter[1].split('\n')) {
+        const match = line.match(/^(\w+)\s*:\s*(.*)$/);
+        if (match) {
+          doc[match[1]] = match[2].trim().replace(/^["']|["']$/g, '');
+        }
+      }
+      body = body.slice(frontMatter[0].length);
+    }
+
+    if (doc.aliases) {
+      doc.aliases = doc.aliases.replace(/^\[|\]$/g, '').split(',').map(a => a.trim()).filter(Boolean);
+    }
+
+    const heading = body.match(/^#\s+(.+)$/m);
+    if (heading && !doc.title) {
+      doc.title = heading[1].trim();
+    }
+    if (heading) {
+      body = body.replace(heading[0], '');
+    }
+
+    doc.extract = this.stripMarkdown(body);
+    return doc;
+  }
+
+  /**
+   * Reduce Markdown to plain text
+   */
+  stripMarkdown(markdown) {
+    return markdown
+      .replace(/```[\s\S]*?```/g, '')           // Code blocks
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')  // Images
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')   // Links
+      .replace(/^#{1,6}\s+/gm, '')               // Headings
+      .replace(/^\s*[-*+]\s+/gm, '')             // List bullets
+      .replace(/(\*\*|__|\*|_|`)/g, '')          // Emphasis and inline code
+      .replace(/\n{2,}/g, '\n\n')
+      .trim();
+  }
+}
+
+export { LocalKnowledgeSource };
+export default LocalKnowledgeSource;
@@ -0,0 +1,215 @@
+/**
+ * Freshness Lock
+ * Records which article revision and value every marker resolved to, pins markers to revisions
+ * ({{ai_fact:Moon@rev=123456}}) and compares locked markers with the latest revisions upstream
+ *
+ * Lock file format (JSON, keys sorted so refreshes show up as small diffs):
+ * {
+ *   "lockfileVersion": 1,
+ *   "markers": {
+ *     "{{ai_fact:Moon}}": { "marker": "ai_fact", "topic": "Moon", "article": "Moon", "url": "...",
+ *                           "language": "en", "revision": "1187654321", "timestamp": "...", "value": "..." }
+ *   }
+ * }
+ */
+
+import { splitSection } from './markers.js';
+
+const LOCKFILE_VERSION = 1;
+const REVISION_PIN = /^([\s\S]*?)\s*@rev=(\d+)$/;
+
+/**
+ * Split a revision pin off a marker's topic parameter
+ * @param {string[]} params - Bound marker parameters
+ * @param {string[]} names - Parameter names from the marker spec
+ * @returns {{params: string[], topic: string|null, revision: string|null}} - Parameters without the pin,
+ *   the topic and the pinned revision id
+ */
+function extractRevisionPin(params, names = []) {
+  const index = names.indexOf('topic');
+  if (index === -1 || typeof params[index] !== 'string') {
+    return { params, topic: null, revision: null };
+  }
+
+  const match = params[index].match(REVISION_PIN);
+  if (!match) {
+    return { params, topic: params[index], revision: null };
+  }
+
+  const stripped = [...params];
+  stripped[index] = match[1];
+  return { params: stripped, topic: match[1], revision: match[2] };
+}
+
+/**
+ * Wrap a knowledge source so lookups of one topic read a fixed revision
+ * Other lookups (e.g. a second topic) are passed through. Lookups made while falling back from the
+ * topic (search) still start with the topic, so they get the pinned revision too. Section and infobox
+ * lookups ({{ai_section:Moon#History@rev=N}}) read that revision as well.
+ * @param {object} source - Knowledge source with getRevisionSummary(revision, options)
+ * @param {string} topic - Pinned topic (a "#Section" suffix is ignored)
+ * @param {string} revision - Revision id
+ * @returns {object} - Pinned source (inherits everything else from the source)
+ */
+function pinSource(source, topic, revision) {
+  if (typeof source.getRevisionSummary !== 'function') {
+    throw new Error('This knowledge source does not support revision pinning');
+  }
+
+  const normalize = value => splitSection(String(value)).topic.trim().replace(/[\s_]+/g, ' ').toLowerCase();
+  const pinned = Object.create(source);
+
+  pinned.getSummary = async function (requested, options) {
+    if (normalize(requested) === normalize(topic)) {
+      return source.getRevisionSummary.call(this, revision, options);
+    }
+    return source.getSummary.call(this, requested, options);
+  };
+
+  for (const method of ['getSections', 'getInfobox']) {
+    if (typeof source[method] !== 'function') continue;
+    pinned[method] = async function (requested, options = {}) {
+      if (normalize(requested) === normalize(topic)) {
+        return source[method].call(this, requested, { ...options, revision });
+      }
+      return source[method].call(this, requested, options);
+    };
+  }
+
+  return pinned;
+}
+
+/**
+ * Build a lock from processDetailed() records
+ * Markers that failed are left out; identical markers share one entry.
+ * @param {Array<object>} records - processDetailed() markers
+ * @param {object} previous - Lock to add the entries to (entries for the same marker are replaced)
+ * @returns {object} - Lock ({ lockfileVersion, markers })
+ */
+function createLock(records, previous = null) {
+  const markers = { ...previous?.markers };
+
+  for (const record of records) {
+    if (record.error) continue;
+
+    markers[record.raw] = {
+      marker: record.marker,
+      topic: record.topic ?? null,
+      article: record.article?.title ?? null,
+      url: record.article?.url ?? null,
+      language: record.article?.language ?? null,
+      revision: record.article?.revision ?? null,
+      timestamp: record.timestamp ?? null,
+      value: record.output
+    };
+  }
+
+  const sorted = Object.fromEntries(Object.keys(markers).sort().map(key => [key, markers[key]]));
+  return { lockfileVersion: LOCKFILE_VERSION, markers: sorted };
+}
+
+/**
+ * Check a lock object's shape
+ * @param {object} lock - Parsed lock
+ * @returns {object} - The lock
+ * @throws {Error} - If it is not a lock this version understands
+ */
+function validateLock(lock) {
+  if (!lock || typeof lock !== 'object' || typeof lock.markers !== 'object' || lock.markers === null) {
+    throw new Error('Invalid lock: expected { lockfileVersion, markers }');
+  }
+  if (lock.lockfileVersion !== LOCKFILE_VERSION) {
+    throw new Error(`Unsupported lockfileVersion: ${lock.lockfileVersion} (expected ${LOCKFILE_VERSION})`);
+  }
+  return lock;
+}
+
+/**
+ * Compare locked markers with the latest resolution
+ * A marker is 'outdated' when its article has a newer revision (or, without revision ids, a newer
+ * timestamp) than the locked one, 'current' when it doesn't, and 'unlocked' when the lock has no entry.
+ * @param {object} lock - Baseline lock
+ * @param {Array<object>} records - processDetailed() markers resolved without pins
+ * @returns {{markers: Array<object>, outdated: Array<object>}} - One report per marker and the outdated ones
+ */
+function compareWithLock(lock, records) {
+  const markers = [];
+  const seen = new Set();
+
+  for (const record of records) {
+    if (record.error || seen.has(record.raw)) continue;
+    seen.add(record.raw);
+
+    const locked = lock.markers[record.raw] || null;
+    const latest = {
+      revision: record.article?.revision ?? null,
+      timestamp: record.timestamp ?? null
+    };
+
+    markers.push({
+      marker: record.marker,
+      raw: record.raw,
+      span: record.span,
+      article: record.article?.title ?? locked?.article ?? null,
+      status: locked ? (isNewer(latest, locked) ? 'outdated' : 'current') : 'unlocked',
+      lockedRevision: locked?.revision ?? null,
+      latestRevision: latest.revision,
+      lockedTimestamp: locked?.timestamp ?? null,
+      latestTimestamp: latest.timestamp,
+      oldValue: locked ? locked.value : null,
+      newValue: record.output
+    });
+  }
+
+  return { markers, outdated: markers.filter(marker => marker.status === 'outdated') };
+}
+
+function isNewer(latest, locked) {
+  if (latest.revision !== null && locked.revision !== null) {
+    return Number(latest.revision) > Number(locked.revision);
+  }
+  if (latest.timestamp && locked.timestamp) {
+    return new Date(latest.timestamp) > new Date(locked.timestamp);
+  }
+  return false;
+}
+
+/**
+ * Read a lock file (Node.js only)
+ * @param {string} path - Lock file path
+ * @returns {Promise<object|null>} - Lock, or null if the file does not exist
+ */
+async function readLockFile(path) {
+  const { readFile } = await import('node:fs/promises');
+
+  let content;
+  try {
+    content = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  return validateLock(JSON.parse(content));
+}
+
+/**
+ * Write a lock file (Node.js only)
+ * @param {string} path - Lock file path
+ * @param {object} lock - Lock from createLock()
+ * @returns {Promise<void>}
+ */
+async function writeLockFile(path, lock) {
+  const { writeFile } = await import('node:fs/promises');
+  await writeFile(path, JSON.stringify(validateLock(lock), null, 2) + '\n', 'utf8');
+}
+
+export {
+  extractRevisionPin,
+  pinSource,
+  createLock,
+  validateLock,
+  compareWithLock,
+  readLockFile,
+  writeLockFile
+};
+export default createLock;
@@ -0,0 +1,25 @@
+/**
+ * Status Logging
+ * Progress lines ("Initializing DocuFresh-AI...", "Loading AI model: ...") go to stderr by default,
+ * so programs that print their results to stdout (like `docufresh-ai check --diff`) stay pipeable.
+ */
+
+const stderrLogger = { info: message => console.error(message) };
+const silentLogger = { info: () => {} };
+
+/**
+ * Normalize the logger option
+ * @param {boolean|function|object} option - false (silent), a function message => void, or an object with
+ *   an info(message) method such as console (default: stderr)
+ * @returns {{info: function}} - Logger
+ */
+function resolveLogger(option) {
+  if (option === undefined || option === null || option === true) return stderrLogger;
+  if (option === false) return silentLogger;
+  if (typeof option === 'function') return { info: option };
+  if (typeof option?.info === 'function') return option;
+  throw new Error('logger must be false, a function or an object with an info() method');
+}
+
+export { resolveLogger };
+export default resolveLogger;
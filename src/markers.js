@@ -4,23 +4,209 @@
  * All ai_* markers use AI processing for intelligent output
  */
 
+import { LookupError, NotFoundError } from './errors.js';
+
+/**
+ * Knowledge source contract
+ * Any object with these methods can feed the ai_* markers (WikipediaClient and
+ * LocalKnowledgeSource both implement it)
+ * Markers call getSummary, getFact and getFactWithFallback with { strict: true }: sources should throw
+ * (a LookupError, see src/errors.js) rather than return an "Unable to ..." text the model would write about.
+ * @typedef {object} KnowledgeSource
+ * @property {function(string, object): Promise<object>} getSummary - Summary with title, description, extract, url,
+ *   timestamp (or error: true when the topic is missing)
+ * @property {function(string, object): Promise<string>} getFact - Extract text for a topic
+ * @property {function(string, number): Promise<Array>} search - Search results with title, description, url
+ * @property {function(string, object): Promise<string>} [getFactWithFallback] - Extract text, searching if the topic
+ *   is missing
+ * @property {function(string): string} [getUrl] - Canonical URL for a topic
+ * @property {function(string, string): Promise<object>} [getSection] - One section's text (ai_section, "#Section")
+ * @property {function(string, string): Promise<object|null>} [findPassage] - Best matching paragraph of an
+ *   article (answerContext 'passage')
+ * @property {function(string, string): Promise<object>} [getInfoboxField] - One infobox value (ai_infobox)
+ */
+
+/**
+ * Parameter names of the built-in markers, in positional order
+ * Extra colon-separated arguments are joined into the last parameter ('rest'), so
+ * {{ai_fact:Star_Wars:_Episode_IV}} keeps its topic and sentences keep their colons
+ */
+const MARKER_SPECS = {
+  ai_fact: { params: ['topic'] },
+  ai_describe: { params: ['topic'] },
+  ai_rewrite: { params: ['topic', 'sentence'] },
+  ai_complete: { params: ['content'] },
+  ai_paragraph: { params: ['topic'] },
+  ai_summary: { params: ['topic'] },
+  ai_answer: { params: ['topic', 'question'] },
+  ai_data: { params: ['topic', 'property'] },
+  ai_link: { params: ['topic'] },
+  ai_updated: { params: ['topic'] },
+  ai_prompt: { params: ['name', 'topic', 'question'] },
+  ai_section: { params: ['topic'] },
+  ai_infobox: { params: ['topic', 'key'] }
+};
+
+const SPLIT_MODES = ['rest', 'all'];
+const ANSWER_CONTEXTS = ['lead', 'passage'];
+
+/**
+ * Normalize the answerContext option
+ * @param {string} option - 'lead' (default) or 'passage'
+ * @returns {string} - Answer context
+ */
+function resolveAnswerContext(option) {
+  const context = option || 'lead';
+  if (!ANSWER_CONTEXTS.includes(context)) {
+    throw new Error(`Unknown answer context: ${option} (expected ${ANSWER_CONTEXTS.join(', ')})`);
+  }
+  return context;
+}
+
+/**
+ * Split a "#Section" suffix off a topic ("Tesla,_Inc.#History")
+ * A trailing "#" is part of the topic ("C#", "F#"), and "\#" is a literal "#" anywhere
+ * ("C\#_(programming_language)#History")
+ * @param {string} topic - Topic parameter
+ * @returns {{topic: string, section: string|null}} - Article topic and section (null without a suffix)
+ */
+function splitSection(topic) {
+  const unescape = text => text.replace(/\\#/g, '#');
+  const index = topic.search(/(?<!\\)#(?=\s*\S)/);
+  if (index === -1) {
+    return { topic: unescape(topic), section: null };
+  }
+  return { topic: unescape(topic.slice(0, index)).trim(), section: unescape(topic.slice(index + 1)).trim() };
+}
+
+/**
+ * Validate a custom marker definition
+ * @param {string} name - Marker name (must start with ai_, e.g. 'ai_price')
+ * @param {function} fn - Handler: (context, ...params) => string | Promise<string>
+ * @param {object} options - Parameter binding (see bindMarkerParams)
+ * @param {string[]} options.params - Parameter names in positional order (also allowed as named params)
+ * @param {string} options.splitMode - 'rest' (default with params) joins extra arguments into the last
+ *   parameter, 'all' passes every argument separately
+ * @returns {{fn: function, spec: object}} - Handler and parameter spec
+ */
+function defineMarker(name, fn, options = {}) {
+  if (typeof name !== 'string' || !/^ai_\w+$/.test(name)) {
+    throw new Error(`Marker names must start with "ai_" followed by word characters, got: ${name}`);
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`Marker ${name} needs a handler function`);
+  }
+
+  const params = options.params ?? [];
+  if (!Array.isArray(params) || params.some(param => typeof param !== 'string' || !/^\w+$/.test(param))) {
+    throw new Error(`Marker ${name}: params must be an array of parameter names`);
+  }
+  if (options.splitMode !== undefined && !SPLIT_MODES.includes(options.splitMode)) {
+    throw new Error(`Marker ${name}: unknown splitMode ${options.splitMode} (expected ${SPLIT_MODES.join(', ')})`);
+  }
+
+  return { fn, spec: { params, splitMode: options.splitMode } };
+}
+
+/**
+ * Map parsed marker arguments onto a marker function's parameters
+ * Unquoted values are trimmed; with splitMode 'rest' extra positional arguments are rejoined
+ * (colons and surrounding spaces intact) into the last parameter
+ * @param {string} name - Marker name (for error messages)
+ * @param {object} spec - { params: string[], splitMode: 'rest' | 'all' } (default splitMode: 'rest')
+ * @param {Array<{value: string, quoted: boolean}>} args - Positional arguments
+ * @param {object|null} named - Named arguments by key ({{ai_answer topic="Moon" question="..."}})
+ * @returns {string[]} - Arguments for the marker function
+ */
+function bindMarkerParams(name, spec, args, named) {
+  const params = spec?.params || [];
+  const clean = arg => (arg.quoted ? arg.value : arg.value.trim());
+
+  if (named) {
+    for (const key of Object.keys(named)) {
+      if (!params.includes(key)) {
+        throw new Error(`Unknown parameter "${key}" for ${name}`);
+      }
+    }
+    const values = params.map(param => (named[param] ? clean(named[param]) : undefined));
+    while (values.length > 0 && values[values.length - 1] === undefined) {
+      values.pop();
+    }
+    return values;
+  }
+
+  const splitMode = spec?.splitMode || (params.length > 0 ? 'rest' : 'all');
+  if (splitMode === 'rest' && args.length > params.length && params.length > 0) {
+    const head = args.slice(0, params.length - 1).map(clean);
+    const rest = args.slice(params.length - 1).map(arg => arg.value).join(':').trim();
+    return [...head, rest];
+  }
+  return args.map(clean);
+}
+
 /**
  * Create AI marker functions
- * @param {WikipediaClient} wikipedia - Wikipedia client instance
+ * @param {KnowledgeSource} source - Knowledge source the markers read from (e.g. a WikipediaClient)
  * @param {AIEngine} ai - AI engine instance
  * @param {object} options - Configuration options
  * @param {boolean} options.searchFallback - Use search fallback if direct lookup fails (default: true)
+ * @param {WikidataClient} options.wikidata - Wikidata client for ai_data (ai_data is unavailable without it)
+ * @param {string} options.answerContext - Context for {{ai_answer:topic:question}}: 'lead' (default, the
+ *   article summary) or 'passage' (the paragraph of the whole article that best matches the question)
  * @returns {object} - Marker functions
  */
-function createAIMarkers(wikipedia, ai, options = {}) {
+function createAIMarkers(source, ai, options = {}) {
   const useSearchFallback = options.searchFallback ?? true;
+  const wikidata = options.wikidata || null;
+  const answerContext = resolveAnswerContext(options.answerContext);
 
   // Helper function to get facts with optional fallback
-  const getFactsFromWikipedia = async (topic) => {
-    if (useSearchFallback) {
-      return wikipedia.getFactWithFallback(topic);
+  // Lookups are strict: a missing article or an outage fails the marker instead of becoming its context
+  const getFactsFromSource = async (topic) => {
+    if (useSearchFallback && source.getFactWithFallback) {
+      return source.getFactWithFallback(topic, { strict: true });
+    }
+    return source.getFact(topic, { strict: true });
+  };
+
+  // Summary of a topic (error summaries of sources without strict mode fail the marker too)
+  const getSummaryFromSource = async (topic) => {
+    const summary = await source.getSummary(topic, { strict: true });
+    if (summary.error) {
+      throw summary.errorCode === 'not_found' ? new NotFoundError(summary.extract) : new LookupError(summary.extract);
+    }
+    return summary;
+  };
+
+  // Text of one article section ({{ai_answer:Moon#Exploration:...}})
+  const getSectionFromSource = async (topic, section) => {
+    if (typeof source.getSection !== 'function') {
+      throw new Error('This knowledge source does not support sections');
+    }
+    const found = await source.getSection(topic, section);
+    if (!found.text) {
+      throw new Error(`Section "${found.section}" of ${found.title} has no text`);
     }
-    return wikipedia.getFact(topic);
+    return found.text;
+  };
+
+  // Context for a topic parameter: the "#Section" if there is one, otherwise the article summary
+  const getContextFromSource = async (topicParam) => {
+    const { topic, section } = splitSection(topicParam);
+    return section ? getSectionFromSource(topic, section) : getFactsFromSource(topic);
+  };
+
+  // The paragraph that best matches a question; the summary if there is none or the source has no sections
+  const getPassageFromSource = async (topic, question) => {
+    if (typeof source.findPassage === 'function') {
+      try {
+        const passage = await source.findPassage(topic, question);
+        if (passage) return passage.text;
+      } catch (error) {
+        console.warn(`Passage search failed for "${topic}", using the summary:`, error.message);
+      }
+    }
+    return getFactsFromSource(topic);
   };
 
   return {
@@ -30,9 +216,9 @@ function createAIMarkers(wikipedia, ai, options = {}) {
      * Example: {{ai_fact:Albert_Einstein}} → "Einstein developed the theory of relativity"
      */
     ai_fact: async (topic) => {
-      const fullText = await getFactsFromWikipedia(topic);
+      const fullText = await getFactsFromSource(topic);
       // Use AI to extract the most important fact
-      const keyFact = await ai.extractKeyFact(fullText);
+      const keyFact = await ai.extractKeyFact(fullText, { marker: 'ai_fact' });
       return keyFact;
     },
 
@@ -42,24 +228,24 @@ function createAIMarkers(wikipedia, ai, options = {}) {
      * Example: {{ai_describe:Python_(programming_language)}} → "A versatile programming language known for readability"
      */
     ai_describe: async (topic) => {
-      const summary = await wikipedia.getSummary(topic);
+      const summary = await getSummaryFromSource(topic);
       // Use AI to generate a concise description
-      const description = await ai.generateDescription(topic, summary.extract);
+      const description = await ai.generateDescription(topic, summary.extract, { marker: 'ai_describe' });
       return description;
     },
 
     /**
      * AI fully rewrites a sentence incorporating Wikipedia facts
-     * Usage: {{ai_rewrite:topic:sentence}}
+     * Usage: {{ai_rewrite:topic:sentence}} or {{ai_rewrite:topic#Section:sentence}}
      * Example: {{ai_rewrite:USA_Presidents:Presidents have made big changes}}
      *       → "Throughout American history, presidents have shaped the nation through legislation and reforms"
      */
     ai_rewrite: async (topic, sentence) => {
-      // Get facts from Wikipedia (with optional search fallback)
-      const facts = await getFactsFromWikipedia(topic);
+      // Get facts from the source (the section after "#", or the summary with optional search fallback)
+      const facts = await getContextFromSource(topic);
 
       // Use AI to fully rewrite the sentence with facts
-      const rewritten = await ai.rewriteWithFacts(sentence, facts);
+      const rewritten = await ai.rewriteWithFacts(sentence, facts, { marker: 'ai_rewrite' });
       return rewritten;
     },
 
@@ -82,11 +268,11 @@ function createAIMarkers(wikipedia, ai, options = {}) {
      * Example: {{ai_paragraph:SpaceX}} → "SpaceX, founded by Elon Musk in 2002..."
      */
     ai_paragraph: async (topic) => {
-      // Get facts from Wikipedia
-      const summary = await wikipedia.getSummary(topic);
+      // Get facts from the source
+      const summary = await getSummaryFromSource(topic);
 
       // Use AI to generate a paragraph
-      const paragraph = await ai.generateParagraph(summary.title, summary.extract);
+      const paragraph = await ai.generateParagraph(summary.title, summary.extract, { marker: 'ai_paragraph' });
       return paragraph;
     },
 
@@ -96,40 +282,68 @@ function createAIMarkers(wikipedia, ai, options = {}) {
      * Example: {{ai_summary:Climate_change}} → "Climate change is the long-term shift in temperatures..."
      */
     ai_summary: async (topic) => {
-      const summary = await wikipedia.getSummary(topic);
+      const summary = await getSummaryFromSource(topic);
 
       // Use AI to create a concise summary
-      const condensed = await ai.summarize(summary.extract);
+      const condensed = await ai.summarize(summary.extract, 100, { marker: 'ai_summary' });
       return condensed;
     },
 
     /**
      * Answer a question (with optional topic for context)
-     * Usage: {{ai_answer:question}} or {{ai_answer:topic:question}}
+     * Usage: {{ai_answer:question}}, {{ai_answer:topic:question}} or {{ai_answer:topic#Section:question}}
      * Example: {{ai_answer:Who is the current US president}} → "Joe Biden"
-     * Example: {{ai_answer:Moon:How far is it from Earth?}} → "384,400 km"
+     * Example: {{ai_answer topic="Moon" question="How far is it from Earth: km?"}} → "384,400 km"
+     * Example: {{ai_answer:Tokyo#Demographics:How many people live there?}}
      */
     ai_answer: async (topicOrQuestion, question) => {
+      if (!topicOrQuestion) {
+        // Named form without a topic: {{ai_answer question="..."}}
+        return ai.answerSimple(question, { marker: 'ai_answer' });
+      }
       if (question) {
-        // Format: {{ai_answer:topic:question}} - use Wikipedia context with fallback
-        const context = await getFactsFromWikipedia(topicOrQuestion);
-        const answer = await ai.answerQuestion(question, context);
+        // Format: {{ai_answer:topic:question}} - use source context with fallback
+        const { topic, section } = splitSection(topicOrQuestion);
+        const context = section
+          ? await getSectionFromSource(topic, section)
+          : answerContext === 'passage'
+            ? await getPassageFromSource(topic, question)
+            : await getFactsFromSource(topic);
+        const answer = await ai.answerQuestion(question, context, { marker: 'ai_answer' });
         return answer;
       } else {
         // Format: {{ai_answer:question}} - answer directly
-        const answer = await ai.answerSimple(topicOrQuestion);
+        const answer = await ai.answerSimple(topicOrQuestion, { marker: 'ai_answer' });
         return answer;
       }
     },
 
+    /**
+     * Get an exact property value from Wikidata (no AI needed)
+     * Uses the latest preferred statement, with units and its point in time
+     * Usage: {{ai_data:topic:property}} - topic is an article title or item id, property an id or alias
+     * Example: {{ai_data:World_population:population}} → "8,019,876,189 (2023)"
+     * Example: {{ai_data:Q42:P569}} → "March 11, 1952"
+     */
+    ai_data: async (topic, property) => {
+      if (!wikidata) {
+        throw new Error('ai_data requires a Wikidata client');
+      }
+      if (!property) {
+        throw new Error('ai_data requires a property: {{ai_data:topic:property}}');
+      }
+      return wikidata.getValue(topic, property, { language: source.language });
+    },
+
     /**
      * Get the Wikipedia URL for a topic (no AI needed)
      * Usage: {{ai_link:topic_name}}
      * Example: {{ai_link:JavaScript}} → "https://en.wikipedia.org/wiki/JavaScript"
      */
     ai_link: async (topic) => {
-      const summary = await wikipedia.getSummary(topic);
-      return summary.url || `https://en.wikipedia.org/wiki/${wikipedia.normalizeTopic(topic)}`;
+      // No model involved, so a failed lookup still links to the topic
+      const summary = await source.getSummary(topic);
+      return summary.url || (source.getUrl ? source.getUrl(topic) : '');
     },
 
     /**
@@ -138,11 +352,56 @@ function createAIMarkers(wikipedia, ai, options = {}) {
      * Example: {{ai_updated:Bitcoin}} → "1/15/2024"
      */
     ai_updated: async (topic) => {
-      const summary = await wikipedia.getSummary(topic);
+      const summary = await getSummaryFromSource(topic);
       if (summary.timestamp) {
         return new Date(summary.timestamp).toLocaleDateString();
       }
       return 'Unknown';
+    },
+
+    /**
+     * Run a named prompt template (see src/prompts.js) against a topic's article text
+     * The template gets {topic}, {context} (the article text) and {question}
+     * Usage: {{ai_prompt:name:topic}} or {{ai_prompt:name:topic:question}}
+     * Example: {{ai_prompt:press_blurb:SpaceX}} with prompts: { press_blurb: 'Write a press blurb about {topic}: {context}' }
+     */
+    ai_prompt: async (name, topic, question) => {
+      if (!name) {
+        throw new Error('ai_prompt requires a prompt name: {{ai_prompt:name:topic}}');
+      }
+      const context = topic ? await getFactsFromSource(topic) : '';
+      return ai.runPrompt(name, { topic, context, question });
+    },
+
+    /**
+     * Summarize one section of an article
+     * Usage: {{ai_section:topic#Section}} - the section title or anchor; subsections are included
+     * Example: {{ai_section:Tesla,_Inc.#History}} → "Tesla was founded in 2003 by Martin Eberhard and Marc Tarpenning..."
+     */
+    ai_section: async (topicParam) => {
+      const { topic, section } = splitSection(topicParam || '');
+      if (!section) {
+        throw new Error('ai_section requires a section: {{ai_section:topic#Section}}');
+      }
+      const text = await getSectionFromSource(topic, section);
+      return ai.summarize(text, 100, { marker: 'ai_section' });
+    },
+
+    /**
+     * Get an infobox field, cleaned of links, references and templates (no AI needed)
+     * Field names match fuzzily: "Key people", "CEO", "headquarters" and "population" find their fields
+     * Usage: {{ai_infobox:topic:key}}
+     * Example: {{ai_infobox:Tesla,_Inc.:key_people}} → "Elon Musk (CEO), Robyn Denholm (Chair)"
+     */
+    ai_infobox: async (topic, key) => {
+      if (!key) {
+        throw new Error('ai_infobox requires a field: {{ai_infobox:topic:key}}');
+      }
+      if (typeof source.getInfoboxField !== 'function') {
+        throw new Error('This knowledge source does not support infoboxes');
+      }
+      const { value } = await source.getInfoboxField(topic, key);
+      return value;
     }
   };
 }
@@ -150,11 +409,12 @@ function createAIMarkers(wikipedia, ai, options = {}) {
 /**
  * Register AI markers with a docufresh instance
  * @param {DocuFresh} docufresh - The docufresh instance
- * @param {WikipediaClient} wikipedia - Wikipedia client
+ * @param {KnowledgeSource} source - Knowledge source (e.g. a WikipediaClient)
  * @param {AIEngine} ai - AI engine
+ * @param {object} options - Options for createAIMarkers (searchFallback, wikidata)
  */
-function registerAIMarkers(docufresh, wikipedia, ai) {
-  const markers = createAIMarkers(wikipedia, ai);
+function registerAIMarkers(docufresh, source, ai, options = {}) {
+  const markers = createAIMarkers(source, ai, options);
 
   for (const [name, fn] of Object.entries(markers)) {
     docufresh.registerMarker(name, fn);
@@ -163,5 +423,13 @@ function registerAIMarkers(docufresh, wikipedia, ai) {
   return markers;
 }
 
-export { createAIMarkers, registerAIMarkers };
+export {
+  createAIMarkers,
+  registerAIMarkers,
+  defineMarker,
+  bindMarkerParams,
+  resolveAnswerContext,
+  splitSection,
+  MARKER_SPECS
+};
 export default registerAIMarkers;
@@ -0,0 +1,378 @@
+/**
+ * Marker Parser
+ * Tokenizes text into text nodes and (nested) {{ai_*}} marker nodes with source positions
+ *
+ * Grammar:
+ *   marker      = "{{" name [ "@" language ] [ ":" positional | whitespace named ] *filter "}}"
+ *   name        = "ai_" word-characters
+ *   positional  = param *( ":" param )
+ *   named       = *( key "=" value )               e.g. topic="Moon" question="How far: km?"
+ *   param       = quoted | *( text | marker )       nested markers are resolved first
+ *   quoted      = '"' characters '"'               literal: colons, braces and markers are plain text
+ *   filter      = "|" filter-name [ "=" param ]     e.g. {{ai_describe:Moon | maxWords=15 | sentence}}
+ *
+ * Escapes: \{{ and \}} anywhere; inside markers also \: \" \\ \= and \|
+ * (\# is passed through as written: "#Section" topics unescape it, see splitSection in src/markers.js)
+ * Unquoted parameters are trimmed when bound; other {{...}} pairs (e.g. docufresh markers) are plain text.
+ * With recover, a malformed marker stays as written: its "{{ai_name" becomes a text node carrying the
+ * error, and parsing goes on after it, so the markers around it still render.
+ */
+
+const MARKER_START = /\{\{ai_\w/y;
+const NAME = /ai_\w+/y;
+const LANGUAGE = /@([A-Za-z][A-Za-z0-9-]*)/y;
+const KEY = /[A-Za-z_][\w-]*/y;
+const FILTER_NAME = /[A-Za-z_]\w*/y;
+const ESCAPABLE = [':', '"', '\\', '=', '|'];
+
+/**
+ * Syntax error with the position of the offending input
+ */
+class MarkerSyntaxError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string} text - The document being parsed
+   * @param {number} offset - Character offset of the error
+   */
+  constructor(message, text, offset) {
+    const { line, column } = getPosition(text, offset);
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = 'MarkerSyntaxError';
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Get the 1-based line and column of an offset
+ * @param {string} text - The document
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}} - Position
+ */
+function getPosition(text, offset) {
+  const before = text.slice(0, offset);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+class MarkerParser {
+  constructor(text, options = {}) {
+    this.text = text;
+    this.pos = 0;
+    this.skip = options.skip || [];
+    this.recover = options.recover || false;
+  }
+
+  /**
+   * Parse the whole document
+   * @returns {Array<object>} - Text and marker nodes
+   */
+  parseDocument() {
+    const nodes = [];
+    let buffer = '';
+    let textStart = 0;
+
+    let skipIndex = 0;
+
+    const flush = () => {
+      if (buffer) {
+        nodes.push({ type: 'text', value: buffer, start: textStart, end: this.pos });
+      }
+      buffer = '';
+    };
+
+    while (this.pos < this.text.length) {
+      while (skipIndex < this.skip.length && this.skip[skipIndex][1] <= this.pos) {
+        skipIndex++;
+      }
+      const range = this.skip[skipIndex];
+
+      if (range && range[0] <= this.pos) {
+        // Protected range (code, comments, ...): copied verbatim
+        buffer += this.text.slice(this.pos, range[1]);
+        this.pos = range[1];
+      } else if (this.startsWith('\\{{') || this.startsWith('\\}}')) {
+        buffer += this.text.slice(this.pos + 1, this.pos + 3);
+        this.pos += 3;
+      } else if (this.atMarkerStart()) {
+        flush();
+        nodes.push(this.recover ? this.parseMarkerOrText() : this.parseMarker());
+        textStart = this.pos;
+      } else {
+        buffer += this.text[this.pos++];
+      }
+    }
+
+    flush();
+    return nodes;
+  }
+
+  /**
+   * Parse one marker, or keep its "{{ai_name" as text when it is malformed
+   * @returns {object} - Marker node, or a text node with the MarkerSyntaxError as error
+   */
+  parseMarkerOrText() {
+    const start = this.pos;
+    try {
+      return this.parseMarker();
+    } catch (error) {
+      if (!(error instanceof MarkerSyntaxError)) throw error;
+      this.pos = start + 2;
+      const name = this.match(NAME)[0];
+      const value = this.text.slice(start, this.pos);
+      const { line, column } = getPosition(this.text, start);
+      return { type: 'text', value, start, end: this.pos, line, column, name, language: null, raw: value, error };
+    }
+  }
+
+  /**
+   * Parse one marker starting at the current position
+   */
+  parseMarker() {
+    const start = this.pos;
+    this.pos += 2;
+
+    const name = this.match(NAME)[0];
+    const languageMatch = this.match(LANGUAGE);
+    const language = languageMatch ? languageMatch[1] : null;
+
+    let args = [];
+    let named = null;
+
+    if (this.text[this.pos] === ':') {
+      this.pos++;
+      args = this.parsePositional(start);
+    } else if (/\s/.test(this.text[this.pos] || '')) {
+      named = this.parseNamed(start);
+    }
+    const filters = this.text[this.pos] === '|' ? this.parseFilters(start) : [];
+
+    if (!this.startsWith('}}')) {
+      if (this.pos >= this.text.length) {
+        throw new MarkerSyntaxError(`Unterminated marker "{{${name}"`, this.text, start);
+      }
+      throw new MarkerSyntaxError(`Unexpected "${this.text[this.pos]}" in marker "{{${name}"`, this.text, this.pos);
+    }
+    this.pos += 2;
+
+    const { line, column } = getPosition(this.text, start);
+    return {
+      type: 'marker',
+      name,
+      language,
+      args,
+      named,
+      filters,
+      start,
+      end: this.pos,
+      line,
+      column,
+      raw: this.text.slice(start, this.pos)
+    };
+  }
+
+  /**
+   * Parse colon-separated parameters
+   */
+  parsePositional(markerStart) {
+    const args = [];
+
+    while (true) {
+      args.push(this.parseParam(char => char === ':' || char === '|', markerStart));
+      if (this.text[this.pos] !== ':') break;
+      this.pos++;
+    }
+
+    return args;
+  }
+
+  /**
+   * Parse key="value" parameters
+   */
+  parseNamed(markerStart) {
+    const named = {};
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.startsWith('}}') || this.text[this.pos] === '|' || this.pos >= this.text.length) break;
+
+      const keyStart = this.pos;
+      const key = this.match(KEY);
+      if (!key) {
+        throw new MarkerSyntaxError('Expected a parameter name', this.text, this.pos);
+      }
+      if (this.text[this.pos] !== '=') {
+        throw new MarkerSyntaxError(`Expected "=" after parameter "${key[0]}"`, this.text, this.pos);
+      }
+      if (Object.hasOwn(named, key[0])) {
+        throw new MarkerSyntaxError(`Duplicate parameter "${key[0]}"`, this.text, keyStart);
+      }
+      this.pos++;
+
+      named[key[0]] = this.parseParam(char => /\s/.test(char) || char === '|', markerStart);
+    }
+
+    return named;
+  }
+
+  /**
+   * Parse "| name" and "| name=value" filters (the first "|" is at the current position)
+   */
+  parseFilters(markerStart) {
+    const filters = [];
+
+    while (this.text[this.pos] === '|') {
+      this.pos++;
+      this.skipWhitespace();
+      const name = this.match(FILTER_NAME);
+      if (!name) {
+        throw new MarkerSyntaxError('Expected a filter name after "|"', this.text, this.pos);
+      }
+
+      let arg = null;
+      if (this.text[this.pos] === '=') {
+        this.pos++;
+        arg = this.parseParam(char => char === '|', markerStart);
+      }
+      filters.push({ name: name[0], arg });
+      this.skipWhitespace();
+    }
+
+    return filters;
+  }
+
+  /**
+   * Parse one parameter value: a quoted string, or text and nested markers up to a stop character
+   * @param {function(string): boolean} isStop - Ends an unquoted parameter (besides "}}")
+   * @param {number} markerStart - Offset of the enclosing marker (for error messages)
+   */
+  parseParam(isStop, markerStart) {
+    const start = this.pos;
+    this.skipInlineWhitespace();
+
+    if (this.text[this.pos] === '"') {
+      const value = this.parseQuoted();
+      const afterQuote = this.pos;
+      this.skipInlineWhitespace();
+      const terminated = this.startsWith('}}') || isStop(this.text[this.pos] || '') ||
+        (this.pos > afterQuote && isStop(this.text[afterQuote]));
+      if (!terminated && this.pos < this.text.length) {
+        throw new MarkerSyntaxError('Unexpected text after quoted parameter', this.text, this.pos);
+      }
+      return { parts: [{ type: 'text', value }], quoted: true, start, end: this.pos };
+    }
+
+    this.pos = start;
+    const parts = [];
+    let buffer = '';
+    let braceDepth = 0; // Non-ai {{...}} pairs are kept as text
+
+    const flush = () => {
+      if (buffer) parts.push({ type: 'text', value: buffer });
+      buffer = '';
+    };
+
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+
+      if (char === '\\' && (this.startsWith('\\{{') || this.startsWith('\\}}'))) {
+        buffer += this.text.slice(this.pos + 1, this.pos + 3);
+        this.pos += 3;
+      } else if (char === '\\' && ESCAPABLE.includes(this.text[this.pos + 1])) {
+        buffer += this.text[this.pos + 1];
+        this.pos += 2;
+      } else if (this.atMarkerStart()) {
+        flush();
+        parts.push(this.parseMarker());
+      } else if (this.startsWith('{{')) {
+        buffer += '{{';
+        braceDepth++;
+        this.pos += 2;
+      } else if (this.startsWith('}}')) {
+        if (braceDepth === 0) break;
+        buffer += '}}';
+        braceDepth--;
+        this.pos += 2;
+      } else if (braceDepth === 0 && isStop(char)) {
+        break;
+      } else {
+        buffer += char;
+        this.pos++;
+      }
+    }
+
+    if (this.pos >= this.text.length) {
+      const { name } = this.text.slice(markerStart).match(/^\{\{(?<name>ai_\w+)/).groups;
+      throw new MarkerSyntaxError(`Unterminated marker "{{${name}"`, this.text, markerStart);
+    }
+
+    flush();
+    return { parts, quoted: false, start, end: this.pos };
+  }
+
+  /**
+   * Parse a double-quoted string (the opening quote is at the current position)
+   */
+  parseQuoted() {
+    const start = this.pos;
+    this.pos++;
+    let value = '';
+
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      if (char === '\\' && this.pos + 1 < this.text.length) {
+        value += this.text[this.pos + 1];
+        this.pos += 2;
+      } else if (char === '"') {
+        this.pos++;
+        return value;
+      } else {
+        value += char;
+        this.pos++;
+      }
+    }
+
+    throw new MarkerSyntaxError('Unterminated quoted parameter', this.text, start);
+  }
+
+  atMarkerStart() {
+    MARKER_START.lastIndex = this.pos;
+    return MARKER_START.test(this.text);
+  }
+
+  startsWith(token) {
+    return this.text.startsWith(token, this.pos);
+  }
+
+  match(pattern) {
+    pattern.lastIndex = this.pos;
+    const match = pattern.exec(this.text);
+    if (match) this.pos = pattern.lastIndex;
+    return match;
+  }
+
+  skipWhitespace() {
+    while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+  }
+
+  skipInlineWhitespace() {
+    while (this.text[this.pos] === ' ' || this.text[this.pos] === '\t') this.pos++;
+  }
+}
+
+/**
+ * Parse text into text and marker nodes
+ * @param {string} text - Text containing {{ai_*}} markers
+ * @param {object} options - Options
+ * @param {Array<[number, number]>} options.skip - Sorted [start, end) ranges kept as plain text (see src/formats.js)
+ * @param {boolean} options.recover - Keep malformed markers as text nodes with an error instead of throwing
+ * @returns {Array<object>} - Nodes: { type: 'text', value } or { type: 'marker', name, language, args, named, ... }
+ * @throws {MarkerSyntaxError} - On malformed markers, with line/column (unless recover is set)
+ */
+function parseMarkers(text, options = {}) {
+  return new MarkerParser(text, options).parseDocument();
+}
+
+export { parseMarkers, MarkerSyntaxError, getPosition };
+export default parseMarkers;
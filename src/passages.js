@@ -0,0 +1,68 @@
+/**
+ * Passage Search
+ * Splits an article into paragraphs and ranks them against a question, so answers can come from the
+ * section that holds the fact ("Demographics", "History", ...) instead of the lead.
+ */
+
+// Short and very common words say nothing about where the answer is
+const STOPWORDS = new Set(['what', 'when', 'where', 'which', 'who', 'whom', 'whose', 'why', 'how', 'does', 'did',
+  'is', 'are', 'was', 'were', 'the', 'and', 'for', 'from', 'with', 'that', 'this', 'have', 'has', 'had',
+  'its', 'their', 'many', 'much', 'about', 'into', 'than', 'there']);
+
+/**
+ * Lowercase word stems of a text (plural "s" removed, so "launches" matches "launch")
+ */
+function terms(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+    .map(word => (word.length > 4 ? word.replace(/(es|s)$/, '') : word));
+}
+
+/**
+ * Split an article into passages (its paragraphs)
+ * @param {object} article - Result of WikipediaClient.getSections(): { lead, sections }
+ * @returns {Array<{section: string|null, anchor: string|null, text: string}>} - Passages in article order
+ *   (section is null for the lead)
+ */
+function splitPassages(article) {
+  const paragraphs = (text) => (text || '').split(/\n+/).map(paragraph => paragraph.trim()).filter(Boolean);
+
+  return [
+    ...paragraphs(article.lead).map(text => ({ section: null, anchor: null, text })),
+    ...(article.sections || []).flatMap(section =>
+      paragraphs(section.text).map(text => ({ section: section.title, anchor: section.anchor, text }))
+    )
+  ];
+}
+
+/**
+ * Rank passages by how well they match a question
+ * Each question term found in a passage scores its inverse document frequency (terms that appear in
+ * few passages count more), and the section title counts as part of the passage. Passages with
+ * numbers score a bonus when the question asks for one ("How many...", "When...").
+ * @param {string} question - Question
+ * @param {Array<{text: string, section: string|null}>} passages - Passages from splitPassages()
+ * @returns {Array<object>} - Passages with a score, best first (passages without a shared term are left out)
+ */
+function rankPassages(question, passages) {
+  const wanted = [...new Set(terms(question))];
+  const wantsNumber = /\b(how (many|much|far|long|big|old|tall|high|large|deep)|when|what year)\b/i.test(question);
+  const passageTerms = passages.map(passage => new Set(terms(`${passage.section || ''} ${passage.text}`)));
+
+  const idf = new Map(wanted.map(term => {
+    const count = passageTerms.filter(set => set.has(term)).length;
+    return [term, Math.log(1 + passages.length / (count || 1))];
+  }));
+
+  return passages
+    .map((passage, i) => {
+      const shared = wanted.filter(term => passageTerms[i].has(term));
+      const score = shared.reduce((sum, term) => sum + idf.get(term), 0);
+      return { ...passage, score: shared.length > 0 && wantsNumber && /\d/.test(passage.text) ? score + 1 : score };
+    })
+    .filter(passage => passage.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+export { splitPassages, rankPassages };
+export default rankPassages;
@@ -0,0 +1,157 @@
+/**
+ * Preserve Mode
+ * Keeps markers in the rendered document so it can be refreshed again without a separate template
+ *
+ * Every replaced marker is wrapped in invisible anchors:
+ *   'comment'   (Markdown/HTML): <!-- ai_fact:Moon -->The Moon is ...<!-- /ai -->
+ *   'attribute' (HTML):          <span data-ai="ai_fact:Moon">The Moon is ...</span>
+ * The References section added by citations is wrapped in <!-- ai-references --> ... <!-- /ai -->.
+ * Re-processing turns anchors back into markers, so only the content between them changes.
+ */
+
+import { findProtectedRanges } from './formats.js';
+
+const STYLES = ['comment', 'attribute'];
+const CLOSE_COMMENT = '<!-- /ai -->';
+const OPEN_COMMENT = /<!-- (ai_[\s\S]*?) -->/y;
+const OPEN_ATTRIBUTE = /<span data-ai="(ai_[^"]*)">/y;
+const REFERENCES = /\s*<!-- ai-references -->[\s\S]*?<!-- \/ai -->/g;
+
+// Contexts where anchors are invisible (not link targets or attribute values)
+const ANCHORABLE_CONTEXTS = ['markdown', 'table', 'html'];
+
+/**
+ * Normalize the preserve option
+ * @param {boolean|string} option - true/'comment', 'attribute', or false
+ * @param {string} format - Document format
+ * @returns {string|null} - Anchor style, or null when preserve mode is off
+ */
+function resolvePreserve(option, format) {
+  if (!option) return null;
+
+  const style = option === true ? 'comment' : option;
+  if (!STYLES.includes(style)) {
+    throw new Error(`Unknown preserve style: ${option} (expected ${STYLES.join(', ')})`);
+  }
+  if (format === 'text') {
+    throw new Error('preserve needs format "markdown" or "html" (plain text has no invisible anchors)');
+  }
+  if (style === 'attribute' && format !== 'html') {
+    throw new Error('preserve: "attribute" needs format "html"');
+  }
+  return style;
+}
+
+/**
+ * Turn anchored content back into markers
+ * Anchors inside protected ranges (e.g. a code block showing an example) are left alone.
+ * @param {string} text - Preserved document
+ * @param {string} format - 'markdown' or 'html'
+ * @returns {{text: string, anchors: Map<number, string>}} - Document with markers in place of anchored
+ *   content, and the anchored text by marker offset (kept if the marker fails this time)
+ */
+function expandAnchors(text, format) {
+  const isProtected = (ranges, pos) => ranges.some(([start, end]) => start < pos && pos < end);
+
+  const initialRanges = findProtectedRanges(text, format);
+  const source = text.replace(REFERENCES, (match, offset) =>
+    isProtected(initialRanges, offset + match.length - match.trimStart().length) ? match : ''
+  );
+
+  const ranges = source === text ? initialRanges : findProtectedRanges(source, format);
+  const anchors = new Map();
+  let result = '';
+  let pos = 0;
+  let last = 0;
+
+  while ((pos = source.indexOf('<', pos)) !== -1) {
+    const anchor = isProtected(ranges, pos) ? null : matchAnchor(source, pos);
+    if (!anchor) {
+      pos++;
+      continue;
+    }
+
+    result += source.slice(last, pos);
+    anchors.set(result.length, source.slice(pos, anchor.end));
+    result += `{{${anchor.marker}}}`;
+    pos = last = anchor.end;
+  }
+
+  return { text: result + source.slice(last), anchors };
+}
+
+/**
+ * Match an anchored block at a position
+ * @returns {{marker: string, end: number}|null} - Marker text (without braces) and the end of the block
+ */
+function matchAnchor(text, pos) {
+  OPEN_COMMENT.lastIndex = pos;
+  const comment = OPEN_COMMENT.exec(text);
+  if (comment) {
+    const close = text.indexOf(CLOSE_COMMENT, OPEN_COMMENT.lastIndex);
+    if (close === -1) return null;
+    return { marker: decodeComment(comment[1]), end: close + CLOSE_COMMENT.length };
+  }
+
+  OPEN_ATTRIBUTE.lastIndex = pos;
+  const attribute = OPEN_ATTRIBUTE.exec(text);
+  if (attribute) {
+    const close = text.indexOf('</span>', OPEN_ATTRIBUTE.lastIndex);
+    if (close === -1) return null;
+    return { marker: decodeAttribute(attribute[1]), end: close + '</span>'.length };
+  }
+
+  return null;
+}
+
+/**
+ * Wrap a marker's output in anchors
+ * @param {string} raw - The marker as written ({{ai_fact:Moon}})
+ * @param {string} output - Rendered (escaped, cited) output
+ * @param {string} style - 'comment' or 'attribute'
+ * @returns {string} - Anchored output
+ */
+function wrapOutput(raw, output, style) {
+  const marker = raw.slice(2, -2);
+  if (style === 'attribute') {
+    return `<span data-ai="${encodeAttribute(marker)}">${output}</span>`;
+  }
+  return `<!-- ${encodeComment(marker)} -->${output}${CLOSE_COMMENT}`;
+}
+
+/**
+ * Wrap the References section (from citations) so the next run replaces it
+ * @param {string} section - Reference list, starting with blank lines
+ * @returns {string} - Anchored section
+ */
+function wrapReferences(section) {
+  return `\n\n<!-- ai-references -->\n${section.trim()}\n${CLOSE_COMMENT}\n`;
+}
+
+/**
+ * Whether anchors can be placed in a context (see getContext() in src/formats.js)
+ */
+function canAnchor(context) {
+  return ANCHORABLE_CONTEXTS.includes(context);
+}
+
+// Comments can't contain "--": escape it (and "&", so decoding is unambiguous). "|" (filters) is
+// escaped too, so a comment in a Markdown table cell doesn't split the cell.
+function encodeComment(marker) {
+  return marker.replace(/&/g, '&amp;').replace(/--/g, '&#45;&#45;').replace(/\|/g, '&#124;');
+}
+
+function decodeComment(value) {
+  return value.replace(/&#45;/g, '-').replace(/&#124;/g, '|').replace(/&amp;/g, '&');
+}
+
+function encodeAttribute(marker) {
+  return marker.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function decodeAttribute(value) {
+  return value.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+export { resolvePreserve, expandAnchors, wrapOutput, wrapReferences, canAnchor };
+export default expandAnchors;
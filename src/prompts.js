@@ -0,0 +1,212 @@
+/**
+ * Prompt Templates
+ * Named prompts used by the AI engine, with {variable} placeholders:
+ *   {topic}    - Article title or topic
+ *   {context}  - Article text or facts (cut to the template's contextLength)
+ *   {question} - Question to answer
+ *   {sentence} - Sentence to rewrite
+ *   {prompt}   - The task's prompt (only for 'strict', used to retry ungrounded output)
+ * Templates can be replaced per engine (options.prompts), per marker (a prompt named after the marker,
+ * e.g. 'ai_summary') and per call (options.prompt). New names can be run with {{ai_prompt:name:topic}}.
+ */
+
+const PROMPT_NAME = /^\w+$/;
+
+/**
+ * Built-in prompts by task
+ * contextLength cuts {context}; maxNewTokens and temperature are generation defaults for the task
+ */
+const DEFAULT_PROMPTS = {
+  paragraph: {
+    template: `Write a brief, informative paragraph about {topic} based on these facts:
+{context}
+
+Write a 2-3 sentence summary:`,
+    contextLength: 800,
+    maxNewTokens: 150
+  },
+  summary: {
+    template: 'Summarize this in one sentence: {context}',
+    contextLength: 1000
+  },
+  answer: {
+    template: `Answer this question based on the context.
+Context: {context}
+Question: {question}
+Answer:`,
+    contextLength: 800,
+    maxNewTokens: 100
+  },
+  fact: {
+    template: `Extract the single most important fact from this text. Output only the fact in one sentence:
+{context}
+
+Most important fact:`,
+    contextLength: 800,
+    maxNewTokens: 100
+  },
+  description: {
+    template: `Write a brief, one-sentence description of {topic} based on this information:
+{context}
+
+One-sentence description:`,
+    contextLength: 600,
+    maxNewTokens: 60
+  },
+  rewrite: {
+    template: `Rewrite this sentence to be more informative using the provided facts.
+
+Original sentence: {sentence}
+
+Facts to use: {context}
+
+Write a new, improved sentence that incorporates relevant facts:`,
+    contextLength: 600,
+    maxNewTokens: 150
+  },
+  simpleAnswer: {
+    template: `Answer this question briefly and accurately:
+Question: {question}
+Answer:`,
+    maxNewTokens: 50
+  },
+  polish: {
+    template: `Slightly polish this sentence while keeping its structure: "{sentence}"
+Keep the same meaning. Output only the polished sentence:`,
+    maxNewTokens: 100,
+    temperature: 0.3 // Lower temperature for more controlled output
+  },
+  // Wraps a task's prompt when grounding checks retry ungrounded output ({prompt} is the task's prompt)
+  strict: {
+    template: `Use only names, numbers and dates that appear in the text below. Do not add any others.
+{prompt}`,
+    temperature: 0
+  }
+};
+
+/**
+ * Normalize a prompt definition
+ * @param {string|function|object} prompt - Template string, function (variables) => string,
+ *   or { template, contextLength, maxNewTokens, temperature }
+ * @returns {object} - Prompt object
+ */
+function normalizePrompt(prompt) {
+  if (typeof prompt === 'string' || typeof prompt === 'function') {
+    return { template: prompt };
+  }
+  if (!prompt || typeof prompt !== 'object' ||
+      (typeof prompt.template !== 'string' && typeof prompt.template !== 'function')) {
+    throw new Error('A prompt must be a template string, a function or { template, ... }');
+  }
+  return { ...prompt };
+}
+
+/**
+ * Fill a template's {variable} placeholders
+ * Unknown placeholders are left as written.
+ * @param {string|function|object} prompt - Template or prompt object
+ * @param {object} variables - Values by name
+ * @returns {string} - Prompt text
+ */
+function renderPrompt(prompt, variables = {}) {
+  const { template, contextLength } = normalizePrompt(prompt);
+  const values = { ...variables };
+  if (contextLength && typeof values.context === 'string') {
+    values.context = values.context.slice(0, contextLength);
+  }
+
+  if (typeof template === 'function') {
+    return String(template(values));
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    values[name] === undefined || values[name] === null ? match : String(values[name])
+  );
+}
+
+/**
+ * Named prompts, starting from the built-ins
+ */
+class PromptRegistry {
+  /**
+   * @param {object} prompts - Prompts to add or override by name
+   */
+  constructor(prompts = {}) {
+    this.prompts = new Map(Object.entries(DEFAULT_PROMPTS));
+    for (const [name, prompt] of Object.entries(prompts)) {
+      this.set(name, prompt);
+    }
+  }
+
+  /**
+   * Add or override a prompt
+   * Overriding a built-in keeps its contextLength and generation defaults unless the new prompt sets them.
+   * @param {string} name - Prompt name (letters, digits and underscores)
+   * @param {string|function|object} prompt - Template or prompt object
+   * @returns {PromptRegistry} - This registry (for chaining)
+   */
+  set(name, prompt) {
+    if (typeof name !== 'string' || !PROMPT_NAME.test(name)) {
+      throw new Error(`Invalid prompt name: ${name} (use letters, digits and underscores)`);
+    }
+    this.prompts.set(name, { ...this.prompts.get(name), ...normalizePrompt(prompt) });
+    return this;
+  }
+
+  /**
+   * Get a prompt by name
+   * @returns {object|null} - Prompt object, or null if there is none
+   */
+  get(name) {
+    return this.prompts.get(name) || null;
+  }
+
+  has(name) {
+    return this.prompts.has(name);
+  }
+
+  /**
+   * Names of all prompts
+   * @returns {string[]}
+   */
+  names() {
+    return [...this.prompts.keys()];
+  }
+
+  /**
+   * Render the first prompt that exists among the names
+   * Settings the chosen prompt leaves out (contextLength, maxNewTokens, temperature) come from the
+   * names after it, so a marker prompt ('ai_summary') keeps its task's ('summary') defaults.
+   * @param {string|string[]} names - Prompt name, or names in order of preference (e.g. marker, task)
+   * @param {object} variables - Template variables
+   * @param {string|function|object} override - Per-call template (keeps the named prompt's defaults)
+   * @returns {{name: string, prompt: string, context: string|undefined, maxNewTokens: number|undefined,
+   *   temperature: number|undefined}} - Rendered prompt; context is {context} as cut for the template
+   * @throws {Error} - If none of the names exist
+   */
+  render(names, variables = {}, override = null) {
+    const found = (Array.isArray(names) ? names : [names]).filter(name => name && this.prompts.has(name));
+    if (found.length === 0) {
+      throw new Error(`Unknown prompt: ${[].concat(names).filter(Boolean).join(', ')}`);
+    }
+
+    const name = found[0];
+    const definition = Object.assign(
+      {},
+      ...found.reverse().map(candidate => this.prompts.get(candidate)),
+      override ? normalizePrompt(override) : null
+    );
+    const context = typeof variables.context === 'string' && definition.contextLength
+      ? variables.context.slice(0, definition.contextLength)
+      : variables.context;
+    return {
+      name,
+      prompt: renderPrompt(definition, variables),
+      context,
+      maxNewTokens: definition.maxNewTokens,
+      temperature: definition.temperature
+    };
+  }
+}
+
+export { PromptRegistry, DEFAULT_PROMPTS, renderPrompt, normalizePrompt };
+export default PromptRegistry;
@@ -0,0 +1,132 @@
+/**
+ * Extractive Question Answering
+ * Answers questions with a span of the context and a confidence score, using Transformers.js
+ * 'question-answering' models (e.g. DistilBERT fine-tuned on SQuAD) instead of free text generation.
+ *
+ * A QA backend is any object with:
+ *   init(): Promise<void>                                   - load the model (optional)
+ *   answer(question, context): Promise<{answer, score}>     - best span and its score (0-1)
+ */
+
+import { resolveLogger } from './logger.js';
+
+const DEFAULT_QA_MODEL = 'Xenova/distilbert-base-cased-distilled-squad';
+const FALLBACKS = ['unresolved', 'generative', 'default'];
+
+/**
+ * Transformers.js question-answering backend - runs the model locally, no API keys
+ */
+class TransformersQABackend {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.model - Hugging Face model ID (default: DistilBERT SQuAD)
+   * @param {function} options.onProgress - Callback for model download progress
+   * @param {object} options.logger - Status line logger (see src/logger.js; default: stderr)
+   */
+  constructor(options = {}) {
+    this.name = 'transformers-qa';
+    this.model = options.model || DEFAULT_QA_MODEL;
+    this.onProgress = options.onProgress || null;
+    this.logger = resolveLogger(options.logger);
+    this.answerer = null;
+  }
+
+  async init() {
+    if (this.answerer) return;
+
+    const { pipeline, env } = await import('@huggingface/transformers');
+    env.allowLocalModels = false;
+    if (typeof window !== 'undefined') {
+      env.useBrowserCache = true;
+    }
+
+    this.logger.info(`Loading question-answering model: ${this.model}...`);
+    this.answerer = await pipeline('question-answering', this.model, {
+      progress_callback: (progress) => this.onProgress?.(progress)
+    });
+  }
+
+  async answer(question, context) {
+    await this.init();
+
+    const result = await this.answerer(question, context);
+    const best = Array.isArray(result) ? result[0] : result;
+    return { answer: best?.answer?.trim() || '', score: best?.score ?? 0 };
+  }
+}
+
+/**
+ * Normalize the qa option
+ * @param {object|string|function} option - Model ID, answer function (question, context) => { answer, score },
+ *   or { model, backend, threshold, fallback, defaultAnswer }
+ * @returns {{model: string, backend: string|function|object, threshold: number, fallback: string, defaultAnswer: string}}
+ */
+function resolveQAOptions(option = {}) {
+  const options = typeof option === 'string'
+    ? { model: option }
+    : typeof option === 'function' ? { backend: option } : { ...option };
+
+  const threshold = options.threshold ?? 0.3;
+  if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+    throw new Error(`qa.threshold must be a number from 0 to 1, got ${threshold}`);
+  }
+  const fallback = options.fallback ?? 'unresolved';
+  if (!FALLBACKS.includes(fallback)) {
+    throw new Error(`Unknown qa.fallback: ${fallback} (expected ${FALLBACKS.join(', ')})`);
+  }
+
+  return {
+    model: options.model || DEFAULT_QA_MODEL,
+    backend: options.backend ?? 'transformers',
+    threshold,
+    fallback,
+    defaultAnswer: options.defaultAnswer ?? 'Unknown'
+  };
+}
+
+/**
+ * Create a QA backend from an option value
+ * @param {string|function|object} backend - 'transformers' (default), a function
+ *   (question, context) => { answer, score }, or an object with answer()
+ * @param {object} options - Options for the Transformers.js backend (model, onProgress)
+ * @returns {object} - QA backend
+ */
+function createQABackend(backend = 'transformers', options = {}) {
+  if (typeof backend === 'function') {
+    return { name: 'function', init: async () => {}, answer: async (question, context) => backend(question, context) };
+  }
+  if (backend && typeof backend === 'object') {
+    if (typeof backend.answer !== 'function') {
+      throw new Error('Custom QA backend must implement answer(question, context)');
+    }
+    return backend;
+  }
+  if (backend === 'transformers') {
+    return new TransformersQABackend(options);
+  }
+  throw new Error(`Unknown QA backend: ${backend}`);
+}
+
+/**
+ * Find where an answer span sits in its context
+ * Models may return the span with different spacing or case, so those are tried too.
+ * @param {string} answer - Answer text
+ * @param {string} context - Context the answer was taken from
+ * @returns {{start: number, end: number}|null} - Character offsets (end exclusive), or null if not found
+ */
+function locateAnswer(answer, context) {
+  if (!answer) return null;
+
+  let start = context.indexOf(answer);
+  if (start !== -1) return { start, end: start + answer.length };
+
+  start = context.toLowerCase().indexOf(answer.toLowerCase());
+  if (start !== -1) return { start, end: start + answer.length };
+
+  const escaped = answer.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const match = context.match(new RegExp(escaped.join('\\s*'), 'i'));
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+export { TransformersQABackend, resolveQAOptions, createQABackend, locateAnswer, DEFAULT_QA_MODEL };
+export default createQABackend;
@@ -0,0 +1,182 @@
+/**
+ * Provenance Tracing
+ * Records what a marker looked up and generated (used by processDetailed)
+ *
+ * Sources and Wikidata clients are wrapped with Object.create(), so their own internal calls
+ * (e.g. getFactWithFallback → search → getSummary) are recorded too.
+ */
+
+/**
+ * Create an empty trace
+ * @returns {{lookups: Array, searches: Array, statements: Array, generations: Array, checks: Array,
+ *   answers: Array, sections: Array, fields: Array}} - Trace
+ */
+function createTrace() {
+  return {
+    lookups: [],     // { topic, summary }
+    searches: [],    // { query, results: string[], ranked, threshold } (ranked with the rerank option)
+    statements: [],  // Wikidata statements
+    generations: [], // { model, prompt, output, error, latency }
+    checks: [],      // Grounding checks: { policy, action, unsupported }
+    answers: [],     // Extractive answers: { answer, start, end, score, threshold, accepted, model, question, latency }
+    sections: [],    // Article sections read: { topic, title, anchor }
+    fields: []       // Infobox fields read: { topic, key, field }
+  };
+}
+
+/**
+ * Wrap a knowledge source so its summary, section and infobox lookups and searches are recorded
+ * Section and infobox lookups are recorded as lookups of their article too (for the record's article
+ * and revision).
+ * @param {object} source - Knowledge source
+ * @param {object} trace - Trace from createTrace()
+ * @returns {object} - Traced source (inherits everything else from the source)
+ */
+function traceSource(source, trace) {
+  const traced = Object.create(source);
+
+  traced.getSummary = async function (topic, options) {
+    const summary = await source.getSummary.call(this, topic, options);
+    trace.lookups.push({ topic, summary });
+    return summary;
+  };
+
+  for (const method of ['getSections', 'getInfobox']) {
+    if (typeof source[method] !== 'function') continue;
+    traced[method] = async function (topic, options) {
+      const article = await source[method].call(this, topic, options);
+      trace.lookups.push({ topic, summary: article });
+      return article;
+    };
+  }
+
+  if (typeof source.getSection === 'function') {
+    traced.getSection = async function (topic, section, options) {
+      const found = await source.getSection.call(this, topic, section, options);
+      trace.sections.push({ topic, title: found.section, anchor: found.anchor });
+      return found;
+    };
+  }
+
+  if (typeof source.getInfoboxField === 'function') {
+    traced.getInfoboxField = async function (topic, key, options) {
+      const found = await source.getInfoboxField.call(this, topic, key, options);
+      trace.fields.push({ topic, key, field: found.field });
+      return found;
+    };
+  }
+
+  if (typeof source.findPassage === 'function') {
+    traced.findPassage = async function (topic, question, options) {
+      const passage = await source.findPassage.call(this, topic, question, options);
+      if (passage) trace.sections.push({ topic, title: passage.section, anchor: passage.anchor });
+      return passage;
+    };
+  }
+
+  if (typeof source.search === 'function') {
+    traced.search = async function (query, ...rest) {
+      const results = await source.search.call(this, query, ...rest);
+      trace.searches.push({ query, results: results.map(result => result.title) });
+      return results;
+    };
+  }
+
+  if (typeof source.rankSearchResults === 'function') {
+    traced.rankSearchResults = async function (topic, results, options) {
+      const ranked = await source.rankSearchResults.call(this, topic, results, options);
+      const search = trace.searches.findLast(entry => entry.query === topic);
+      if (search) {
+        search.ranked = ranked.map(({ title, score }) => ({ title, score }));
+        search.threshold = this.rerank?.threshold ?? null;
+      }
+      return ranked;
+    };
+  }
+
+  return traced;
+}
+
+/**
+ * Wrap a Wikidata client so the statements it reads are recorded
+ * @param {WikidataClient|null} wikidata - Wikidata client
+ * @param {object} trace - Trace from createTrace()
+ * @returns {object|null} - Traced client
+ */
+function traceWikidata(wikidata, trace) {
+  if (!wikidata) return null;
+
+  const traced = Object.create(wikidata);
+  traced.getStatement = async function (...args) {
+    const statement = await wikidata.getStatement.apply(this, args);
+    trace.statements.push(statement);
+    return statement;
+  };
+  return traced;
+}
+
+/**
+ * Summarize a trace into a processDetailed() record's provenance fields
+ * @param {object|null} trace - Trace from createTrace()
+ * @returns {object} - article, timestamp, retrieved, searchFallback, search, data, model, prompt, rawOutput, fallbackOutput,
+ *   grounding, answer, section, infobox, disambiguation
+ */
+function summarizeTrace(trace) {
+  const lookups = trace?.lookups || [];
+  const lookup = lookups.filter(entry => !entry.summary.error).pop() || null;
+  const search = trace?.searches[0] || null;
+  const statement = trace?.statements.at(-1) || null;
+  const generation = trace?.generations.at(-1) || null;
+  const check = trace?.checks.at(-1) || null;
+  const answer = trace?.answers.at(-1) || null;
+  const section = trace?.sections.at(-1) || null;
+  const field = trace?.fields.at(-1) || null;
+  const summary = lookup?.summary;
+  const resolved = lookups.filter(entry => entry.summary.disambiguation).pop()?.summary.disambiguation || null;
+
+  return {
+    article: summary
+      ? {
+        title: summary.title,
+        url: summary.url || null,
+        revision: summary.revision ?? null,
+        language: summary.language || null
+      }
+      : null,
+    timestamp: summary?.timestamp || null,
+    // When the article was fetched (cached lookups keep their fetch time); timestamp is its last edit
+    retrieved: summary?.retrieved || null,
+    searchFallback: search !== null,
+    // With the rerank option: ranked [{ title, score }] and the threshold a result needed
+    search,
+    data: statement
+      ? { entity: statement.entity, property: statement.property, url: statement.url }
+      : null,
+    model: generation?.model || answer?.model || null,
+    prompt: generation?.prompt || null,
+    rawOutput: generation ? generation.output : answer ? answer.answer : null,
+    // AI methods substitute extractive text when generation fails, comes back empty or is rejected as ungrounded
+    // (and the default answer when an extractive answer scores below the threshold)
+    fallbackOutput: generation
+      ? Boolean(generation.error || !generation.output) || check?.action === 'rejected'
+      : Boolean(answer && !answer.accepted),
+    // 'passed', 'flagged', 'retried' or 'rejected', with the claims missing from the context
+    grounding: check ? { ...check } : null,
+    // Extractive answer span: offsets into the context the question was answered from
+    answer: answer
+      ? { text: answer.answer, start: answer.start, end: answer.end, score: answer.score, accepted: answer.accepted }
+      : null,
+    // Article section the marker read ({{ai_section:Moon#Exploration}}, passage search); title null for the lead
+    section: section ? { title: section.title, anchor: section.anchor } : null,
+    // Infobox field the requested key matched ({{ai_infobox:Tesla,_Inc.:CEO}} → key_people)
+    infobox: field ? { key: field.key, field: field.field } : null,
+    // Disambiguation page the topic led to: the article chosen from the sentence around the marker
+    // (null when none matched) and the best-ranked candidates, to pin with {{ai_fact:Mercury_(planet)}}
+    disambiguation: resolved
+      ? { topic: resolved.topic, chosen: resolved.chosen, candidates: resolved.candidates.map(candidate => ({ ...candidate })) }
+      : null
+  };
+}
+
+export { createTrace, traceSource, traceWikidata, summarizeTrace };
+export default createTrace;
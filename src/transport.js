@@ -0,0 +1,124 @@
+/**
+ * HTTP Transport Helpers
+ * Record/replay fetch for deterministic, offline runs (Node.js only)
+ *
+ * Pass the result as the `fetch` option of DocuFreshAI, WikipediaClient or WikidataClient.
+ * Fixtures are stored as one JSON file per URL: { url, status, headers, body }
+ * Only answers that will not change on their own are recorded (2xx, and 404 for missing articles);
+ * rate limits and server errors pass through, so one outage isn't replayed forever.
+ */
+
+import { LookupError } from './errors.js';
+
+const MODES = ['auto', 'record', 'replay'];
+// Response headers the clients read
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+/**
+ * Create a fetch function that records responses to fixtures and replays them
+ * - 'auto' (default): replay when a fixture exists, otherwise fetch and record it
+ * - 'record': always fetch and (re)write the fixture
+ * - 'replay': only serve fixtures; a missing fixture is an error (never touches the network)
+ * @param {object} options - Options
+ * @param {string} options.directory - Fixtures folder
+ * @param {string} options.mode - 'auto', 'record' or 'replay' (default: 'auto')
+ * @param {function} options.fetch - Transport used when recording (default: global fetch)
+ * @returns {function(string, object): Promise<Response>} - Fetch-compatible function
+ */
+function createRecordReplayFetch(options = {}) {
+  const directory = options.directory;
+  const mode = options.mode || 'auto';
+  const transport = options.fetch || ((...args) => globalThis.fetch(...args));
+
+  if (!directory) {
+    throw new Error('createRecordReplayFetch requires a fixtures directory');
+  }
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown record/replay mode: ${mode} (expected ${MODES.join(', ')})`);
+  }
+
+  let modules = null;
+  // Lazy load Node.js modules so importing this file never breaks browser bundles
+  const load = async () => {
+    if (!modules) {
+      const [fs, path, crypto] = await Promise.all([
+        import('node:fs/promises'),
+        import('node:path'),
+        import('node:crypto')
+      ]);
+      modules = { ...fs, path, createHash: crypto.createHash };
+    }
+    return modules;
+  };
+
+  const getFixturePath = async (url) => {
+    const { path, createHash } = await load();
+    return path.join(directory, getFixtureName(url, createHash));
+  };
+
+  const replay = async (url) => {
+    const { readFile } = await load();
+    try {
+      const fixture = JSON.parse(await readFile(await getFixturePath(url), 'utf8'));
+      return new Response(fixture.body, { status: fixture.status, headers: fixture.headers });
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const record = async (url, init) => {
+    const { writeFile, mkdir } = await load();
+    const response = await transport(url, init);
+    if (!isRecordable(response.status)) return response;
+
+    const body = await response.text();
+    const headers = { 'content-type': 'application/json' };
+    for (const name of RECORDED_HEADERS) {
+      const value = response.headers.get(name);
+      if (value !== null) headers[name] = value;
+    }
+    const fixture = { url, status: response.status, headers, body };
+
+    await mkdir(directory, { recursive: true });
+    await writeFile(await getFixturePath(url), JSON.stringify(fixture, null, 2) + '\n');
+    return new Response(body, { status: fixture.status, headers: fixture.headers });
+  };
+
+  return async (url, init) => {
+    if (mode !== 'record') {
+      const replayed = await replay(url);
+      if (replayed) return replayed;
+
+      if (mode === 'replay') {
+        // Not retryable: replaying again would miss again
+        throw new LookupError(`No recorded fixture for ${url}`, { url });
+      }
+    }
+
+    return record(url, init);
+  };
+}
+
+/**
+ * Whether a response status is stable enough to replay
+ */
+function isRecordable(status) {
+  return (status >= 200 && status < 300) || status === 404;
+}
+
+/**
+ * Readable, collision-free fixture file name: host and path slug plus a short URL hash
+ */
+function getFixtureName(url, createHash) {
+  const hash = createHash('sha1').update(url).digest('hex').slice(0, 12);
+  const slug = url
+    .replace(/^https?:\/\//, '')
+    .replace(/\?.*$/, '')
+    .replace(/[^a-zA-Z0-9.-]+/g, '_')
+    .slice(0, 80);
+  return `${slug}-${hash}.json`;
+}
+
+export { createRecordReplayFetch };
+export default createRecordReplayFetch;
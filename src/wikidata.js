@@ -0,0 +1,360 @@
+/**
+ * Wikidata API Client
+ * Resolves articles to Wikidata items and reads exact, citable property values
+ */
+
+import { ResponseCache } from './cache.js';
+import { createLimiter, createRateLimiter } from './concurrency.js';
+import { request, resolveRetryOptions } from './http.js';
+import { LookupError, NotFoundError, createHttpError } from './errors.js';
+
+/**
+ * Friendly property names for common statistics (anything else is looked up by label)
+ */
+const PROPERTY_ALIASES = {
+  population: 'P1082',
+  area: 'P2046',
+  elevation: 'P2044',
+  height: 'P2048',
+  mass: 'P2067',
+  inception: 'P571',
+  founded: 'P571',
+  founded_by: 'P112',
+  date_of_birth: 'P569',
+  birth_date: 'P569',
+  date_of_death: 'P570',
+  death_date: 'P570',
+  capital: 'P36',
+  country: 'P17',
+  headquarters: 'P159',
+  ceo: 'P169',
+  chief_executive_officer: 'P169',
+  employees: 'P1128',
+  revenue: 'P2139',
+  net_profit: 'P2295',
+  market_capitalization: 'P2226',
+  gdp: 'P2131',
+  official_website: 'P856',
+  website: 'P856',
+  software_version: 'P348',
+  latest_version: 'P348'
+};
+
+// Qualifiers that date a statement, in order of preference
+const POINT_IN_TIME = 'P585';
+const START_TIME = 'P580';
+
+// Wikidata time precision values
+const PRECISION_YEAR = 9;
+const PRECISION_MONTH = 10;
+
+class WikidataClient {
+  /**
+   * Create a Wikidata client
+   * @param {object} options - Configuration options
+   * @param {number} options.cacheTTL - Cache TTL in ms (default: 1 hour)
+   * @param {string} options.language - Language for labels and the linked wiki (default: 'en')
+   * @param {string|object} options.cache - Cache store or shared ResponseCache (see WikipediaClient)
+   * @param {string} options.cacheDir - Folder for the 'file' cache store
+   * @param {boolean} options.staleWhileRevalidate - Serve stale entries while refreshing them (default: true)
+   * @param {function} options.fetch - HTTP transport with the fetch signature (default: global fetch)
+   * @param {number} options.concurrency - Maximum parallel HTTP requests (default: 4)
+   * @param {function} options.limiter - Shared limiter from createLimiter() (overrides concurrency)
+   * @param {number} options.rateLimit - Maximum requests started per second (default: 10)
+   * @param {function} options.rateLimiter - Shared limiter from createRateLimiter() (overrides rateLimit)
+   * @param {boolean|number|object} options.retry - Retries of failed requests (see WikipediaClient)
+   * @param {string} options.userAgent - User-Agent sent from Node.js (see WikipediaClient)
+   */
+  constructor(options = {}) {
+    this.transport = options.fetch || null;
+    this.limit = options.limiter || createLimiter(options.concurrency ?? 4);
+    this.throttle = options.rateLimiter || createRateLimiter(options.rateLimit ?? 10);
+    this.retry = resolveRetryOptions(options.retry);
+    this.userAgent = options.userAgent || null;
+    this.apiUrl = 'https://www.wikidata.org/w/api.php';
+    this.language = options.language || 'en';
+    this.cacheTTL = options.cacheTTL || 1000 * 60 * 60; // 1 hour default
+    this.cache = options.cache instanceof ResponseCache
+      ? options.cache
+      : new ResponseCache({
+        store: options.cache,
+        directory: options.cacheDir,
+        ttl: this.cacheTTL,
+        staleWhileRevalidate: options.staleWhileRevalidate
+      });
+  }
+
+  /**
+   * Get the best statement for a property of a topic
+   * Picks preferred-rank statements over normal ones, then the latest by point in time
+   * @param {string} topic - Wikipedia article title or Wikidata item id (e.g. 'World_population', 'Q42')
+   * @param {string} property - Property id or alias (e.g. 'P569', 'population')
+   * @param {object} options - Options
+   * @param {string} options.language - Wiki the article title belongs to (default: client language)
+   * @returns {Promise<object>} - Statement with value, formatted text, unit, rank and qualifiers
+   * @throws {NotFoundError} - If the item, the property or a value for it does not exist
+   */
+  async getStatement(topic, property, options = {}) {
+    const language = options.language || this.language;
+    const entityId = await this.resolveEntity(topic, language);
+    const propertyId = await this.resolveProperty(property);
+    const entity = await this.getEntity(entityId, language);
+
+    const statements = (entity.claims?.[propertyId] || [])
+      .filter(claim => claim.rank !== 'deprecated' && claim.mainsnak?.snaktype === 'value');
+
+    if (statements.length === 0) {
+      throw new NotFoundError(`${entityId} has no value for ${propertyId}`);
+    }
+
+    const preferred = statements.filter(claim => claim.rank === 'preferred');
+    const candidates = preferred.length > 0 ? preferred : statements;
+    const best = candidates.reduce((latest, claim) =>
+      this.getStatementDate(claim) > this.getStatementDate(latest) ? claim : latest
+    );
+
+    const value = await this.formatValue(best.mainsnak.datavalue, language);
+    const pointInTime = this.getQualifierTime(best, POINT_IN_TIME) || this.getQualifierTime(best, START_TIME);
+
+    return {
+      entity: entityId,
+      property: propertyId,
+      label: entity.labels?.[language]?.value || entity.labels?.en?.value || entityId,
+      value: value.value,
+      unit: value.unit,
+      formatted: value.text,
+      rank: best.rank,
+      qualifiers: {
+        pointInTime: pointInTime ? this.formatTime(pointInTime, language) : null
+      },
+      url: `https://www.wikidata.org/wiki/${entityId}#${propertyId}`
+    };
+  }
+
+  /**
+   * Get a property value as display text, e.g. "8,019,876,189 (2023)" or "185 centimetre"
+   * @param {string} topic - Wikipedia article title or Wikidata item id
+   * @param {string} property - Property id or alias
+   * @param {object} options - Options (see getStatement)
+   * @returns {Promise<string>} - Formatted value with its point in time, if any
+   */
+  async getValue(topic, property, options = {}) {
+    const statement = await this.getStatement(topic, property, options);
+    const pointInTime = statement.qualifiers.pointInTime;
+    return pointInTime ? `${statement.formatted} (${pointInTime})` : statement.formatted;
+  }
+
+  /**
+   * Resolve a Wikipedia article (or item id) to a Wikidata item id
+   * @param {string} topic - Article title or item id
+   * @param {string} language - Wiki the article belongs to
+   * @returns {Promise<string>} - Item id (e.g. 'Q42')
+   * @throws {NotFoundError} - If the article has no Wikidata item
+   */
+  async resolveEntity(topic, language = this.language) {
+    const trimmed = topic.trim();
+    if (/^Q\d+$/i.test(trimmed)) {
+      return trimmed.toUpperCase();
+    }
+
+    const title = trimmed.replace(/_/g, ' ');
+    const data = await this.request({
+      action: 'wbgetentities',
+      sites: `${language}wiki`,
+      titles: title,
+      props: 'info',
+      normalize: '1'
+    });
+
+    const id = Object.keys(data.entities || {}).find(key => /^Q\d+$/.test(key));
+    if (!id) {
+      throw new NotFoundError(`No Wikidata item for "${topic}" on ${language}wiki`);
+    }
+    return id;
+  }
+
+  /**
+   * Resolve a property alias or label to a property id
+   * @param {string} property - Property id, alias or English label
+   * @returns {Promise<string>} - Property id (e.g. 'P1082')
+   * @throws {NotFoundError} - If no property has that label
+   */
+  async resolveProperty(property) {
+    const trimmed = property.trim();
+    if (/^P\d+$/i.test(trimmed)) {
+      return trimmed.toUpperCase();
+    }
+
+    const alias = PROPERTY_ALIASES[trimmed.toLowerCase().replace(/[\s-]+/g, '_')];
+    if (alias) return alias;
+
+    const data = await this.request({
+      action: 'wbsearchentities',
+      type: 'property',
+      search: trimmed.replace(/_/g, ' '),
+      language: 'en',
+      limit: '1'
+    });
+
+    const match = data.search?.[0];
+    if (!match) {
+      throw new NotFoundError(`Unknown Wikidata property: ${property}`);
+    }
+    return match.id;
+  }
+
+  /**
+   * Get an item's claims and labels
+   * @param {string} id - Item id
+   * @param {string} language - Label language, English is fetched as a fallback (default: client language)
+   * @returns {Promise<object>} - Wikidata entity
+   * @throws {NotFoundError} - If the item does not exist
+   */
+  async getEntity(id, language = this.language) {
+    const data = await this.request({
+      action: 'wbgetentities',
+      ids: id,
+      props: 'claims|labels',
+      languages: language === 'en' ? 'en' : `${language}|en`
+    });
+
+    const entity = data.entities?.[id];
+    if (!entity || entity.missing !== undefined) {
+      throw new NotFoundError(`Wikidata item not found: ${id}`);
+    }
+    return entity;
+  }
+
+  /**
+   * Get the label of an item (used for units and item-valued properties)
+   * @param {string} id - Item id
+   * @param {string} language - Label language
+   * @returns {Promise<string>} - Label, or the id if there is none
+   */
+  async getLabel(id, language = this.language) {
+    const data = await this.request({
+      action: 'wbgetentities',
+      ids: id,
+      props: 'labels',
+      languages: language === 'en' ? 'en' : `${language}|en`
+    });
+
+    const labels = data.entities?.[id]?.labels || {};
+    return labels[language]?.value || labels.en?.value || id;
+  }
+
+  /**
+   * Turn a datavalue into { value, unit, text }
+   */
+  async formatValue(datavalue, language) {
+    const { type, value } = datavalue;
+
+    switch (type) {
+      case 'quantity': {
+        const amount = value.amount.replace(/^\+/, '');
+        const unitId = value.unit && value.unit !== '1' ? value.unit.split('/').pop() : null;
+        const unit = unitId ? await this.getLabel(unitId, language) : null;
+        const number = new Intl.NumberFormat(language).format(amount);
+        return { value: Number(amount), unit, text: unit ? `${number} ${unit}` : number };
+      }
+      case 'time':
+        return { value: value.time, unit: null, text: this.formatTime(value, language) };
+      case 'wikibase-entityid': {
+        const label = await this.getLabel(value.id, language);
+        return { value: value.id, unit: null, text: label };
+      }
+      case 'monolingualtext':
+        return { value: value.text, unit: null, text: value.text };
+      case 'globecoordinate':
+        return { value, unit: null, text: `${value.latitude}, ${value.longitude}` };
+      default:
+        return { value, unit: null, text: String(value) };
+    }
+  }
+
+  /**
+   * Format a Wikidata time value at its precision (year, month or day)
+   */
+  formatTime(time, language = this.language) {
+    const match = time.time.match(/^([+-])(\d+)-(\d\d)-(\d\d)/);
+    if (!match) return time.time;
+
+    const [, sign, year, month, day] = match;
+    const yearNumber = Number(year) * (sign === '-' ? -1 : 1);
+
+    if (time.precision <= PRECISION_YEAR || yearNumber < 1) {
+      return String(yearNumber);
+    }
+
+    const date = new Date(Date.UTC(yearNumber, Number(month) - 1, Math.max(Number(day), 1)));
+    const format = time.precision === PRECISION_MONTH
+      ? { year: 'numeric', month: 'long', timeZone: 'UTC' }
+      : { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' };
+    return new Intl.DateTimeFormat(language, format).format(date);
+  }
+
+  /**
+   * Get a time qualifier value from a statement
+   */
+  getQualifierTime(claim, qualifier) {
+    const snak = claim.qualifiers?.[qualifier]?.find(q => q.snaktype === 'value');
+    return snak?.datavalue?.value || null;
+  }
+
+  /**
+   * Sortable date of a statement (point in time, then start time); '' if undated
+   */
+  getStatementDate(claim) {
+    const time = this.getQualifierTime(claim, POINT_IN_TIME) || this.getQualifierTime(claim, START_TIME);
+    if (!time) return '';
+    // Zero-pad the year so string comparison orders dates correctly
+    return time.time.replace(/^\+?(\d+)/, (_, year) => year.padStart(6, '0'));
+  }
+
+  /**
+   * Call the Wikidata action API (cached)
+   */
+  async request(params) {
+    const query = new URLSearchParams({ ...params, format: 'json', origin: '*' });
+    const url = `${this.apiUrl}?${query}`;
+
+    return this.cache.getOrLoad(`wikidata:${query}`, async () => {
+      const response = await this.fetch(url);
+      // fetch() already throws, unless it was replaced by a plain transport
+      if (!response.ok) throw createHttpError(response, url, 'Wikidata');
+      const data = await response.json();
+      if (data.error) {
+        throw new LookupError(`Wikidata API error: ${data.error.info || data.error.code}`, { url });
+      }
+      return data;
+    });
+  }
+
+  /**
+   * Clear the cache (including persistent stores)
+   * @returns {Promise<void>}
+   */
+  clearCache() {
+    return this.cache.clear();
+  }
+
+  /**
+   * Fetch wrapper - works in both Node.js and browser
+   * Uses the injected transport (options.fetch) when given, otherwise the global fetch; requests are
+   * limited and retried like WikipediaClient's (see src/http.js)
+   * @throws {LookupError} - NotFoundError, RateLimitedError, ServerError, NetworkError or LookupError
+   */
+  async fetch(url) {
+    return request(url, {
+      transport: this.transport,
+      limit: this.limit,
+      throttle: this.throttle,
+      userAgent: this.userAgent,
+      retry: this.retry,
+      service: 'Wikidata'
+    });
+  }
+}
+
+export { WikidataClient, PROPERTY_ALIASES };
+export default WikidataClient;
@@ -3,105 +3,749 @@
  * Fetches facts and summaries from Wikipedia (no auth required)
  */
 
+import { ResponseCache } from './cache.js';
+import { createLimiter, createRateLimiter } from './concurrency.js';
+import { request, resolveRetryOptions } from './http.js';
+import { LookupError, NotFoundError, createHttpError } from './errors.js';
+import { splitPassages, rankPassages } from './passages.js';
+import { parseInfobox, findField } from './infobox.js';
+import { rankCandidates } from './disambiguation.js';
+import { resolveRerankOptions, createEmbeddingBackend, rankByEmbedding } from './embeddings.js';
+
 class WikipediaClient {
+  /**
+   * Create a Wikipedia client
+   * @param {object} options - Configuration options
+   * @param {number} options.cacheTTL - Cache TTL in ms (default: 1 hour)
+   * @param {string} options.language - Wikipedia language code (default: 'en')
+   * @param {string[]} options.fallbackLanguages - Wikis whose interlanguage links are followed when an
+   *   article is missing in the requested language (default: ['en'])
+   * @param {string|object} options.cache - Cache store: 'memory' (default), 'file', 'indexeddb', a custom
+   *   store ({ get, set, delete, clear }) or a shared ResponseCache
+   * @param {string} options.cacheDir - Folder for the 'file' cache store (default: '.cache/docufresh-ai')
+   * @param {boolean} options.staleWhileRevalidate - Serve stale entries while refreshing them (default: true)
+   * @param {function} options.fetch - HTTP transport with the fetch signature (default: global fetch)
+   * @param {number} options.concurrency - Maximum parallel HTTP requests (default: 4)
+   * @param {function} options.limiter - Shared limiter from createLimiter() (overrides concurrency)
+   * @param {number} options.rateLimit - Maximum requests started per second (default: 10)
+   * @param {function} options.rateLimiter - Shared limiter from createRateLimiter() (overrides rateLimit)
+   * @param {boolean|number|object} options.retry - Retries of rate-limited, server and network errors: false,
+   *   a number of retries, or { retries, minDelay, maxDelay } (default: 3, backing off from 500 ms up to 30 s)
+   * @param {string} options.userAgent - User-Agent sent from Node.js; Wikimedia asks for a way to contact you,
+   *   e.g. 'MyDocs/1.0 (https://example.com; docs@example.com)' (default: DocuFresh-AI's)
+   * @param {boolean} options.disambiguation - Resolve disambiguation pages to one of their articles
+   *   (default: true)
+   * @param {boolean|object|string|function} options.rerank - Re-rank search fallback results with an embedding
+   *   model: true, a model ID, an embed function texts => vectors, or { model, backend, threshold, topN }
+   *   (default: off, the first search result is used)
+   * @param {function} options.onProgress - Callback for embedding model download progress
+   * @param {boolean|function|object} options.logger - Status line logger: false, a function or { info } (default: stderr)
+   */
   constructor(options = {}) {
-    this.baseUrl = 'https://en.wikipedia.org/api/rest_v1';
-    this.cache = new Map();
+    this.options = options;
+    this.transport = options.fetch || null;
+    this.limit = options.limiter || createLimiter(options.concurrency ?? 4);
+    this.throttle = options.rateLimiter || createRateLimiter(options.rateLimit ?? 10);
+    this.retry = resolveRetryOptions(options.retry);
+    this.userAgent = options.userAgent || null;
+    this.pending = new Map(); // In-flight summary lookups by cache key
+    this.language = this.normalizeLanguage(options.language || 'en');
+    this.fallbackLanguages = (options.fallbackLanguages || ['en']).map(lang => this.normalizeLanguage(lang));
     this.cacheTTL = options.cacheTTL || 1000 * 60 * 60; // 1 hour default
+    this.cache = options.cache instanceof ResponseCache
+      ? options.cache
+      : new ResponseCache({
+        store: options.cache,
+        directory: options.cacheDir,
+        ttl: this.cacheTTL,
+        staleWhileRevalidate: options.staleWhileRevalidate
+      });
+    this.languageClients = new Map();
+    this.resolveDisambiguations = options.disambiguation !== false;
+    this.rerank = options.rerank ? resolveRerankOptions(options.rerank) : null;
+    this.embedder = this.rerank
+      ? createEmbeddingBackend(this.rerank.backend, {
+        model: this.rerank.model,
+        onProgress: options.onProgress,
+        logger: options.logger
+      })
+      : null;
+  }
+
+  /**
+   * Get a client bound to another language that shares this client's cache
+   * @param {string} language - Wikipedia language code (e.g. 'de', 'ja')
+   * @returns {WikipediaClient} - Client for that language
+   */
+  forLanguage(language) {
+    const normalized = this.normalizeLanguage(language);
+    if (normalized === this.language) return this;
+
+    if (!this.languageClients.has(normalized)) {
+      const client = new WikipediaClient({
+        ...this.options,
+        language: normalized,
+        cache: this.cache,
+        limiter: this.limit,
+        rateLimiter: this.throttle
+      });
+      client.pending = this.pending;
+      client.embedder = this.embedder;
+      this.languageClients.set(normalized, client);
+    }
+    return this.languageClients.get(normalized);
   }
 
   /**
    * Get a summary/fact about a topic from Wikipedia
+   * Falls back to interlanguage links (and then the fallback wiki itself) when the
+   * article does not exist in the requested language
+   * Disambiguation pages ("Mercury") resolve to the listed article that best matches options.context
+   * (see resolveDisambiguation)
+   * Concurrent calls for the same topic share one lookup
+   * Failures return a summary with error: true and an errorCode ('not_found', 'rate_limited', 'server_error',
+   * 'network_error' or 'lookup_failed'), or throw the typed error (see src/errors.js) with options.strict
    * @param {string} topic - The Wikipedia article title (use underscores for spaces)
-   * @returns {Promise<object>} - Summary data with extract, title, description
+   * @param {object} options - Options
+   * @param {string} options.language - Override the client language for this lookup
+   * @param {string} options.context - Text the topic appears in (e.g. the sentence around a marker)
+   * @param {boolean} options.disambiguation - Set to false to get a disambiguation page itself
+   * @param {boolean} options.strict - Throw lookup errors instead of returning an error summary
+   * @returns {Promise<object>} - Summary data with extract, title, description and type
+   *   ('standard' or 'disambiguation')
+   * @throws {LookupError} - With options.strict only: NotFoundError (also for a disambiguation page that
+   *   could not be resolved), RateLimitedError, ServerError or NetworkError
    */
-  async getSummary(topic) {
+  async getSummary(topic, options = {}) {
+    const language = this.normalizeLanguage(options.language || this.language);
     const normalizedTopic = this.normalizeTopic(topic);
+    const cacheKey = `wikipedia:summary:${language}:${normalizedTopic}`;
+
+    if (!this.pending.has(cacheKey)) {
+      // Cached (or stale-while-revalidate) unless the lookup fails outright
+      const lookup = this.cache.getOrLoad(cacheKey, () => this.loadSummary(normalizedTopic, language))
+        .finally(() => this.pending.delete(cacheKey));
+      lookup.catch(() => {}); // Handled by each caller below
+      this.pending.set(cacheKey, lookup);
+    }
 
-    // Check cache first
-    const cached = this.getFromCache(normalizedTopic);
-    if (cached) return cached;
-
+    let summary;
     try {
-      const url = `${this.baseUrl}/page/summary/${encodeURIComponent(normalizedTopic)}`;
-      const response = await this.fetch(url);
+      summary = await this.pending.get(cacheKey);
+    } catch (error) {
+      if (options.strict) throw error;
+      console.error(`Wikipedia fetch error for "${topic}":`, error.message);
+      return this.createErrorSummary(topic, language, error, `Unable to fetch information about ${topic}`);
+    }
 
-      if (!response.ok) {
-        throw new Error(`Wikipedia API error: ${response.status}`);
+    if (summary.type !== 'disambiguation' || !this.resolveDisambiguations || options.disambiguation === false) {
+      return summary;
+    }
+    return this.resolveDisambiguation(summary, options.context || '', language, options.strict);
+  }
+
+  /**
+   * Pick the article a disambiguation page means in a context
+   * Candidates are ranked by the context words found in their title and short description
+   * ("Mercury" next to "planet" → "Mercury (planet)"). The result carries
+   * disambiguation: { topic, chosen, candidates } so editors can pin the right article; when no
+   * candidate matches, the page's summary comes back with error: true and chosen: null.
+   * @param {object} summary - Summary of the disambiguation page
+   * @param {string} context - Text the topic appears in
+   * @param {string} language - Wikipedia language code
+   * @param {boolean} strict - Throw a NotFoundError (with the disambiguation report) if no candidate matches
+   * @returns {Promise<object>} - Summary of the chosen article
+   */
+  async resolveDisambiguation(summary, context, language, strict = false) {
+    const candidates = rankCandidates(
+      summary.title,
+      await this.getDisambiguationCandidates(summary.title, { language }),
+      context
+    );
+    const report = { topic: summary.title, chosen: null, candidates: candidates.slice(0, 10) };
+    const [best] = candidates;
+
+    if (best && best.score > 0) {
+      const chosen = await this.getSummary(best.title, { language, disambiguation: false });
+      if (!chosen.error && chosen.type !== 'disambiguation') {
+        return { ...chosen, disambiguation: { ...report, chosen: chosen.title } };
       }
+    }
 
-      const data = await response.json();
+    const titles = report.candidates.map(candidate => candidate.title).join(', ');
+    const message = `"${summary.title}" is a disambiguation page; name one of its articles instead (${titles || 'no candidates found'})`;
+    if (strict) {
+      const error = new NotFoundError(message, { url: summary.url });
+      error.disambiguation = report;
+      throw error;
+    }
+    console.warn(message);
+    return { ...summary, error: true, errorCode: 'not_found', disambiguation: report };
+  }
 
-      const result = {
-        title: data.title,
-        description: data.description || '',
-        extract: data.extract || '',
-        extractShort: data.extract_html ? this.stripHtml(data.extract).slice(0, 200) : '',
-        thumbnail: data.thumbnail?.source || null,
-        url: data.content_urls?.desktop?.page || null,
-        timestamp: data.timestamp || new Date().toISOString()
-      };
+  /**
+   * Get the articles a disambiguation page links to, with their short descriptions
+   * @param {string} topic - Disambiguation page title
+   * @param {object} options - Options
+   * @param {string} options.language - Override the client language for this lookup
+   * @returns {Promise<Array<{title: string, description: string}>>} - Candidates in title order
+   *   (other disambiguation pages are left out; empty if the lookup failed)
+   */
+  async getDisambiguationCandidates(topic, options = {}) {
+    const language = this.normalizeLanguage(options.language || this.language);
+    const normalizedTopic = this.normalizeTopic(topic);
 
-      // Cache the result
-      this.setCache(normalizedTopic, result);
+    try {
+      return await this.cache.getOrLoad(`wikipedia:candidates:${language}:${normalizedTopic}`, async () => {
+        const url = `${this.getApiUrl(language)}?action=query&generator=links&titles=${encodeURIComponent(normalizedTopic)}` +
+          '&gplnamespace=0&gpllimit=max&prop=description|pageprops&ppprop=disambiguation&redirects=1' +
+          '&format=json&formatversion=2&origin=*';
+        const data = await this.fetchJson(url);
+
+        return (data.query?.pages || [])
+          .filter(page => !page.missing && !Object.hasOwn(page.pageprops || {}, 'disambiguation'))
+          .map(page => ({ title: page.title, description: page.description || '' }))
+          .sort((a, b) => a.title.localeCompare(b.title));
+      });
+    } catch (error) {
+      console.error(`Wikipedia disambiguation error for "${topic}":`, error.message);
+      return [];
+    }
+  }
 
+  /**
+   * Summary returned in place of a failed lookup
+   * @param {string} title - Requested topic (or revision label)
+   * @param {string} language - Wikipedia language code
+   * @param {Error} error - Why the lookup failed
+   * @param {string} extract - Text standing in for the extract
+   * @returns {object} - Summary with error: true, errorCode and status
+   */
+  createErrorSummary(title, language, error, extract) {
+    return {
+      title,
+      description: '',
+      extract,
+      extractShort: '',
+      thumbnail: null,
+      url: null,
+      timestamp: new Date().toISOString(),
+      language,
+      error: true,
+      errorCode: error instanceof LookupError ? error.code : 'lookup_failed',
+      status: error.status ?? null
+    };
+  }
+
+  /**
+   * Load a summary, trying the other languages' wikis when the article is missing
+   * @param {string} normalizedTopic - Normalized article title
+   * @param {string} language - Requested language
+   * @returns {Promise<object>} - Summary data
+   */
+  async loadSummary(normalizedTopic, language) {
+    try {
+      return await this.fetchSummary(normalizedTopic, language);
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+      const result = await this.getSummaryFromOtherLanguages(normalizedTopic, language);
+      if (!result) throw error;
       return result;
+    }
+  }
+
+  /**
+   * Fetch a summary from one language's REST API (no cache, no fallback)
+   * @param {string} normalizedTopic - Normalized article title
+   * @param {string} language - Wikipedia language code
+   * @returns {Promise<object>} - Summary data
+   * @throws {LookupError} - NotFoundError if the article is missing (see fetch)
+   */
+  async fetchSummary(normalizedTopic, language) {
+    const url = `${this.getRestUrl(language)}/page/summary/${encodeURIComponent(normalizedTopic)}`;
+    const data = await this.fetchJson(url);
+
+    return {
+      title: data.title,
+      description: data.description || '',
+      extract: data.extract || '',
+      extractShort: data.extract_html ? this.stripHtml(data.extract).slice(0, 200) : '',
+      thumbnail: data.thumbnail?.source || null,
+      url: data.content_urls?.desktop?.page || null,
+      timestamp: data.timestamp || new Date().toISOString(),
+      retrieved: new Date().toISOString(),
+      revision: data.revision || null,
+      type: data.type || 'standard',
+      language
+    };
+  }
+
+  /**
+   * Get the summary of an article as it was at a specific revision ({{ai_fact:Moon@rev=123456}})
+   * The extract is the lead section of that revision.
+   * @param {string|number} revision - Revision id
+   * @param {object} options - Options
+   * @param {string} options.language - Override the client language for this lookup
+   * @param {boolean} options.strict - Throw lookup errors instead of returning an error summary
+   * @returns {Promise<object>} - Summary data (same shape as getSummary, error: true if the lookup failed)
+   */
+  async getRevisionSummary(revision, options = {}) {
+    const language = this.normalizeLanguage(options.language || this.language);
+    const id = String(revision).trim();
+    const cacheKey = `wikipedia:revision:${language}:${id}`;
+
+    try {
+      if (!/^\d+$/.test(id)) {
+        throw new Error(`Invalid revision id: ${revision}`);
+      }
+      return await this.cache.getOrLoad(cacheKey, () => this.fetchRevisionSummary(id, language));
     } catch (error) {
-      console.error(`Wikipedia fetch error for "${topic}":`, error.message);
+      if (options.strict) throw error;
+      console.error(`Wikipedia fetch error for revision ${id}:`, error.message);
+      return { ...this.createErrorSummary(`Revision ${id}`, language, error, `Unable to fetch revision ${id}`), revision: id };
+    }
+  }
+
+  /**
+   * Fetch a revision's rendered lead section and timestamp from the action API (no cache)
+   * @param {string} revision - Revision id
+   * @param {string} language - Wikipedia language code
+   * @returns {Promise<object>} - Summary data
+   */
+  async fetchRevisionSummary(revision, language) {
+    const api = this.getApiUrl(language);
+    const [parsed, info] = await Promise.all([
+      this.fetchJson(`${api}?action=parse&oldid=${revision}&prop=text&disableeditsection=1&disablelimitreport=1&format=json&formatversion=2&origin=*`),
+      this.fetchJson(`${api}?action=query&prop=revisions&revids=${revision}&rvprop=ids|timestamp&format=json&formatversion=2&origin=*`)
+    ]);
+
+    if (parsed.error || !parsed.parse) {
+      throw new NotFoundError(`Wikipedia API error: ${parsed.error?.info || 'no such revision'}`);
+    }
+
+    const extract = this.extractLead(parsed.parse.text || '');
+    const timestamp = info.query?.pages?.[0]?.revisions?.[0]?.timestamp || null;
+
+    return {
+      title: parsed.parse.title,
+      description: '',
+      extract,
+      extractShort: extract.slice(0, 200),
+      thumbnail: null,
+      url: `https://${language}.wikipedia.org/w/index.php?oldid=${revision}`,
+      timestamp,
+      retrieved: new Date().toISOString(),
+      revision: String(parsed.parse.revid || revision),
+      language
+    };
+  }
+
+  /**
+   * Get an article's sections: its table of contents with the plain text of every section
+   * Errors are thrown (with `status` 404 when the article or revision does not exist).
+   * @param {string} topic - The Wikipedia article title
+   * @param {object} options - Options
+   * @param {string} options.language - Override the client language for this lookup
+   * @param {string|number} options.revision - Read this revision instead of the latest
+   * @returns {Promise<object>} - { title, url, revision, timestamp, language, lead, sections }; each section is
+   *   { title, anchor, number, level, text } with the text of the section itself (not its subsections)
+   */
+  async getSections(topic, options = {}) {
+    const language = this.normalizeLanguage(options.language || this.language);
+    const normalizedTopic = this.normalizeTopic(topic);
+    const revision = this.normalizeRevision(options.revision);
+
+    const cacheKey = revision
+      ? `wikipedia:sections:${language}:rev:${revision}`
+      : `wikipedia:sections:${language}:${normalizedTopic}`;
+    return this.cache.getOrLoad(cacheKey, () => this.fetchSections(normalizedTopic, language, revision));
+  }
+
+  /**
+   * Get one section of an article ({{ai_section:Tesla,_Inc.#History}})
+   * @param {string} topic - The Wikipedia article title
+   * @param {string} section - Section title or anchor (case and underscores are ignored)
+   * @param {object} options - Options for getSections (language, revision)
+   * @returns {Promise<object>} - { title, url, revision, timestamp, language, section, anchor, text } where
+   *   text includes the section's subsections
+   * @throws {Error} - If the article has no such section (status 404)
+   */
+  async getSection(topic, section, options = {}) {
+    const { lead, sections, ...article } = await this.getSections(topic, options);
+    const name = value => String(value).trim().replace(/[\s_]+/g, ' ').toLowerCase();
+    const index = sections.findIndex(entry => name(entry.title) === name(section) || name(entry.anchor) === name(section));
+
+    if (index === -1) {
+      const titles = sections.filter(entry => entry.level === 2).map(entry => entry.title);
+      throw new NotFoundError(`No section "${section}" in ${article.title} (sections: ${titles.join(', ') || 'none'})`);
+    }
+
+    const found = sections[index];
+    const nested = [];
+    for (const entry of sections.slice(index + 1)) {
+      if (entry.level <= found.level) break;
+      nested.push(entry.text);
+    }
+    return {
+      ...article,
+      section: found.title,
+      anchor: found.anchor,
+      text: [found.text, ...nested].filter(Boolean).join('\n')
+    };
+  }
+
+  /**
+   * Find the paragraph of an article that best matches a question, searching every section
+   * @param {string} topic - The Wikipedia article title
+   * @param {string} question - Question (or any query)
+   * @param {object} options - Options for getSections (language, revision)
+   * @returns {Promise<object|null>} - { title, url, revision, timestamp, language, section, anchor, text, score }
+   *   (section is null for the lead), or null if no paragraph shares a word with the question
+   */
+  async findPassage(topic, question, options = {}) {
+    const article = await this.getSections(topic, options);
+    const [best] = rankPassages(question, splitPassages(article));
+    if (!best) return null;
+
+    const { lead, sections, ...about } = article;
+    return { ...about, ...best };
+  }
+
+  /**
+   * Get the infobox of an article as normalized key/value pairs (see src/infobox.js)
+   * Errors are thrown (with `status` 404 when the article or revision does not exist).
+   * @param {string} topic - The Wikipedia article title
+   * @param {object} options - Options
+   * @param {string} options.language - Override the client language for this lookup
+   * @param {string|number} options.revision - Read this revision instead of the latest
+   * @returns {Promise<object>} - { title, url, revision, timestamp, language, type, fields }: type is the
+   *   infobox type (e.g. 'company', null without an infobox), fields the cleaned values by key ('key_people')
+   */
+  async getInfobox(topic, options = {}) {
+    const language = this.normalizeLanguage(options.language || this.language);
+    const normalizedTopic = this.normalizeTopic(topic);
+    const revision = this.normalizeRevision(options.revision);
+
+    const cacheKey = revision
+      ? `wikipedia:infobox:${language}:rev:${revision}`
+      : `wikipedia:infobox:${language}:${normalizedTopic}`;
+    return this.cache.getOrLoad(cacheKey, async () => {
+      const { parse, article } = await this.fetchParsed(normalizedTopic, language, revision, 'wikitext');
+      return { ...article, ...parseInfobox(parse.wikitext || '') };
+    });
+  }
+
+  /**
+   * Get one infobox field ({{ai_infobox:Tesla,_Inc.:key_people}})
+   * Field names match fuzzily: "Key people", "CEO" (key_people), "headquarters" (hq_location), "population"
+   * (population_total) all find their field.
+   * @param {string} topic - The Wikipedia article title
+   * @param {string} key - Field name
+   * @param {object} options - Options for getInfobox (language, revision)
+   * @returns {Promise<object>} - { title, url, revision, timestamp, language, key, field, value }: key as
+   *   requested, field the infobox field it matched
+   * @throws {Error} - If no field matches (status 404)
+   */
+  async getInfoboxField(topic, key, options = {}) {
+    const { fields, type, ...article } = await this.getInfobox(topic, options);
+    const field = findField(fields, key);
+
+    if (!field) {
+      const available = Object.keys(fields);
+      throw new NotFoundError(available.length > 0
+        ? `No infobox field "${key}" in ${article.title} (fields: ${available.join(', ')})`
+        : `${article.title} has no infobox`);
+    }
+    return { ...article, key, field, value: fields[field] };
+  }
+
+  /**
+   * Fetch an article's rendered HTML and split it into sections (no cache)
+   * @param {string} normalizedTopic - Normalized article title
+   * @param {string} language - Wikipedia language code
+   * @param {string|null} revision - Revision id, or null for the latest revision
+   * @returns {Promise<object>} - Sections (see getSections)
+   */
+  async fetchSections(normalizedTopic, language, revision) {
+    const { parse, article } = await this.fetchParsed(normalizedTopic, language, revision, 'text');
+    const html = parse.text || '';
+
+    return {
+      ...article,
+      lead: this.extractLead(html),
+      sections: this.extractSections(html)
+    };
+  }
+
+  /**
+   * Fetch an article (or revision) from the parse API, with its revision and timestamp (no cache)
+   * @param {string} normalizedTopic - Normalized article title
+   * @param {string} language - Wikipedia language code
+   * @param {string|null} revision - Revision id, or null for the latest revision
+   * @param {string} prop - What to parse: 'text' (HTML) or 'wikitext'
+   * @returns {Promise<{parse: object, article: object}>} - The parse result and { title, url, revision,
+   *   timestamp, retrieved, language }
+   */
+  async fetchParsed(normalizedTopic, language, revision, prop) {
+    const api = this.getApiUrl(language);
+    const page = revision ? `oldid=${revision}` : `page=${encodeURIComponent(normalizedTopic)}&redirects=1`;
+    const parsed = await this.fetchJson(`${api}?action=parse&${page}&prop=${prop}|revid&disableeditsection=1&disablelimitreport=1&format=json&formatversion=2&origin=*`);
+
+    if (parsed.error || !parsed.parse) {
+      throw new NotFoundError(`Wikipedia API error: ${parsed.error?.info || 'no such article'}`);
+    }
+
+    const revid = String(parsed.parse.revid || revision || '');
+    const info = revid
+      ? await this.fetchJson(`${api}?action=query&prop=revisions&revids=${revid}&rvprop=timestamp&format=json&formatversion=2&origin=*`)
+      : {};
+
+    return {
+      parse: parsed.parse,
+      article: {
+        title: parsed.parse.title,
+        url: revision
+          ? `https://${language}.wikipedia.org/w/index.php?oldid=${revision}`
+          : this.getUrl(parsed.parse.title, language),
+        revision: revid || null,
+        timestamp: info.query?.pages?.[0]?.revisions?.[0]?.timestamp || null,
+        retrieved: new Date().toISOString(),
+        language
+      }
+    };
+  }
+
+  /**
+   * Split rendered article HTML at its headings (h2-h6) into numbered sections with plain text
+   */
+  extractSections(html) {
+    const headings = [...html.matchAll(/<h([2-6])\b([^>]*)>([\s\S]*?)<\/h\1>/g)];
+    const counters = [];
+
+    return headings.map((heading, i) => {
+      const level = Number(heading[1]);
+      const end = i + 1 < headings.length ? headings[i + 1].index : html.length;
+      const title = this.decodeEntities(this.stripHtml(heading[3])).trim();
+      // The id is on the heading itself, or on its mw-headline span in older markup
+      const id = heading[2].match(/\bid="([^"]*)"/)?.[1] || heading[3].match(/\bid="([^"]*)"/)?.[1];
+
+      counters.length = level - 1;
+      counters[level - 2] = (counters[level - 2] || 0) + 1;
       return {
-        title: topic,
-        description: '',
-        extract: `Unable to fetch information about ${topic}`,
-        extractShort: '',
-        thumbnail: null,
-        url: null,
-        timestamp: new Date().toISOString(),
-        error: true
+        title,
+        anchor: id ? this.decodeEntities(id) : title.replace(/\s+/g, '_'),
+        number: Array.from(counters, count => count || 1).join('.'),
+        level,
+        text: this.extractParagraphs(html.slice(heading.index + heading[0].length, end))
       };
+    });
+  }
+
+  /**
+   * Plain text of the paragraphs before the first heading of rendered article HTML
+   */
+  extractLead(html) {
+    return this.extractParagraphs(html.split(/<h2\b|<div class="mw-heading/)[0]);
+  }
+
+  /**
+   * Plain text of the paragraphs in a piece of rendered article HTML, one per line
+   */
+  extractParagraphs(html) {
+    const paragraphs = [...html.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/g)].map(match =>
+      this.decodeEntities(this.stripHtml(
+        match[1]
+          .replace(/<sup\b[^>]*class="[^"]*reference[^"]*"[^>]*>[\s\S]*?<\/sup>/g, '')
+          .replace(/<style\b[^>]*>[\s\S]*?<\/style>/g, '')
+      )).trim()
+    );
+    return paragraphs.filter(Boolean).join('\n');
+  }
+
+  /**
+   * Decode the HTML entities that appear in rendered article text
+   */
+  decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(point);
+      }
+      return named[code.toLowerCase()] ?? entity;
+    });
+  }
+
+  /**
+   * Fetch a JSON response, throwing typed errors on HTTP errors (see fetch)
+   */
+  async fetchJson(url) {
+    const response = await this.fetch(url);
+    // fetch() already throws, unless it was replaced by a plain transport
+    if (!response.ok) throw createHttpError(response, url, 'Wikipedia');
+    return response.json();
+  }
+
+  /**
+   * Find a missing article through the fallback wikis
+   * Follows the fallback wiki's interlanguage link back to the requested language when
+   * there is one, otherwise serves the fallback wiki's own article
+   * @param {string} normalizedTopic - Normalized article title
+   * @param {string} language - Requested language
+   * @returns {Promise<object|null>} - Summary data, or null if no wiki has the article
+   */
+  async getSummaryFromOtherLanguages(normalizedTopic, language) {
+    for (const fallback of this.fallbackLanguages) {
+      if (fallback === language) continue;
+
+      try {
+        const linkedTitle = await this.getLanguageLink(normalizedTopic, fallback, language);
+        if (linkedTitle) {
+          return await this.fetchSummary(this.normalizeTopic(linkedTitle), language);
+        }
+        return await this.fetchSummary(normalizedTopic, fallback);
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) throw error;
+      }
     }
+
+    return null;
+  }
+
+  /**
+   * Look up the interlanguage link of an article
+   * @param {string} title - Article title on the source wiki
+   * @param {string} fromLanguage - Language of the source wiki
+   * @param {string} toLanguage - Language of the linked article
+   * @returns {Promise<string|null>} - Linked article title, or null if there is none
+   */
+  async getLanguageLink(title, fromLanguage, toLanguage) {
+    const url = `${this.getApiUrl(fromLanguage)}?action=query&prop=langlinks&titles=${encodeURIComponent(title)}&lllang=${toLanguage}&redirects=1&format=json&formatversion=2&origin=*`;
+    const data = await this.fetchJson(url);
+    const page = data.query?.pages?.[0];
+    return page?.langlinks?.[0]?.title || null;
   }
 
   /**
    * Get a specific fact/extract from Wikipedia
    * @param {string} topic - The topic to look up
+   * @param {object} options - Options for getSummary() (e.g. strict: throw lookup errors)
    * @returns {Promise<string>} - The fact/extract text
    */
-  async getFact(topic) {
-    const summary = await this.getSummary(topic);
+  async getFact(topic, options = {}) {
+    const summary = await this.getSummary(topic, options);
     return summary.extract || `Information about ${topic} not available`;
   }
 
   /**
    * Get a fact with search fallback
-   * If direct lookup fails, searches Wikipedia for related articles and tries the best match
+   * If the article is missing, searches Wikipedia for related articles and tries the best match. With the
+   * rerank option, the best match is the result most similar to the topic and options.context, and no
+   * match is used when none reaches the threshold.
    * @param {string} topic - The topic to look up
+   * @param {object} options - Options
+   * @param {string} options.context - Text the topic appears in (e.g. the paragraph around a marker)
+   * @param {boolean} options.strict - Throw lookup errors instead of returning an "Unable to ..." text
    * @returns {Promise<string>} - The fact/extract text
+   * @throws {LookupError} - With options.strict only: NotFoundError if no article was found, the lookup's
+   *   error if Wikipedia could not be reached
    */
-  async getFactWithFallback(topic) {
+  async getFactWithFallback(topic, options = {}) {
     // Try direct lookup first
-    const summary = await this.getSummary(topic);
-
-    // If successful (no error and has content), return it
-    if (!summary.error && summary.extract && !summary.extract.includes('Unable to fetch')) {
-      return summary.extract;
+    try {
+      const summary = await this.getSummary(topic, { strict: true });
+      if (!summary.error && summary.extract) {
+        return summary.extract;
+      }
+    } catch (error) {
+      // Only a missing article is worth searching for; when Wikipedia is down, searching fails too
+      if (!(error instanceof NotFoundError)) {
+        if (options.strict) throw error;
+        console.error(`Wikipedia fetch error for "${topic}":`, error.message);
+        return `Unable to fetch information about ${topic}`;
+      }
     }
 
     // Fallback: search for related articles
-    const searchResults = await this.search(topic, 3);
+    const searchResults = await this.search(topic, this.rerank ? this.rerank.topN : 3, { strict: options.strict });
+    const [bestMatch] = this.rerank
+      ? (await this.rankSearchResults(topic, searchResults, options))
+        .filter(result => result.score === null || result.score >= this.rerank.threshold)
+      : searchResults;
 
-    if (searchResults.length > 0) {
-      // Try the best match
-      const bestMatch = searchResults[0];
-      const fallbackSummary = await this.getSummary(bestMatch.title);
+    if (bestMatch) {
+      const fallbackSummary = await this.getSummary(bestMatch.title, { strict: options.strict });
 
       if (!fallbackSummary.error && fallbackSummary.extract) {
         return fallbackSummary.extract;
       }
     }
 
+    if (options.strict) {
+      throw new NotFoundError(`No Wikipedia article found for "${topic}"`);
+    }
     return `Unable to find information about ${topic}`;
   }
 
+  /**
+   * Re-rank search results by embedding similarity to a topic and its context (needs the rerank option)
+   * Results without a description get theirs from the API first.
+   * @param {string} topic - Topic that was searched for
+   * @param {Array<object>} results - Results from search()
+   * @param {object} options - Options
+   * @param {string} options.context - Text the topic appears in
+   * @param {string} options.language - Override the client language for the description lookup
+   * @returns {Promise<Array<object>>} - Results with description and score, best first (in search order
+   *   with score null if the embedding model fails)
+   */
+  async rankSearchResults(topic, results, options = {}) {
+    if (!this.embedder) {
+      throw new Error('Search re-ranking needs the rerank option');
+    }
+
+    const descriptions = await this.getDescriptions(
+      results.filter(result => !result.description).map(result => result.title),
+      options
+    );
+    const described = results.map(result => ({
+      ...result,
+      description: result.description || descriptions.get(result.title) || ''
+    }));
+
+    try {
+      return await rankByEmbedding(this.embedder, topic, described, options.context || '');
+    } catch (error) {
+      console.error(`Embedding error while re-ranking "${topic}":`, error.message);
+      return described.map(result => ({ ...result, score: null }));
+    }
+  }
+
+  /**
+   * Get the short descriptions of several articles in one request
+   * @param {string[]} titles - Article titles
+   * @param {object} options - Options
+   * @param {string} options.language - Override the client language for this lookup
+   * @returns {Promise<Map<string, string>>} - Descriptions by title (empty if the lookup failed)
+   */
+  async getDescriptions(titles, options = {}) {
+    if (titles.length === 0) return new Map();
+    const language = this.normalizeLanguage(options.language || this.language);
+    const joined = titles.map(title => this.normalizeTopic(title)).join('|');
+
+    try {
+      const pages = await this.cache.getOrLoad(`wikipedia:descriptions:${language}:${joined}`, async () => {
+        const url = `${this.getApiUrl(language)}?action=query&prop=description&titles=${encodeURIComponent(joined)}` +
+          '&redirects=1&format=json&formatversion=2&origin=*';
+        const data = await this.fetchJson(url);
+        return (data.query?.pages || []).map(page => [page.title, page.description || '']);
+      });
+      return new Map(pages);
+    } catch (error) {
+      console.error(`Wikipedia description error for "${titles.join(', ')}":`, error.message);
+      return new Map();
+    }
+  }
+
   /**
    * Get a short description of a topic
    * @param {string} topic - The topic to look up
@@ -116,101 +760,126 @@ class WikipediaClient {
    * Search Wikipedia for articles matching a query
    * @param {string} query - Search query
    * @param {number} limit - Max results (default 5)
+   * @param {object} options - Options
+   * @param {string} options.language - Override the client language for this search
+   * @param {boolean} options.strict - Throw lookup errors instead of returning no results
    * @returns {Promise<Array>} - Array of search results
    */
-  async search(query, limit = 5) {
+  async search(query, limit = 5, options = {}) {
     try {
-      const url = `https://en.wikipedia.org/w/api.php?action=opensearch&search=${encodeURIComponent(query)}&limit=${limit}&format=json&origin=*`;
-      const response = await this.fetch(url);
-
-      if (!response.ok) {
-        throw new Error(`Wikipedia search error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      // OpenSearch returns [query, titles, descriptions, urls]
-      const titles = data[1] || [];
-      const descriptions = data[2] || [];
-      const urls = data[3] || [];
-
-      return titles.map((title, i) => ({
-        title,
-        description: descriptions[i] || '',
-        url: urls[i] || ''
-      }));
+      const language = this.normalizeLanguage(options.language || this.language);
+      const url = `${this.getApiUrl(language)}?action=opensearch&search=${encodeURIComponent(query)}&limit=${limit}&format=json&origin=*`;
+
+      return await this.cache.getOrLoad(`wikipedia:search:${language}:${limit}:${query}`, async () => {
+        const data = await this.fetchJson(url);
+        // OpenSearch returns [query, titles, descriptions, urls]
+        const titles = data[1] || [];
+        const descriptions = data[2] || [];
+        const urls = data[3] || [];
+
+        return titles.map((title, i) => ({
+          title,
+          description: descriptions[i] || '',
+          url: urls[i] || ''
+        }));
+      });
     } catch (error) {
+      if (options.strict) throw error;
       console.error(`Wikipedia search error for "${query}":`, error.message);
       return [];
     }
   }
 
   /**
-   * Normalize topic string for Wikipedia API
+   * Get the article URL for a topic (without fetching it)
+   * @param {string} topic - The topic
+   * @param {string} language - Wikipedia language code (default: client language)
+   * @returns {string} - Wikipedia article URL
    */
-  normalizeTopic(topic) {
-    return topic
-      .trim()
-      .replace(/\s+/g, '_')  // Spaces to underscores
-      .replace(/^_+|_+$/g, ''); // Trim underscores
+  getUrl(topic, language = this.language) {
+    return `https://${this.normalizeLanguage(language)}.wikipedia.org/wiki/${this.normalizeTopic(topic)}`;
   }
 
   /**
-   * Strip HTML tags from text
+   * REST API base URL for a language
    */
-  stripHtml(html) {
-    return html.replace(/<[^>]*>/g, '');
+  getRestUrl(language = this.language) {
+    return `https://${language}.wikipedia.org/api/rest_v1`;
+  }
+
+  /**
+   * Action API URL for a language
+   */
+  getApiUrl(language = this.language) {
+    return `https://${language}.wikipedia.org/w/api.php`;
   }
 
   /**
-   * Get from cache if not expired
+   * Validate and normalize a language code (it ends up in the hostname)
    */
-  getFromCache(key) {
-    const item = this.cache.get(key);
-    if (!item) return null;
+  normalizeLanguage(language) {
+    const normalized = String(language).trim().toLowerCase();
+    if (!/^[a-z][a-z0-9-]*$/.test(normalized)) {
+      throw new Error(`Invalid Wikipedia language code: ${language}`);
+    }
+    return normalized;
+  }
 
-    if (Date.now() - item.timestamp > this.cacheTTL) {
-      this.cache.delete(key);
-      return null;
+  /**
+   * Validate a revision id option (null when there is none)
+   */
+  normalizeRevision(revision) {
+    if (revision === undefined || revision === null) return null;
+    const id = String(revision).trim();
+    if (!/^\d+$/.test(id)) {
+      throw new Error(`Invalid revision id: ${revision}`);
     }
+    return id;
+  }
 
-    return item.data;
+  /**
+   * Normalize topic string for Wikipedia API
+   */
+  normalizeTopic(topic) {
+    return topic
+      .trim()
+      .replace(/\s+/g, '_')  // Spaces to underscores
+      .replace(/^_+|_+$/g, ''); // Trim underscores
   }
 
   /**
-   * Set cache item
+   * Strip HTML tags from text
    */
-  setCache(key, data) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now()
-    });
+  stripHtml(html) {
+    return html.replace(/<[^>]*>/g, '');
   }
 
   /**
-   * Clear the cache
+   * Clear the cache (including persistent stores)
+   * @returns {Promise<void>}
    */
   clearCache() {
-    this.cache.clear();
+    return this.cache.clear();
   }
 
   /**
    * Fetch wrapper - works in both Node.js and browser
+   * Uses the injected transport (options.fetch) when given, otherwise the global fetch; at most
+   * options.concurrency requests run at once and options.rateLimit start per second, and rate limits,
+   * server and network errors are retried (see src/http.js)
+   * @param {string} url - URL
+   * @returns {Promise<Response>} - Successful response
+   * @throws {LookupError} - NotFoundError, RateLimitedError, ServerError, NetworkError or LookupError
    */
   async fetch(url) {
-    // Use global fetch (available in Node 18+ and browsers)
-    if (typeof fetch !== 'undefined') {
-      const headers = { 'Accept': 'application/json' };
-
-      // Only set User-Agent in Node.js (browsers forbid this header)
-      if (typeof window === 'undefined') {
-        headers['User-Agent'] = 'DocuFresh-AI/0.1.0 (https://github.com/manthenavamsi/docufresh-ai)';
-      }
-
-      return fetch(url, { headers });
-    }
-
-    // Fallback for older Node.js (shouldn't be needed with Node 18+)
-    throw new Error('fetch is not available. Please use Node.js 18+ or a browser environment.');
+    return request(url, {
+      transport: this.transport,
+      limit: this.limit,
+      throttle: this.throttle,
+      userAgent: this.userAgent,
+      retry: this.retry,
+      service: 'Wikipedia'
+    });
   }
 }
 
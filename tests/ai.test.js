@@ -3,8 +3,22 @@
  * Run with: node tests/ai.test.js
  */
 
+import { mkdtemp, writeFile, readFile, readdir, mkdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import { WikipediaClient } from '../src/wikipedia.js';
-import DocuFreshAI from '../src/index.js';
+import { LocalKnowledgeSource } from '../src/local-source.js';
+import { WikidataClient } from '../src/wikidata.js';
+import { ResponseCache } from '../src/cache.js';
+import { createRecordReplayFetch } from '../src/transport.js';
+import { AIEngine } from '../src/ai-engine.js';
+import { MockBackend } from '../src/backends.js';
+import { parseMarkers, MarkerSyntaxError } from '../src/parser.js';
+import { createLimiter, createRateLimiter } from '../src/concurrency.js';
+import { NotFoundError, RateLimitedError, NetworkError } from '../src/errors.js';
+import { runCli } from '../src/cli.js';
+import { createUnifiedDiff } from '../src/diff.js';
+import DocuFreshAI, { registerAIMarkers, verifyGrounding } from '../src/index.js';
 
 // Test counter
 let passed = 0;
@@ -34,6 +48,24 @@ function assert(condition, message) {
   }
 }
 
+/**
+ * Stub for WikipediaClient.fetch: routes map URL substrings to { status, body }
+ * Records every requested URL in `calls`
+ */
+function createFetchStub(routes) {
+  const stub = async (url) => {
+    stub.calls.push(url);
+    const key = Object.keys(routes).find(fragment => url.includes(fragment));
+    if (!key) {
+      return new Response('{}', { status: 404 });
+    }
+    const { status = 200, body } = routes[key];
+    return new Response(JSON.stringify(body), { status });
+  };
+  stub.calls = [];
+  return stub;
+}
+
 // ============================================
 // RUN TESTS
 // ============================================
@@ -59,7 +91,7 @@ await test('WikipediaClient normalizes topics correctly', async () => {
 
 // Test 3: Wikipedia API fetch
 await test('WikipediaClient can fetch summary from API', async () => {
-  const client = new WikipediaClient();
+  const client = new WikipediaClient({ retry: false });
   const summary = await client.getSummary('JavaScript');
 
   assert(summary.title !== undefined, 'Summary should have title');
@@ -70,7 +102,7 @@ await test('WikipediaClient can fetch summary from API', async () => {
 
 // Test 4: Wikipedia fact fetch
 await test('WikipediaClient.getFact returns text', async () => {
-  const client = new WikipediaClient();
+  const client = new WikipediaClient({ retry: false });
   const fact = await client.getFact('Python_(programming_language)');
 
   assert(typeof fact === 'string', 'Fact should be a string');
@@ -80,7 +112,7 @@ await test('WikipediaClient.getFact returns text', async () => {
 
 // Test 5: Wikipedia search
 await test('WikipediaClient can search', async () => {
-  const client = new WikipediaClient();
+  const client = new WikipediaClient({ retry: false });
   const results = await client.search('programming', 3);
 
   assert(Array.isArray(results), 'Results should be an array');
@@ -91,7 +123,13 @@ await test('WikipediaClient can search', async () => {
 
 // Test 6: Wikipedia caching
 await test('WikipediaClient caches responses', async () => {
-  const client = new WikipediaClient({ cacheTTL: 60000 });
+  // A slow stub keeps the comparison meaningful offline and on fast connections
+  const api = createFetchStub({ 'page/summary/Node.js': { body: { title: 'Node.js', extract: 'Node.js is a JavaScript runtime.' } } });
+  const slowFetch = async (url) => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return api(url);
+  };
+  const client = new WikipediaClient({ cacheTTL: 60000, fetch: slowFetch });
 
   // First fetch
   const start1 = Date.now();
@@ -105,6 +143,7 @@ await test('WikipediaClient caches responses', async () => {
 
   console.log(`   First fetch: ${time1}ms, Cached fetch: ${time2}ms`);
   assert(time2 < time1, 'Cached fetch should be faster');
+  assert(api.calls.length === 1, 'The cached fetch should not request again');
 });
 
 // Test 7: DocuFreshAI instantiation
@@ -179,7 +218,7 @@ await test('DocuFreshAI passes through custom model IDs', async () => {
 
 // Test 16: Error handling for invalid topic
 await test('WikipediaClient handles invalid topics gracefully', async () => {
-  const client = new WikipediaClient();
+  const client = new WikipediaClient({ retry: false });
   const summary = await client.getSummary('this_topic_definitely_does_not_exist_12345');
 
   // Should return error object, not throw
@@ -228,7 +267,7 @@ await test('WikipediaClient has getFactWithFallback method', async () => {
 
 // Test: WikipediaClient getFactWithFallback works for valid topic
 await test('WikipediaClient.getFactWithFallback works for valid topic', async () => {
-  const client = new WikipediaClient();
+  const client = new WikipediaClient({ retry: false });
   const fact = await client.getFactWithFallback('JavaScript');
 
   assert(typeof fact === 'string', 'Fact should be a string');
@@ -239,7 +278,7 @@ await test('WikipediaClient.getFactWithFallback works for valid topic', async ()
 
 // Test: WikipediaClient getFactWithFallback uses search for partial matches
 await test('WikipediaClient.getFactWithFallback searches for partial matches', async () => {
-  const client = new WikipediaClient();
+  const client = new WikipediaClient({ retry: false });
   // Use a query that might not be an exact article title but should find results via search
   const fact = await client.getFactWithFallback('JavaScript programming language');
 
@@ -318,6 +357,1991 @@ await test('Parser preserves colons in content for ai_rewrite', async () => {
   assert(matches[0][2] === 'topic:This has: colons in it', 'Should capture full params with colons');
 });
 
+// ============================================
+// KNOWLEDGE SOURCE TESTS (no network needed)
+// ============================================
+
+console.log('\n--- Knowledge Source Tests ---\n');
+
+// Test: LocalKnowledgeSource reads Markdown and JSON files
+await test('LocalKnowledgeSource serves facts from a folder', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'docufresh-ai-'));
+  try {
+    await writeFile(join(dir, 'Billing_API.md'), [
+      '---',
+      'description: Internal billing service',
+      'url: https://docs.example.com/billing',
+      '---',
+      '# Billing API',
+      '',
+      'The **Billing API** charges customers in 42 currencies.'
+    ].join('\n'));
+    await writeFile(join(dir, 'plans.json'), JSON.stringify([
+      { title: 'Pro Plan', extract: 'The Pro Plan costs 20 dollars per month.' },
+      { title: 'Team Plan', extract: 'The Team Plan includes 10 seats.' }
+    ]));
+
+    const source = new LocalKnowledgeSource({ directory: dir });
+    const summary = await source.getSummary('billing api');
+    assert(summary.title === 'Billing API', `Title should come from heading, got ${summary.title}`);
+    assert(summary.description === 'Internal billing service', 'Description should come from front matter');
+    assert(summary.extract === 'The Billing API charges customers in 42 currencies.', `Extract should be plain text, got ${summary.extract}`);
+    assert(summary.url === 'https://docs.example.com/billing', 'URL should come from front matter');
+
+    const fact = await source.getFact('Team_Plan');
+    assert(fact.includes('10 seats'), 'JSON array entries should be indexed by title');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: LocalKnowledgeSource search and fallback
+await test('LocalKnowledgeSource searches and falls back to the best match', async () => {
+  const source = new LocalKnowledgeSource({
+    documents: [
+      { title: 'Billing API', extract: 'Charges customers.' },
+      { title: 'Auth API', extract: 'Issues tokens for billing and search.' }
+    ]
+  });
+
+  const results = await source.search('billing', 5);
+  assert(results.length === 2, `Should find 2 results, got ${results.length}`);
+  assert(results[0].title === 'Billing API', 'Title matches should rank first');
+
+  const missing = await source.getSummary('Nope');
+  assert(missing.error === true, 'Missing topics should return an error summary');
+
+  const fact = await source.getFactWithFallback('billing');
+  assert(fact === 'Charges customers.', `Fallback should use best match, got ${fact}`);
+});
+
+// Test: Marker-level source selector
+await test('DocuFreshAI selects a named source per marker', async () => {
+  const internal = new LocalKnowledgeSource({
+    documents: [{ title: 'Billing API', extract: 'Charges customers.', url: 'https://docs.example.com/billing' }]
+  });
+  const ai = new DocuFreshAI({ sources: { internal } });
+  ai.ai.init = async () => {}; // Skip model download - ai_link needs no AI
+
+  const result = await ai.process('See {{ai_link:internal:Billing_API}}');
+  assert(result === 'See https://docs.example.com/billing', `Should read from internal source, got ${result}`);
+});
+
+// Test: Default source can be replaced
+await test('DocuFreshAI accepts a default knowledge source', async () => {
+  const source = new LocalKnowledgeSource({ documents: [{ title: 'Moon', extract: 'Made of cheese.' }] });
+  const ai = new DocuFreshAI({ source });
+
+  const fact = await ai.getFact('Moon');
+  assert(fact === 'Made of cheese.', `getFact should use the default source, got ${fact}`);
+});
+
+// ============================================
+// MULTILINGUAL TESTS (stubbed fetch)
+// ============================================
+
+console.log('\n--- Multilingual Tests ---\n');
+
+// Test: language option selects the wiki
+await test('WikipediaClient uses the configured language', async () => {
+  const client = new WikipediaClient({ language: 'de' });
+  client.fetch = createFetchStub({
+    'de.wikipedia.org/api/rest_v1/page/summary/Mond': { body: { title: 'Mond', extract: 'Der Mond ist der einzige natürliche Satellit der Erde.' } }
+  });
+
+  const summary = await client.getSummary('Mond');
+  assert(summary.title === 'Mond', `Should fetch German article, got ${summary.title}`);
+  assert(summary.language === 'de', 'Summary should report its language');
+  assert(client.getUrl('Mond') === 'https://de.wikipedia.org/wiki/Mond', 'getUrl should use the language');
+});
+
+// Test: interlanguage fallback
+await test('WikipediaClient follows interlanguage links for missing articles', async () => {
+  const client = new WikipediaClient({ language: 'de' });
+  client.fetch = createFetchStub({
+    'de.wikipedia.org/api/rest_v1/page/summary/Moon': { status: 404, body: {} },
+    'en.wikipedia.org/w/api.php?action=query&prop=langlinks&titles=Moon': {
+      body: { query: { pages: [{ title: 'Moon', langlinks: [{ lang: 'de', title: 'Mond' }] }] } }
+    },
+    'de.wikipedia.org/api/rest_v1/page/summary/Mond': { body: { title: 'Mond', extract: 'Der Mond.' } }
+  });
+
+  const summary = await client.getSummary('Moon');
+  assert(summary.title === 'Mond', `Should follow the langlink to Mond, got ${summary.title}`);
+  assert(summary.language === 'de', 'Linked article should be in the requested language');
+});
+
+// Test: fallback wiki article when no langlink exists
+await test('WikipediaClient falls back to the fallback wiki without a langlink', async () => {
+  const client = new WikipediaClient({ language: 'ja' });
+  client.fetch = createFetchStub({
+    'ja.wikipedia.org/api/rest_v1/page/summary/': { status: 404, body: {} },
+    'en.wikipedia.org/w/api.php?action=query': { body: { query: { pages: [{ title: 'Obscure' }] } } },
+    'en.wikipedia.org/api/rest_v1/page/summary/Obscure': { body: { title: 'Obscure', extract: 'English only.' } }
+  });
+
+  const summary = await client.getSummary('Obscure');
+  assert(summary.language === 'en', `Should serve the English article, got ${summary.language}`);
+  assert(summary.extract === 'English only.', 'Should use the fallback extract');
+});
+
+// Test: cache keys include language
+await test('WikipediaClient cache keys include the language', async () => {
+  const client = new WikipediaClient();
+  client.fetch = createFetchStub({
+    'en.wikipedia.org/api/rest_v1/page/summary/Berlin': { body: { title: 'Berlin', extract: 'Capital of Germany.' } },
+    'de.wikipedia.org/api/rest_v1/page/summary/Berlin': { body: { title: 'Berlin', extract: 'Hauptstadt Deutschlands.' } }
+  });
+
+  const english = await client.getSummary('Berlin');
+  const german = await client.getSummary('Berlin', { language: 'de' });
+  assert(english.extract === 'Capital of Germany.', 'English summary should be cached under en');
+  assert(german.extract === 'Hauptstadt Deutschlands.', 'German summary should not collide with English');
+
+  const bound = client.forLanguage('de');
+  await bound.getSummary('Berlin');
+  assert(client.fetch.calls.length === 2, 'forLanguage clients should share the cache');
+});
+
+// Test: invalid language codes are rejected
+await test('WikipediaClient rejects invalid language codes', async () => {
+  let threw = false;
+  try {
+    new WikipediaClient({ language: 'evil.com/' });
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Should reject language codes that are not hostnames');
+});
+
+// Test: per-marker language override
+await test('DocuFreshAI supports {{ai_name@lang:...}} overrides', async () => {
+  const ai = new DocuFreshAI();
+  ai.ai.init = async () => {};
+  ai.wikipedia.fetch = createFetchStub({
+    'de.wikipedia.org/api/rest_v1/page/summary/Mond': {
+      body: { title: 'Mond', extract: 'Der Mond.', content_urls: { desktop: { page: 'https://de.wikipedia.org/wiki/Mond' } } }
+    }
+  });
+
+  const result = await ai.process('{{ai_link@de:Mond}}');
+  assert(result === 'https://de.wikipedia.org/wiki/Mond', `Should use the German wiki, got ${result}`);
+});
+
+// ============================================
+// WIKIDATA TESTS (stubbed fetch)
+// ============================================
+
+console.log('\n--- Wikidata Tests ---\n');
+
+const populationClaims = {
+  P1082: [
+    {
+      rank: 'normal',
+      mainsnak: { snaktype: 'value', datavalue: { type: 'quantity', value: { amount: '+7000000000', unit: '1' } } },
+      qualifiers: { P585: [{ snaktype: 'value', datavalue: { value: { time: '+2011-00-00T00:00:00Z', precision: 9 } } }] }
+    },
+    {
+      rank: 'normal',
+      mainsnak: { snaktype: 'value', datavalue: { type: 'quantity', value: { amount: '+8019876189', unit: '1' } } },
+      qualifiers: { P585: [{ snaktype: 'value', datavalue: { value: { time: '+2023-00-00T00:00:00Z', precision: 9 } } }] }
+    },
+    {
+      rank: 'deprecated',
+      mainsnak: { snaktype: 'value', datavalue: { type: 'quantity', value: { amount: '+9999', unit: '1' } } },
+      qualifiers: { P585: [{ snaktype: 'value', datavalue: { value: { time: '+2024-00-00T00:00:00Z', precision: 9 } } }] }
+    }
+  ]
+};
+
+// Test: latest ranked statement with point in time
+await test('WikidataClient picks the latest non-deprecated statement', async () => {
+  const client = new WikidataClient();
+  client.fetch = createFetchStub({
+    'sites=enwiki&titles=World+population': { body: { entities: { Q2: { id: 'Q2' } } } },
+    'ids=Q2&props=claims': { body: { entities: { Q2: { labels: { en: { value: 'World population' } }, claims: populationClaims } } } }
+  });
+
+  const statement = await client.getStatement('World_population', 'population');
+  assert(statement.entity === 'Q2', `Should resolve the article to Q2, got ${statement.entity}`);
+  assert(statement.property === 'P1082', 'Should resolve the population alias');
+  assert(statement.formatted === '8,019,876,189', `Should format the latest value, got ${statement.formatted}`);
+  assert(statement.qualifiers.pointInTime === '2023', `Should report point in time, got ${statement.qualifiers.pointInTime}`);
+});
+
+// Test: preferred rank wins, units and dates are formatted
+await test('WikidataClient prefers preferred rank and formats units and dates', async () => {
+  const client = new WikidataClient();
+  client.fetch = createFetchStub({
+    'ids=Q42&props=claims': {
+      body: {
+        entities: {
+          Q42: {
+            claims: {
+              P2048: [
+                { rank: 'normal', mainsnak: { snaktype: 'value', datavalue: { type: 'quantity', value: { amount: '+190', unit: 'http://www.wikidata.org/entity/Q174728' } } } },
+                { rank: 'preferred', mainsnak: { snaktype: 'value', datavalue: { type: 'quantity', value: { amount: '+1.96', unit: 'http://www.wikidata.org/entity/Q11573' } } } }
+              ],
+              P569: [
+                { rank: 'normal', mainsnak: { snaktype: 'value', datavalue: { type: 'time', value: { time: '+1952-03-11T00:00:00Z', precision: 11 } } } }
+              ]
+            }
+          }
+        }
+      }
+    },
+    'ids=Q11573&props=labels': { body: { entities: { Q11573: { labels: { en: { value: 'metre' } } } } } }
+  });
+
+  const height = await client.getValue('Q42', 'P2048');
+  assert(height === '1.96 metre', `Should use the preferred statement with its unit, got ${height}`);
+
+  const born = await client.getValue('Q42', 'P569');
+  assert(born === 'March 11, 1952', `Should format day-precision dates, got ${born}`);
+});
+
+// Test: labels in the call's language, NotFoundError for missing items and values
+await test('WikidataClient reads labels in the call language and reports misses as NotFoundError', async () => {
+  const client = new WikidataClient();
+  client.fetch = createFetchStub({
+    'ids=Q2&props=claims': {
+      body: { entities: { Q2: { labels: { de: { value: 'Weltbevölkerung' }, en: { value: 'World population' } }, claims: populationClaims } } }
+    },
+    'ids=Q3&props=claims': { body: { entities: { Q3: { claims: {} } } } },
+    'ids=Q4&props=claims': { body: { entities: { Q4: { id: 'Q4', missing: '' } } } }
+  });
+
+  const statement = await client.getStatement('Q2', 'P1082', { language: 'de' });
+  assert(statement.label === 'Weltbevölkerung', `Should use the German label, got ${statement.label}`);
+  assert(client.fetch.calls.some(url => url.includes('languages=de%7Cen')), 'Should request German labels');
+
+  for (const id of ['Q3', 'Q4']) {
+    let error = null;
+    try {
+      await client.getStatement(id, 'P1082');
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof NotFoundError, `Should throw NotFoundError for ${id}, got ${error?.name}`);
+  }
+});
+
+// Test: ai_data marker
+await test('ai_data marker returns the Wikidata value', async () => {
+  const ai = new DocuFreshAI();
+  ai.ai.init = async () => {};
+  ai.wikidata.fetch = createFetchStub({
+    'ids=Q2&props=claims': { body: { entities: { Q2: { claims: populationClaims } } } }
+  });
+
+  const result = await ai.process('People: {{ai_data:Q2:P1082}}');
+  assert(result === 'People: 8,019,876,189 (2023)', `Should render value with point in time, got ${result}`);
+});
+
+// ============================================
+// CACHE TESTS (stubbed fetch)
+// ============================================
+
+console.log('\n--- Cache Tests ---\n');
+
+const moonRoute = {
+  'page/summary/Moon': { body: { title: 'Moon', extract: 'The Moon is Earth\'s only natural satellite.' } }
+};
+
+// Test: file store survives a new client
+await test('File cache store persists responses across clients', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'docufresh-ai-cache-'));
+  try {
+    const first = new WikipediaClient({ cache: 'file', cacheDir: dir });
+    first.fetch = createFetchStub(moonRoute);
+    await first.getSummary('Moon');
+
+    const second = new WikipediaClient({ cache: 'file', cacheDir: dir });
+    second.fetch = createFetchStub({});
+    const summary = await second.getSummary('Moon');
+
+    assert(second.fetch.calls.length === 0, 'Second client should not hit the network');
+    assert(summary.title === 'Moon', `Should read the cached summary, got ${summary.title}`);
+
+    await second.clearCache();
+    const cleared = await second.getSummary('Moon');
+    assert(cleared.error === true, 'Cleared cache should fall through to the network');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: stale-while-revalidate
+await test('Stale entries are served while refreshing in the background', async () => {
+  const client = new WikipediaClient({ cacheTTL: 1 });
+  let version = 1;
+  client.fetch = async () => new Response(JSON.stringify({ title: 'Moon', extract: `v${version}` }), { status: 200 });
+
+  await client.getSummary('Moon');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  version = 2;
+
+  const stale = await client.getSummary('Moon');
+  assert(stale.extract === 'v1', `Stale entry should be served immediately, got ${stale.extract}`);
+
+  await Promise.all(client.cache.revalidating.values());
+  const key = 'wikipedia:summary:en:Moon';
+  const refreshed = (await client.cache.store.get(key)).data;
+  assert(refreshed.extract === 'v2', `Background refresh should store the new value, got ${refreshed.extract}`);
+});
+
+// Test: stale-if-error
+await test('Stale entries stand in when the network fails', async () => {
+  const client = new WikipediaClient({ cacheTTL: 1, staleWhileRevalidate: false });
+  client.fetch = createFetchStub(moonRoute);
+  await client.getSummary('Moon');
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  client.fetch = async () => { throw new Error('fetch failed'); };
+  const summary = await client.getSummary('Moon');
+  assert(!summary.error, 'Should fall back to the stale entry');
+  assert(summary.title === 'Moon', `Should serve stale data, got ${summary.title}`);
+});
+
+// Test: custom store adapter
+await test('ResponseCache accepts a custom store adapter', async () => {
+  const entries = {};
+  const cache = new ResponseCache({
+    store: {
+      get: (key) => entries[key],
+      set: (key, entry) => { entries[key] = entry; },
+      delete: (key) => { delete entries[key]; },
+      clear: () => {}
+    }
+  });
+
+  const value = await cache.getOrLoad('answer', async () => 42);
+  assert(value === 42, 'Should load the value');
+  assert(entries.answer.data === 42, 'Should write through the adapter');
+  assert(await cache.getOrLoad('answer', async () => 0) === 42, 'Should read through the adapter');
+
+  let threw = false;
+  try {
+    new ResponseCache({ store: { get() {} } });
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Incomplete adapters should be rejected');
+});
+
+// ============================================
+// TRANSPORT TESTS (stubbed fetch)
+// ============================================
+
+console.log('\n--- Transport Tests ---\n');
+
+// Test: injected transport
+await test('WikipediaClient uses an injected fetch', async () => {
+  const transport = createFetchStub(moonRoute);
+  const client = new WikipediaClient({ fetch: transport });
+
+  const summary = await client.getSummary('Moon');
+  assert(summary.title === 'Moon', `Should use the injected transport, got ${summary.title}`);
+  assert(transport.calls.length === 1, 'Transport should be called once');
+});
+
+// Test: record then replay
+await test('Record/replay fetch serves recorded fixtures offline', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'docufresh-ai-fixtures-'));
+  try {
+    const live = createFetchStub(moonRoute);
+    const recorder = new WikipediaClient({ fetch: createRecordReplayFetch({ directory: dir, fetch: live }) });
+    await recorder.getSummary('Moon');
+    assert(live.calls.length === 1, 'First run should hit the transport');
+
+    const offline = createFetchStub({});
+    const replayer = new WikipediaClient({ fetch: createRecordReplayFetch({ directory: dir, mode: 'replay', fetch: offline }) });
+    const summary = await replayer.getSummary('Moon');
+    assert(offline.calls.length === 0, 'Replay should never hit the transport');
+    assert(summary.title === 'Moon', `Should replay the fixture, got ${summary.title}`);
+
+    const missing = await replayer.getSummary('Mars');
+    assert(missing.error === true, 'Missing fixtures should fail in replay mode');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: temporary failures are not recorded
+await test('Record/replay fetch passes rate limits and server errors through unrecorded', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'docufresh-ai-fixtures-'));
+  const statuses = [503, 429, 200];
+  let calls = 0;
+  const live = async () => {
+    const status = statuses[calls++];
+    const body = status === 200 ? JSON.stringify({ title: 'Moon', extract: 'The Moon.' }) : '{}';
+    return new Response(body, { status, headers: { 'Content-Type': 'application/json', 'Retry-After': '0' } });
+  };
+  try {
+    const transport = createRecordReplayFetch({ directory: dir, fetch: live });
+    const url = 'https://en.wikipedia.org/api/rest_v1/page/summary/Moon';
+
+    assert((await transport(url)).status === 503, 'Server errors should pass through');
+    const limited = await transport(url);
+    assert(limited.status === 429 && limited.headers.get('retry-after') === '0', 'Rate limits should keep Retry-After');
+    assert((await transport(url)).status === 200, 'Failures should not be replayed');
+    const replayed = await transport(url);
+    assert(replayed.status === 200 && calls === 3, 'Successful responses should be replayed');
+    assert(replayed.headers.get('retry-after') === '0', 'Fixtures should keep the headers the client reads');
+    assert((await readdir(dir)).length === 1, 'Only the successful response should be recorded');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: DocuFreshAI forwards the transport
+await test('DocuFreshAI forwards fetch to Wikipedia and Wikidata', async () => {
+  const transport = createFetchStub(moonRoute);
+  const ai = new DocuFreshAI({ fetch: transport });
+
+  await ai.getSummary('Moon');
+  assert(transport.calls.length === 1, 'Wikipedia should use the injected transport');
+  assert(ai.wikidata.transport === transport, 'Wikidata should use the injected transport');
+});
+
+// ============================================
+// BACKEND TESTS (no model download)
+// ============================================
+
+console.log('\n--- Backend Tests ---\n');
+
+// Test: mock backend end to end
+await test('Mock backend runs AI markers without a model', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', fetch: createFetchStub(moonRoute) });
+
+  const result = await ai.process('{{ai_fact:Moon}}');
+  assert(result === 'The Moon is Earth\'s only natural satellite.', `Mock should echo the context sentence, got ${result}`);
+  assert(ai.ai.backend.calls.length === 1, 'Mock should record the prompt');
+  assert(ai.ai.backend.calls[0].prompt.includes('Most important fact'), 'Prompt should come from extractKeyFact');
+});
+
+// Test: function backend
+await test('AIEngine accepts a function backend', async () => {
+  const engine = new AIEngine({
+    backend: async (prompt, options) => `tokens=${options.maxNewTokens} temp=${options.temperature}`
+  });
+
+  const summary = await engine.summarize('Some long text.', 80);
+  assert(summary === 'tokens=80 temp=0', `Function backend should get generation options, got ${summary}`);
+});
+
+// Test: OpenAI-compatible backend
+await test('OpenAI-compatible backend posts chat completions', async () => {
+  const requests = [];
+  const engine = new AIEngine({
+    backend: 'openai',
+    model: 'llama3.1',
+    backendOptions: {
+      baseUrl: 'http://localhost:8080/v1/',
+      fetch: async (url, init) => {
+        requests.push({ url, body: JSON.parse(init.body) });
+        return new Response(JSON.stringify({ choices: [{ message: { content: ' 384,400 km ' } }] }), { status: 200 });
+      }
+    }
+  });
+
+  const answer = await engine.answerQuestion('How far is the Moon?', 'The Moon is 384,400 km away.');
+  assert(answer === '384,400 km', `Should return the trimmed completion, got ${answer}`);
+  assert(requests[0].url === 'http://localhost:8080/v1/chat/completions', `Should call chat completions, got ${requests[0].url}`);
+  assert(requests[0].body.model === 'llama3.1', 'Should send the model name');
+  assert(requests[0].body.messages[0].content.includes('How far is the Moon?'), 'Should send the prompt');
+});
+
+// Test: backend failures fall back like model failures
+await test('AIEngine falls back when the backend fails', async () => {
+  const engine = new AIEngine({ backend: new MockBackend({ response: () => { throw new Error('down'); } }) });
+  const description = await engine.generateDescription('Moon', 'The Moon orbits Earth. It is bright.');
+  assert(description === 'The Moon orbits Earth', `Should use the extractive fallback, got ${description}`);
+});
+
+// ============================================
+// MARKER SYNTAX TESTS (AST parser)
+// ============================================
+
+console.log('\n--- Marker Syntax Tests ---\n');
+
+// Echoes the prompt (minus the instruction line) so tests can see what a marker received
+const createEchoAI = (options = {}) => new DocuFreshAI({
+  backend: (prompt) => `[${prompt.split('\n').slice(1).join(' | ')}]`,
+  fetch: createFetchStub(moonRoute),
+  ...options
+});
+
+// Test: nested markers become child nodes
+await test('Parser builds nested marker nodes with positions', async () => {
+  const nodes = parseMarkers('Hi\n{{ai_complete:The president is {{ai_answer:Who}}.}}');
+  const marker = nodes[1];
+  assert(nodes[0].type === 'text' && nodes[0].value === 'Hi\n', 'Should keep leading text');
+  assert(marker.name === 'ai_complete' && marker.line === 2 && marker.column === 1, 'Should record marker position');
+  assert(marker.args[0].parts[1].type === 'marker' && marker.args[0].parts[1].name === 'ai_answer', 'Inner marker should be a child node');
+});
+
+// Test: extra colons are joined into the last parameter
+await test('Topics with colons survive', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', fetch: createFetchStub({}) });
+  const result = await ai.process('{{ai_link:Star_Wars:_Episode_IV}}');
+  assert(result === 'https://en.wikipedia.org/wiki/Star_Wars:_Episode_IV', `Topic should stay whole, got ${result}`);
+});
+
+// Test: quoted and named parameters
+await test('Quoted and named parameters keep colons and braces', async () => {
+  const ai = createEchoAI();
+  const quoted = await ai.process('{{ai_answer:Moon:"How far: {{really}}?"}}');
+  const named = await ai.process('{{ai_answer topic="Moon" question="How far: km?"}}');
+  assert(quoted.includes('Question: How far: {{really}}?'), `Quoted question should be literal, got ${quoted}`);
+  assert(named.includes('Question: How far: km?'), `Named question should be passed, got ${named}`);
+  assert(named.includes('Earth\'s only natural satellite'), 'Named topic should provide the context');
+});
+
+// Test: escaping
+await test('Escaped markers and characters stay literal', async () => {
+  const ai = createEchoAI();
+  const result = await ai.process('Write \\{{ai_fact:Moon}} to insert a fact. {{ai_complete:a\\:b\\"c}}');
+  assert(result === 'Write {{ai_fact:Moon}} to insert a fact. a:b"c', `Escapes should be resolved, got ${result}`);
+});
+
+// Test: syntax errors
+await test('Malformed markers throw MarkerSyntaxError with line and column in strict mode', async () => {
+  const ai = createEchoAI({ strict: true });
+  let error = null;
+  try {
+    await ai.process('Intro\n  {{ai_answer topic="Moon question="x"}}');
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof MarkerSyntaxError, 'Should throw MarkerSyntaxError');
+  assert(error.line === 2, `Should report line 2, got ${error.line}`);
+
+  try {
+    parseMarkers('{{ai_fact:Moon');
+    assert(false, 'Unterminated marker should throw');
+  } catch (e) {
+    assert(e.line === 1 && e.column === 1, `Should point at the opening braces, got ${e.message}`);
+  }
+});
+
+// Test: one malformed marker among valid ones
+await test('Malformed markers stay as written while the other markers render', async () => {
+  const ai = createEchoAI();
+  const document = 'A {{ai_complete:one}}.\nB {{ai_fact:Moon | }} C {{ai_complete:two}}.\nLiteral {{ai_fact:Moon text without close';
+
+  const { text, markers } = await ai.processDetailed(document);
+  assert(text === 'A one.\nB {{ai_fact:Moon | }} C two.\nLiteral {{ai_fact:Moon text without close', `Should render the valid markers only, got ${text}`);
+
+  const errors = markers.filter(record => record.error);
+  assert(errors.length === 2 && errors.every(record => record.marker === 'ai_fact'), `Should report both malformed markers, got ${errors.length}`);
+  assert(errors[0].error.includes('filter name') && errors[0].span.line === 2 && errors[0].span.column === 3, `Should position the first error, got ${errors[0].error}`);
+  assert(errors[1].error.includes('Unterminated marker "{{ai_fact" at line 3, column 9'), `Should position the second error, got ${errors[1].error}`);
+
+  const processed = await ai.process('Literal {{ai_fact:Moon text without close');
+  assert(processed === 'Literal {{ai_fact:Moon text without close', `process() should keep the text, got ${processed}`);
+});
+
+// Test: unknown parameters leave the marker untouched
+await test('Unknown named parameters leave the marker as written', async () => {
+  const ai = createEchoAI();
+  const result = await ai.process('{{ai_fact subject="Moon"}}');
+  assert(result === '{{ai_fact subject="Moon"}}', `Marker should be kept, got ${result}`);
+});
+
+// ============================================
+// CONCURRENCY TESTS
+// ============================================
+
+console.log('\n--- Concurrency Tests ---\n');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Test: limiter caps running tasks
+await test('createLimiter runs at most N tasks at once', async () => {
+  const limit = createLimiter(2);
+  let active = 0;
+  let maxActive = 0;
+
+  const results = await Promise.all([1, 2, 3, 4, 5].map(n => limit(async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await delay(5);
+    active--;
+    return n * 2;
+  })));
+
+  assert(maxActive === 2, `Should run 2 tasks at once, got ${maxActive}`);
+  assert(results.join(',') === '2,4,6,8,10', 'Should keep results in call order');
+});
+
+// Test: sibling markers resolve concurrently within the limits
+await test('Sibling markers are resolved concurrently', async () => {
+  let active = 0;
+  let maxActive = 0;
+  const ai = new DocuFreshAI({
+    fetch: createFetchStub({}),
+    inferenceConcurrency: 3,
+    backend: async (prompt) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await delay(10);
+      active--;
+      return prompt.split('\n')[1];
+    }
+  });
+
+  const result = await ai.process('{{ai_answer:One?}} {{ai_answer:Two?}} {{ai_answer:Three?}} {{ai_answer:Four?}}');
+  assert(maxActive === 3, `Should generate up to 3 answers at once, got ${maxActive}`);
+  assert(result === 'Question: One? Question: Two? Question: Three? Question: Four?', `Should keep marker order, got ${result}`);
+});
+
+// Test: identical markers and in-flight summaries are shared
+await test('Identical markers and concurrent summary lookups are shared', async () => {
+  const fetchStub = createFetchStub(moonRoute);
+  const ai = new DocuFreshAI({ backend: 'mock', fetch: fetchStub });
+
+  const result = await ai.process('{{ai_fact:Moon}} {{ai_fact:Moon}} {{ai_fact: Moon }} {{ai_link:Moon}}');
+  const summaryCalls = fetchStub.calls.filter(url => url.includes('page/summary/Moon'));
+
+  assert(ai.ai.backend.calls.length === 1, `Should generate once, got ${ai.ai.backend.calls.length}`);
+  assert(summaryCalls.length === 1, `Should fetch the summary once, got ${summaryCalls.length}`);
+  assert(result.split('Earth\'s only natural satellite').length === 4, `Every occurrence should be filled, got ${result}`);
+});
+
+// Test: request limit
+await test('WikipediaClient limits parallel requests', async () => {
+  let active = 0;
+  let maxActive = 0;
+  const client = new WikipediaClient({
+    concurrency: 2,
+    fetch: async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await delay(5);
+      active--;
+      return new Response(JSON.stringify({ title: 'T', extract: 'E' }), { status: 200 });
+    }
+  });
+
+  await Promise.all(['A', 'B', 'C', 'D'].map(topic => client.getSummary(topic)));
+  assert(maxActive === 2, `Should run 2 requests at once, got ${maxActive}`);
+});
+
+// ============================================
+// PROVENANCE TESTS (processDetailed)
+// ============================================
+
+console.log('\n--- Provenance Tests ---\n');
+
+const provenanceRoutes = {
+  'page/summary/Moon': {
+    body: {
+      title: 'Moon',
+      extract: 'The Moon is Earth\'s only natural satellite.',
+      revision: '1187654321',
+      timestamp: '2024-01-01T00:00:00Z',
+      content_urls: { desktop: { page: 'https://en.wikipedia.org/wiki/Moon' } }
+    }
+  },
+  'opensearch&search=Luna': { body: ['Luna', ['Moon'], [''], ['']] }
+};
+
+// Test: article, model and prompt provenance
+await test('processDetailed reports article, revision, prompt and output', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', fetch: createFetchStub(provenanceRoutes) });
+  const { text, markers } = await ai.processDetailed('Fact: {{ai_fact:Moon}}');
+  const [record] = markers;
+
+  assert(text === 'Fact: The Moon is Earth\'s only natural satellite.', `Should render text, got ${text}`);
+  assert(record.span.start === 6 && record.span.end === 22 && record.span.column === 7, 'Should report the span');
+  assert(record.article.title === 'Moon' && record.article.revision === '1187654321', 'Should report the article revision');
+  assert(record.article.url === 'https://en.wikipedia.org/wiki/Moon', 'Should report the article URL');
+  assert(record.timestamp === '2024-01-01T00:00:00Z', 'Should report the article timestamp');
+  assert(record.model === 'mock' && record.prompt.includes('Most important fact'), 'Should report model and prompt');
+  assert(record.rawOutput === record.output && !record.fallbackOutput && !record.searchFallback, 'Should be a direct model answer');
+  assert(typeof record.latency === 'number' && record.error === null, 'Should report latency and no error');
+});
+
+// Test: search and output fallbacks are flagged
+await test('processDetailed flags search fallback and fallback output', async () => {
+  const ai = new DocuFreshAI({ backend: () => '', fetch: createFetchStub(provenanceRoutes) });
+  const { markers } = await ai.processDetailed('{{ai_fact:Luna}}');
+  const [record] = markers;
+
+  assert(record.searchFallback && record.search.query === 'Luna', 'Should report the search fallback');
+  assert(record.article.title === 'Moon', 'Should report the matched article');
+  assert(record.rawOutput === '' && record.fallbackOutput, 'Empty generation should be flagged as fallback output');
+  assert(record.output === 'The Moon is Earth\'s only natural satellite', `Should insert the extractive fallback, got ${record.output}`);
+});
+
+// Test: nested markers and errors
+await test('processDetailed records nested markers and errors in document order', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', fetch: createFetchStub(provenanceRoutes) });
+  const { markers } = await ai.processDetailed('{{ai_complete:See {{ai_link:Moon}}}} {{ai_data:Moon}}');
+
+  assert(markers.map(r => r.marker).join(',') === 'ai_complete,ai_link,ai_data', 'Should list outer, nested, then following markers');
+  assert(markers[0].params[0] === 'See https://en.wikipedia.org/wiki/Moon', 'Outer params should include the nested output');
+  assert(markers[2].error.includes('requires a property') && markers[2].output === '{{ai_data:Moon}}', 'Should report the error');
+});
+
+// ============================================
+// CITATION TESTS
+// ============================================
+
+console.log('\n--- Citation Tests ---\n');
+
+// Test: markdown footnotes and reference list
+await test('Citations add numbered footnotes and a References section', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', citations: 'markdown', fetch: createFetchStub(provenanceRoutes) });
+  const result = await ai.process('A: {{ai_fact:Moon}}\nB: {{ai_complete:Again {{ai_summary:Moon}}}}\nC: {{ai_link:Moon}}\n');
+
+  assert(result.includes('A: The Moon is Earth\'s only natural satellite.[^1]\n'), `Should add a footnote, got ${result}`);
+  assert(result.includes('B: Again The Moon is Earth\'s only natural satellite.[^1]\n'), 'Nested article should be cited by the outer marker');
+  assert(result.includes('C: https://en.wikipedia.org/wiki/Moon\n'), 'ai_link should not be cited');
+  const today = new Date().toISOString().slice(0, 10);
+  assert(result.endsWith(`## References\n\n[^1]: [Moon](https://en.wikipedia.org/wiki/Moon), Wikipedia. Retrieved ${today}.\n`), `Should list the reference with the fetch date, got ${result}`);
+  assert(!result.includes('2024-01-01'), 'The article\'s last edit is not the access date');
+});
+
+// Test: html and text formats
+await test('Citations support html and text formats', async () => {
+  const html = new DocuFreshAI({ backend: 'mock', citations: 'html', fetch: createFetchStub(provenanceRoutes) });
+  const text = new DocuFreshAI({ backend: 'mock', citations: 'text', fetch: createFetchStub(provenanceRoutes) });
+
+  const htmlResult = await html.process('<p>{{ai_fact:Moon}} {{ai_summary:Moon}}</p>');
+  const textResult = await text.process('{{ai_fact:Moon}}');
+
+  assert(htmlResult.includes('<sup id="cite-ref-1"><a href="#cite-note-1">[1]</a></sup>'), 'Should add a <sup> link');
+  assert(htmlResult.includes('<sup id="cite-ref-1-2">'), 'Repeated citations should get unique ids');
+  assert(htmlResult.includes('<li id="cite-note-1"><a href="https://en.wikipedia.org/wiki/Moon">Moon</a>'), 'Should list the reference');
+  assert(textResult.includes('satellite.[1]') && textResult.includes('[1] Moon - https://en.wikipedia.org/wiki/Moon'), `Should use plain text, got ${textResult}`);
+});
+
+// Test: failed markers are not cited
+await test('Citations skip markers that failed', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', citations: true, fetch: createFetchStub(provenanceRoutes) });
+  const { text, references } = await ai.processDetailed('{{ai_data:Moon}}');
+  assert(text === '{{ai_data:Moon}}' && references.length === 0, `Should leave the marker alone, got ${text}`);
+});
+
+// ============================================
+// DOCUMENT FORMAT TESTS
+// ============================================
+
+console.log('\n--- Document Format Tests ---\n');
+
+const markupSource = {
+  getSummary: async (topic) => ({ title: topic, extract: 'E', url: `https://example.org/wiki/${topic}` }),
+  getFact: async () => 'E',
+  search: async () => []
+};
+
+// Test: code, comments and front matter are skipped in Markdown
+await test('Markdown format leaves code, comments and front matter alone', async () => {
+  const ai = new DocuFreshAI({ format: 'markdown', backend: () => 'OUT', source: markupSource });
+  const doc = [
+    '---',
+    'title: {{ai_summary:Front}}',
+    '---',
+    'Run {{ai_summary:A}}, not `{{ai_summary:Inline}}`.',
+    '<!-- {{ai_summary:Comment}} -->',
+    '```markdown',
+    '{{ai_summary:Fenced}}',
+    '```',
+    ''
+  ].join('\n');
+
+  const result = await ai.process(doc);
+  assert(result === doc.replace('{{ai_summary:A}}', 'OUT'), `Only the prose marker should run, got ${result}`);
+});
+
+// Test: Markdown escaping by context
+await test('Markdown format escapes output for text, tables and links', async () => {
+  const ai = new DocuFreshAI({ format: 'markdown', backend: () => 'a <b> | *c*', source: markupSource });
+  const result = await ai.process('{{ai_summary:A}}\n\n| K | V |\n|---|---|\n| x | {{ai_summary:A}} |\n\n[more]({{ai_link:Moon (satellite)}})');
+  const lines = result.split('\n');
+
+  assert(lines[0] === 'a \\<b> | \\*c\\*', `Text should be escaped, got ${lines[0]}`);
+  assert(lines[4] === '| x | a \\<b> \\| \\*c\\* |', `Table cell pipes should be escaped, got ${lines[4]}`);
+  assert(lines[6] === '[more](https://example.org/wiki/Moon%20%28satellite%29)', `Link target should be encoded, got ${lines[6]}`);
+});
+
+// Test: HTML escaping and skipped elements
+await test('HTML format escapes text and attributes and skips code', async () => {
+  const ai = new DocuFreshAI({ format: 'html', backend: () => 'a <b> & "q"', source: markupSource });
+  const result = await ai.process('<p title="{{ai_summary:T}}">{{ai_summary:T}}</p><pre>{{ai_summary:P}}</pre><!-- {{ai_summary:C}} -->');
+
+  assert(result === '<p title="a &lt;b&gt; &amp; &quot;q&quot;">a &lt;b&gt; &amp; "q"</p><pre>{{ai_summary:P}}</pre><!-- {{ai_summary:C}} -->',
+    `Should escape by context, got ${result}`);
+});
+
+// ============================================
+// COMMAND LINE TESTS
+// ============================================
+
+console.log('\n--- Command Line Tests ---\n');
+
+/**
+ * Temp folder with the given files, and stdout/stderr collectors
+ */
+async function createCliFixture(files) {
+  const cwd = await mkdtemp(join(tmpdir(), 'docufresh-cli-'));
+  for (const [name, content] of Object.entries(files)) {
+    await mkdir(join(cwd, name, '..'), { recursive: true });
+    await writeFile(join(cwd, name), content);
+  }
+  const stream = () => ({ text: '', write(chunk) { this.text += chunk; } });
+  return { cwd, stdout: stream(), stderr: stream(), options: { backend: () => 'OUT *x*', source: markupSource } };
+}
+
+// Test: unified diff
+await test('createUnifiedDiff prints hunks with context', async () => {
+  const diff = createUnifiedDiff('a\nb\nc\n', 'a\nB\nc\nd', { fromFile: 'a/f', toFile: 'b/f' });
+  assert(diff === '--- a/f\n+++ b/f\n@@ -1,3 +1,4 @@\n a\n-b\n+B\n c\n+d\n\\ No newline at end of file\n', `Unexpected diff: ${diff}`);
+  assert(createUnifiedDiff('same', 'same') === '', 'Equal texts should have no diff');
+});
+
+// Test: render
+await test('CLI render writes processed files below the out dir by format', async () => {
+  const io = await createCliFixture({
+    'docs/a.md': 'A: {{ai_summary:A}} `{{ai_summary:Code}}`\n',
+    'docs/sub/b.txt': 'B: {{ai_summary:B}}\n',
+    'docs/skip.json': '{{ai_summary:C}}'
+  });
+  try {
+    const code = await runCli(['render', 'docs/**/*.{md,txt}', '--out', 'site'], io);
+    assert(code === 0, `Should exit with 0, got ${code}: ${io.stderr.text}`);
+    assert(await readFile(join(io.cwd, 'site/a.md'), 'utf8') === 'A: OUT \\*x\\* `{{ai_summary:Code}}`\n', 'Markdown should be processed as markdown');
+    assert(await readFile(join(io.cwd, 'site/sub/b.txt'), 'utf8') === 'B: OUT *x*\n', 'Other files should be processed as text');
+    assert(io.stderr.text.includes('Wrote site/a.md') && !io.stderr.text.includes('skip'), `Should list written files, got ${io.stderr.text}`);
+  } finally {
+    await rm(io.cwd, { recursive: true, force: true });
+  }
+});
+
+// Test: write errors
+await test('CLI render reports a file it cannot write and goes on with the others', async () => {
+  const io = await createCliFixture({ 'x/a.txt': 'A: {{ai_summary:A}}\n', 'y/b.txt': 'B: {{ai_summary:B}}\n', 'out/x': 'not a folder' });
+  try {
+    const code = await runCli(['render', '**/*.txt', '-o', 'out'], io);
+    assert(code === 2, `Should exit with 2, got ${code}`);
+    assert(io.stderr.text.includes('out/x/a.txt: '), `Should report the failed write, got ${io.stderr.text}`);
+    assert(await readFile(join(io.cwd, 'out/y/b.txt'), 'utf8') === 'B: OUT *x*\n', 'Should still write the other files');
+  } finally {
+    await rm(io.cwd, { recursive: true, force: true });
+  }
+});
+
+// Test: check and diff
+await test('CLI check exits with 1 and prints a diff when output is outdated', async () => {
+  const io = await createCliFixture({ 'a.txt': 'A: {{ai_summary:A}}\n', 'out/a.txt': 'A: old\n' });
+  try {
+    const code = await runCli(['check', '*.txt', '-o', 'out', '--diff'], io);
+    assert(code === 1, `Should exit with 1, got ${code}`);
+    assert(io.stdout.text === '--- a/out/a.txt\n+++ b/out/a.txt\n@@ -1 +1 @@\n-A: old\n+A: OUT *x*\n', `Should print a diff, got ${io.stdout.text}`);
+    assert(await readFile(join(io.cwd, 'out/a.txt'), 'utf8') === 'A: old\n', 'check should not write');
+
+    await runCli(['render', '*.txt', '-o', 'out'], io);
+    assert(await runCli(['check', '*.txt', '-o', 'out'], io) === 0, 'Should exit with 0 once rendered');
+  } finally {
+    await rm(io.cwd, { recursive: true, force: true });
+  }
+});
+
+// Test: --diff output stays pipeable
+await test('CLI check --diff prints nothing but the diff on stdout', async () => {
+  const io = await createCliFixture({ 'a.txt': 'A: {{ai_summary:A}}\n', 'dist/a.txt': 'A: old\n' });
+  const logged = [];
+  const { log, error } = console;
+  console.log = (...args) => logged.push(args.join(' '));
+  console.error = (...args) => logged.push(args.join(' '));
+  try {
+    const code = await runCli(['check', 'a.txt', '--diff'], io);
+    console.log = log;
+    console.error = error;
+    assert(code === 1, `Should exit with 1, got ${code}: ${io.stderr.text}`);
+    assert(io.stdout.text === '--- a/dist/a.txt\n+++ b/dist/a.txt\n@@ -1 +1 @@\n-A: old\n+A: OUT *x*\n',
+      `stdout should only hold the diff, got ${io.stdout.text}`);
+    assert(logged.length === 0, `Status lines should be silenced, got ${logged.join(' | ')}`);
+  } finally {
+    console.log = log;
+    console.error = error;
+    await rm(io.cwd, { recursive: true, force: true });
+  }
+});
+
+// Test: check without --out
+await test('CLI check without --out compares with the rendered files, not the templates', async () => {
+  const io = await createCliFixture({ 'a.txt': 'A: {{ai_summary:A}}\n' });
+  try {
+    assert(await runCli(['check', 'a.txt'], io) === 1, 'Unrendered files should be outdated');
+    assert(await runCli(['render', 'a.txt'], io) === 0, 'Render should succeed');
+    assert(await runCli(['check', 'a.txt'], io) === 0, `Rendered files should be current, got ${io.stderr.text}`);
+    assert(await readFile(join(io.cwd, 'a.txt'), 'utf8') === 'A: {{ai_summary:A}}\n', 'The template should be left alone');
+  } finally {
+    await rm(io.cwd, { recursive: true, force: true });
+  }
+});
+
+// Test: library status logging
+await test('Status lines go to the logger option and never to stdout', async () => {
+  const lines = [];
+  const ai = new DocuFreshAI({ backend: 'mock', logger: message => lines.push(message) });
+  const { log } = console;
+  const printed = [];
+  console.log = (...args) => printed.push(args.join(' '));
+  try {
+    await ai.init();
+  } finally {
+    console.log = log;
+  }
+  assert(lines.includes('DocuFresh-AI ready!'), `Logger should receive status lines, got ${lines}`);
+  assert(printed.length === 0, `Nothing should be printed to stdout, got ${printed}`);
+});
+
+// Test: refresh and config file
+await test('CLI refresh only writes with --write and reads the config file', async () => {
+  const io = await createCliFixture({
+    'docufresh-ai.config.json': JSON.stringify({ temperature: 0.5, searchFallback: false, files: ['page.html'] }),
+    'page.html': '<p title="{{ai_summary:T}}">{{ai_summary:T}}</p>'
+  });
+  let options = null;
+  io.options.backend = (prompt, generateOptions) => {
+    options = generateOptions;
+    return 'a < b';
+  };
+  try {
+    assert(await runCli(['refresh'], io) === 0, 'Dry run should exit with 0');
+    assert(io.stderr.text.includes('Would change: page.html'), `Should report the change, got ${io.stderr.text}`);
+    assert(options.temperature === 0.5, 'Config temperature should be used');
+
+    assert(await runCli(['refresh', '--write'], io) === 2, 'Writing without preserve mode should exit with 2');
+    assert(io.stderr.text.includes('needs "preserve"'), `Should explain why, got ${io.stderr.text}`);
+    assert(await readFile(join(io.cwd, 'page.html'), 'utf8') === '<p title="{{ai_summary:T}}">{{ai_summary:T}}</p>', 'Should not touch the file');
+
+    io.options.preserve = true;
+    assert(await runCli(['refresh', '--write'], io) === 0, 'Should exit with 0');
+    const page = await readFile(join(io.cwd, 'page.html'), 'utf8');
+    assert(page === '<p title="a &lt; b"><!-- ai_summary:T -->a &lt; b<!-- /ai --></p>', `Should update the file as HTML, got ${page}`);
+    assert(await runCli(['render', '--write'], io) === 2, 'Invalid options should exit with 2');
+  } finally {
+    await rm(io.cwd, { recursive: true, force: true });
+  }
+});
+
+// Test: refreshing in place twice
+await test('CLI refresh --write keeps the markers for the next refresh', async () => {
+  const io = await createCliFixture({
+    'docufresh-ai.config.json': JSON.stringify({ preserve: true }),
+    'a.md': 'Moon: {{ai_summary:Moon}}\n'
+  });
+  let value = 'first';
+  io.options.backend = () => value;
+  try {
+    assert(await runCli(['refresh', 'a.md', '--write'], io) === 0, `First refresh should succeed, got ${io.stderr.text}`);
+    assert(await readFile(join(io.cwd, 'a.md'), 'utf8') === 'Moon: <!-- ai_summary:Moon -->first<!-- /ai -->\n', 'Should anchor the value');
+    assert(await runCli(['check', 'a.md'], io) === 0, 'The refreshed file should be current');
+
+    value = 'second';
+    assert(await runCli(['refresh', 'a.md', '--write'], io) === 0, 'Second refresh should succeed');
+    const text = await readFile(join(io.cwd, 'a.md'), 'utf8');
+    assert(text === 'Moon: <!-- ai_summary:Moon -->second<!-- /ai -->\n', `Should update the value in place, got ${text}`);
+  } finally {
+    await rm(io.cwd, { recursive: true, force: true });
+  }
+});
+
+// ============================================
+// REVISION PINNING AND LOCK TESTS
+// ============================================
+
+console.log('\n--- Revision Pinning and Lock Tests ---\n');
+
+const revisionRoutes = {
+  ...provenanceRoutes,
+  'action=parse&oldid=1100000000': {
+    body: {
+      parse: {
+        title: 'Moon',
+        revid: 1100000000,
+        text: '<div><p>The Moon was <b>old</b> &amp; grey.<sup class="reference">[1]</sup></p><h2>History</h2><p>Later.</p></div>'
+      }
+    }
+  },
+  'revids=1100000000': {
+    body: { query: { pages: [{ revisions: [{ revid: 1100000000, timestamp: '2023-01-01T00:00:00Z' }] }] } }
+  }
+};
+
+// Test: @rev pins
+await test('@rev=N pins a marker to an article revision', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', fetch: createFetchStub(revisionRoutes) });
+  const { text, markers } = await ai.processDetailed('{{ai_fact:Moon@rev=1100000000}} / {{ai_fact:Moon}}');
+
+  assert(text === 'The Moon was old & grey. / The Moon is Earth\'s only natural satellite.', `Should use the lead of the revision, got ${text}`);
+  assert(markers[0].topic === 'Moon' && markers[0].pinned === '1100000000', 'Should report the topic and pin');
+  assert(markers[0].article.revision === '1100000000' && markers[0].timestamp === '2023-01-01T00:00:00Z', 'Should report the pinned revision');
+  assert(markers[1].pinned === null && markers[1].article.revision === '1187654321', 'Unpinned markers should use the latest revision');
+});
+
+// Test: lock entries and lock pins
+await test('createLock records revisions and a lock keeps markers on them', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', fetch: createFetchStub(revisionRoutes) });
+  const lock = await ai.createLock('{{ai_fact:Moon}} {{ai_data:Moon}}');
+  const entry = lock.markers['{{ai_fact:Moon}}'];
+
+  assert(lock.lockfileVersion === 1 && Object.keys(lock.markers).length === 1, 'Failed markers should be left out');
+  assert(entry.article === 'Moon' && entry.revision === '1187654321' && entry.timestamp === '2024-01-01T00:00:00Z', 'Should record the revision');
+  assert(entry.value === 'The Moon is Earth\'s only natural satellite.' && entry.topic === 'Moon', 'Should record the value');
+
+  entry.revision = '1100000000';
+  const locked = new DocuFreshAI({ backend: 'mock', fetch: createFetchStub(revisionRoutes), lock });
+  assert(await locked.process('{{ai_fact:Moon}}') === 'The Moon was old & grey.', 'Locked markers should read the locked revision');
+});
+
+// Test: freshness report
+await test('checkFreshness reports newer revisions with old and new values', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', fetch: createFetchStub(revisionRoutes) });
+  const lock = {
+    lockfileVersion: 1,
+    markers: {
+      '{{ai_fact:Moon}}': { marker: 'ai_fact', article: 'Moon', revision: '1100000000', timestamp: '2023-01-01T00:00:00Z', value: 'Old value' },
+      '{{ai_link:Moon}}': { marker: 'ai_link', article: 'Moon', revision: '1187654321', timestamp: '2024-01-01T00:00:00Z', value: 'x' }
+    }
+  };
+
+  const { markers, outdated } = await ai.checkFreshness('{{ai_fact:Moon}} {{ai_link:Moon}} {{ai_summary:Moon}}', { lock });
+  assert(markers.map(m => m.status).join(',') === 'outdated,current,unlocked', `Unexpected statuses: ${markers.map(m => m.status)}`);
+  assert(outdated.length === 1 && outdated[0].lockedRevision === '1100000000' && outdated[0].latestRevision === '1187654321', 'Should report both revisions');
+  assert(outdated[0].oldValue === 'Old value' && outdated[0].newValue === 'The Moon is Earth\'s only natural satellite.', 'Should show old and new values');
+
+  const pinned = await ai.checkFreshness('{{ai_fact:Moon@rev=1100000000}}');
+  assert(pinned.outdated.length === 1 && pinned.outdated[0].oldValue === 'The Moon was old & grey.', 'Without a lock, @rev pins should be compared');
+});
+
+// Test: CLI lock file
+await test('CLI --lock writes a lock file and reuses it', async () => {
+  const io = await createCliFixture({ 'a.txt': '{{ai_fact:Moon}}\n' });
+  io.options = { backend: 'mock', fetch: createFetchStub(revisionRoutes) };
+  try {
+    assert(await runCli(['render', 'a.txt', '--lock', 'docufresh-ai.lock.json'], io) === 0, 'Render should succeed');
+    const lock = JSON.parse(await readFile(join(io.cwd, 'docufresh-ai.lock.json'), 'utf8'));
+    assert(lock.markers['{{ai_fact:Moon}}'].revision === '1187654321', 'Should record the revision');
+
+    lock.markers['{{ai_fact:Moon}}'].revision = '1100000000';
+    await writeFile(join(io.cwd, 'docufresh-ai.lock.json'), JSON.stringify(lock));
+    assert(await runCli(['check', 'a.txt', '-o', 'dist', '-l', 'docufresh-ai.lock.json'], io) === 1, 'Pinned output should differ');
+    await runCli(['render', 'a.txt', '-l', 'docufresh-ai.lock.json'], io);
+    assert(await readFile(join(io.cwd, 'dist/a.txt'), 'utf8') === 'The Moon was old & grey.\n', 'Should render the locked revision');
+  } finally {
+    await rm(io.cwd, { recursive: true, force: true });
+  }
+});
+
+// ============================================
+// PRESERVE MODE TESTS
+// ============================================
+
+console.log('\n--- Preserve Mode Tests ---\n');
+
+// Test: anchors and round trips
+await test('Preserve mode anchors values and refreshes only the anchored content', async () => {
+  let count = 0;
+  const ai = new DocuFreshAI({ format: 'markdown', preserve: true, backend: () => `V${++count}`, source: markupSource });
+  const first = await ai.process('# Title\n\nFact: {{ai_summary:Moon}}. Code: `{{ai_summary:Code}}`\n');
+
+  assert(first === '# Title\n\nFact: <!-- ai_summary:Moon -->V1<!-- /ai -->. Code: `{{ai_summary:Code}}`\n', `Should wrap the value, got ${first}`);
+
+  const edited = first.replace('# Title', '# Edited').replace('Fact:', 'The fact:');
+  const second = await ai.process(edited);
+  assert(second === '# Edited\n\nThe fact: <!-- ai_summary:Moon -->V2<!-- /ai -->. Code: `{{ai_summary:Code}}`\n', `Edits outside anchors should survive, got ${second}`);
+});
+
+// Test: citations and failing markers
+await test('Preserve mode rebuilds references and keeps values of failing markers', async () => {
+  const ai = new DocuFreshAI({ format: 'markdown', preserve: true, citations: true, backend: () => 'V', source: markupSource });
+  const first = await ai.process('A {{ai_summary:Moon}}\n');
+  const second = await ai.process(first);
+
+  assert(first.includes('<!-- ai_summary:Moon -->V[^1]<!-- /ai -->'), `Footnotes should be inside the anchor, got ${first}`);
+  assert(second === first && second.split('## References').length === 2, `Reprocessing should not duplicate references, got ${second}`);
+
+  const failing = await ai.process('X <!-- ai_data:Moon -->old value<!-- /ai -->\n');
+  assert(failing === 'X <!-- ai_data:Moon -->old value<!-- /ai -->\n', `A failing marker should keep its value, got ${failing}`);
+});
+
+// Test: HTML data attribute anchors
+await test('Preserve mode supports data attribute anchors in HTML', async () => {
+  const ai = new DocuFreshAI({ format: 'html', preserve: 'attribute', backend: () => 'a < b', source: markupSource });
+  const first = await ai.process('<p>{{ai_summary:"x -- y"}}</p>');
+
+  assert(first === '<p><span data-ai="ai_summary:&quot;x -- y&quot;">a &lt; b</span></p>', `Should use a span, got ${first}`);
+  assert(await ai.process(first.replace('<p>', '<p class="lead">')) === first.replace('<p>', '<p class="lead">'), 'Should round-trip');
+
+  let error = null;
+  try {
+    new DocuFreshAI({ preserve: true });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('markdown'), 'Plain text documents cannot be preserved');
+});
+
+// ============================================
+// CUSTOM MARKER TESTS
+// ============================================
+
+console.log('\n--- Custom Marker Tests ---\n');
+
+// Test: context, params, nesting and de-duplication
+await test('registerMarker adds markers that nest, bind params and get a context', async () => {
+  const calls = [];
+  const ai = new DocuFreshAI({ backend: 'mock', source: markupSource, temperature: 0.2 });
+  ai.registerMarker('ai_price', async (context, item, unit) => {
+    calls.push({ item, unit, context });
+    const summary = await context.source.getSummary(item);
+    return `${summary.extract}:${item}:${unit ?? 'USD'}`;
+  }, { params: ['item', 'unit'] });
+
+  const doc = '{{ai_price:Gold}} {{ai_price item="Gold"}} {{ai_complete:{{ai_price:Silver:EUR: per oz}}}}';
+  const result = await ai.process(doc);
+
+  assert(result === 'E:Gold:USD E:Gold:USD E:Silver:EUR: per oz', `Unexpected output: ${result}`);
+  assert(calls.length === 2, `Identical invocations should run once, got ${calls.length}`);
+  const { context } = calls[0];
+  assert(context.document === doc && context.options.temperature === 0.2, 'Context should include the document and options');
+  assert(context.ai === ai.ai && context.marker.name === 'ai_price' && context.marker.line === 1, 'Context should include the engine and marker');
+});
+
+// Test: errors, provenance, global registration and the markers option
+await test('Custom markers report errors and provenance like built-in markers', async () => {
+  DocuFreshAI.registerMarker('ai_test_global', async ({ source }, topic) => (await source.getSummary(topic)).title, { params: ['topic'] });
+  const ai = new DocuFreshAI({
+    backend: 'mock',
+    fetch: createFetchStub(provenanceRoutes),
+    markers: {
+      ai_fail: () => {
+        throw new Error('No price');
+      },
+      ai_override: { fn: (context, ...parts) => parts.join('|'), splitMode: 'all' }
+    }
+  });
+
+  const { text, markers } = await ai.processDetailed('{{ai_test_global:Moon}} {{ai_fail:x}} {{ai_override:a:b}}');
+  assert(text === 'Moon {{ai_fail:x}} a|b', `Unexpected output: ${text}`);
+  assert(markers[0].article.revision === '1187654321', 'Lookups of custom markers should be traced');
+  assert(markers[1].error === 'No price', 'Errors should be recorded');
+
+  let error = null;
+  try {
+    ai.registerMarker('price', () => '');
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('ai_'), 'Names without ai_ should be rejected');
+});
+
+// Test: registerAIMarkers forwards options
+await test('registerAIMarkers forwards options to the markers', async () => {
+  const registered = {};
+  const docufresh = { registerMarker: (name, fn) => { registered[name] = fn; } };
+  const source = {
+    getSummary: async (topic) => ({ title: topic, extract: 'Summary.' }),
+    getFact: async () => 'Direct fact.',
+    getFactWithFallback: async () => 'Fallback fact.',
+    search: async () => []
+  };
+
+  const engine = new AIEngine({ backend: (prompt) => (prompt.includes('Direct fact.') ? 'direct' : 'fallback') });
+  registerAIMarkers(docufresh, source, engine, { searchFallback: false });
+  const value = await registered.ai_fact('Moon');
+  assert(value === 'direct', `searchFallback: false should be forwarded, got ${value}`);
+  let error = null;
+  await registered.ai_data('Moon', 'population').catch(e => { error = e; });
+  assert(error && error.message.includes('Wikidata'), 'ai_data should need a forwarded Wikidata client');
+});
+
+// ============================================
+// PROMPT TEMPLATE TESTS
+// ============================================
+
+console.log('\n--- Prompt Template Tests ---\n');
+
+// Test: task and marker prompts from the constructor
+await test('prompts option overrides tasks and single markers', async () => {
+  const ai = new DocuFreshAI({
+    backend: (prompt) => prompt,
+    fetch: createFetchStub(moonRoute),
+    prompts: { fact: 'FACT: {context}', ai_summary: 'SUMMARY of {context}' }
+  });
+  const result = await ai.process('{{ai_fact:Moon}} / {{ai_summary:Moon}} / {{ai_describe:Moon}}');
+  const [fact, summary, description] = result.split(' / ');
+  assert(fact === 'FACT: The Moon is Earth\'s only natural satellite.', `Task prompt should be overridden, got ${fact}`);
+  assert(summary === 'SUMMARY of The Moon is Earth\'s only natural satellite.', `Marker prompt should be used, got ${summary}`);
+  assert(description.startsWith('Write a brief, one-sentence description of Moon'), 'Other tasks keep the built-in prompt');
+});
+
+// Test: per-call templates keep the task defaults
+await test('Per-call prompts keep contextLength and generation defaults', async () => {
+  const calls = [];
+  const engine = new AIEngine({
+    backend: (prompt, options) => { calls.push({ prompt, options }); return prompt; }
+  });
+  const long = 'x'.repeat(2000);
+  await engine.extractKeyFact(long, { prompt: 'Key fact: {context}' });
+  assert(calls[0].prompt === `Key fact: ${'x'.repeat(800)}`, 'Context should be cut to the task length');
+  assert(calls[0].options.maxNewTokens === 100, 'maxNewTokens should come from the task');
+
+  await engine.answerQuestion('Why?', 'Because.', {
+    prompt: { template: (vars) => `${vars.question} ${vars.context}`, maxNewTokens: 5 }
+  });
+  assert(calls[1].prompt === 'Why? Because.' && calls[1].options.maxNewTokens === 5, 'Function templates should get the variables');
+
+  const output = await engine.generateDescription('Moon', 'Context.');
+  assert(output.includes('description of Moon based on this information:\nContext.'), 'The next call should use the built-in prompt');
+});
+
+// Test: ai_prompt runs user-defined templates
+await test('ai_prompt runs a named template against article text', async () => {
+  const ai = new DocuFreshAI({
+    backend: (prompt) => prompt.toUpperCase(),
+    fetch: createFetchStub(moonRoute),
+    prompts: { press_blurb: 'Blurb for {topic}: {context}' }
+  });
+  ai.setPrompt('quiz', { template: '{question} ({topic})', maxNewTokens: 20 });
+
+  const result = await ai.process('{{ai_prompt:press_blurb:Moon}}\n{{ai_prompt:quiz:Moon:Is it round?}}\n{{ai_prompt:missing:Moon}}');
+  const [blurb, quiz, missing] = result.split('\n');
+  assert(blurb === 'BLURB FOR MOON: THE MOON IS EARTH\'S ONLY NATURAL SATELLITE.', `Should fill the template, got ${blurb}`);
+  assert(quiz === 'IS IT ROUND? (MOON)', `Should pass the question, got ${quiz}`);
+  assert(missing === '{{ai_prompt:missing:Moon}}', 'Unknown prompts should leave the marker as written');
+
+  let error = null;
+  try {
+    ai.setPrompt('bad name', 'x');
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('Invalid prompt name'), 'Invalid names should be rejected');
+});
+
+// ============================================
+// OUTPUT FILTER TESTS
+// ============================================
+
+console.log('\n--- Output Filter Tests ---\n');
+
+const createFilterAI = (options = {}) => new DocuFreshAI({
+  backend: () => 'The Moon is Earth\'s only natural satellite. It orbits 384,400 km away.',
+  fetch: createFetchStub(moonRoute),
+  ...options
+});
+
+// Test: filter syntax
+await test('Parser reads filters after positional and named parameters', async () => {
+  const [positional, , named, , escaped] = parseMarkers(
+    '{{ai_fact:Moon | maxWords=15 | sentence}} {{ai_answer topic="Moon" question="Why?"|number}} {{ai_fact:a \\| b}}'
+  );
+  assert(positional.filters.map(f => f.name).join() === 'maxWords,sentence', 'Should read the filter names');
+  assert(positional.filters[0].arg.parts[0].value.trim() === '15' && positional.filters[1].arg === null, 'Should read filter arguments');
+  assert(named.named.question.parts[0].value === 'Why?' && named.filters[0].name === 'number', 'Named params should end at "|"');
+  assert(escaped.filters.length === 0 && escaped.args[0].parts[0].value === 'a | b', '\\| should be a literal pipe');
+
+  let error = null;
+  try {
+    parseMarkers('{{ai_fact:Moon | }}');
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof MarkerSyntaxError && error.message.includes('filter name'), 'A missing filter name should be a syntax error');
+});
+
+// Test: built-in filters
+await test('Built-in filters shorten, recase and format output', async () => {
+  const ai = createFilterAI();
+  const result = await ai.process([
+    '{{ai_fact:Moon | sentence | stripPeriod | lowercaseFirst}}',
+    '{{ai_fact:Moon | maxWords=4}}',
+    '{{ai_fact:Moon | truncate=50}}',
+    '{{ai_fact:Moon | number}}',
+    '{{ai_fact@de:Moon | number}}',
+    '{{ai_link:Moon | uppercase}}'
+  ].join('\n'));
+  const lines = result.split('\n');
+  assert(lines[0] === 'the Moon is Earth\'s only natural satellite', `Got ${lines[0]}`);
+  assert(lines[1] === 'The Moon is Earth\'s…', `maxWords should cut long sentences, got ${lines[1]}`);
+  assert(lines[2] === 'The Moon is Earth\'s only natural satellite.', `truncate should keep whole sentences, got ${lines[2]}`);
+  assert(lines[3] === '384,400' && lines[4] === '384.400', `number should use the marker language, got ${lines[3]} / ${lines[4]}`);
+  assert(lines[5] === 'HTTPS://EN.WIKIPEDIA.ORG/WIKI/MOON', `Got ${lines[5]}`);
+});
+
+// Test: custom filters and failures
+await test('Custom filters run in order; failing filters leave the marker as written', async () => {
+  DocuFreshAI.registerFilter('shout', value => `${value}!`);
+  const ai = createFilterAI({ filters: { wrap: (value, arg = '*') => `${arg}${value}${arg}` } });
+  ai.registerFilter('words', async (value, arg, context) => `${context.marker}:${value.split(/\s+/).length}`);
+
+  const { text, markers } = await ai.processDetailed(
+    '{{ai_fact:Moon | sentence | words | wrap="_" | shout}} {{ai_fact:Moon | nope}} {{ai_fact:Moon | sentences=0}}'
+  );
+  assert(text === '_ai_fact:7_! {{ai_fact:Moon | nope}} {{ai_fact:Moon | sentences=0}}', `Got ${text}`);
+  const errors = markers.map(record => record.error).filter(Boolean);
+  assert(errors[0] === 'Unknown filter: nope' && errors[1].includes('positive whole number'), 'Errors should be reported');
+});
+
+// ============================================
+// GROUNDING TESTS
+// ============================================
+
+console.log('\n--- Grounding Tests ---\n');
+
+const groundingRoute = {
+  'page/summary/Moon': {
+    body: {
+      title: 'Moon',
+      extract: 'The Moon is Earth\'s only natural satellite. It orbits at an average distance of 384,399 km. It was first visited by Luna 2 on 13 September 1959.'
+    }
+  }
+};
+
+// Test: claim matching
+await test('verifyGrounding checks numbers, dates and names against the context', async () => {
+  const context = groundingRoute['page/summary/Moon'].body.extract;
+  const check = output => verifyGrounding(output, context, { allowed: 'How far away is the Moon?' }).unsupported.map(claim => claim.text);
+
+  assert(check('The Moon is about 384,000 km away.').length === 0, 'Rounded figures should match');
+  assert(check('Luna 2 reached it on September 13, 1959.').length === 0, 'Dates should match in any order');
+  assert(check('It is 500,000 km away.').join() === '500,000', 'Invented numbers should be unsupported');
+  assert(check('It was reached by Apollo 11 in July 1969.').join() === 'July 1969,11,Apollo', 'Invented dates, numbers and names should be unsupported');
+});
+
+// Test: policies
+await test('grounding policies flag, reject or retry invented figures', async () => {
+  const question = '{{ai_answer:Moon:How far away is the Moon?}}';
+  const backend = prompt => (prompt.startsWith('Use only') ? 'About 384,399 km.' : 'It is 500,000 km away.');
+
+  const flag = new DocuFreshAI({ backend, grounding: 'flag', fetch: createFetchStub(groundingRoute) });
+  const flagged = await flag.processDetailed(question);
+  assert(flagged.text === 'It is 500,000 km away.', 'flag should keep the output');
+  assert(flagged.markers[0].grounding.action === 'flagged' && flagged.markers[0].grounding.unsupported[0] === '500,000', 'flag should report the claim');
+
+  const reject = new DocuFreshAI({ backend, grounding: 'reject', fetch: createFetchStub(groundingRoute) });
+  const rejected = await reject.processDetailed(question);
+  assert(rejected.text === 'It orbits at an average distance of 384,399 km.', `reject should answer from the context, got ${rejected.text}`);
+  assert(rejected.markers[0].fallbackOutput && rejected.markers[0].grounding.action === 'rejected', 'reject should be reported as fallback output');
+
+  const retry = new DocuFreshAI({ backend, grounding: 'retry', fetch: createFetchStub(groundingRoute) });
+  const retried = await retry.processDetailed(question);
+  assert(retried.text === 'About 384,399 km.' && retried.markers[0].grounding.action === 'retried', `retry should use the stricter prompt, got ${retried.text}`);
+
+  const off = new DocuFreshAI({ backend, fetch: createFetchStub(groundingRoute) });
+  const unchecked = await off.processDetailed(question);
+  assert(unchecked.text === 'It is 500,000 km away.' && unchecked.markers[0].grounding === null, 'Grounding should be off by default');
+});
+
+// ============================================
+// EXTRACTIVE QUESTION ANSWERING TESTS
+// ============================================
+
+console.log('\n--- Extractive QA Tests ---\n');
+
+// Scores 0.9 for questions about distance, 0.1 otherwise; answers with different case than the article
+const qaStub = (question) => (question.includes('far')
+  ? { answer: '384,399 KM', score: 0.9 }
+  : { answer: 'Luna 2', score: 0.1 });
+
+// Test: spans, offsets and scores
+await test('Extractive answers report the span, its offset and score', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', answerStrategy: 'extractive', qa: qaStub, fetch: createFetchStub(groundingRoute) });
+  const { text, markers } = await ai.processDetailed('{{ai_answer:Moon:How far away is it?}}');
+  const extract = groundingRoute['page/summary/Moon'].body.extract;
+  const { answer } = markers[0];
+
+  assert(text === '384,399 km', `Should return the span as written in the article, got ${text}`);
+  assert(extract.slice(answer.start, answer.end) === '384,399 km' && answer.score === 0.9 && answer.accepted, 'Should report offset and score');
+  assert(markers[0].prompt === null && ai.ai.backend.calls.length === 0, 'Should not call the generator');
+
+  const found = await ai.findAnswer('Moon', 'How far away is it?');
+  assert(found.context === extract && found.start === answer.start, 'findAnswer should return the span and its context');
+});
+
+// Test: threshold and fallbacks
+await test('Answers below the qa threshold fall back or stay unresolved', async () => {
+  const question = '{{ai_answer:Moon:Who visited it first?}}';
+  const create = qa => new DocuFreshAI({ backend: () => 'generated', answerStrategy: 'extractive', qa, fetch: createFetchStub(groundingRoute) });
+
+  const unresolved = await create(qaStub).processDetailed(question);
+  assert(unresolved.text === question && unresolved.markers[0].error.includes('0.3'), 'Default fallback should leave the marker as written');
+
+  const lowered = await create({ backend: qaStub, threshold: 0.05 }).process(question);
+  assert(lowered === 'Luna 2', `A lower threshold should accept the span, got ${lowered}`);
+
+  const fallback = await create({ backend: qaStub, fallback: 'default', defaultAnswer: 'n/a' }).processDetailed(question);
+  assert(fallback.text === 'n/a' && fallback.markers[0].fallbackOutput, 'fallback "default" should use defaultAnswer');
+
+  const generative = await create({ backend: qaStub, fallback: 'generative' }).process(question);
+  assert(generative === 'generated', 'fallback "generative" should use the generator');
+
+  let error = null;
+  try {
+    create({ backend: qaStub, threshold: 2 });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('threshold'), 'Invalid thresholds should be rejected');
+});
+
+// ============================================
+// MODEL REGISTRY TESTS
+// ============================================
+
+console.log('\n--- Model Registry Tests ---\n');
+
+// Test: per-task models
+await test('Tasks can run on their own registered model', async () => {
+  const info = DocuFreshAI.registerModel('test-summarizer', {
+    id: 'test/summarizer',
+    pipeline: 'summarization',
+    tasks: ['summarize']
+  });
+  assert(info.promptStyle === 'raw' && info.name === 'test/summarizer', 'Summarization models should default to raw prompts');
+  assert(DocuFreshAI.getModelInfo('test-summarizer').tasks.join() === 'summarize', 'getModelInfo should report the tasks');
+  assert(DocuFreshAI.getModelInfo('small').tasks.includes('answer'), 'Built-in models should serve every task');
+
+  const calls = [];
+  const ai = new DocuFreshAI({
+    backend: (prompt, options) => {
+      calls.push({ prompt, options });
+      return 'Output.';
+    },
+    models: { summarize: 'test-summarizer' },
+    fetch: createFetchStub(groundingRoute)
+  });
+  assert(ai.ai.taskBackends.size === 0, 'Task models should not load before their task runs');
+
+  await ai.process('{{ai_summary:Moon}} {{ai_fact:Moon}}');
+  const extract = groundingRoute['page/summary/Moon'].body.extract;
+  const summary = calls.find(call => call.options.task === 'summarize');
+  const fact = calls.find(call => call.options.task === 'fact');
+
+  assert(summary.prompt === extract, 'Raw models should get only the article text');
+  assert(fact.prompt.includes('Most important fact'), 'Other tasks should get the full prompt');
+  assert(ai.ai.taskBackends.size === 1 && ai.ai.getModel('summarize') === 'test/summarizer' &&
+    ai.ai.getModel('fact') === 'Xenova/flan-t5-small', 'Each task should report its model');
+});
+
+// Test: the default model is only loaded for tasks that use it
+await test('init() skips the default model when every task has its own', async () => {
+  const loads = [];
+  const createDefaultBackend = () => ({ init: () => loads.push('default'), generate: async () => 'Default output.' });
+  const models = Object.fromEntries(['fact', 'describe', 'paragraph', 'summarize', 'answer', 'rewrite']
+    .map(task => [task, { id: 'test/everything' }]));
+
+  const engine = new AIEngine({ backend: 'mock', models, logger: false });
+  engine.backend = createDefaultBackend();
+  await engine.init();
+  assert(engine.isReady() && loads.length === 0, `The default model should not load, got ${loads.length} loads`);
+
+  engine.setTaskModel('fact', null);
+  const output = await engine.generate('Prompt', { task: 'fact' });
+  assert(output === 'Default output.' && loads.length === 1, 'A task without its own model should load the default model on use');
+  await engine.generate('Prompt', { task: 'fact' });
+  assert(loads.length === 1, 'The default model should load once');
+
+  const lines = [];
+  const failing = new AIEngine({ backend: 'mock', logger: message => lines.push(message) });
+  failing.backend = { init: async () => { throw new Error('no model'); }, generate: async () => '' };
+  let error = null;
+  try {
+    await failing.init();
+  } catch (e) {
+    error = e;
+  }
+  assert(error?.message === 'no model' && lines.some(line => line.includes('Failed to initialize AI engine: no model')),
+    `Load failures should go to the logger, got ${lines}`);
+});
+
+// Test: validation
+await test('Models are only mapped to tasks they serve', async () => {
+  const errorOf = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error.message;
+    }
+    return '';
+  };
+
+  assert(errorOf(() => new AIEngine({ backend: 'mock', models: { fact: 'test-summarizer' } })).includes('does not serve'),
+    'A model should not be used for tasks it does not list');
+  assert(errorOf(() => new AIEngine({ backend: 'mock', models: { translate: 'small' } })).includes('Unknown task'),
+    'Unknown tasks should be rejected');
+  assert(errorOf(() => AIEngine.registerModel('broken', { pipeline: 'summarization' })).includes('id'),
+    'Models need an id');
+  assert(errorOf(() => AIEngine.registerModel('broken', { id: 'x', promptStyle: 'chat' })).includes('prompt style'),
+    'Unknown prompt styles should be rejected');
+  assert(AIEngine.getModelInfo('broken') === null, 'Invalid models should not be registered');
+});
+
+// Test: built-in models are protected
+await test('registerModel only replaces built-in models with override', async () => {
+  const original = AIEngine.getModelInfo('small');
+  const errorOf = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error.message;
+    }
+    return '';
+  };
+
+  assert(errorOf(() => DocuFreshAI.registerModel('small', { id: 'someone/else' })).includes('override'),
+    'Built-in keys should be rejected');
+  assert(AIEngine.getModelInfo('small') === original, 'A rejected registration should leave the built-in model alone');
+
+  try {
+    const replaced = AIEngine.registerModel('small', { id: 'someone/else' }, { override: true });
+    assert(AIEngine.getModelInfo('small') === replaced && new AIEngine({ backend: 'mock' }).model === 'someone/else',
+      'override should replace the built-in model');
+  } finally {
+    AIEngine.registerModel('small', original, { override: true });
+  }
+  assert(new AIEngine({ backend: 'mock' }).model === 'Xenova/flan-t5-small', 'The built-in model should be restored');
+});
+
+// ============================================
+// ARTICLE SECTION TESTS
+// ============================================
+
+console.log('\n--- Article Section Tests ---\n');
+
+// Current markup wraps headings in div.mw-heading; older markup puts the id on a span.mw-headline
+const sectionRoute = {
+  'action=parse&page=Tokyo': {
+    body: {
+      parse: {
+        title: 'Tokyo',
+        revid: 42,
+        text: '<div class="mw-parser-output"><p>Tokyo is the capital of Japan.</p>' +
+          '<div class="mw-heading mw-heading2"><h2 id="History">History</h2></div><p>Tokyo was once a fishing village named Edo.</p>' +
+          '<div class="mw-heading mw-heading3"><h3 id="Meiji_era">Meiji era</h3></div><p>Edo was renamed Tokyo in 1868.</p>' +
+          '<h2><span class="mw-headline" id="Demographics">Demographics</span></h2>' +
+          '<p>About 14 million people live in the city<sup class="reference">[1]</sup>.</p></div>'
+      }
+    }
+  },
+  'revids=42': { body: { query: { pages: [{ revisions: [{ revid: 42, timestamp: '2024-05-01T00:00:00Z' }] }] } } },
+  'page/summary/Tokyo': { body: { title: 'Tokyo', extract: 'Tokyo is the capital of Japan.' } }
+};
+
+// Test: table of contents and section text
+await test('WikipediaClient.getSections splits an article into numbered sections', async () => {
+  const client = new WikipediaClient({ fetch: createFetchStub(sectionRoute) });
+  const article = await client.getSections('Tokyo');
+
+  assert(article.lead === 'Tokyo is the capital of Japan.' && article.revision === '42' && article.timestamp === '2024-05-01T00:00:00Z', 'Should return the lead and revision');
+  assert(article.sections.map(section => `${section.number} ${section.title}`).join('|') === '1 History|1.1 Meiji era|2 Demographics', 'Should number the sections');
+  assert(article.sections[2].text === 'About 14 million people live in the city.', 'Should strip references and markup');
+
+  const history = await client.getSection('Tokyo', 'history');
+  assert(history.text === 'Tokyo was once a fishing village named Edo.\nEdo was renamed Tokyo in 1868.', 'A section should include its subsections');
+  assert((await client.getSection('Tokyo', 'Meiji_era')).anchor === 'Meiji_era', 'Sections should match by anchor');
+
+  let error = null;
+  try {
+    await client.getSection('Tokyo', 'Economy');
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.status === 404 && error.message.includes('History, Demographics'), 'Missing sections should list the sections');
+});
+
+// Test: #Section topics, ai_section and passage search
+await test('Markers read a #Section or the best matching passage', async () => {
+  const prompts = [];
+  const backend = prompt => {
+    prompts.push(prompt);
+    return 'Answer.';
+  };
+
+  const ai = new DocuFreshAI({ backend, fetch: createFetchStub(sectionRoute) });
+  const { markers } = await ai.processDetailed('{{ai_answer:Tokyo#Demographics:How many people live there?}} {{ai_section:Tokyo#Economy}}');
+  assert(prompts[0].includes('14 million') && !prompts[0].includes('capital'), 'ai_answer should answer from the section');
+  assert(markers[0].section.title === 'Demographics' && markers[0].article.revision === '42', 'Records should report the section and revision');
+  assert(markers[1].output === '{{ai_section:Tokyo#Economy}}' && markers[1].error.includes('No section'), 'Missing sections should leave the marker as written');
+
+  const lead = await new DocuFreshAI({ backend, fetch: createFetchStub(sectionRoute) }).processDetailed('{{ai_answer:Tokyo:When was it renamed Tokyo?}}');
+  assert(prompts.at(-1).includes('capital of Japan') && lead.markers[0].section === null, 'Answers should use the lead by default');
+
+  const passage = new DocuFreshAI({ backend, answerContext: 'passage', fetch: createFetchStub(sectionRoute) });
+  const found = await passage.processDetailed('{{ai_answer:Tokyo:When was it renamed Tokyo?}}');
+  assert(prompts.at(-1).includes('1868') && found.markers[0].section.title === 'Meiji era', 'Passage mode should search every section');
+});
+
+// Test: literal # in topics
+await test('Topics ending in # or with an escaped \\# are not split into sections', async () => {
+  const lookups = [];
+  const source = {
+    getSummary: async (topic) => ({ title: topic, extract: `About ${topic}.` }),
+    getFact: async (topic) => `About ${topic}.`,
+    getFactWithFallback: async (topic) => {
+      lookups.push(topic);
+      return `About ${topic}.`;
+    },
+    getSection: async (topic, section) => {
+      lookups.push(`${topic} > ${section}`);
+      return { title: topic, section, anchor: section, text: `${section} of ${topic}.` };
+    },
+    search: async () => []
+  };
+  const ai = new DocuFreshAI({ backend: () => 'Answer.', source });
+
+  await ai.process('{{ai_answer:C#:Who designed it?}} {{ai_rewrite:F#:It is functional.}}');
+  await ai.process('{{ai_answer:C\\#_(programming_language)#History:When was it released?}}');
+  assert(lookups.join('|') === 'C#|F#|C#_(programming_language) > History', `Should keep literal # in topics, got ${lookups.join('|')}`);
+});
+
+// ============================================
+// INFOBOX TESTS
+// ============================================
+
+console.log('\n--- Infobox Tests ---\n');
+
+const infoboxRoute = {
+  'action=parse&page=Tesla': {
+    body: {
+      parse: {
+        title: 'Tesla, Inc.',
+        revid: 7,
+        wikitext: `{{Short description|American company}}
+{{Infobox company
+| name = Tesla, Inc.
+| logo = [[File:Tesla logo.svg|200px]]
+| key_people = {{plainlist|
+* [[Elon Musk]] ([[Chief executive officer|CEO]])
+* [[Robyn Denholm]] ([[Chairperson|Chair]])<ref name="people">{{cite web|url=https://example.com}}</ref>
+}}
+| hq_location = [[Austin, Texas]], U.S.<!-- moved in 2021 -->
+| foundation = {{start date and age|2003|07|01}} in [[San Carlos, California]]
+| num_employees = 125,665<ref>{{cite news|title=Staff}}</ref> (2024)
+| parent =
+}}
+'''Tesla, Inc.''' is an American company.`
+      }
+    }
+  },
+  'revids=7': { body: { query: { pages: [{ revisions: [{ revid: 7, timestamp: '2024-06-01T00:00:00Z' }] }] } } }
+};
+
+// Test: parsing and cleaning
+await test('WikipediaClient.getInfobox returns cleaned key/value pairs', async () => {
+  const client = new WikipediaClient({ fetch: createFetchStub(infoboxRoute) });
+  const { type, fields, revision } = await client.getInfobox('Tesla,_Inc.');
+
+  assert(type === 'company' && revision === '7', 'Should return the infobox type and revision');
+  assert(fields.key_people === 'Elon Musk (CEO), Robyn Denholm (Chair)', `Lists should lose links and refs, got ${fields.key_people}`);
+  assert(fields.hq_location === 'Austin, Texas, U.S.', 'Comments should be removed');
+  assert(fields.foundation === 'July 1, 2003 in San Carlos, California', `Date templates should become dates, got ${fields.foundation}`);
+  assert(fields.num_employees === '125,665 (2024)' && !('parent' in fields) && !('logo' in fields), 'Empty fields and images should be left out');
+});
+
+// Test: marker and fuzzy keys
+await test('ai_infobox matches field names fuzzily', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', fetch: createFetchStub(infoboxRoute) });
+  const { text, markers } = await ai.processDetailed(
+    '{{ai_infobox:Tesla,_Inc.:key_people}}|{{ai_infobox:Tesla,_Inc.:CEO}}|{{ai_infobox:Tesla,_Inc.:Headquarters}}|' +
+    '{{ai_infobox:Tesla,_Inc.:employees}}|{{ai_infobox:Tesla,_Inc.:hq_loaction}}|{{ai_infobox:Tesla,_Inc.:revenue}}'
+  );
+  const values = text.split('|');
+
+  assert(values[0] === values[1] && values[0].startsWith('Elon Musk'), 'CEO should find key_people');
+  assert(values[2] === 'Austin, Texas, U.S.' && values[4] === values[2], 'Aliases and typos should find hq_location');
+  assert(values[3] === '125,665 (2024)', 'employees should find num_employees');
+  assert(values[5] === '{{ai_infobox:Tesla,_Inc.:revenue}}' && markers[5].error.includes('key_people'), 'Unknown fields should list the fields');
+  assert(markers[1].infobox.field === 'key_people' && markers[1].article.revision === '7' && markers[1].model === null, 'Records should report the matched field');
+});
+
+// ============================================
+// DISAMBIGUATION TESTS
+// ============================================
+
+console.log('\n--- Disambiguation Tests ---\n');
+
+const disambiguationRoutes = {
+  'page/summary/Mercury_(planet)': {
+    body: { type: 'standard', title: 'Mercury (planet)', extract: 'Mercury is the first planet from the Sun.', revision: '11' }
+  },
+  'page/summary/Mercury_(element)': {
+    body: { type: 'standard', title: 'Mercury (element)', extract: 'Mercury is a chemical element with the symbol Hg.', revision: '12' }
+  },
+  'page/summary/Mercury': {
+    body: { type: 'disambiguation', title: 'Mercury', extract: 'Mercury commonly refers to: Mercury (planet), Mercury (element)...' }
+  },
+  'generator=links&titles=Mercury': {
+    body: {
+      query: {
+        pages: [
+          { title: 'Mercury (planet)', description: 'Smallest and closest planet to the Sun' },
+          { title: 'Mercury (element)', description: 'Chemical element with atomic number 80, a liquid metal' },
+          { title: 'Mercury (mythology)', description: 'Roman god' },
+          { title: 'Mercury (disambiguation)', pageprops: { disambiguation: '' } }
+        ]
+      }
+    }
+  }
+};
+
+// Test: picking a candidate from the context
+await test('WikipediaClient resolves disambiguation pages from the context', async () => {
+  const client = new WikipediaClient({ fetch: createFetchStub(disambiguationRoutes) });
+
+  const planet = await client.getSummary('Mercury', { context: 'Mercury is the closest planet to the Sun' });
+  assert(planet.title === 'Mercury (planet)' && !planet.error, `Should pick the planet, got ${planet.title}`);
+  assert(planet.disambiguation.topic === 'Mercury' && planet.disambiguation.chosen === 'Mercury (planet)', 'Should report the choice');
+  assert(planet.disambiguation.candidates.length === 3 && planet.disambiguation.candidates[0].score > 0, 'Disambiguation pages should not be candidates');
+
+  const element = await client.getSummary('Mercury', { context: 'Old thermometers held mercury, a metal' });
+  assert(element.title === 'Mercury (element)', `Should pick the element, got ${element.title}`);
+
+  const unresolved = await client.getSummary('Mercury', { context: 'Mercury was mentioned' });
+  assert(unresolved.error && unresolved.disambiguation.chosen === null, 'Unmatched contexts should not pick an article');
+  assert((await client.getFactWithFallback('Mercury')).startsWith('Unable to find'), 'Fallback should not return the list of meanings');
+
+  const page = await client.getSummary('Mercury', { disambiguation: false });
+  assert(page.type === 'disambiguation' && !page.disambiguation, 'disambiguation: false should return the page itself');
+});
+
+// Test: the sentence around the marker
+await test('Markers resolve ambiguous topics from their sentence and report it', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', fetch: createFetchStub(disambiguationRoutes) });
+
+  const { text, markers } = await ai.processDetailed('Intro.\n\nThe closest planet to the Sun is {{ai_fact:Mercury}}. Next.');
+  assert(text.includes('first planet from the Sun'), `Should read the planet article, got ${text}`);
+  assert(markers[0].article.title === 'Mercury (planet)' && markers[0].article.revision === '11', 'The record should cite the chosen article');
+  assert(markers[0].disambiguation.chosen === 'Mercury (planet)' && markers[0].disambiguation.candidates.length === 3, 'The record should list the candidates');
+
+  const element = await ai.process('Thermometers held liquid {{ai_fact:Mercury}}, a metal.');
+  assert(element.includes('chemical element'), `process() should resolve too, got ${element}`);
+});
+
+// Test: identical markers in different sentences
+await test('Identical markers with an ambiguous topic resolve per sentence', async () => {
+  const ai = new DocuFreshAI({ backend: 'mock', fetch: createFetchStub(disambiguationRoutes) });
+
+  const { text, markers } = await ai.processDetailed(
+    'The closest planet to the Sun is {{ai_fact:Mercury}}. Thermometers held liquid {{ai_fact:Mercury}}, a metal.'
+  );
+  assert(markers[0].article.title === 'Mercury (planet)', `First marker should read the planet, got ${markers[0].article.title}`);
+  assert(markers[1].article.title === 'Mercury (element)', `Second marker should read the element, got ${markers[1].article.title}`);
+  assert(text.includes('first planet from the Sun') && text.includes('chemical element'), `Should render both articles, got ${text}`);
+
+  const calls = [];
+  const shared = new DocuFreshAI({ backend: prompt => { calls.push(prompt); return 'Moon fact'; }, source: markupSource });
+  await shared.process('A {{ai_summary:Moon}}. B {{ai_summary:Moon}}.');
+  assert(calls.length === 1, `Unambiguous identical markers should still share one result, got ${calls.length} generations`);
+});
+
+// Test: no disambiguation lookup for markers without an article title
+await test('Questions, Wikidata and custom markers are not checked for disambiguation', async () => {
+  const fetch = createFetchStub({
+    'ids=Q42&props=claims': {
+      body: { entities: { Q42: { claims: { P569: [{ rank: 'normal', mainsnak: { snaktype: 'value', datavalue: { type: 'time', value: { time: '+1952-03-11T00:00:00Z', precision: 11 } } } }] } } } }
+    }
+  });
+  const ai = new DocuFreshAI({ backend: 'mock', fetch });
+  ai.registerMarker('ai_shout', (context, topic) => topic.toUpperCase(), { params: ['topic'] });
+
+  const text = await ai.process('Born {{ai_data:Q42:P569}}. Say {{ai_shout:hello}}. Ask {{ai_answer:What is the capital of France?}}');
+  assert(text.includes('March 11, 1952') && text.includes('HELLO'), `Should render the markers, got ${text}`);
+  const summaries = fetch.calls.filter(url => url.includes('page/summary/'));
+  assert(!summaries.some(url => /summary\/(Q42|hello|What)/.test(url)), `Should not look up non-titles, got ${summaries.join(', ')}`);
+});
+
+// ============================================
+// SEARCH RE-RANKING TESTS
+// ============================================
+
+console.log('\n--- Search Re-ranking Tests ---\n');
+
+const rerankRoutes = {
+  'opensearch&search=Red_planet_rover': { body: ['Red_planet_rover', ['Red Planet (film)', 'Mars rover'], ['', ''], ['', '']] },
+  'opensearch&search=Quantum_gardening': { body: ['Quantum_gardening', ['Red Planet (film)'], [''], ['']] },
+  'prop=description&titles=': {
+    body: {
+      query: {
+        pages: [
+          { title: 'Red Planet (film)', description: '2000 science fiction film' },
+          { title: 'Mars rover', description: 'Robotic vehicle exploring Mars' }
+        ]
+      }
+    }
+  },
+  'page/summary/Red_Planet_(film)': { body: { title: 'Red Planet (film)', extract: 'Red Planet is a 2000 film.' } },
+  'page/summary/Mars_rover': { body: { title: 'Mars rover', extract: 'A Mars rover is a robotic vehicle that explores Mars.' } }
+};
+
+// Counts words of two themes, so similarity follows the theme
+const embedByTheme = (texts) => texts.map(text => [
+  (text.match(/film|movie|actor/gi) || []).length,
+  (text.match(/rover|mars|planet|robotic|vehicle/gi) || []).length
+]);
+
+// Test: re-ranking and the threshold
+await test('getFactWithFallback re-ranks search results and rejects weak matches', async () => {
+  const plain = new WikipediaClient({ fetch: createFetchStub(rerankRoutes) });
+  assert((await plain.getFactWithFallback('Red_planet_rover')).includes('2000 film'), 'Without rerank the first result is used');
+
+  const client = new WikipediaClient({ fetch: createFetchStub(rerankRoutes), rerank: { backend: embedByTheme, threshold: 0.6 } });
+  const fact = await client.getFactWithFallback('Red_planet_rover');
+  assert(fact.includes('robotic vehicle'), `Should use the most similar result, got ${fact}`);
+
+  const ranked = await client.rankSearchResults('Red_planet_rover', await client.search('Red_planet_rover', 5));
+  assert(ranked[0].title === 'Mars rover' && ranked[0].description === 'Robotic vehicle exploring Mars', 'Results should get descriptions');
+  assert(ranked[1].score < 0.6, `The film should score below the threshold, got ${ranked[1].score}`);
+
+  const missing = await client.getFactWithFallback('Quantum_gardening');
+  assert(missing === 'Unable to find information about Quantum_gardening', `Weak matches should not be used, got ${missing}`);
+
+  let error = null;
+  try {
+    new WikipediaClient({ rerank: { threshold: 2 } });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('rerank.threshold'), 'Invalid thresholds should be rejected');
+});
+
+// Test: the paragraph around the marker and the record
+await test('Markers re-rank search results with their paragraph and report the scores', async () => {
+  const texts = [];
+  const ai = new DocuFreshAI({
+    backend: 'mock',
+    fetch: createFetchStub(rerankRoutes),
+    rerank: (batch) => {
+      texts.push(...batch);
+      return embedByTheme(batch);
+    }
+  });
+
+  const { markers } = await ai.processDetailed('# Exploration\n\nNASA sent a {{ai_fact:Red_planet_rover}} to Mars.\n\nOther text.');
+  assert(texts.includes('NASA sent a Red planet rover to Mars.'), `The paragraph should be embedded, got ${texts.join(' | ')}`);
+  assert(markers[0].article.title === 'Mars rover' && markers[0].searchFallback, 'The record should cite the re-ranked article');
+  assert(markers[0].search.ranked[0].title === 'Mars rover' && markers[0].search.threshold === 0.4, 'The record should report the scores');
+});
+
+// ============================================
+// HTTP ERROR AND RETRY TESTS
+// ============================================
+
+console.log('\n--- HTTP Error and Retry Tests ---\n');
+
+// Answers with each response in turn (a function throws, like a failed connection)
+const createSequenceFetch = (responses) => {
+  const stub = async (url, init) => {
+    stub.calls.push({ url, headers: init?.headers || {} });
+    const next = responses[Math.min(stub.calls.length - 1, responses.length - 1)];
+    if (typeof next === 'function') return next();
+    const { status = 200, headers = {}, body = {} } = next;
+    return new Response(JSON.stringify(body), { status, headers });
+  };
+  stub.calls = [];
+  return stub;
+};
+const moonSummary = { body: { title: 'Moon', extract: 'The Moon orbits Earth.' } };
+
+// Test: retries and Retry-After
+await test('WikipediaClient retries rate limits and server errors', async () => {
+  const limited = createSequenceFetch([{ status: 429, headers: { 'Retry-After': '0' } }, moonSummary]);
+  const client = new WikipediaClient({ fetch: limited, retry: { minDelay: 1, maxDelay: 10 } });
+  const summary = await client.getSummary('Moon');
+  assert(summary.title === 'Moon' && limited.calls.length === 2, 'Should retry a 429 after Retry-After');
+
+  const flaky = createSequenceFetch([{ status: 503 }, { status: 502 }, moonSummary]);
+  const retried = await new WikipediaClient({ fetch: flaky, retry: { minDelay: 1, maxDelay: 10 } }).getSummary('Moon');
+  assert(retried.title === 'Moon' && flaky.calls.length === 3, 'Should retry server errors with backoff');
+
+  const slow = createSequenceFetch([{ status: 429, headers: { 'Retry-After': '120' } }]);
+  let error = null;
+  try {
+    await new WikipediaClient({ fetch: slow, retry: { maxDelay: 1000 } }).getSummary('Moon', { strict: true });
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof RateLimitedError && error.retryAfter === 120000, 'A long Retry-After should fail with the wait');
+  assert(slow.calls.length === 1, 'Retry-After beyond maxDelay should not be waited out');
+});
+
+// Test: telling a missing article from an outage
+await test('Lookup errors tell missing articles from outages', async () => {
+  const missing = createSequenceFetch([{ status: 404 }]);
+  const client = new WikipediaClient({ fetch: missing, fallbackLanguages: [], retry: { minDelay: 1, maxDelay: 10 } });
+  const summary = await client.getSummary('Nope');
+  assert(summary.error === true && summary.errorCode === 'not_found' && summary.status === 404, 'Missing articles should be not_found');
+  assert(missing.calls.length === 1, 'Missing articles should not be retried');
+
+  let error = null;
+  try {
+    await client.getSummary('Nope', { strict: true });
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof NotFoundError && error.status === 404, 'strict should throw a NotFoundError');
+
+  const down = createSequenceFetch([() => { throw new TypeError('fetch failed'); }]);
+  const offline = new WikipediaClient({ fetch: down, retry: { retries: 2, minDelay: 1, maxDelay: 10 } });
+  const failed = await offline.getSummary('Moon');
+  assert(failed.error === true && failed.errorCode === 'network_error' && down.calls.length === 3, 'Network errors should be retried, then reported');
+
+  const fact = await offline.getFactWithFallback('Moon');
+  assert(fact === 'Unable to fetch information about Moon', `Outages should not fall back to search, got ${fact}`);
+  assert(!down.calls.some(call => call.url.includes('opensearch')), 'Outages should not search');
+
+  error = null;
+  try {
+    await offline.getFactWithFallback('Moon', { strict: true });
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof NetworkError && error.retryable, 'strict fallback lookups should throw the outage');
+});
+
+// Test: User-Agent and request rate
+await test('Requests send the configured User-Agent and respect the rate limit', async () => {
+  const transport = createSequenceFetch([moonSummary]);
+  await new WikipediaClient({ fetch: transport, userAgent: 'MyDocs/1.0 (docs@example.com)' }).getSummary('Moon');
+  assert(transport.calls[0].headers['User-Agent'] === 'MyDocs/1.0 (docs@example.com)', 'Should send the configured User-Agent');
+
+  const fallback = createSequenceFetch([moonSummary]);
+  await new WikipediaClient({ fetch: fallback }).getSummary('Moon');
+  assert(/^DocuFresh-AI\/\S+ \(https:/.test(fallback.calls[0].headers['User-Agent']), 'Should default to the library User-Agent');
+
+  const throttle = createRateLimiter(50);
+  const started = Date.now();
+  await Promise.all(Array.from({ length: 60 }, () => throttle(async () => {})));
+  const elapsed = Date.now() - started;
+  assert(elapsed >= 180, `60 tasks at 50/s (burst 50) should take about 200ms, took ${elapsed}ms`);
+});
+
+// Test: failed lookups never reach the model
+await test('Markers stay unresolved when their lookup fails', async () => {
+  const prompts = [];
+  const backend = prompt => { prompts.push(prompt); return 'Generated.'; };
+  const down = createSequenceFetch([() => { throw new TypeError('fetch failed'); }]);
+  const ai = new DocuFreshAI({ backend, fetch: down, retry: false });
+
+  const doc = '{{ai_fact:Moon}} {{ai_summary:Moon}} {{ai_answer:Moon:How far is it?}}';
+  const { text, markers } = await ai.processDetailed(doc);
+  assert(text === doc, `Markers should be left as written, got ${text}`);
+  assert(prompts.length === 0, `The model should not write about error text, got ${prompts.length} prompts`);
+  assert(markers.every(marker => /unreachable/.test(marker.error)), 'Records should report the outage');
+
+  const local = new DocuFreshAI({ backend, source: new LocalKnowledgeSource({ documents: [{ title: 'Moon', extract: 'The Moon orbits Earth.' }] }) });
+  const missing = await local.process('{{ai_fact:Nowhere_at_all}} {{ai_describe:Nowhere_at_all}}');
+  assert(missing === '{{ai_fact:Nowhere_at_all}} {{ai_describe:Nowhere_at_all}}', `Missing documents should fail the marker, got ${missing}`);
+  assert(prompts.length === 0, 'Missing documents should not reach the model');
+});
+
 // ============================================
 // RESULTS
 // ============================================